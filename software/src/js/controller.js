@@ -8,13 +8,17 @@ import type { Objective, AutomatonState, AutomatonStateID } from "./logic.js";
 import type { State, StateID, Action, ActionID, AbstractedLSS } from "./system.js";
 
 import { Union } from "./geometry.js";
-import { just, iter, NotImplementedError } from "./tools.js";
+import { just, iter, PRNG, NotImplementedError } from "./tools.js";
 
 
 
+// Control mode of the system (index into controlModes) and control input
+export type Control = { mode: number, u: Vector };
+
 export type TraceStep = {
     xOrigin: [Vector, State, AutomatonState],
     xTarget: [Vector, State, AutomatonState],
+    mode: number,
     u: Vector,
     w: Vector
 };
@@ -23,6 +27,7 @@ export type JSONTrace = JSONTraceStep[];
 export type JSONTraceStep = {
     xOrigin: [Vector, StateID, AutomatonStateID],
     xTarget: [Vector, StateID, AutomatonStateID],
+    mode: number,
     u: Vector,
     w: Vector
 };
@@ -32,17 +37,21 @@ export class Trace {
     +steps: TraceStep[];
     +system: AbstractedLSS;
     +objective: Objective;
+    // Source of the random perturbations (randomly seeded if not given)
+    +rng: PRNG;
 
-    constructor(system: AbstractedLSS, objective: Objective): void {
+    constructor(system: AbstractedLSS, objective: Objective, rng?: PRNG): void {
         this.steps = [];
         this.system = system;
         this.objective = objective;
+        this.rng = rng == null ? new PRNG() : rng;
     }
 
     serialize(): JSONTrace {
         return this.steps.map(_ => ({
             xOrigin: [_.xOrigin[0], _.xOrigin[1].label, _.xOrigin[2].label],
             xTarget: [_.xTarget[0], _.xTarget[1].label, _.xTarget[2].label],
+            mode: _.mode,
             u: _.u,
             w: _.w
         }));
@@ -68,11 +77,11 @@ export class Trace {
         // no valid automaton transition exists, the trace has terminated
         const qNext = q.successor(this.objective.valuationFor(x.predicates));
         if (qNext == null) return null;
-        // Obtain the control input from the controller, a random perturbation
-        // vector and evaluate the LSS's evolution equation
-        const u = controller.control(origin, x, q);
-        const w = this.system.lss.ww.sample();
-        const target = this.system.lss.eval(origin, u, w);
+        // Obtain the control mode and input from the controller, a random
+        // perturbation vector and evaluate the evolution equation of the mode
+        const { mode, u } = controller.control(origin, x, q);
+        const w = this.system.lss.ww.sample(this.rng.random);
+        const target = this.system.lss.controlModes[mode].eval(origin, u, w);
         // Determine the state to which the target belongs. Every inner state
         // must lead to another valid state.
         const xNext = just(
@@ -83,6 +92,7 @@ export class Trace {
         const step =  {
             xOrigin: [origin, x, q],
             xTarget: [target, xNext, qNext],
+            mode: mode,
             u: u,
             w: w
         };
@@ -109,30 +119,37 @@ export class Controller {
     +system: AbstractedLSS;
     +objective: Objective;
     +results: ?AnalysisResults;
+    // Source of randomness for control input selection (randomly seeded if
+    // not given)
+    +rng: PRNG;
 
-    constructor(system: AbstractedLSS, objective: Objective, results: ?AnalysisResults): void {
+    constructor(system: AbstractedLSS, objective: Objective, results: ?AnalysisResults, rng?: PRNG): void {
         this.system = system;
         this.objective = objective;
         this.results = results;
+        this.rng = rng == null ? new PRNG() : rng;
         this.reset();
     }
 
     // Initializer (overwrite in subclass)
     reset(): void {}
 
-    // Produce control input (overwrite in subclass)
-    control(origin: Vector, x: State, q: AutomatonState): Vector {
+    // Produce control mode and input (overwrite in subclass)
+    control(origin: Vector, x: State, q: AutomatonState): Control {
         throw new NotImplementedError("control method of Controller must be overwritten in subclass");
     }
 
 }
 
 
-// Always apply a random control input
+// Always apply a random control mode and input
 export class RandomController extends Controller {
 
-    control(origin: Vector, x: State, q: AutomatonState): Vector {
-        return this.system.lss.uu.sample();
+    control(origin: Vector, x: State, q: AutomatonState): Control {
+        const modes = this.system.lss.controlModes;
+        // Only consume randomness for the mode if there is a choice
+        const mode = modes.length === 1 ? 0 : Math.floor(this.rng.random() * modes.length);
+        return { mode: mode, u: modes[mode].uu.sample(this.rng.random) };
     }
     
 }
@@ -175,7 +192,7 @@ export class RoundRobinController extends Controller {
         return result != null && result.yes.has(q.label);
     }
 
-    control(origin: Vector, x: State, q: AutomatonState): Vector {
+    control(origin: Vector, x: State, q: AutomatonState): Control {
         const actions = x.actions;
         const n = actions.length;
         // No-action and no-automaton-transition states should have been taken
@@ -200,14 +217,14 @@ export class RoundRobinController extends Controller {
             );
             if (allYes) {
                 this._setActionID(x, q, next);
-                return action.controls.sample();
+                return { mode: action.mode, u: action.controls.sample(this.rng.random) };
             }
         }
         // No action with all-yes targets was found, so just use the next
         // action
         const next = (last + 1) % n;
         this._setActionID(x, q, next);
-        return actions[next].controls.sample();
+        return { mode: actions[next].mode, u: actions[next].controls.sample(this.rng.random) };
     }
 
 }
@@ -217,11 +234,11 @@ export class RoundRobinController extends Controller {
 export class PreRLayeredTransitionController extends Controller {
 
     +_onions: Map<AutomatonStateID, Region[]>;
-    +_controls: Map<State, Map<AutomatonStateID, Polytope>>;
+    +_controls: Map<State, Map<AutomatonStateID, [number, Polytope]>>;
 
     constructor(system: AbstractedLSS, objective: Objective, results: ?AnalysisResults,
-                transitions: Map<AutomatonStateID, AutomatonStateID>): void {
-        super(system, objective, results);
+                transitions: Map<AutomatonStateID, AutomatonStateID>, rng?: PRNG): void {
+        super(system, objective, results, rng);
         const lss = system.lss;
         // Construct PreR layers wrt transition targets
         const onions = new Map();
@@ -266,7 +283,8 @@ export class PreRLayeredTransitionController extends Controller {
                 ),
                 (x) => x.polytope
             ),
-            this.system.lss.dim
+            this.system.lss.dim,
+            this.system.lss.tol
         );
     }
 
@@ -280,17 +298,18 @@ export class PreRLayeredTransitionController extends Controller {
                 ),
                 (x) => x.polytope
             ),
-            this.system.lss.dim
+            this.system.lss.dim,
+            this.system.lss.tol
         );
     }
 
-    control(origin: Vector, x: State, q: AutomatonState): Vector {
-        // Try to obtain control region from cache
+    control(origin: Vector, x: State, q: AutomatonState): Control {
+        // Try to obtain control mode and region from cache
         let controls = this._controls.get(x);
         if (controls != null) {
             const control = controls.get(q.label);
             if (control != null) {
-                return control.sample();
+                return { mode: control[0], u: control[1].sample(this.rng.random) };
             }
         // Create associated cache entry if it does not exist yet
         } else {
@@ -305,7 +324,7 @@ export class PreRLayeredTransitionController extends Controller {
         // Find action with lowest cost
         const act = iter.argmax((action) => {
             let cost = 0;
-            let post = this.system.lss.post(x.polytope, action.controls);
+            let post = this.system.lss.controlModes[action.mode].post(x.polytope, action.controls);
             const totalVolume = post.volume;
             // Accumulate costs from layers
             let i = 0;
@@ -320,14 +339,15 @@ export class PreRLayeredTransitionController extends Controller {
             // Volume-weighted cost and negated (so argmax can be used)
             return -cost / totalVolume;
         }, x.actions);
-        // Extract control region associated with best action
-        const u = just( 
+        // Extract control mode and region associated with best action
+        const best = just( 
             act,
             "No action found for state (" + x.label + ", " + q.label + ")"
-        ).controls.polytopes[0];
+        );
+        const u = best.controls.polytopes[0];
         // Cache this control input and return
-        controls.set(q.label, u);
-        return u.sample();
+        controls.set(q.label, [best.mode, u]);
+        return { mode: best.mode, u: u.sample(this.rng.random) };
     }
 
 }
@@ -0,0 +1,99 @@
+// @flow
+"use strict";
+
+/* Discretization of continuous-time systems
+
+Zero-order hold discretization of dx/dt = A_c x + B_c u: the input is held
+constant over each sampling interval of length dt, which yields the discrete
+evolution x_{t+1} = A x_t + B u_t with
+
+    A = exp(A_c dt),  B = ∫_0^dt exp(A_c s) ds B_c.
+
+Both are obtained from the exponential of a single augmented matrix. The matrix
+exponential is computed with a diagonal Padé approximant and
+scaling-and-squaring.
+
+References:
+- Moler, C., & Van Loan, C. (2003). Nineteen dubious ways to compute the
+  exponential of a matrix, twenty-five years later. SIAM Review, 45(1), 3–49.
+
+*/
+
+import type { Matrix } from "./linalg.js";
+
+import * as linalg from "./linalg.js";
+import { ValueError } from "./tools.js";
+
+
+// Degree of numerator and denominator of the Padé approximant
+const PADE_DEGREE = 6;
+// The argument is scaled until its norm is below this bound, where the
+// approximant of degree 6 is accurate to double precision
+const SCALING_BOUND = 0.5;
+
+// m + f·n
+function addScaled(m: Matrix, n: Matrix, f: number): Matrix {
+    return m.map((row, i) => row.map((x, j) => x + f * n[i][j]));
+}
+
+// Maximum absolute row sum
+function normInf(m: Matrix): number {
+    return Math.max(0, ...m.map(row => row.reduce((s, x) => s + Math.abs(x), 0)));
+}
+
+
+// Matrix exponential of a square matrix
+export function expm(m: Matrix): Matrix {
+    m.forEach(row => linalg.assertEqualDims(row.length, m.length));
+    if (!m.every(row => row.every(Number.isFinite))) throw new ValueError(
+        "matrix exponential requires finite entries"
+    );
+    // Scaling: exp(m) = exp(m / 2^s)^(2^s)
+    const norm = normInf(m);
+    const s = norm > SCALING_BOUND ? Math.ceil(Math.log2(norm / SCALING_BOUND)) : 0;
+    const x = m.map(row => row.map(_ => _ / Math.pow(2, s)));
+    // Padé approximant N(x) / D(x) with D(x) = N(-x)
+    const eye = linalg.eye(m.length);
+    let c = 1;
+    let xk = eye;
+    let num = eye;
+    let den = eye;
+    for (let k = 1; k <= PADE_DEGREE; k++) {
+        c = c * (PADE_DEGREE - k + 1) / (k * (2 * PADE_DEGREE - k + 1));
+        xk = linalg.matmul(x, xk);
+        num = addScaled(num, xk, c);
+        den = addScaled(den, xk, k % 2 === 0 ? c : -c);
+    }
+    let out = linalg.matmul(linalg.inv(den), num);
+    // Squaring
+    for (let i = 0; i < s; i++) {
+        out = linalg.matmul(out, out);
+    }
+    return out;
+}
+
+// Discrete-time A and B of the continuous-time system dx/dt = Ac x + Bc u
+// with zero-order hold on the input and sampling time dt. A constant drift
+// term can be discretized like an input column.
+export function zeroOrderHold(Ac: Matrix, Bc: Matrix, dt: number): [Matrix, Matrix] {
+    if (!(dt > 0 && Number.isFinite(dt))) throw new ValueError(
+        "sampling time must be positive and finite, not " + String(dt)
+    );
+    const n = Ac.length;
+    Ac.forEach(row => linalg.assertEqualDims(row.length, n));
+    linalg.assertEqualDims(Bc.length, n);
+    const m = Bc[0].length;
+    // exp([[Ac, Bc], [0, 0]] dt) = [[A, B], [0, I]]
+    const augmented = [];
+    for (let i = 0; i < n; i++) {
+        augmented.push(Ac[i].concat(Bc[i]).map(_ => _ * dt));
+    }
+    for (let i = 0; i < m; i++) {
+        augmented.push(new Array(n + m).fill(0));
+    }
+    const exp = expm(augmented);
+    return [
+        exp.slice(0, n).map(row => row.slice(0, n)),
+        exp.slice(0, n).map(row => row.slice(n))
+    ];
+}
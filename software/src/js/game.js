@@ -1,7 +1,7 @@
 // @flow
 "use strict";
 
-import type { StateID, ActionID, SupportID, PredicateID, RefinementMap } from "./system.js";
+import type { StateID, ActionID, SupportID, PredicateID, RefinementMap, MergeMap } from "./system.js";
 
 import { Objective } from "./logic.js";
 import { just, iter, sets, hashString, UniqueCollection } from "./tools.js";
@@ -36,11 +36,20 @@ export interface GameGraph {
     targetLabelsOf(StateID, ActionID, SupportID): Set<StateID>;
 }
 
+// Lower and upper bounds of the probabilities with which the targets (labels
+// as keys) of an action support are reached. Not part of GameGraph, as the
+// bounds depend on the distribution of the random vector and are only
+// required for the quantitative analysis.
+export interface TransitionProbabilities {
+    boundsOf(StateID, ActionID, SupportID): Map<StateID, ProbabilityInterval>;
+}
+
 // Game graph serialization for analysis
 export type JSONGameGraph = {
     [string]: {
         predicates: string[],
-        actions: (string[])[]
+        // Targets of the supports of the actions
+        actions: string[][][]
     }
 };
 
@@ -195,6 +204,39 @@ export class AnalysisResults extends Map<StateID, AnalysisResult> {
         return updated;
     }
 
+    // In-place remapping of results after merging states. Unlike refinement,
+    // merging can remove winning strategies (and add cooperative ones), so
+    // merged states are undecided until the next analysis.
+    remapMerged(mergeMap: MergeMap): void {
+        for (let [xNew, xOlds] of mergeMap) {
+            const qs = new Set();
+            for (let xOld of xOlds) {
+                const result = just(
+                    this.get(xOld.label),
+                    "Remapping analysis results failed: state '" + xOld.label + "' does not exists"
+                );
+                for (let q of sets.union(result.yes, result.no, result.maybe)) qs.add(q);
+                // Remove results of merged states
+                this.delete(xOld.label);
+            }
+            this.set(xNew.label, { yes: new Set(), no: new Set(), maybe: qs });
+        }
+    }
+
+    // Mark all results of the given states as undecided, e.g. for states
+    // whose decision relied on states that were merged afterwards
+    undecide(labels: Iterable<StateID>): void {
+        for (let label of labels) {
+            const result = this.get(label);
+            if (result == null) continue;
+            this.set(label, {
+                yes: new Set(),
+                no: new Set(),
+                maybe: sets.union(result.yes, result.no, result.maybe)
+            });
+        }
+    }
+
     // In-place remapping of results after refinement
     remap(refinementMap: RefinementMap): void {
         for (let [xOld, xNews] of refinementMap) {
@@ -229,6 +271,90 @@ export type JSONAnalysisResult = {
 };
 
 
+// Probability Bounds
+export type ProbabilityInterval = [number, number];
+export type JSONProbabilityBounds = { [StateID]: { [string]: ProbabilityInterval } };
+// Lower and upper probability of satisfying the objective for every system
+// state and automaton state. The bounds of an abstract state are meant to hold
+// for every point of its polytope, but they are only as accurate as the
+// transition probabilities they are computed from. With probabilities from
+// numerical integration (TransitionBounds) they are approximations.
+export class ProbabilityBounds extends Map<StateID, Map<string, ProbabilityInterval>> {
+
+    // Bounds from a value iteration that did not converge still hold but are
+    // not as tight as the tolerance requires. Not part of the serialization.
+    converged: boolean;
+
+    constructor(converged?: boolean): void {
+        super();
+        this.converged = converged == null ? true : converged;
+    }
+
+    static deserialize(json: JSONProbabilityBounds): ProbabilityBounds {
+        const bounds = new ProbabilityBounds();
+        for (let label in json) {
+            const qBounds = new Map();
+            for (let q in json[label]) {
+                const [lower, upper] = json[label][q];
+                qBounds.set(q, [lower, upper]);
+            }
+            bounds.set(label, qBounds);
+        }
+        return bounds;
+    }
+
+    serialize(): JSONProbabilityBounds {
+        const json = {};
+        for (let [label, qBounds] of this) {
+            json[label] = {};
+            for (let [q, [lower, upper]] of qBounds) {
+                json[label][q] = [lower, upper];
+            }
+        }
+        return json;
+    }
+
+    // In-place remapping of bounds after merging states. A merged state only
+    // keeps the actions that are valid for its entire polytope, so the bounds
+    // of the states it replaces do not carry over and it has no bounds until
+    // they are computed again.
+    remapMerged(mergeMap: MergeMap): void {
+        for (let xOlds of mergeMap.values()) {
+            for (let xOld of xOlds) {
+                if (!this.delete(xOld.label)) throw new Error(
+                    "Remapping probability bounds failed: state '" + xOld.label + "' does not exists"
+                );
+            }
+        }
+    }
+
+    // In-place remapping of bounds after refinement
+    remap(refinementMap: RefinementMap): void {
+        for (let [xOld, xNews] of refinementMap) {
+            const qBounds = just(
+                this.get(xOld.label),
+                "Remapping probability bounds failed: state '" + xOld.label + "' does not exists"
+            );
+            // Remove bounds of refined states
+            this.delete(xOld.label);
+            // Bounds of the old state hold for the states it was split into
+            for (let xNew of xNews) {
+                this.set(xNew.label, new Map(qBounds));
+            }
+        }
+    }
+
+}
+
+
+// Default convergence tolerance and iteration limit of the value iteration
+const VI_TOLERANCE = 1e-6;
+const VI_MAX_ITERATIONS = 100000;
+
+// Outcome of a player 2 choice: targets and bounds of the probabilities with
+// which they are reached
+type Outcome = { targets: PState[], bounds: ProbabilityInterval[] };
+
 // 2½-player game
 export class TwoPlayerProbabilisticGame {
 
@@ -400,6 +526,187 @@ export class TwoPlayerProbabilisticGame {
         return results;
     }
 
+    // Bounds on the probability with which player 1 wins, obtained by interval
+    // value iteration. Reaching a state from which player 1 wins almost-surely
+    // guarantees a win, so the probability of reaching such a state against an
+    // adversarial player 2 and the least favourable transition probabilities
+    // is a lower bound. A win is only possible by reaching a state from which
+    // player 1 wins almost-surely with a cooperative player 2, so the
+    // probability of reaching such a state with a cooperative player 2 and the
+    // most favourable transition probabilities is an upper bound. The lower
+    // bound is approached from below and the upper bound from above, so both
+    // hold whenever the iteration stops and the tolerance only determines how
+    // tight they are. If the iteration limit is reached, the bounds obtained so
+    // far are returned and marked as not converged. Errors of the transition
+    // probability bounds carry over
+    // to the results. The game should be constructed without previous
+    // analysis results, as the simplifications made with them underestimate
+    // the upper bounds.
+    analyseBounds(transitions: TransitionProbabilities, tol?: number, maxIterations?: number): ProbabilityBounds {
+        tol = tol == null ? VI_TOLERANCE : tol;
+        maxIterations = maxIterations == null ? VI_MAX_ITERATIONS : maxIterations;
+        const win = this.solve();
+        const winCoop = this.solveCoop();
+        // Transition probabilities are only required where player 1 does not
+        // win almost-surely (the values of these states are fixed)
+        const outcomes = this._outcomes(transitions, iter.filter(_ => !win.has(_), this.p2States));
+        const [lower, lowerConverged] = this._reachProbabilitiesFromBelow(win, outcomes, tol, maxIterations);
+        const [upper, upperConverged] = this._reachProbabilitiesFromAbove(winCoop, outcomes, tol, maxIterations);
+        const bounds = new ProbabilityBounds(lowerConverged && upperConverged);
+        for (let state of this.p1States) {
+            // Ignore dead-end states
+            if (state.systemState === "") continue;
+            let qBounds = bounds.get(state.systemState);
+            if (qBounds == null) {
+                qBounds = new Map();
+                bounds.set(state.systemState, qBounds);
+            }
+            // Rounding errors of the expectations can push values beyond 1
+            const l = Math.min(1, just(lower.get(state)));
+            const u = Math.min(1, just(upper.get(state)));
+            qBounds.set(state.automatonState, [l, Math.max(l, u)]);
+        }
+        return bounds;
+    }
+
+    // Outcomes of the actions of the given player 2 states
+    _outcomes(transitions: TransitionProbabilities, states: Iterable<P2State>): Map<P2State, Outcome[]> {
+        const outcomes = new Map();
+        for (let state of states) {
+            outcomes.set(state, state.actions.map((action, si) => {
+                const targets = Array.from(action);
+                // Supports with a single target and the actions of dead-end
+                // states have a certain outcome
+                if (targets.length === 1) {
+                    return { targets: targets, bounds: [[1, 1]] };
+                }
+                const bounds = transitions.boundsOf(state.systemState, state.systemAction, si);
+                return {
+                    targets: targets,
+                    bounds: targets.map(target => just(
+                        bounds.get(target.systemState),
+                        "no probability bounds for transition from ((" + state.systemState + ", "
+                        + state.systemAction + "), " + state.automatonState + ") to " + target.systemState
+                    ))
+                };
+            }));
+        }
+        return outcomes;
+    }
+
+    // Probability of reaching the targets from every state when player 1
+    // maximizes it and player 2 and the transition probabilities minimize it.
+    // Values are initialized with zero and updated in place, so they increase
+    // monotonically towards the least fixed point. Also returns whether the
+    // iteration converged.
+    _reachProbabilitiesFromBelow(targets: Set<PState>, outcomes: Map<P2State, Outcome[]>,
+                                 tol: number, maxIterations: number): [Map<PState, number>, boolean] {
+        const values = new Map();
+        for (let state of this.states) {
+            values.set(state, targets.has(state) ? 1 : 0);
+        }
+        const others = Array.from(iter.filter(_ => !targets.has(_), this.states));
+        const converged = this._valueIteration(values, others, outcomes, false, [], tol, maxIterations);
+        return [values, converged];
+    }
+
+    // Probability of reaching the targets from every state when all players
+    // and the transition probabilities maximize it. Values are initialized
+    // with one where the targets are reachable and decrease monotonically.
+    // Inside an end component the play can stay forever without reaching the
+    // targets, which the iteration cannot distinguish from reaching them. The
+    // values of an end component are therefore capped by its best exit in
+    // every iteration, so that they converge to the least fixed point. Also
+    // returns whether the iteration converged.
+    _reachProbabilitiesFromAbove(targets: Set<PState>, outcomes: Map<P2State, Outcome[]>,
+                                 tol: number, maxIterations: number): [Map<PState, number>, boolean] {
+        const choicesOf = (state) => this._choicesOf(state, outcomes);
+        const others = Array.from(iter.filter(_ => !targets.has(_), this.states));
+        // Predecessors with respect to the transitions that can occur
+        const predecessors = new Map();
+        for (let state of others) {
+            for (let choice of choicesOf(state)) {
+                for (let target of possibleTargets(choice)) {
+                    const preds = predecessors.get(target);
+                    if (preds == null) {
+                        predecessors.set(target, [state]);
+                    } else {
+                        preds.push(state);
+                    }
+                }
+            }
+        }
+        const reaching = new Set(targets);
+        const queue = Array.from(targets);
+        while (queue.length > 0) {
+            const preds = predecessors.get(queue.pop());
+            if (preds == null) continue;
+            for (let pred of preds) {
+                if (reaching.has(pred)) continue;
+                reaching.add(pred);
+                queue.push(pred);
+            }
+        }
+        const values = new Map();
+        for (let state of this.states) {
+            values.set(state, reaching.has(state) ? 1 : 0);
+        }
+        const components = endComponents(others.filter(_ => reaching.has(_)), choicesOf);
+        const converged = this._valueIteration(values, others, outcomes, true, components, tol, maxIterations);
+        return [values, converged];
+    }
+
+    // Choices of a state as outcomes. The actions of player 1 lead to sets of
+    // player 2 states from which player 1 picks the best one.
+    _choicesOf(state: PState, outcomes: Map<P2State, Outcome[]>): Outcome[] {
+        if (state instanceof P2State) return just(outcomes.get(state));
+        const choices = [];
+        for (let action of state.actions) {
+            for (let target of action) {
+                choices.push({ targets: [target], bounds: [[1, 1]] });
+            }
+        }
+        return choices;
+    }
+
+    // Gauss-Seidel value iteration for the given states until the values
+    // change by less than the tolerance. Player 1 maximizes, player 2 and the
+    // transition probabilities maximize (cooperative) or minimize. After every
+    // sweep, the values of the end components are capped by their best exit.
+    // Returns false if the values still change after the maximum number of
+    // iterations.
+    _valueIteration(values: Map<PState, number>, states: PState[], outcomes: Map<P2State, Outcome[]>,
+                    cooperative: boolean, components: EndComponent[], tol: number, maxIterations: number): boolean {
+        const valueOf = (state) => just(values.get(state));
+        const expectationOf = (outcome) => extremeExpectation(outcome.targets.map(valueOf), outcome.bounds, cooperative);
+        for (let i = 0; i < maxIterations; i++) {
+            let change = 0;
+            for (let state of states) {
+                let value;
+                if (state instanceof P1State) {
+                    value = Math.max(...state.actions.map(action => Math.max(...Array.from(action, valueOf))));
+                } else {
+                    const expectations = just(outcomes.get(state)).map(expectationOf);
+                    value = cooperative ? Math.max(...expectations) : Math.min(...expectations);
+                }
+                change = Math.max(change, Math.abs(value - valueOf(state)));
+                values.set(state, value);
+            }
+            for (let component of components) {
+                // Staying in the component forever does not reach the targets
+                const cap = Math.max(0, ...component.exits.map(expectationOf));
+                for (let state of component.states) {
+                    const value = valueOf(state);
+                    if (value <= cap) continue;
+                    change = Math.max(change, value - cap);
+                    values.set(state, cap);
+                }
+            }
+            if (change < tol) return true;
+        }
+        return false;
+    }
+
     // Construct synchronous product game from system abstraction-induced game
     // graph and one-pair Streett objective.
     // The product game will inlude some additional dead-end states that are
@@ -415,7 +722,7 @@ export class TwoPlayerProbabilisticGame {
         const game = new TwoPlayerProbabilisticGame(objective.coSafeInterpretation);
         // Game graph exploration queue
         const queue = [];
-        // Keep track of player 1 states that have been enqueued already
+        // Keep track of states that have been enqueued already
         const enqueued = new Set();
         // For every state g of the abstracted system, create a player 1 game
         // state (g, q0), where q0 is the initial state of the automaton. These
@@ -508,7 +815,12 @@ export class TwoPlayerProbabilisticGame {
                     for (let ui = 0; ui < sys.actionCountOf(xi); ui++) {
                         const action = game.takeP2State(xi, ui, qiNext);
                         state.actions.push(new Set([action]))
-                        queue.push(action);
+                        // Enqueue player 2 state only once, as its actions
+                        // would be duplicated otherwise
+                        if (!enqueued.has(action)) {
+                            enqueued.add(action);
+                            queue.push(action);
+                        }
                     }
                     // TODO possible optimization: if there is an action that
                     // only leads to good states (use analysis results), there
@@ -634,6 +946,130 @@ class P2State {
 }
 
 
+/* Interval value iteration */
+
+// Expectation of the values under the most (maximize) or least favourable
+// distribution within the probability bounds. The probability mass is assigned
+// to the preferred outcomes first. Mass that is missing or in excess due to
+// inconsistent bounds (numerical errors) is attributed to the preferred
+// outcomes, so the result errs on the side of the optimizing player.
+function extremeExpectation(values: number[], bounds: ProbabilityInterval[], maximize: boolean): number {
+    const order = values.map((_, i) => i).sort((i, j) => maximize ? values[j] - values[i] : values[i] - values[j]);
+    const ps = values.map(_ => 0);
+    let mass = 1;
+    // Lower bounds first
+    for (let i of order) {
+        ps[i] = Math.min(bounds[i][0], mass);
+        mass -= ps[i];
+    }
+    // Remaining mass up to the upper bounds
+    for (let i of order) {
+        const p = Math.max(0, Math.min(bounds[i][1] - ps[i], mass));
+        ps[i] += p;
+        mass -= p;
+    }
+    ps[order[0]] += mass;
+    return iter.sum(ps.map((p, i) => p * values[i]));
+}
+
+
+// Targets of an outcome that are reached with non-zero probability
+function possibleTargets(outcome: Outcome): PState[] {
+    return outcome.targets.filter((_, i) => outcome.bounds[i][1] > 0);
+}
+
+// Set of states in which the play can stay forever and the outcomes with
+// which it can leave
+type EndComponent = { states: PState[], exits: Outcome[] };
+
+// Maximal end components among the given states when all players cooperate.
+// Candidates are split into their strongly connected components with respect
+// to the choices that cannot leave them, until they no longer change.
+function endComponents(states: PState[], choicesOf: (PState) => Outcome[]): EndComponent[] {
+    const components = [];
+    const candidates = [states];
+    while (candidates.length > 0) {
+        const candidate = new Set(candidates.pop());
+        const staysIn = (choice) => possibleTargets(choice).every(_ => candidate.has(_));
+        const successors = new Map();
+        for (let state of candidate) {
+            const staying = choicesOf(state).filter(staysIn);
+            if (staying.length > 0) {
+                successors.set(state, [].concat(...staying.map(possibleTargets)));
+            }
+        }
+        const sccs = stronglyConnectedComponents(successors);
+        if (sccs.length === 1 && sccs[0].length === candidate.size) {
+            const exits = [];
+            for (let state of candidate) {
+                exits.push(...choicesOf(state).filter(_ => !staysIn(_)));
+            }
+            components.push({ states: sccs[0], exits: exits });
+        } else {
+            candidates.push(...sccs);
+        }
+    }
+    return components;
+}
+
+// Strongly connected components of a directed graph given by the successors
+// of its nodes (Tarjan's algorithm with an explicit stack). Successors that
+// are not nodes of the graph are ignored.
+function stronglyConnectedComponents<T>(successors: Map<T, T[]>): T[][] {
+    const index = new Map();
+    const lowlink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    const indexOf = (node) => just(index.get(node));
+    const lowlinkOf = (node) => just(lowlink.get(node));
+    for (let root of successors.keys()) {
+        if (index.has(root)) continue;
+        const path = [];
+        const visit = (node) => {
+            lowlink.set(node, index.size);
+            index.set(node, index.size);
+            stack.push(node);
+            onStack.add(node);
+            path.push({ node: node, next: 0 });
+        };
+        visit(root);
+        while (path.length > 0) {
+            const frame = path[path.length - 1];
+            const node = frame.node;
+            const nodeSuccessors = just(successors.get(node));
+            if (frame.next < nodeSuccessors.length) {
+                const succ = nodeSuccessors[frame.next];
+                frame.next++;
+                if (!successors.has(succ)) continue;
+                if (!index.has(succ)) {
+                    visit(succ);
+                } else if (onStack.has(succ)) {
+                    lowlink.set(node, Math.min(lowlinkOf(node), indexOf(succ)));
+                }
+                continue;
+            }
+            path.pop();
+            if (path.length > 0) {
+                const parent = path[path.length - 1].node;
+                lowlink.set(parent, Math.min(lowlinkOf(parent), lowlinkOf(node)));
+            }
+            if (lowlinkOf(node) === indexOf(node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== node);
+                components.push(component);
+            }
+        }
+    }
+    return components;
+}
+
+
 /* Predicates for predecessor functions */
 
 // C1: all successors lie in X
@@ -1,12 +1,14 @@
 // @flow
 "use strict";
 
-/* Convex polytopic geometry in 1 and 2 dimensions.
+/* Convex polytopic geometry in arbitrary dimensions (specialized for 1 and 2).
 
 References:
 - Baotić, M. (2009). Polytopic Computations in Constrained Optimal Control.
   Automatika, Journal for Control, Measurement, Electronics, Computing and
   Communications, 50, 119–134.
+- Fukuda, K. and Prodon, A. (1996). Double description method revisited.
+  Combinatorics and Computer Science, LNCS 1120, 91–111.
 - Kundu, S. (1987). A new O(n·log n) algorithm for computing the intersection
   of convex polygons. Pattern Recognition, 20(4), 419–424.
 
@@ -14,15 +16,34 @@ References:
 
 import type { Vector, Matrix } from "./linalg.js";
 import type { ASTNode } from "./parser.js";
+import type { RandomSource } from "./tools.js";
 
 import * as linalg from "./linalg.js";
-import { arr, iter, NotImplementedError, ValueError } from "./tools.js";
+import * as lp from "./lp.js";
+import { Rational } from "./rational.js";
+import { arr, iter, sets, NotImplementedError, ValueError } from "./tools.js";
 import { ASTParser, ParseError } from "./parser.js";
 
 
-// Reuse float-comparison tolerance from linalg
+// Reuse float-comparison tolerance from linalg. It is the default absolute
+// tolerance of polytopes, a problem-specific tolerance can be given to the
+// static constructors and is then inherited by all derived polytopes.
 export const TOL = linalg.TOL;
 
+// Absolute tolerance for a problem whose coordinates are of the given
+// magnitude (TOL corresponds to unit magnitude). Falls back to TOL if the
+// magnitude is zero or not finite.
+export function toleranceOf(magnitude: number): number {
+    return magnitude > 0 && Number.isFinite(magnitude) ? TOL * magnitude : TOL;
+}
+
+// Area tolerance (for "almost" tests in 2D) corresponding to the absolute
+// tolerance tol. TOL is the tolerance of a problem with unit scale, areas
+// scale quadratically.
+function areaTol(tol: number): number {
+    return tol * (tol / TOL);
+}
+
 // Cartesian product (no guaranteed ordering), e.g.
 //     cartesian([0, 1], [2, 3], [4, 5]) = [[0, 2, 4], [0, 2, 5], [0, 3, 4], ...]
 // Will not work correctly if T is a list (flattens as an intermediate step).
@@ -39,6 +60,18 @@ function cartesian<T>(...tuples: [T, T][]): T[][] {
 
 // Canonical ordering in 2D: counterclockwise vertices and halfspaces
 
+// Predicates and constructions in 2D are evaluated exactly (then rounded) if
+// the exact arithmetic mode of linalg is enabled. Computations in 1D involve
+// at most a single rounding and need no special treatment.
+
+// Determinant a·d - b·c of a 2×2 matrix
+function det2(a: number, b: number, c: number, d: number): number {
+    if (linalg.isExactMode()) {
+        return Rational.sumOfProducts([a, -b], [d, c]).toNumber();
+    }
+    return a * d - b * c;
+}
+
 // CCW angle wrt to [-1, 0]. Only used for sorting, so no remapping to [0, 2π)
 // required like for angleCCW
 function angleOrder(v) {
@@ -49,8 +82,8 @@ function angleOrder(v) {
 // Counterclockwise angle between two vectors, mapped to the interval [0, 2π).
 // https://stackoverflow.com/questions/14066933/
 function angleCCW(g, h) {
-    const det = g[0] * h[1] - g[1] * h[0];
-    const dot = g[0] * h[0] + g[1] * h[1];
+    const det = det2(g[0], g[1], h[0], h[1]);
+    const dot = linalg.dot(g, h);
     let angle = Math.atan2(det, dot);
     if (angle < 0) {
         angle = angle + 2 * Math.PI;
@@ -61,9 +94,14 @@ function angleCCW(g, h) {
 }
 
 // Is the turn described by the points p, q, r counterclockwise? The zero
-// parameter can be set to 0 for a strict test or TOL for an "almost test"
-// (sorts out close points and almost straight segments).
+// parameter can be set to 0 for a strict test or an area tolerance for an
+// "almost test" (sorts out close points and almost straight segments).
 function isCCWTurn(p: Vector, q: Vector, r: Vector, zero: number): boolean {
+    if (linalg.isExactMode()) {
+        const [p0, p1, q0, q1, r0, r1] = [p[0], p[1], q[0], q[1], r[0], r[1]].map(Rational.from);
+        const turn = p0.sub(r0).mul(q1.sub(r1)).sub(p1.sub(r1).mul(q0.sub(r0)));
+        return turn.cmp(Rational.from(zero)) > 0;
+    }
     return (p[0] - r[0]) * (q[1] - r[1]) - (p[1] - r[1]) * (q[0] - r[0]) > zero;
 }
 
@@ -80,15 +118,336 @@ function reduceHullPart(hull: Vector[], p: Vector, zero: number) {
 function halfplaneIntersection(g: Halfspace, h: Halfspace): ?Vector {
     const [g0, g1] = g.normal;
     const [h0, h1] = h.normal;
-    const det = g0 * h1 - g1 * h0;
+    const det = det2(g0, g1, h0, h1);
     if (Math.abs(det) < TOL) {
         return null;
+    } else if (linalg.isExactMode()) {
+        const d = Rational.sumOfProducts([g0, -g1], [h1, h0]);
+        return [
+            Rational.sumOfProducts([h1, -g1], [g.offset, h.offset]).div(d).toNumber(),
+            Rational.sumOfProducts([g0, -h0], [h.offset, g.offset]).div(d).toNumber()
+        ];
     } else {
         return [(h1 * g.offset - g1 * h.offset) / det, (g0 * h.offset - h0 * g.offset) / det];
     }
 }
 
 
+/* Linear programming helpers */
+
+// Center and radius of the largest ball inscribed in the intersection of the
+// given halfspaces (Chebyshev ball). Returns null if the intersection is empty
+// or contains balls of arbitrary radius.
+function chebyshevBall(halfspaces: Halfspace[]): ?[Vector, number] {
+    const A = [];
+    const b = [];
+    for (let h of halfspaces) {
+        if (h.isInfeasible) return null;
+        if (h.isTrivial) continue;
+        // normal · x + |normal| · r <= offset
+        A.push([...h.normal, linalg.norm2(h.normal)]);
+        b.push(h.offset);
+    }
+    if (A.length === 0) return null;
+    const dim = A[0].length - 1;
+    // r >= 0
+    const rRow = new Array(dim + 1);
+    rRow.fill(0);
+    rRow[dim] = -1;
+    A.push(rRow);
+    b.push(0);
+    const c = new Array(dim + 1);
+    c.fill(0);
+    c[dim] = 1;
+    const result = lp.maximize(c, A, b);
+    const x = result.x;
+    if (x == null) return null;
+    return [x.slice(0, dim), x[dim]];
+}
+
+// Remove the halfspaces which are implied by the others: a halfspace is
+// redundant if its normal's support function with respect to the other
+// halfspaces does not exceed its offset (up to tolerance tol). Assumes
+// non-trivial, feasible halfspaces.
+function removeRedundant(halfspaces: Halfspace[], tol: number): Halfspace[] {
+    const hs = halfspaces.slice();
+    let i = 0;
+    while (i < hs.length) {
+        const h = hs[i];
+        const others = [...hs.slice(0, i), ...hs.slice(i + 1)];
+        // Relax the tested halfspace to keep the LP bounded if it is required
+        // for boundedness
+        const A = [...others.map(_ => _.normal), h.normal];
+        const b = [...others.map(_ => _.offset), h.offset + 1];
+        const result = lp.maximize(h.normal, A, b);
+        if (result.status === "optimal" && result.value < h.offset + tol) {
+            hs.splice(i, 1);
+        } else {
+            i++;
+        }
+    }
+    return hs;
+}
+
+
+/* Sampling helpers */
+
+// Number of bounding box samples after which rejection sampling is abandoned
+const REJECTION_TRIES = 100;
+// Length of hit-and-run random walks per dimension
+const HIT_AND_RUN_STEPS = 100;
+
+// Standard normal distribution (Box-Muller transform)
+function gaussian(rng: RandomSource): number {
+    return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+// Hit-and-run random walk (Smith, 1984) in the polytope bounded by the given
+// halfspaces, starting from an inner point. In each step, a point is chosen
+// uniformly from the chord through the current point in a random direction.
+// The distribution of the final point converges to the uniform distribution
+// with the number of steps.
+//
+// Smith, R. L. (1984). Efficient Monte Carlo procedures for generating points
+// uniformly distributed over bounded regions. Operations Research, 32(6),
+// 1296–1308.
+function hitAndRun(hs: Halfspace[], start: Vector, steps: number, rng: RandomSource): Vector {
+    let x = start;
+    for (let k = 0; k < steps; k++) {
+        const d = normalize(x.map(() => gaussian(rng)));
+        let lo = -Infinity;
+        let hi = Infinity;
+        for (let h of hs) {
+            const a = linalg.dot(h.normal, d);
+            const b = h.offset - linalg.dot(h.normal, x);
+            if (a > 0) hi = Math.min(hi, b / a);
+            if (a < 0) lo = Math.max(lo, b / a);
+        }
+        const t = lo + (hi - lo) * rng();
+        x = x.map((xi, i) => xi + t * d[i]);
+    }
+    return x;
+}
+
+
+/* ND helpers */
+
+// Dimension of the affine hull of a set of points (-1 if the set is empty)
+function affineRank(ps: Vector[]): number {
+    return ps.length === 0 ? -1 : linalg.rank(ps.slice(1).map(p => linalg.sub(p, ps[0])));
+}
+
+// All k-element subsets of {0, ..., n-1} as sorted index arrays
+function combinations(n: number, k: number): number[][] {
+    if (k === 0) return [[]];
+    const out = [];
+    for (let last = k - 1; last < n; last++) {
+        for (let head of combinations(last, k - 1)) {
+            out.push([...head, last]);
+        }
+    }
+    return out;
+}
+
+function normalize(v: Vector): Vector {
+    const norm = linalg.norm2(v);
+    return v.map(x => x / norm);
+}
+
+// Orthonormal basis of the hyperplane orthogonal to the (unit) normal vector:
+// the columns of the Householder reflection mapping the normal onto its
+// dominant coordinate axis, without the column of that axis.
+function hyperplaneBasis(normal: Vector): Vector[] {
+    let k = 0;
+    for (let i = 1; i < normal.length; i++) {
+        if (Math.abs(normal[i]) > Math.abs(normal[k])) k = i;
+    }
+    const w = normal.slice();
+    w[k] += normal[k] < 0 ? -1 : 1;
+    const ww = linalg.dot(w, w);
+    const basis = [];
+    for (let j = 0; j < normal.length; j++) {
+        if (j !== k) {
+            basis.push(w.map((x, i) => (i === j ? 1 : 0) - 2 * x * w[j] / ww));
+        }
+    }
+    return basis;
+}
+
+// Vertices of the polytope bounded by the given (non-trivial, feasible)
+// halfspaces and the indices of the halfspaces that are facets. Returns null
+// if the polytope is empty, unbounded or not full-dimensional. Vertices closer
+// than tol are merged.
+//
+// Implementation of the double description method (Fukuda and Prodon, 1996)
+// with the combinatorial adjacency test, applied to the homogenized cone
+//     {(x, t) | normal · x - offset · t <= 0 for all halfspaces, t >= 0},
+// whose extreme rays correspond to the vertices of the polytope if it is
+// bounded.
+function doubleDescription(dim: number, halfspaces: Halfspace[], tol: number): ?[Vector[], number[]] {
+    const size = dim + 1;
+    const rows = halfspaces.map(h => normalize([...h.normal, -h.offset]));
+    const tRow = new Array(size);
+    tRow.fill(0);
+    tRow[dim] = -1;
+    rows.push(tRow);
+    // Initial simplicial cone from linearly independent constraints. If the
+    // constraint matrix does not have full rank, the cone contains a line and
+    // the polytope is unbounded (or empty).
+    const initial = [];
+    for (let i = 0; i < rows.length && initial.length < size; i++) {
+        if (linalg.rank([...initial.map(j => rows[j]), rows[i]]) > initial.length) {
+            initial.push(i);
+        }
+    }
+    if (initial.length < size) return null;
+    // The extreme rays of the initial cone are the columns of the negated
+    // inverse of its constraint matrix. Every ray is associated with the set
+    // of constraints active at it.
+    const initialRays = linalg.transpose(linalg.inv(initial.map(i => rows[i])));
+    let rays = initialRays.map((ray, j) => ({
+        ray: normalize(ray.map(x => -x)),
+        active: new Set(initial.filter((_, k) => k !== j))
+    }));
+    // Add the remaining constraints one after another
+    const isInitial = new Set(initial);
+    for (let i = 0; i < rows.length; i++) {
+        if (isInitial.has(i)) continue;
+        const pos = [];
+        const neg = [];
+        const next = [];
+        for (let r of rays) {
+            const s = linalg.dot(rows[i], r.ray);
+            if (s > TOL) {
+                pos.push([r, s]);
+            } else if (s < -TOL) {
+                neg.push([r, s]);
+                next.push(r);
+            } else {
+                r.active.add(i);
+                next.push(r);
+            }
+        }
+        // Combine adjacent pairs of rays from both sides of the constraint
+        // into new rays on its boundary
+        for (let [p, sp] of pos) {
+            for (let [q, sq] of neg) {
+                const common = sets.intersection(p.active, q.active);
+                if (common.size < size - 2) continue;
+                const isAdjacent = iter.every(rays.map(
+                    r => r === p || r === q || !sets.isSubset(common, r.active)
+                ));
+                if (isAdjacent) {
+                    const ray = arr.zip2map((a, b) => sp * a - sq * b, q.ray, p.ray);
+                    common.add(i);
+                    next.push({ ray: normalize(ray), active: common });
+                }
+            }
+        }
+        rays = next;
+        if (rays.length === 0) return null;
+    }
+    // Rays with t = 0 are directions of recession, the polytope is unbounded.
+    // Dehomogenize the others to obtain the vertices and merge duplicates.
+    const vertices = [];
+    const actives = [];
+    for (let r of rays) {
+        const t = r.ray[dim];
+        if (t < TOL) return null;
+        const vertex = r.ray.slice(0, dim).map(x => x / t);
+        const k = vertices.findIndex(v => linalg.areClose(v, vertex, tol));
+        if (k < 0) {
+            vertices.push(vertex);
+            actives.push(r.active);
+        } else {
+            actives[k] = sets.union(actives[k], r.active);
+        }
+    }
+    if (vertices.length <= dim || affineRank(vertices) < dim) return null;
+    // A halfspace is a facet if its active vertices span a hyperplane. Keep
+    // only one of multiple halfspaces defining the same facet.
+    const facets = [];
+    const facetKeys = new Set();
+    for (let i = 0; i < halfspaces.length; i++) {
+        const idxs = [];
+        actives.forEach((active, k) => {
+            if (active.has(i)) idxs.push(k);
+        });
+        const key = idxs.join(",");
+        if (idxs.length >= dim && !facetKeys.has(key) && affineRank(idxs.map(k => vertices[k])) === dim - 1) {
+            facets.push(i);
+            facetKeys.add(key);
+        }
+    }
+    return [vertices, facets];
+}
+
+// Vertices and facet halfspaces of the convex hull of a set of points. Returns
+// null if the hull is not full-dimensional. The facets are obtained as the
+// vertices of the polar polytope with respect to the mean of the points, the
+// vertices as the points whose polar halfspaces are facets of the polar. The
+// points are scaled to unit size for the polar, points closer than tol to the
+// mean are ignored.
+function convexHull(dim: number, ps: Vector[], tol: number): ?[Vector[], Halfspace[]] {
+    if (ps.length <= dim || affineRank(ps) < dim) return null;
+    const c = ps.reduce(linalg.add).map(x => x / ps.length);
+    const size = Math.max(...ps.map(p => linalg.norm2(linalg.sub(p, c))));
+    const idxs = [];
+    const polar = [];
+    ps.forEach((p, i) => {
+        // y · (p - c) / size <= 1
+        const h = Halfspace.normalized(linalg.sub(p, c), size, tol);
+        // Points close to the mean are not vertices
+        if (!h.isTrivial) {
+            idxs.push(i);
+            polar.push(h);
+        }
+    });
+    const dd = doubleDescription(dim, polar, TOL);
+    if (dd == null) return null;
+    const [ys, facets] = dd;
+    return [
+        facets.map(i => ps[idxs[i]]),
+        ys.map(y => Halfspace.normalized(y, size + linalg.dot(y, c)))
+    ];
+}
+
+
+// Eliminate the k-th coordinate from the system of (non-trivial, feasible)
+// halfspaces by Fourier-Motzkin elimination. The k-th component of all
+// resulting normals is zero, their dimension is unchanged. Returns null if the
+// system is infeasible.
+function fourierMotzkin(hs: Halfspace[], k: number, tol: number): ?Halfspace[] {
+    const pos = hs.filter(h => h.normal[k] > tol);
+    const neg = hs.filter(h => h.normal[k] < -tol);
+    const out = [];
+    for (let h of hs) {
+        if (Math.abs(h.normal[k]) <= tol) {
+            out.push(Halfspace.normalized(h.normal.map((x, i) => i === k ? 0 : x), h.offset, tol));
+        }
+    }
+    // Positive combinations of pairs with opposite signs in the k-th component
+    for (let p of pos) {
+        for (let q of neg) {
+            const a = -q.normal[k];
+            const b = p.normal[k];
+            const normal = p.normal.map((x, i) => i === k ? 0 : a * x + b * q.normal[i]);
+            out.push(Halfspace.normalized(normal, a * p.offset + b * q.offset, tol));
+        }
+    }
+    if (out.some(h => h.isInfeasible)) return null;
+    return removeRedundant(out.filter(h => !h.isTrivial), tol);
+}
+
+// Check that the axes are distinct coordinate indices of the given dimension
+function assertAxes(axes: number[], dim: number): void {
+    if (axes.length === 0 || new Set(axes).size !== axes.length
+            || axes.some(i => !Number.isInteger(i) || i < 0 || i >= dim)) {
+        throw new ValueError("invalid axes " + JSON.stringify(axes) + " for dimension " + String(dim));
+    }
+}
+
+
 /* Parser helpers
 
 Halfspace contains a parser of textual inequality representation, which
@@ -136,12 +495,153 @@ function hsieTerms(node: ASTNode, flip: boolean): { "coefficient": number, "vari
 }
 
 
+/* Exchange formats
+
+H-representation as JSON in matrix form ({ A, b } for A·x <= b) and the text
+formats .ine (H-representation) and .ext (V-representation) of cddlib
+(https://people.inf.ethz.ch/fukudak/cdd_home/). A cddlib file can contain
+multiple begin/end blocks, which is used for unions of polytopes.
+
+*/
+
+export type JSONHRep = { A: number[][], b: number[] };
+export type JSONUnionHRep = { dim: number, polytopes: JSONHRep[] };
+
+// A block of a cddlib file: rows of the H- (b | -A) or V-representation
+// (1 | vertex) and the row indices of equations (linearity)
+type CddBlock = { dim: number, rows: number[][], linearity: Set<number> };
+
+// Normal and offset of a halfspace with trivial/infeasible halfspaces written
+// as 0 <= 1 and 0 <= -1 (JSON and cddlib have no infinite values)
+function hrepRow(h: Halfspace): [Vector, number] {
+    if (h.isTrivial || h.isInfeasible) {
+        const normal = new Array(h.dim);
+        normal.fill(0);
+        return [normal, h.isTrivial ? 1 : -1];
+    }
+    return [h.normal, h.offset];
+}
+
+function hrepOf(hs: Halfspace[]): JSONHRep {
+    const rows = hs.map(hrepRow);
+    return { A: rows.map(_ => _[0]), b: rows.map(_ => _[1]) };
+}
+
+// Halfspaces from the H-representation, every row is normalized
+function halfspacesOf(json: JSONHRep, tol?: number): Halfspace[] {
+    if (json.A.length !== json.b.length) throw new ValueError(
+        "A has " + String(json.A.length) + " rows but b has " + String(json.b.length) + " entries"
+    );
+    return arr.zip2map((a, b) => Halfspace.normalized(a, b, tol), json.A, json.b);
+}
+
+function cddFormat(kind: "H" | "V", dim: number, rows: number[][]): string {
+    return [
+        kind + "-representation",
+        "begin",
+        " " + String(rows.length) + " " + String(dim + 1) + " real",
+        ...rows.map(row => " " + row.map(String).join(" ")),
+        "end",
+        ""
+    ].join("\n");
+}
+
+function cddFormatH(dim: number, hs: Halfspace[]): string {
+    return cddFormat("H", dim, hs.map(hrepRow).map(([a, b]) => [b, ...a.map(x => -x)]));
+}
+
+function cddFormatV(dim: number, vs: Vector[]): string {
+    return cddFormat("V", dim, vs.map(v => [1, ...v]));
+}
+
+function cddNumber(token: string): number {
+    const parts = token.split("/");
+    const x = parts.length === 2 ? Number(parts[0]) / Number(parts[1]) : Number(token);
+    if (parts.length > 2 || token === "" || !Number.isFinite(x)) {
+        throw new ParseError("invalid number '" + token + "'");
+    }
+    return x;
+}
+
+// Read all begin/end blocks of a cddlib file in the given representation.
+// Comments (*), names and options outside of the blocks are ignored.
+function cddParse(text: string, kind: "H" | "V"): CddBlock[] {
+    const lines = text.split("\n").map(_ => _.trim()).filter(_ => _.length > 0 && !_.startsWith("*"));
+    const blocks = [];
+    let linearity = new Set();
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i++];
+        const words = line.split(/\s+/);
+        if (line === "H-representation" || line === "V-representation") {
+            if (line[0] !== kind) throw new ParseError("expected " + kind + "-representation, found " + line);
+        } else if (words[0] === "linearity") {
+            linearity = new Set(words.slice(2).map(_ => cddNumber(_) - 1));
+        } else if (line === "begin") {
+            if (i >= lines.length) throw new ParseError("missing size after begin");
+            const [m, n, type] = lines[i++].split(/\s+/);
+            if (!["real", "integer", "rational"].includes(type)) {
+                throw new ParseError("unsupported number type '" + String(type) + "'");
+            }
+            const nrows = cddNumber(m);
+            const ncols = cddNumber(n);
+            if (!Number.isInteger(nrows) || !Number.isInteger(ncols) || nrows < 0 || ncols < 2) {
+                throw new ParseError("invalid size " + m + " × " + n);
+            }
+            // Rows are read as a stream of numbers, so line breaks within
+            // rows are accepted
+            const numbers = [];
+            while (i < lines.length && lines[i] !== "end") {
+                numbers.push(...lines[i++].split(/\s+/).map(cddNumber));
+            }
+            if (i++ >= lines.length) throw new ParseError("missing end of block");
+            if (numbers.length !== nrows * ncols) throw new ParseError(
+                "expected " + String(nrows * ncols) + " numbers in block, found " + String(numbers.length)
+            );
+            const rows = [];
+            for (let r = 0; r < nrows; r++) {
+                rows.push(numbers.slice(r * ncols, (r + 1) * ncols));
+            }
+            blocks.push({ dim: ncols - 1, rows: rows, linearity: linearity });
+            linearity = new Set();
+        }
+    }
+    return blocks;
+}
+
+// Halfspaces of an H-block, equations are split into two inequalities
+function cddHalfspaces(block: CddBlock, tol?: number): Halfspace[] {
+    const hs = [];
+    block.rows.forEach((row, i) => {
+        const h = Halfspace.normalized(row.slice(1).map(x => -x), row[0], tol);
+        hs.push(h);
+        if (block.linearity.has(i)) hs.push(h.flip());
+    });
+    return hs;
+}
+
+// Vertices of a V-block, only bounded polytopes are supported
+function cddVertices(block: CddBlock): Vector[] {
+    if (block.linearity.size > 0) throw new ParseError("linearity is not supported in V-representation");
+    return block.rows.map(row => {
+        if (row[0] !== 1) throw new ParseError("only vertices (leading 1) are supported, rays are not");
+        return row.slice(1);
+    });
+}
+
+function cddSingleBlock(blocks: CddBlock[]): CddBlock {
+    if (blocks.length !== 1) throw new ParseError("expected 1 block, found " + String(blocks.length));
+    return blocks[0];
+}
+
+
 /* Halfspaces */
 
 export type JSONHalfspace = { normal: number[], offset: number };
 // A halfspace represented by the inequality: normal · x <= offset. Due to the
-// limitations of floating point arithmetic and using TOL for comparisons, no
-// distinction between < and <= is made.
+// limitations of floating point arithmetic and using a tolerance for
+// comparisons (TOL unless specified otherwise), no distinction between < and
+// <= is made.
 export class Halfspace {
 
     +dim: number;
@@ -161,9 +661,25 @@ export class Halfspace {
         return new Halfspace(json.normal, json.offset);
     }
 
-    static normalized(normal: Vector, offset: number): Halfspace {
+    // From H-representation with a single row
+    static fromHRep(json: JSONHRep): Halfspace {
+        const hs = halfspacesOf(json);
+        if (hs.length !== 1) throw new ValueError("expected 1 row, found " + String(hs.length));
+        return hs[0];
+    }
+
+    // From cddlib .ine format with a single row
+    static fromINE(text: string): Halfspace {
+        const hs = cddHalfspaces(cddSingleBlock(cddParse(text, "H")));
+        if (hs.length !== 1) throw new ParseError("expected 1 inequality, found " + String(hs.length));
+        return hs[0];
+    }
+
+    // Normal vectors shorter than tol are considered to be zero
+    static normalized(normal: Vector, offset: number, tol?: number): Halfspace {
+        if (tol == null) tol = TOL;
         let norm = linalg.norm2(normal);
-        if (norm < TOL) {
+        if (norm < tol) {
             // Trivial/Infeasible inequalities. Break ties (offset === 0) by
             // assuming inequality is always fulfilled (in the spirit of <=).
             // These special cases must be considered to enable changes of
@@ -210,21 +726,26 @@ export class Halfspace {
 
     // Apply a matrix from the right to the normal vector. This may change the
     // dimensionality of the halfspace.
-    applyRight(m: Matrix): Halfspace {
-        return Halfspace.normalized(linalg.applyRight(m, this.normal), this.offset);
+    applyRight(m: Matrix, tol?: number): Halfspace {
+        return Halfspace.normalized(linalg.applyRight(m, this.normal), this.offset, tol);
     }
 
-    contains(point: Vector): boolean {
+    contains(point: Vector, tol?: number): boolean {
         linalg.assertEqualDims(this.dim, point.length);
-        return linalg.dot(this.normal, point) - this.offset < TOL;
+        if (tol == null) tol = TOL;
+        if (linalg.isExactMode() && Number.isFinite(this.offset)) {
+            return Rational.sumOfProducts([...this.normal, -1], [...point, this.offset]).toNumber() < tol;
+        }
+        return linalg.dot(this.normal, point) - this.offset < tol;
     }
 
     flip(): Halfspace {
         return new Halfspace(this.normal.map(x => -x), -this.offset);
     }
 
-    isSameAs(other: Halfspace): boolean {
-        return linalg.areClose(this.normal, other.normal) && Math.abs(this.offset - other.offset) < TOL;
+    isSameAs(other: Halfspace, tol?: number): boolean {
+        if (tol == null) tol = TOL;
+        return linalg.areClose(this.normal, other.normal) && Math.abs(this.offset - other.offset) < tol;
     }
 
     // Move Halfspace by the given vector
@@ -239,6 +760,14 @@ export class Halfspace {
         return { normal: this.normal, offset: this.offset };
     }
 
+    toHRep(): JSONHRep {
+        return hrepOf([this]);
+    }
+
+    toINE(): string {
+        return cddFormatH(this.dim, [this]);
+    }
+
 }
 
 
@@ -252,53 +781,78 @@ export type Region = Polytope | Union;
 export type JSONPolytope = { dim: number, vertices: number[][] };
 
 // Dimension-independent implementations are specified in the general type,
-// specific dimensions have their own subtypes (here for 1D and 2D)
+// specific dimensions have their own subtypes (here for 1D and 2D, PolytopeND
+// for all others). Every polytope carries an absolute tolerance that is used
+// for its comparisons and passed on to the polytopes derived from it.
 export class Polytope {
 
     +dim: number;
+    +tol: number;
     // Lazyly evaluated properties
     _vertices: ?Vector[];
     _halfspaces: ?Halfspace[];
     _isEmpty: ?boolean;
+    _chebyshevBall: ?[Vector, number];
 
     // Specification by either halfspaces or vertices is sufficient, the other
     // representation is computed (and cached) automatically by the getters.
-    constructor(vertices: ?Vector[], halfspaces: ?Halfspace[]): void {
+    constructor(vertices: ?Vector[], halfspaces: ?Halfspace[], tol?: number): void {
         if (this.constructor.name === "Polytope") {
             throw new TypeError("must not instanciate Polytope");
         }
+        this.tol = tol == null ? TOL : tol;
         this._vertices = vertices;
         this._halfspaces = halfspaces;
         this._isEmpty = null;
+        this._chebyshevBall = null;
     }
 
 
     // JSON serialization
-    static deserialize(json: JSONPolytope): Polytope {
-        if (json.dim === 1) return new Interval(json.vertices, null);
-        if (json.dim === 2) return new Polygon(json.vertices, null);
-        throw new NotImplementedError();
+    static deserialize(json: JSONPolytope, tol?: number): Polytope {
+        return new (Polytope.ofDim(json.dim))(json.vertices, null, tol);
+    }
+
+    // From H-representation (dimension is taken from A, which must have rows)
+    static fromHRep(json: JSONHRep, tol?: number): Polytope {
+        if (json.A.length === 0) throw new ValueError("unable to determine dimension from empty A");
+        return Polytope.ofDim(json.A[0].length).intersection(halfspacesOf(json, tol), tol);
+    }
+
+    // From cddlib .ine format (H-representation, a single block)
+    static fromINE(text: string, tol?: number): Polytope {
+        const block = cddSingleBlock(cddParse(text, "H"));
+        return Polytope.ofDim(block.dim).intersection(cddHalfspaces(block, tol), tol);
     }
 
+    // From cddlib .ext format (V-representation, a single block)
+    static fromEXT(text: string, tol?: number): Polytope {
+        const block = cddSingleBlock(cddParse(text, "V"));
+        return Polytope.ofDim(block.dim).hull(cddVertices(block), tol);
+    }
+
+    // The static constructors take the tolerance of the new polytope as an
+    // optional argument (default: TOL)
+
     // Empty polytope
-    static empty(): Polytope { throw new NotImplementedError(); }
+    static empty(tol?: number): Polytope { throw new NotImplementedError(); }
 
     // Convex hull of a set of points
-    static hull(ps: Vector[]): Polytope { throw new NotImplementedError(); }
+    static hull(ps: Vector[], tol?: number): Polytope { throw new NotImplementedError(); }
 
     // intersection takes an array of halfspaces and returns the polytope that
     // is bounded by these (returns empty if polytope is unbounded)
-    static intersection(hs: Halfspace[]): Polytope { throw new NotImplementedError(); }
+    static intersection(hs: Halfspace[], tol?: number): Polytope { throw new NotImplementedError(); }
 
     // Like intersection but noredund expects halfspaces to already be in
     // canonical order and without infeasible/trivial ones
-    static noredund(hs: Halfspace[]): Polytope { throw new NotImplementedError(); }
+    static noredund(hs: Halfspace[], tol?: number): Polytope { throw new NotImplementedError(); }
 
     // Get the subclass for a specific dimension of polytope
     static ofDim(dim: number): Class<Polytope> {
         if (dim === 1) return Interval;
         if (dim === 2) return Polygon;
-        throw new NotImplementedError();
+        return PolytopeND.ofDim(dim);
     }
 
 
@@ -306,12 +860,17 @@ export class Polytope {
     get boundingBox(): Polytope {
         if (this.isEmpty) return this;
         let bbox = cartesian(...this.extent);
-        return this.constructor.hull(bbox);
+        return this.constructor.hull(bbox, this.tol);
     }
 
     // Geometric center
     get centroid(): Vector { throw new NotImplementedError(); }
 
+    // Center of the largest inscribed ball (NaN-valued if polytope is empty)
+    get chebyshevCenter(): Vector {
+        return this._getChebyshevBall()[0];
+    }
+
     // Axis-aligned extent
     get extent(): [number, number][] {
         let mins = new Array(this.dim);
@@ -341,13 +900,18 @@ export class Polytope {
     // An individual polytope is trivially disjunct
     get isDisjunct(): boolean { return true; }
 
+    // Radius of the largest inscribed ball (0 if polytope is empty). A size
+    // measure independent of the polytope's shape.
+    get inradius(): number {
+        return this._getChebyshevBall()[1];
+    }
+
     // isEmpty test is cached
     get isEmpty(): boolean {
         if (this._isEmpty != null) return this._isEmpty;
-        // All polytopes that are not full-dimensional are considered to be empty.
-        this._isEmpty = (this._vertices != null && this._vertices.length <= this.dim)
-                || (this._halfspaces != null && this._halfspaces.length <= this.dim)
-                || this.volume < TOL;
+        // All polytopes that are not full-dimensional are considered to be
+        // empty, i.e. polytopes without an inscribed ball of non-zero radius.
+        this._isEmpty = this.inradius < this.tol;
         return this._isEmpty;
     }
 
@@ -371,7 +935,7 @@ export class Polytope {
     // Apply matrix from the left to every vertex
     apply(m: Matrix): Polytope {
         linalg.assertEqualDims(m[0].length, this.dim);
-        return Polytope.ofDim(m.length).hull(this.vertices.map(v => linalg.apply(m, v)));
+        return Polytope.ofDim(m.length).hull(this.vertices.map(v => linalg.apply(m, v)), this.tol);
     }
 
     // Apply matrix from the right to every halfspace normal. For invertible
@@ -379,13 +943,13 @@ export class Polytope {
     // the matrix.
     applyRight(m: Matrix): Polytope {
         linalg.assertEqualDims(m.length, this.dim);
-        return Polytope.ofDim(m[0].length).intersection(this.halfspaces.map(h => h.applyRight(m)));
+        return Polytope.ofDim(m[0].length).intersection(this.halfspaces.map(h => h.applyRight(m, this.tol)), this.tol);
     }
 
     // Does the given point lie inside the polytope?
     contains(p: Vector): boolean {
         linalg.assertEqualDims(this.dim, p.length);
-        return iter.every(this.halfspaces.map(h => h.contains(p)));
+        return iter.every(this.halfspaces.map(h => h.contains(p, this.tol)));
     }
 
     // Is the other region covered by this polytope?
@@ -395,12 +959,12 @@ export class Polytope {
     }
 
     // An individual polytope is trivially disjunct
-    disjunctify(): Polytope { return this; }
+    disjunctify(merge?: boolean): Polytope { return this; }
 
     // Do all points of the polytope fulfil the linear predicate?
     fulfils(predicate: Halfspace): boolean {
         linalg.assertEqualDims(this.dim, predicate.dim);
-        return iter.every(this.vertices.map(v => predicate.contains(v)));
+        return iter.every(this.vertices.map(v => predicate.contains(v, this.tol)));
     }
 
     // Convex polytope is its own hull
@@ -414,22 +978,25 @@ export class Polytope {
         if (other instanceof Union) {
             return other.intersect(this);
         } else {
-            if (other.isEmpty || this.isEmpty) return other.constructor.empty();
+            if (other.isEmpty || this.isEmpty) return other.constructor.empty(this.tol);
             return this._intersectPolytope(other);
         }
     }
 
-    // Does the polytope intersect the given region?
+    // Does the polytope intersect the given region? The intersection is not
+    // constructed, only tested for an inscribed ball of non-zero radius.
     intersects(other: Region): boolean {
+        if (this.isEmpty) return false;
         for (let p of other.polytopes) {
-            if (!this.intersect(p).isEmpty) return true;
+            const ball = chebyshevBall([...this.halfspaces, ...p.halfspaces]);
+            if (ball != null && ball[1] >= this.tol) return true;
         }
         return false;
     }
 
     // Reflection with respect to the origin
     invert(): Polytope {
-        return this.constructor.hull(this.vertices.map(v => v.map(x => -x)));
+        return this.constructor.hull(this.vertices.map(v => v.map(x => -x)), this.tol);
     }
 
     // Polytope equality test
@@ -445,14 +1012,14 @@ export class Polytope {
             // Find common vertex
             let idxoff = 0;
             while (idxoff < vs.length) {
-                if (linalg.areClose(vs[idxoff], ws[0])) {
+                if (linalg.areClose(vs[idxoff], ws[0], this.tol)) {
                     break;
                 }
                 idxoff++;
             }
             // Check if same vertices appear in same same order
             for (let i = 0; i < vs.length; i++) {
-                if (!linalg.areClose(vs[(idxoff + i) % vs.length], ws[i])) {
+                if (!linalg.areClose(vs[(idxoff + i) % vs.length], ws[i], this.tol)) {
                     return false;
                 }
             }
@@ -469,7 +1036,7 @@ export class Polytope {
                 points.push(linalg.add(v, w));
             }
         }
-        return this.constructor.hull(points);
+        return this.constructor.hull(points, this.tol);
     }
 
     // Pontryagin difference as defined by Baotić (2009). Note that pontryagin
@@ -487,7 +1054,35 @@ export class Polytope {
                 halfspaces.push(h.translate(w));
             }
         }
-        return this.constructor.noredund(halfspaces);
+        return this.constructor.noredund(halfspaces, this.tol);
+    }
+
+    // Orthogonal projection onto the coordinate axes (in the given order).
+    // The other coordinates are removed by Fourier-Motzkin elimination, which
+    // is followed by a redundancy removal after every step.
+    project(axes: number[]): Polytope {
+        assertAxes(axes, this.dim);
+        const Poly = Polytope.ofDim(axes.length);
+        if (this.isEmpty) return Poly.empty(this.tol);
+        let hs = this.halfspaces;
+        const eliminate = [];
+        for (let i = 0; i < this.dim; i++) {
+            if (!axes.includes(i)) eliminate.push(i);
+        }
+        while (eliminate.length > 0) {
+            // Eliminate the coordinate that generates the fewest new
+            // halfspaces first
+            const growth = eliminate.map(k => {
+                const p = hs.filter(h => h.normal[k] > this.tol).length;
+                const n = hs.filter(h => h.normal[k] < -this.tol).length;
+                return p * n - p - n;
+            });
+            const k = eliminate.splice(growth.indexOf(Math.min(...growth)), 1)[0];
+            const reduced = fourierMotzkin(hs, k, this.tol);
+            if (reduced == null) return Poly.empty(this.tol);
+            hs = reduced;
+        }
+        return Poly.intersection(hs.map(h => Halfspace.normalized(axes.map(i => h.normal[i]), h.offset, this.tol)), this.tol);
     }
 
     // Set difference, yields a union of convex polytopes (in general).
@@ -522,7 +1117,7 @@ export class Polytope {
             const [_poly, polyCandidate] = poly.split(halfspace);
             if (!polyCandidate.isEmpty) {
                 if (k < polytopes.length - 1) {
-                    const toRemove = new Union(this.dim, polytopes.slice(k+1), null);
+                    const toRemove = new Union(this.dim, polytopes.slice(k+1), null, this.tol);
                     out.push(...polyCandidate.remove(toRemove).polytopes);
                 } else {
                     out.push(polyCandidate);
@@ -531,27 +1126,32 @@ export class Polytope {
             poly = _poly;
         }
         // Because remove works with split, the out-polytopes must be disjunct
-        return out.length === 1 ? out[0] : new Union(this.dim, out, true);
+        return out.length === 1 ? out[0] : new Union(this.dim, out, true, this.tol);
     }
 
     // A random point from inside the polytope, based on a uniform distribution
-    sample(): Vector {
+    // (random numbers from Math.random if no source is given). Rejection
+    // sampling from the bounding box is exactly uniform but is slow for
+    // polytopes that fill only a small fraction of their bounding box. If no
+    // inner point is found after REJECTION_TRIES, a hit-and-run random walk
+    // from the Chebyshev center is used instead.
+    sample(rng?: RandomSource): Vector {
+        if (this.isEmpty) throw new ValueError("cannot sample from an empty polytope");
+        const random = rng == null ? Math.random : rng;
         const extent = this.extent;
-        // Rejection based sampling is not guaranteed to terminate, if no inner
-        // point is found after 10 * dim tries, settle for centroid, which is
-        // a known inner point
-        for (let i = 0; i < 10 * this.dim; i++) {
-            const point = this.extent.map(([l, u]) => l + (u - l) * Math.random());
+        for (let i = 0; i < REJECTION_TRIES; i++) {
+            const point = extent.map(([l, u]) => l + (u - l) * random());
             if (this.contains(point)) return point;
         }
-        return this.centroid;
+        return hitAndRun(this.halfspaces, this.chebyshevCenter, HIT_AND_RUN_STEPS * this.dim, random);
     }
 
     // Scale the polytope wrt to the centroid point
     scale(factor: number): Polytope {
         const c = this.centroid;
         return this.constructor.hull(
-            this.vertices.map((v) => arr.zip2map((a, b) => a + factor * (b - a), c, v))
+            this.vertices.map((v) => arr.zip2map((a, b) => a + factor * (b - a), c, v)),
+            this.tol
         );
     }
 
@@ -560,8 +1160,34 @@ export class Polytope {
         return { dim: this.dim, vertices: this.vertices };
     }
 
+    // Exchange formats (see fromHRep, fromINE, fromEXT). An empty polytope is
+    // represented by the infeasible inequality 0 <= -1 in H-representation.
+    toHRep(): JSONHRep {
+        return hrepOf(this._exchangeHalfspaces());
+    }
+
+    toINE(): string {
+        return cddFormatH(this.dim, this._exchangeHalfspaces());
+    }
+
+    toEXT(): string {
+        return cddFormatV(this.dim, this.vertices);
+    }
+
     // Polytope is as simple as it gets
-    simplify(): Polytope { return this; }
+    simplify(merge?: boolean): Polytope { return this; }
+
+    // Cross-section with the hyperplane where the coordinate axis has the
+    // given value. The result lives in the space without this coordinate.
+    slice(axis: number, value: number): Polytope {
+        assertAxes([axis], this.dim);
+        if (this.dim < 2) throw new ValueError("cannot slice a 1-dimensional polytope");
+        const Poly = Polytope.ofDim(this.dim - 1);
+        if (this.isEmpty) return Poly.empty(this.tol);
+        return Poly.intersection(this.halfspaces.map(h => Halfspace.normalized(
+            h.normal.filter((_, i) => i !== axis), h.offset - h.normal[axis] * value, this.tol
+        )), this.tol);
+    }
 
     // Split polytope (arbitrarily) into smaller parts
     shatter(): Union { throw new NotImplementedError() };
@@ -570,14 +1196,27 @@ export class Polytope {
     split(h: Halfspace): [Polytope, Polytope] {
         const intersection = this.constructor.intersection;
         return [
-            intersection([...this.halfspaces, h]),
-            intersection([...this.halfspaces, h.flip()])
+            intersection([...this.halfspaces, h], this.tol),
+            intersection([...this.halfspaces, h.flip()], this.tol)
         ];
     }
 
+    // Support function: maximum of direction · x over all points x of the
+    // polytope. Evaluated with a linear program if the V-representation is
+    // not available.
+    support(direction: Vector): number {
+        linalg.assertEqualDims(this.dim, direction.length);
+        if (this.isEmpty) return -Infinity;
+        if (this._vertices != null) {
+            return Math.max(...this._vertices.map(v => linalg.dot(direction, v)));
+        }
+        const hs = this.halfspaces;
+        return lp.maximize(direction, hs.map(h => h.normal), hs.map(h => h.offset)).value;
+    }
+
     // Union with polytope as only member
     toUnion(): Union {
-        return new Union(this.dim, [this], true);
+        return new Union(this.dim, [this], true, this.tol);
     }
 
     // Polytope translated by vector v
@@ -585,20 +1224,49 @@ export class Polytope {
         // TODO: is hull really necessary? Translation should not change the
         // proper order of vertices...
         linalg.assertEqualDims(v.length, this.dim);
-        return this.constructor.hull(this.vertices.map(x => linalg.add(x, v)));
+        return this.constructor.hull(this.vertices.map(x => linalg.add(x, v)), this.tol);
         //return polytopeType(this.dim).noredund(this.halfspaces.map(h => h.translate(v)));
     }
 
     // Union of polytope with another Region
     union(other: Region): Union {
-        return Union.from([this, ...other.polytopes]);
+        return Union.from([this, ...other.polytopes], undefined, this.tol);
+    }
+
+    // The same polytope with a different tolerance (caches are kept except
+    // for those depending on the tolerance)
+    withTolerance(tol: number): Polytope {
+        const poly = new this.constructor(this._vertices, this._halfspaces, tol);
+        poly._chebyshevBall = this._chebyshevBall;
+        return poly;
     }
 
 
     // Intersection of convex polytopes in H-representation: put all halfspaces
     // together and reduce to minimal (canonical) form.
     _intersectPolytope<T: Polytope>(other: T): T {
-        return other.constructor.intersection([...this.halfspaces, ...other.halfspaces]);
+        return other.constructor.intersection([...this.halfspaces, ...other.halfspaces], this.tol);
+    }
+
+    // H-representation for the exchange formats, which has to be non-empty
+    // to preserve the dimension
+    _exchangeHalfspaces(): Halfspace[] {
+        const infeasible = new Array(this.dim);
+        infeasible.fill(0);
+        return this.isEmpty ? [new Halfspace(infeasible, -Infinity)] : this.halfspaces;
+    }
+
+    // Cached largest inscribed ball, determined from the H-representation
+    // with a linear program (no vertex enumeration required)
+    _getChebyshevBall(): [Vector, number] {
+        if (this._chebyshevBall != null) return this._chebyshevBall;
+        // Polytopes with too few vertices or halfspaces have no inner points
+        const ball = (this._vertices != null && this._vertices.length <= this.dim)
+                  || (this._halfspaces != null && this._halfspaces.length <= this.dim)
+                   ? null
+                   : chebyshevBall(this.halfspaces);
+        this._chebyshevBall = ball != null ? ball : [new Array(this.dim).fill(NaN), 0];
+        return this._chebyshevBall;
     }
 
     // Fill halfspace cache based on vertices
@@ -613,17 +1281,17 @@ export class Polytope {
 // One-dimensional convex polytope
 export class Interval extends Polytope {
 
-    constructor(vertices: ?Vector[], halfspaces: ?Halfspace[]): void {
-        super(vertices, halfspaces);
+    constructor(vertices: ?Vector[], halfspaces: ?Halfspace[], tol?: number): void {
+        super(vertices, halfspaces, tol);
         this.dim = 1;
     }
 
 
-    static empty(): Interval {
-        return new Interval([], []);
+    static empty(tol?: number): Interval {
+        return new Interval([], [], tol);
     }
 
-    static hull(ps: Vector[]): Interval {
+    static hull(ps: Vector[], tol?: number): Interval {
         ps.forEach(p => linalg.assertEqualDims(p.length, 1));
         // Find the left- and rightmost vertices
         let leftIdx = 0;
@@ -636,25 +1304,26 @@ export class Interval extends Polytope {
                 rightIdx = idx;
             }
         }
-        if (ps.length < 2 || linalg.areClose(ps[leftIdx], ps[rightIdx])) {
-            return Interval.empty();
+        if (ps.length < 2 || linalg.areClose(ps[leftIdx], ps[rightIdx], tol)) {
+            return Interval.empty(tol);
         } else {
-            return new Interval([ps[leftIdx], ps[rightIdx]], null);
+            return new Interval([ps[leftIdx], ps[rightIdx]], null, tol);
         }
     }
 
-    static intersection(halfspaces: Halfspace[]): Interval {
-        return Interval.noredund(halfspaces);
+    static intersection(halfspaces: Halfspace[], tol?: number): Interval {
+        return Interval.noredund(halfspaces, tol);
     }
 
-    static noredund(halfspaces: Halfspace[]): Interval {
+    static noredund(halfspaces: Halfspace[], tol?: number): Interval {
+        if (tol == null) tol = TOL;
         const hs = [];
         // Sort out trivial halfspaces or return empty if an infeasible
         // halfspace is encountered.
         for (let h of halfspaces) {
             linalg.assertEqualDims(h.dim, 1);
             if (h.isInfeasible) {
-                return Interval.empty();
+                return Interval.empty(tol);
             } else if (!h.isTrivial) {
                 hs.push(h);
             }
@@ -671,10 +1340,10 @@ export class Interval extends Polytope {
                 rightIdx = idx;
             }
         }
-        if (leftIdx < 0 || rightIdx < 0 || hs[rightIdx].offset + hs[leftIdx].offset < TOL) {
-            return Interval.empty();
+        if (leftIdx < 0 || rightIdx < 0 || hs[rightIdx].offset + hs[leftIdx].offset < tol) {
+            return Interval.empty(tol);
         } else {
-            return new Interval(null, [hs[leftIdx], hs[rightIdx]]);
+            return new Interval(null, [hs[leftIdx], hs[rightIdx]], tol);
         }
     }
 
@@ -700,9 +1369,9 @@ export class Interval extends Polytope {
         const vertices = this.vertices;
         const centroid = this.centroid;
         return new Union(this.dim, [
-            Interval.hull([centroid, vertices[0]]),
-            Interval.hull([centroid, vertices[1]])
-        ], true);
+            Interval.hull([centroid, vertices[0]], this.tol),
+            Interval.hull([centroid, vertices[1]], this.tol)
+        ], true, this.tol);
     }
 
 
@@ -730,19 +1399,19 @@ export class Interval extends Polytope {
 // Two-dimensional convex polytope
 export class Polygon extends Polytope {
     
-    constructor(vertices: ?Vector[], halfspaces: ?Halfspace[]): void {
-        super(vertices, halfspaces);
+    constructor(vertices: ?Vector[], halfspaces: ?Halfspace[], tol?: number): void {
+        super(vertices, halfspaces, tol);
         this.dim = 2;
     }
 
 
-    static empty(): Polygon {
-        return new Polygon([], []);
+    static empty(tol?: number): Polygon {
+        return new Polygon([], [], tol);
     }
 
     // Algorithm based on
     // https://en.wikibooks.org/wiki/Algorithm_Implementation/Geometry/Convex_hull/Monotone_chain
-    static hull(ps: Vector[]): Polygon {
+    static hull(ps: Vector[], tol?: number): Polygon {
         ps.forEach(p => linalg.assertEqualDims(p.length, 2));
         // Sort a copy of points by x-coordinate (ascending, y as fallback).
         const points = ps.slice().sort((p, q) => (p[0] == q[0] ? q[1] - p[1] : p[0] - q[0]));
@@ -763,40 +1432,41 @@ export class Polygon extends Polytope {
         // Polygon needs at least 3 vertices (because ends of each part are
         // start of other, test with 5)
         if (ls.length + us.length < 5) {
-            return Polygon.empty();
+            return Polygon.empty(tol);
         }
         // Hull might still contain close points or sections that are straight
-        // with respect to TOL. Reduce the hull to canonical form by removing
-        // such points.
+        // with respect to the tolerance. Reduce the hull to canonical form by
+        // removing such points.
+        const zero = areaTol(tol == null ? TOL : tol);
         const vs = [];
         // Omit end from ls and us
         for (let i = 0; i < ls.length - 1; i++) {
-            reduceHullPart(vs, ls[i], TOL);
+            reduceHullPart(vs, ls[i], zero);
             vs.push(ls[i]);
         }
         for (let i = 0; i < us.length - 1; i++) {
-            reduceHullPart(vs, us[i], TOL);
+            reduceHullPart(vs, us[i], zero);
             vs.push(us[i]);
         }
         // Reduce wrap-around at the end
-        reduceHullPart(vs, vs[0], TOL);
+        reduceHullPart(vs, vs[0], zero);
         // Reduce wrap-around at the start
-        while (vs.length > 1 && !isCCWTurn(vs[vs.length - 1], vs[0], vs[1], TOL)) {
+        while (vs.length > 1 && !isCCWTurn(vs[vs.length - 1], vs[0], vs[1], zero)) {
             // vs[0] must be removed
             vs.shift();
         }
         // Return empty if less than 3 vertices remain after reduction
-        return vs.length < 3 ? Polygon.empty() : new Polygon(vs, null);
+        return vs.length < 3 ? Polygon.empty(tol) : new Polygon(vs, null, tol);
     }
 
-    static intersection(halfspaces: Halfspace[]): Polygon {
+    static intersection(halfspaces: Halfspace[], tol?: number): Polygon {
         const hs = [];
         // Sort out trivial halfspaces or return empty if an infeasible
         // halfspace is encountered.
         for (let h of halfspaces) {
             linalg.assertEqualDims(h.dim, 2);
             if (h.isInfeasible) {
-                return Polygon.empty();
+                return Polygon.empty(tol);
             }
             hs.push(h);
         }
@@ -806,7 +1476,7 @@ export class Polygon extends Polytope {
             const gOrder = angleOrder(g.normal);
             const hOrder = angleOrder(h.normal);
             return gOrder == hOrder ? angleCCW(g.normal, h.normal) - Math.PI : gOrder - hOrder;
-        }));
+        }), tol);
 
     }
 
@@ -815,7 +1485,7 @@ export class Polygon extends Polytope {
     // a non-canonical collection of halfspaces, use intersection. The
     // redundancy-removal algorithm is a custom development but has
     // similarities with that described by Kundu (1987).
-    static noredund(halfplanes: Halfspace[]): Polygon {
+    static noredund(halfplanes: Halfspace[], tol?: number): Polygon {
         // Build a tight loop of halfspaces
         const loop = [];
         const cuts = [];
@@ -839,7 +1509,7 @@ export class Polygon extends Polytope {
             // Case 1: angle between last inserted and next halfplane is larger
             // than 180°. The there is an "open end", the region is not finite.
             if (angle > Math.PI - TOL) {
-                return Polygon.empty();
+                return Polygon.empty(tol);
             }
             const nextCut = halfplaneIntersection(last, next);
             // Case 2 : the next halfplane is parallel to the last inserted.
@@ -860,8 +1530,8 @@ export class Polygon extends Polytope {
             //         cut is extremely close to the new one. The last halfplane is
             //         therefore redundant and removed. Try inserting the current
             //         one again (there might be multiple redundants).
-            if (cuts.length > 0 && (!next.contains(cuts[cuts.length - 1])
-                                    || linalg.areClose(nextCut, cuts[cuts.length - 1]))) {
+            if (cuts.length > 0 && (!next.contains(cuts[cuts.length - 1], tol)
+                                    || linalg.areClose(nextCut, cuts[cuts.length - 1], tol))) {
                 cuts.pop();
                 loop.pop();
                 continue;
@@ -880,7 +1550,7 @@ export class Polygon extends Polytope {
             const angle = angleCCW(loop[ridx - 1].normal, loop[lidx].normal);
             // Ends don't close loop, polygon is unbounded
             if (angle > Math.PI - TOL) {
-                return Polygon.empty();
+                return Polygon.empty(tol);
             }
             // Determine cut of loop ends.
             const endCut = halfplaneIntersection(loop[lidx], loop[ridx - 1]);
@@ -893,11 +1563,11 @@ export class Polygon extends Polytope {
                 }
             // Cut is not in 2nd to last halfplane of right end or close to last
             // cut of right end. Remove the last halfplane of the right end.
-            } else if (!loop[ridx - 2].contains(endCut) || linalg.areClose(cuts[ridx - 2], endCut)) {
+            } else if (!loop[ridx - 2].contains(endCut, tol) || linalg.areClose(cuts[ridx - 2], endCut, tol)) {
                 ridx--;
             // Cut is not in 2nd to last halfplane of left end or close to last
             // cut of left end. Remove the last halfplane of the left end.
-            } else if (!loop[lidx + 1].contains(endCut) || linalg.areClose(cuts[lidx], endCut)) {
+            } else if (!loop[lidx + 1].contains(endCut, tol) || linalg.areClose(cuts[lidx], endCut, tol)) {
                 lidx++;
             // No trimming required.
             } else {
@@ -908,7 +1578,7 @@ export class Polygon extends Polytope {
         const out = ridx - lidx < 3 || angleCCW(loop[ridx - 1].normal, loop[lidx].normal) > Math.PI - TOL
                   ? []
                   : loop.slice(lidx, ridx);
-        return new Polygon(null, out);
+        return new Polygon(null, out, tol);
     }
 
 
@@ -922,7 +1592,7 @@ export class Polygon extends Polytope {
 
     // https://en.wikipedia.org/wiki/Centroid#Of_a_polygon
     get volume(): number {
-        return 0.5 * iter.sum(arr.cyc2map((a, b) => a[0]*b[1] - b[0]*a[1], this.vertices));
+        return 0.5 * iter.sum(arr.cyc2map((a, b) => det2(a[0], b[0], a[1], b[1]), this.vertices));
     }
 
 
@@ -944,7 +1614,7 @@ export class Polygon extends Polytope {
         for (let i = 1; i < l - 1; i++) {
             polys.push([c, vs[i], linalg.midpoint(vs[i - 1], vs[i]), linalg.midpoint(vs[i], vs[i + 1])]);
         }
-        return new Union(this.dim, polys.map(Polygon.hull), true);
+        return new Union(this.dim, polys.map(p => Polygon.hull(p, this.tol)), true, this.tol);
     }
 
 
@@ -969,8 +1639,9 @@ export class Polygon extends Polytope {
             throw new ValueError();
         } else {
             // Turn each edge into a halfspace
+            const tol = this.tol;
             this._halfspaces = arr.cyc2map(function (v, w) {
-                return Halfspace.normalized([w[1] - v[1], v[0] - w[0]], v[0]*w[1] - w[0]*v[1]);
+                return Halfspace.normalized([w[1] - v[1], v[0] - w[0]], det2(v[0], w[0], v[1], w[1]), tol);
             }, this._vertices);
         }
     }
@@ -978,6 +1649,188 @@ export class Polygon extends Polytope {
 }
 
 
+// Subclasses of PolytopeND for individual dimensions
+const polytopeNDClasses: Map<number, Class<PolytopeND>> = new Map();
+
+// Convex polytope of arbitrary dimension. Because the static constructors of
+// Polytope take no dimension argument, a subclass is generated (and cached)
+// for every dimension, obtain it with PolytopeND.ofDim. Unlike for Interval
+// and Polygon, vertices and halfspaces have no canonical order.
+export class PolytopeND extends Polytope {
+
+    // Cached properties (computed together)
+    _volume: ?number;
+    _centroid: ?Vector;
+
+    constructor(vertices: ?Vector[], halfspaces: ?Halfspace[], tol?: number): void {
+        super(vertices, halfspaces, tol);
+        if (this.constructor === PolytopeND) {
+            throw new TypeError("must not instanciate PolytopeND, use PolytopeND.ofDim");
+        }
+        this._volume = null;
+        this._centroid = null;
+    }
+
+
+    static ofDim(dim: number): Class<PolytopeND> {
+        const cached = polytopeNDClasses.get(dim);
+        if (cached != null) return cached;
+        if (!Number.isInteger(dim) || dim < 2) throw new ValueError(
+            "PolytopeND requires an integer dimension of at least 2"
+        );
+
+        class PolytopeOfDim extends PolytopeND {
+
+            constructor(vertices: ?Vector[], halfspaces: ?Halfspace[], tol?: number): void {
+                super(vertices, halfspaces, tol);
+                this.dim = dim;
+            }
+
+            static empty(tol?: number): PolytopeOfDim {
+                return new PolytopeOfDim([], [], tol);
+            }
+
+            static hull(ps: Vector[], tol?: number): PolytopeOfDim {
+                ps.forEach(p => linalg.assertEqualDims(p.length, dim));
+                const hull = convexHull(dim, ps, tol == null ? TOL : tol);
+                return hull == null ? PolytopeOfDim.empty(tol) : new PolytopeOfDim(...hull, tol);
+            }
+
+            static intersection(halfspaces: Halfspace[], tol?: number): PolytopeOfDim {
+                return PolytopeOfDim.noredund(halfspaces, tol);
+            }
+
+            // There is no canonical order of halfspaces, so noredund accepts
+            // any input
+            static noredund(halfspaces: Halfspace[], tol?: number): PolytopeOfDim {
+                if (tol == null) tol = TOL;
+                const hs = [];
+                // Sort out trivial halfspaces or return empty if an infeasible
+                // halfspace is encountered.
+                for (let h of halfspaces) {
+                    linalg.assertEqualDims(h.dim, dim);
+                    if (h.isInfeasible) {
+                        return PolytopeOfDim.empty(tol);
+                    } else if (!h.isTrivial) {
+                        hs.push(h);
+                    }
+                }
+                // Redundant halfspaces only slow down the vertex enumeration
+                const nonredundant = removeRedundant(hs, tol);
+                const dd = doubleDescription(dim, nonredundant, tol);
+                if (dd == null) return PolytopeOfDim.empty(tol);
+                const [vertices, facets] = dd;
+                return new PolytopeOfDim(vertices, facets.map(i => nonredundant[i]), tol);
+            }
+
+        }
+
+        polytopeNDClasses.set(dim, PolytopeOfDim);
+        return PolytopeOfDim;
+    }
+
+
+    get centroid(): Vector {
+        if (this._centroid != null) return this._centroid;
+        this._computeVolumeAndCentroid();
+        return this.centroid;
+    }
+
+    get volume(): number {
+        if (this._volume != null) return this._volume;
+        this._computeVolumeAndCentroid();
+        return this.volume;
+    }
+
+
+    // Vertex sets are compared since there is no canonical order
+    isSameAs(other: Region): boolean {
+        if (other instanceof Union) {
+            return other.isSameAs(this);
+        } else {
+            const vs = this.vertices;
+            const ws = other.vertices;
+            if (this.dim !== other.dim || vs.length !== ws.length) {
+                return false;
+            }
+            return iter.every(vs.map(v => ws.some(w => linalg.areClose(v, w, this.tol))));
+        }
+    }
+
+    // Bisect the polytope through its centroid, perpendicular to the axis of
+    // largest extent
+    shatter(): Union {
+        const c = this.centroid;
+        const extent = this.extent;
+        let axis = 0;
+        for (let i = 1; i < this.dim; i++) {
+            if (extent[i][1] - extent[i][0] > extent[axis][1] - extent[axis][0]) {
+                axis = i;
+            }
+        }
+        const normal = new Array(this.dim);
+        normal.fill(0);
+        normal[axis] = 1;
+        const [lower, upper] = this.split(new Halfspace(normal, c[axis]));
+        return new Union(this.dim, [lower, upper], true, this.tol);
+    }
+
+
+    // Decomposition into pyramids with a common apex inside the polytope and
+    // the facets as bases. The volume and centroid of each facet are obtained
+    // from a lower-dimensional polytope in the hyperplane of the facet.
+    _computeVolumeAndCentroid(): void {
+        const vs = this.vertices;
+        if (vs.length === 0) {
+            this._volume = 0;
+            this._centroid = new Array(this.dim).fill(NaN);
+            return;
+        }
+        const apex = vs.reduce(linalg.add).map(x => x / vs.length);
+        const Facet = Polytope.ofDim(this.dim - 1);
+        let volume = 0;
+        let centroid = new Array(this.dim).fill(0);
+        for (let h of this.halfspaces) {
+            const basis = hyperplaneBasis(h.normal);
+            const facet = Facet.hull(vs.filter(v => Math.abs(linalg.dot(h.normal, v) - h.offset) < this.tol)
+                                       .map(v => basis.map(b => linalg.dot(b, v))), this.tol);
+            if (facet.isEmpty) continue;
+            // Map centroid of facet back into the full space
+            const fc = facet.centroid;
+            const facetCentroid = h.normal.map((x, i) => x * h.offset + iter.sum(basis.map((b, k) => b[i] * fc[k])));
+            // Volume of the pyramid and its centroid, which lies on the line
+            // from the apex to the centroid of the base
+            const pyramidVolume = (h.offset - linalg.dot(h.normal, apex)) * facet.volume / this.dim;
+            const w = this.dim / (this.dim + 1);
+            volume += pyramidVolume;
+            centroid = arr.zip2map((a, b) => a + pyramidVolume * b, centroid,
+                                   arr.zip2map((a, b) => a + w * (b - a), apex, facetCentroid));
+        }
+        this._volume = volume;
+        this._centroid = centroid.map(x => x / volume);
+    }
+
+    _HtoV(): void {
+        if (this._halfspaces == null) {
+            throw new ValueError();
+        }
+        const poly = this.constructor.intersection(this._halfspaces, this.tol);
+        this._vertices = poly.vertices;
+        this._halfspaces = poly.halfspaces;
+    }
+
+    _VtoH(): void {
+        if (this._vertices == null) {
+            throw new ValueError();
+        }
+        const poly = this.constructor.hull(this._vertices, this.tol);
+        this._vertices = poly.vertices;
+        this._halfspaces = poly.halfspaces;
+    }
+
+}
+
+
 
 /* Union of convex polytopes */
 
@@ -988,11 +1841,15 @@ export class Union {
     +dim: number;
     +polytopes: Polytope[];
     +isEmpty: boolean;
+    // Tolerance for newly created polytopes (members keep their own)
+    +tol: number;
     // Cached properties
     _isDisjunct: ?boolean; // yes, no, unknown
 
-    constructor(dim: number, polytopes: Polytope[], isDisjunct: ?boolean): void {
+    // The tolerance is taken from the first polytope if not specified
+    constructor(dim: number, polytopes: Polytope[], isDisjunct: ?boolean, tol?: number): void {
         this.dim = dim;
+        this.tol = tol != null ? tol : (polytopes.length > 0 ? polytopes[0].tol : TOL);
         // polytopes property guarantees [] value if region is empty
         this.polytopes = polytopes.filter(_ => !_.isEmpty);
         this.isEmpty = this.polytopes.length === 0;
@@ -1000,29 +1857,56 @@ export class Union {
     }
 
 
-    static deserialize(json: JSONUnion): Union {
-        return new Union(json.dim, json.polytopes.map(Polytope.deserialize), null);
+    static deserialize(json: JSONUnion, tol?: number): Union {
+        return new Union(json.dim, json.polytopes.map(_ => Polytope.deserialize(_, tol)), null, tol);
+    }
+
+    static empty(dim: number, tol?: number): Union {
+        return new Union(dim, [], true, tol);
+    }
+
+    static fromHRep(json: JSONUnionHRep, tol?: number): Union {
+        const Poly = Polytope.ofDim(json.dim);
+        return new Union(json.dim, json.polytopes.map(_ => Poly.intersection(halfspacesOf(_, tol), tol)), null, tol);
+    }
+
+    // From cddlib .ine format, every block is a member of the union
+    static fromINE(text: string, tol?: number): Union {
+        const blocks = cddParse(text, "H");
+        if (blocks.length === 0) throw new ParseError("no block found");
+        const polytopes = blocks.map(_ => Polytope.ofDim(_.dim).intersection(cddHalfspaces(_, tol), tol));
+        return Union.from(polytopes, undefined, tol);
     }
 
-    static empty(dim: number): Union {
-        return new Union(dim, [], true);
+    // From cddlib .ext format, every block is a member of the union
+    static fromEXT(text: string, tol?: number): Union {
+        const blocks = cddParse(text, "V");
+        if (blocks.length === 0) throw new ParseError("no block found");
+        const polytopes = blocks.map(_ => Polytope.ofDim(_.dim).hull(cddVertices(_), tol));
+        return Union.from(polytopes, undefined, tol);
     }
 
-    static from(polytopes: Polytope[], fallbackDim?: number): Union {
+    static from(polytopes: Polytope[], fallbackDim?: number, tol?: number): Union {
         const dim = polytopes.length > 0 ? polytopes[0].dim : fallbackDim;
         if (dim == null) throw new ValueError(
             "Unable to determine dimension from empty set of polytopes (no fallback provided)"
         );
         polytopes.forEach(_ => linalg.assertEqualDims(_.dim, dim));
-        return new Union(dim, polytopes, null);
+        return new Union(dim, polytopes, null, tol);
     }
 
 
     get boundingBox(): Polytope {
         const Poly = Polytope.ofDim(this.dim);
         return this.isEmpty
-             ? Poly.empty()
-             : Poly.hull(cartesian(...this.extent));
+             ? Poly.empty(this.tol)
+             : Poly.hull(cartesian(...this.extent), this.tol);
+    }
+
+    // Chebyshev center of the member with the largest inradius
+    get chebyshevCenter(): Vector {
+        const largest = iter.argmax(_ => _.inradius, this.polytopes);
+        return largest == null ? new Array(this.dim).fill(NaN) : largest.chebyshevCenter;
     }
 
     get extent(): [number, number][] {
@@ -1038,6 +1922,12 @@ export class Union {
         }, init);
     }
 
+    // Largest inradius of the members. This is a lower bound, the union
+    // might contain a larger ball that is not inside a single member.
+    get inradius(): number {
+        return Math.max(0, ...this.polytopes.map(_ => _.inradius));
+    }
+
     get isDisjunct(): boolean {
         return this._isDisjunct != null && this._isDisjunct; // TODO: find out if null
     }
@@ -1049,12 +1939,12 @@ export class Union {
 
 
     apply(m: Matrix): Union {
-        return new Union(this.dim, this.polytopes.map(_ => _.apply(m)), this._isDisjunct);
+        return new Union(this.dim, this.polytopes.map(_ => _.apply(m)), this._isDisjunct, this.tol);
     }
 
     applyRight(m: Matrix): Union {
         linalg.assertEqualDims(m.length, this.dim);
-        return new Union(m[0].length, this.polytopes.map(_ => _.applyRight(m)), this._isDisjunct);
+        return new Union(m[0].length, this.polytopes.map(_ => _.applyRight(m)), this._isDisjunct, this.tol);
     }
 
     contains(v: Vector): boolean {
@@ -1069,16 +1959,20 @@ export class Union {
         return other.remove(this).isEmpty;
     }
 
-    disjunctify(): Union {
+    // Pieces whose union is convex are merged afterwards unless merge is
+    // false (see mergeConvex)
+    disjunctify(merge?: boolean): Union {
+        if (merge == null) merge = true;
         // Sort by volume in ascending order and then take from the large end
         // first. This should favour the removal of small polytopes.
         const ps = this.polytopes.slice().sort((x, y) => x.volume - y.volume);
         const out = [];
         while (ps.length > 0) {
             const p = ps.pop();
-            out.push(...p.remove(new Union(this.dim, out, true)).polytopes);
+            out.push(...p.remove(new Union(this.dim, out, true, this.tol)).polytopes);
         }
-        return new Union(this.dim, out, true);
+        const union = new Union(this.dim, out, true, this.tol);
+        return merge ? union.mergeConvex() : union;
     }
 
     fulfils(h: Halfspace): boolean {
@@ -1090,7 +1984,7 @@ export class Union {
         for (let polytope of this.polytopes) {
             vertices.push(...polytope.vertices);
         }
-        return Polytope.ofDim(this.dim).hull(vertices);
+        return Polytope.ofDim(this.dim).hull(vertices, this.tol);
     }
 
     intersect(other: Region): Region {
@@ -1104,7 +1998,7 @@ export class Union {
             }
         }
         // If this was not disjunct before intersection, it might be after
-        return out.length === 1 ? out[0] : new Union(this.dim, out, this._isDisjunct ? true : null);
+        return out.length === 1 ? out[0] : new Union(this.dim, out, this._isDisjunct ? true : null, this.tol);
     }
 
     intersects(other: Region): boolean {
@@ -1115,17 +2009,53 @@ export class Union {
     }
 
     invert(): Union {
-        return new Union(this.dim, this.polytopes.map(_ => _.invert()), this._isDisjunct);
+        return new Union(this.dim, this.polytopes.map(_ => _.invert()), this._isDisjunct, this.tol);
     }
 
     isSameAs(other: Region): boolean {
         return this.covers(other) && other.covers(this);
     }
 
+    // Greedily replace pairs of polytopes whose union is convex by their hull.
+    // Merged polytopes are paired again, so groups are merged step by step as
+    // long as a sequence of convex pairwise unions exists.
+    mergeConvex(): Union {
+        const ps = this.polytopes.slice();
+        let merged = true;
+        while (merged) {
+            merged = false;
+            for (let i = 0; i < ps.length; i++) {
+                for (let j = i + 1; j < ps.length; j++) {
+                    const hull = this._convexUnion(ps[i], ps[j]);
+                    if (hull != null) {
+                        ps[i] = hull;
+                        ps.splice(j, 1);
+                        j = i;
+                        merged = true;
+                    }
+                }
+            }
+        }
+        return ps.length === this.polytopes.length ? this
+             : new Union(this.dim, ps, this._isDisjunct, this.tol);
+    }
+
+    // Hull of the two polytopes if it is equal to their union, else null
+    _convexUnion(p: Polytope, q: Polytope): ?Polytope {
+        // A convex union requires the polytopes to touch
+        const tol = this.tol;
+        if (!boxesIntersect(p.extent, q.extent.map(([l, u]) => [l - tol, u + tol]))) return null;
+        // The volume of the union is at most the sum of the volumes, a hull
+        // with more volume contains points not in the union
+        const hull = Polytope.ofDim(this.dim).hull([...p.vertices, ...q.vertices], tol);
+        if (hull.volume - p.volume - q.volume > TOL * hull.volume) return null;
+        return hull.remove(new Union(this.dim, [p, q], null, tol)).isEmpty ? hull : null;
+    }
+
     minkowski(other: Polytope): Union {
         // Minkowski sum can be distributed to each individual polytope but
         // there may be overlaps afterwards.
-        return new Union(this.dim, this.polytopes.map(_ => _.minkowski(other)), null);
+        return new Union(this.dim, this.polytopes.map(_ => _.minkowski(other)), null, this.tol);
     }
 
     pontryagin(other: Polytope): Region {
@@ -1142,38 +2072,77 @@ export class Union {
         return bbox.pontryagin(other).remove(complement.minkowski(other.invert()));
     }
 
+    // Projections of the members, which may overlap
+    project(axes: number[]): Union {
+        assertAxes(axes, this.dim);
+        return new Union(axes.length, this.polytopes.map(_ => _.project(axes)), null, this.tol);
+    }
+
     remove(other: Region): Union {
         const out = [];
         for (let p of this.polytopes) {
             out.push(...p.remove(other).polytopes);
         }
         // If this was not disjunct before removal, it might be after
-        return new Union(this.dim, out, this._isDisjunct ? true : null);
-    }
-
-    sample(): Vector {
-        if (this.polytopes.length >= 1) { // TODO
-            return this.polytopes[0].sample();
+        return new Union(this.dim, out, this._isDisjunct ? true : null, this.tol);
+    }
+
+    // A random point from inside the union, based on a uniform distribution.
+    // Members are chosen with probability proportional to their volume after
+    // overlaps have been removed.
+    sample(rng?: RandomSource): Vector {
+        if (this.isEmpty) throw new ValueError("cannot sample from an empty union");
+        const random = rng == null ? Math.random : rng;
+        const polytopes = this.isDisjunct ? this.polytopes : this.disjunctify().polytopes;
+        const volumes = polytopes.map(_ => _.volume);
+        let r = random() * iter.sum(volumes);
+        for (let i = 0; i < polytopes.length - 1; i++) {
+            r -= volumes[i];
+            if (r < 0) return polytopes[i].sample(random);
         }
-        throw new NotImplementedError();
-        // disjunctify
-        // choose polygon weighted by volume
-        // sample from polygon
+        return polytopes[polytopes.length - 1].sample(random);
     }
 
     serialize(): JSONUnion {
         return { dim: this.dim, polytopes: this.polytopes.map(_ => _.serialize()) };
     }
 
+    // Exchange formats (see fromHRep, fromINE, fromEXT). In the cddlib
+    // formats, an empty union is written as a single empty polytope to
+    // preserve the dimension.
+    toHRep(): JSONUnionHRep {
+        return { dim: this.dim, polytopes: this.polytopes.map(_ => _.toHRep()) };
+    }
+
+    toINE(): string {
+        const polytopes = this.isEmpty ? [Polytope.ofDim(this.dim).empty(this.tol)] : this.polytopes;
+        return polytopes.map(_ => _.toINE()).join("\n");
+    }
+
+    toEXT(): string {
+        const polytopes = this.isEmpty ? [Polytope.ofDim(this.dim).empty(this.tol)] : this.polytopes;
+        return polytopes.map(_ => _.toEXT()).join("\n");
+    }
+
     shatter(): Union {
         const pieces = [];
         for (let x of this.polytopes) {
             pieces.push(...x.shatter().polytopes);
         }
-        return new Union(this.dim, pieces, this._isDisjunct);
+        return new Union(this.dim, pieces, this._isDisjunct, this.tol);
+    }
+
+    // Cross-sections of the members
+    slice(axis: number, value: number): Union {
+        assertAxes([axis], this.dim);
+        if (this.dim < 2) throw new ValueError("cannot slice a 1-dimensional union");
+        return new Union(this.dim - 1, this.polytopes.map(_ => _.slice(axis, value)), this._isDisjunct, this.tol);
     }
 
-    simplify(): Region {
+    // Pieces whose union is convex are merged afterwards unless merge is
+    // false (see mergeConvex)
+    simplify(merge?: boolean): Region {
+        if (merge == null) merge = true;
         if (this.isEmpty) return this;
         if (this.polytopes.length === 1) return this.polytopes[0];
         const hull = this.hull();
@@ -1182,22 +2151,440 @@ export class Union {
             return hull;
         } else {
             // For X subset of Y: X = Y \ (Y \ X).
-            return hull.remove(rest);
+            const out = hull.remove(rest);
+            if (!merge) return out;
+            const merged = out.toUnion().mergeConvex();
+            return merged.polytopes.length === 1 ? merged.polytopes[0] : merged;
         }
     }
 
+    support(direction: Vector): number {
+        return Math.max(...this.polytopes.map(_ => _.support(direction)));
+    }
+
     toUnion(): Union {
         return this;
     }
 
     translate(v: Vector): Union {
-        return new Union(this.dim, this.polytopes.map(_ => _.translate(v)), this._isDisjunct);
+        return new Union(this.dim, this.polytopes.map(_ => _.translate(v)), this._isDisjunct, this.tol);
     }
 
     union(other: Region): Union {
         linalg.assertEqualDims(this.dim, other.dim);
-        return new Union(this.dim, [...this.polytopes, ...other.polytopes], null);
+        return new Union(this.dim, [...this.polytopes, ...other.polytopes], null, this.tol);
     }
 
 }
 
+
+
+/* Zonotopes */
+
+export type JSONZonotope = { center: number[], generators: number[][] };
+
+// Zonotope Z = { center + Σ ξ_i · generators[i] | ξ_i ∈ [-1, 1] }, i.e. the
+// Minkowski sum of line segments. Linear maps and Minkowski sums are exact and
+// cheap (the number of generators grows linearly), which makes zonotopes
+// a compact representation of boxes (e.g. random and control spaces) carried
+// through polytopic operators. Convert to a Polytope with toPolytope. Like
+// polytopes, zonotopes carry an absolute tolerance.
+export class Zonotope {
+
+    +dim: number;
+    +center: Vector;
+    +generators: Vector[];
+    +tol: number;
+
+    constructor(center: Vector, generators: Vector[], tol?: number): void {
+        generators.forEach(g => linalg.assertEqualDims(g.length, center.length));
+        this.dim = center.length;
+        this.center = center;
+        this.generators = generators;
+        this.tol = tol == null ? TOL : tol;
+    }
+
+
+    static deserialize(json: JSONZonotope, tol?: number): Zonotope {
+        return new Zonotope(json.center, json.generators, tol);
+    }
+
+    // Axis-aligned box with the given extent
+    static box(extent: [number, number][], tol?: number): Zonotope {
+        const t = tol == null ? TOL : tol;
+        const generators = [];
+        extent.forEach(([l, u], i) => {
+            if (u - l < t) return;
+            const g = new Array(extent.length);
+            g.fill(0);
+            g[i] = (u - l) / 2;
+            generators.push(g);
+        });
+        return new Zonotope(extent.map(([l, u]) => (l + u) / 2), generators, tol);
+    }
+
+    // Over-approximation of a polytope by its bounding box (exact for
+    // axis-aligned boxes)
+    static fromPolytope(polytope: Polytope): Zonotope {
+        if (polytope.isEmpty) throw new ValueError("empty polytope cannot be converted to Zonotope");
+        return Zonotope.box(polytope.extent, polytope.tol);
+    }
+
+
+    get extent(): [number, number][] {
+        return this.center.map((c, i) => {
+            const r = iter.sum(this.generators.map(g => Math.abs(g[i])));
+            return [c - r, c + r];
+        });
+    }
+
+
+    // Apply matrix from the left (exact linear map)
+    apply(m: Matrix): Zonotope {
+        linalg.assertEqualDims(m[0].length, this.dim);
+        return new Zonotope(
+            linalg.apply(m, this.center),
+            this.generators.map(g => linalg.apply(m, g)).filter(g => linalg.norm2(g) >= this.tol),
+            this.tol
+        );
+    }
+
+    // Does the zonotope contain the point? Feasibility of the generator
+    // coefficients is determined with a linear program.
+    contains(p: Vector): boolean {
+        linalg.assertEqualDims(p.length, this.dim);
+        const d = linalg.sub(p, this.center);
+        const k = this.generators.length;
+        if (k === 0) return linalg.norm2(d) < this.tol;
+        // G·ξ = d (with tolerance) and -1 <= ξ <= 1
+        const G = linalg.transpose(this.generators);
+        const I = linalg.eye(k);
+        const neg = row => row.map(x => -x);
+        const A = [...G, ...G.map(neg), ...I, ...I.map(neg)];
+        const b = [...d.map(x => x + this.tol), ...d.map(x => -x + this.tol), ...new Array(2 * k).fill(1)];
+        return lp.maximize(new Array(k).fill(0), A, b).status === "optimal";
+    }
+
+    // Over-approximation of the intersection with a halfspace. Returns null if
+    // the intersection is empty. The range of the generator coefficient whose
+    // range can be reduced most by the halfspace's constraint is reduced, all
+    // other generators are kept.
+    intersect(h: Halfspace): ?Zonotope {
+        linalg.assertEqualDims(h.dim, this.dim);
+        if (h.isInfeasible) return null;
+        const ns = this.generators.map(g => linalg.dot(h.normal, g));
+        const r = iter.sum(ns.map(Math.abs));
+        const nc = linalg.dot(h.normal, this.center);
+        // Zonotope is entirely inside or outside of the halfspace
+        if (nc + r <= h.offset + this.tol) return this;
+        if (nc - r > h.offset - this.tol) return null;
+        // For each generator g_j with normal·g_j != 0, the constraint implies
+        // for its coefficient:
+        //     ξ_j · normal·g_j <= offset - normal·center + Σ_{i≠j} |normal·g_i|
+        let best = -1;
+        let bestRange = [-1, 1];
+        ns.forEach((n, j) => {
+            if (Math.abs(n) < this.tol) return;
+            const bound = (h.offset - nc + r - Math.abs(n)) / n;
+            const range = n > 0 ? [-1, Math.min(1, bound)] : [Math.max(-1, bound), 1];
+            if (range[1] - range[0] < bestRange[1] - bestRange[0]) {
+                best = j;
+                bestRange = range;
+            }
+        });
+        if (best < 0) return this;
+        const g = this.generators[best];
+        const [lo, hi] = bestRange;
+        const generators = this.generators.slice();
+        generators[best] = g.map(x => x * (hi - lo) / 2);
+        return new Zonotope(linalg.add(this.center, g.map(x => x * (hi + lo) / 2)), generators, this.tol);
+    }
+
+    // Reflection with respect to the origin
+    invert(): Zonotope {
+        return new Zonotope(this.center.map(x => -x), this.generators, this.tol);
+    }
+
+    // Minkowski sum (exact)
+    minkowski(other: Zonotope): Zonotope {
+        linalg.assertEqualDims(this.dim, other.dim);
+        return new Zonotope(linalg.add(this.center, other.center), [...this.generators, ...other.generators], this.tol);
+    }
+
+    // JSON serialization
+    serialize(): JSONZonotope {
+        return { center: this.center, generators: this.generators };
+    }
+
+    // Support function: maximum of direction · x over all points x of the
+    // zonotope
+    support(direction: Vector): number {
+        linalg.assertEqualDims(direction.length, this.dim);
+        return linalg.dot(direction, this.center)
+             + iter.sum(this.generators.map(g => Math.abs(linalg.dot(direction, g))));
+    }
+
+    // Exact conversion to H-representation. Every facet normal is orthogonal
+    // to dim-1 of the generators, the offset follows from the support
+    // function. Yields an empty polytope if the zonotope is not
+    // full-dimensional.
+    toPolytope(): Polytope {
+        const Poly = Polytope.ofDim(this.dim);
+        const normals = [];
+        if (this.dim === 1) {
+            normals.push([1]);
+        } else {
+            for (let idxs of combinations(this.generators.length, this.dim - 1)) {
+                const ns = linalg.nullspace(idxs.map(i => this.generators[i]));
+                if (ns.length === 1) normals.push(normalize(ns[0]));
+            }
+        }
+        const halfspaces = [];
+        for (let n of normals) {
+            const m = n.map(x => -x);
+            halfspaces.push(new Halfspace(n, this.support(n)), new Halfspace(m, this.support(m)));
+        }
+        return Poly.intersection(halfspaces, this.tol);
+    }
+
+    // Translation by vector v
+    translate(v: Vector): Zonotope {
+        return new Zonotope(linalg.add(this.center, v), this.generators, this.tol);
+    }
+
+}
+
+
+
+/* Spatial index */
+
+// Axis-aligned box (same format as the extent of a Region)
+export type Box = [number, number][];
+
+type RTreeEntry<T> = { box: Box, item: T, seq: number };
+type RTreeNode<T> = { box: Box, isLeaf: boolean, entries: RTreeEntry<T>[], children: RTreeNode<T>[] };
+
+function emptyBox(dim: number): Box {
+    const box = new Array(dim);
+    box.fill([Infinity, -Infinity]);
+    return box;
+}
+
+function boxUnion(a: Box, b: Box): Box {
+    return arr.zip2map((x, y) => [Math.min(x[0], y[0]), Math.max(x[1], y[1])], a, b);
+}
+
+function boxVolume(box: Box): number {
+    return box.reduce((v, [l, u]) => v * Math.max(0, u - l), 1);
+}
+
+function boxMargin(box: Box): number {
+    return iter.sum(box.map(([l, u]) => Math.max(0, u - l)));
+}
+
+// Do the closed boxes have a point in common? Empty boxes intersect nothing.
+function boxesIntersect(a: Box, b: Box): boolean {
+    return iter.every(arr.zip2map(
+        (x, y) => x[0] <= x[1] && y[0] <= y[1] && x[0] <= y[1] && y[0] <= x[1], a, b
+    ));
+}
+
+function boxCovers(a: Box, b: Box): boolean {
+    return iter.every(arr.zip2map((x, y) => x[0] <= y[0] && y[1] <= x[1], a, b));
+}
+
+// Divide elements into two halves at the median of their box centers along
+// the axis in which the centers are spread the most
+function splitBoxes<E: { box: Box }>(es: E[]): [E[], E[]] {
+    const centers = es.map(e => e.box.map(([l, u]) => (l + u) / 2));
+    let axis = 0;
+    let spread = -Infinity;
+    for (let i = 0; i < centers[0].length; i++) {
+        const cs = centers.map(c => c[i]);
+        const s = Math.max(...cs) - Math.min(...cs);
+        if (s > spread) {
+            axis = i;
+            spread = s;
+        }
+    }
+    const order = es.map((_, k) => k).sort((j, k) => centers[j][axis] - centers[k][axis]);
+    const half = Math.ceil(es.length / 2);
+    return [order.slice(0, half).map(k => es[k]), order.slice(half).map(k => es[k])];
+}
+
+// Dynamic R-tree (Guttman, 1984) for items with axis-aligned bounding boxes.
+// Overfull nodes are split at the median along the axis of largest spread,
+// underfull nodes after a removal are dissolved and their items reinserted.
+//
+// Guttman, A. (1984). R-trees: a dynamic index structure for spatial
+// searching. Proceedings of the 1984 ACM SIGMOD International Conference on
+// Management of Data, 47–57.
+export class RTree<T> {
+
+    +dim: number;
+    +_maxEntries: number;
+    +_minEntries: number;
+    _root: RTreeNode<T>;
+    _size: number;
+    _seq: number;
+
+    constructor(dim: number, maxEntries?: number): void {
+        this.dim = dim;
+        this._maxEntries = maxEntries == null ? 8 : Math.max(4, maxEntries);
+        this._minEntries = Math.floor(this._maxEntries / 2);
+        this._root = this._newNode(true);
+        this._size = 0;
+        this._seq = 0;
+    }
+
+    get size(): number {
+        return this._size;
+    }
+
+    insert(box: Box, item: T): void {
+        linalg.assertEqualDims(box.length, this.dim);
+        this._insertEntry({ box: box, item: item, seq: this._seq++ });
+        this._size++;
+    }
+
+    // The box must be the one given when the item was inserted. Returns false
+    // if the item was not found.
+    remove(box: Box, item: T): boolean {
+        const path = this._findLeaf(this._root, box, item);
+        if (path == null) return false;
+        const leaf = path[path.length - 1];
+        leaf.entries.splice(leaf.entries.findIndex(e => e.item === item), 1);
+        // Dissolve underfull nodes bottom-up and collect their entries for
+        // reinsertion, update the boxes of the other nodes on the path
+        const orphans = [];
+        for (let i = path.length - 1; i > 0; i--) {
+            const node = path[i];
+            if (this._count(node) < this._minEntries) {
+                const siblings = path[i - 1].children;
+                siblings.splice(siblings.indexOf(node), 1);
+                orphans.push(...this._leafEntries(node));
+            } else {
+                this._updateBox(node);
+            }
+        }
+        this._updateBox(this._root);
+        // Shorten the tree if the root has only a single child left
+        while (!this._root.isLeaf && this._root.children.length === 1) {
+            this._root = this._root.children[0];
+        }
+        if (!this._root.isLeaf && this._root.children.length === 0) {
+            this._root = this._newNode(true);
+        }
+        for (let entry of orphans) {
+            this._insertEntry(entry);
+        }
+        this._size--;
+        return true;
+    }
+
+    // Items whose boxes intersect the given (closed) box, in the order of
+    // their insertion
+    search(box: Box): T[] {
+        linalg.assertEqualDims(box.length, this.dim);
+        const found = [];
+        const visit = (node) => {
+            if (!boxesIntersect(node.box, box)) return;
+            if (node.isLeaf) {
+                found.push(...node.entries.filter(e => boxesIntersect(e.box, box)));
+            } else {
+                node.children.forEach(visit);
+            }
+        };
+        visit(this._root);
+        return found.sort((a, b) => a.seq - b.seq).map(e => e.item);
+    }
+
+
+    _newNode(isLeaf: boolean): RTreeNode<T> {
+        return { box: emptyBox(this.dim), isLeaf: isLeaf, entries: [], children: [] };
+    }
+
+    _count(node: RTreeNode<T>): number {
+        return node.isLeaf ? node.entries.length : node.children.length;
+    }
+
+    _updateBox(node: RTreeNode<T>): void {
+        const boxes = node.isLeaf ? node.entries.map(e => e.box) : node.children.map(c => c.box);
+        node.box = boxes.reduce(boxUnion, emptyBox(this.dim));
+    }
+
+    _leafEntries(node: RTreeNode<T>): RTreeEntry<T>[] {
+        if (node.isLeaf) return node.entries;
+        return [].concat(...node.children.map(c => this._leafEntries(c)));
+    }
+
+    _insertEntry(entry: RTreeEntry<T>): void {
+        const split = this._insertInto(this._root, entry);
+        if (split != null) {
+            const root = this._newNode(false);
+            root.children.push(this._root, split);
+            this._updateBox(root);
+            this._root = root;
+        }
+    }
+
+    // Insert recursively, returns the new sibling if the node was split
+    _insertInto(node: RTreeNode<T>, entry: RTreeEntry<T>): ?RTreeNode<T> {
+        node.box = boxUnion(node.box, entry.box);
+        if (node.isLeaf) {
+            node.entries.push(entry);
+        } else {
+            const split = this._insertInto(this._chooseChild(node, entry.box), entry);
+            if (split != null) node.children.push(split);
+        }
+        if (this._count(node) <= this._maxEntries) return null;
+        const sibling = this._newNode(node.isLeaf);
+        if (node.isLeaf) {
+            const [keep, move] = splitBoxes(node.entries);
+            node.entries = keep;
+            sibling.entries = move;
+        } else {
+            const [keep, move] = splitBoxes(node.children);
+            node.children = keep;
+            sibling.children = move;
+        }
+        this._updateBox(node);
+        this._updateBox(sibling);
+        return sibling;
+    }
+
+    // Child whose box requires the least enlargement (volume, then margin) to
+    // include the given box, ties are broken by smaller volume
+    _chooseChild(node: RTreeNode<T>, box: Box): RTreeNode<T> {
+        const cost = (child) => {
+            const union = boxUnion(child.box, box);
+            const volume = boxVolume(child.box);
+            return [boxVolume(union) - volume, boxMargin(union) - boxMargin(child.box), volume];
+        };
+        let best = node.children[0];
+        let bestCost = cost(best);
+        for (let child of node.children.slice(1)) {
+            const c = cost(child);
+            if (c[0] < bestCost[0] || (c[0] === bestCost[0] && (c[1] < bestCost[1]
+                    || (c[1] === bestCost[1] && c[2] < bestCost[2])))) {
+                best = child;
+                bestCost = c;
+            }
+        }
+        return best;
+    }
+
+    // Path from node to the leaf containing the item
+    _findLeaf(node: RTreeNode<T>, box: Box, item: T): ?RTreeNode<T>[] {
+        if (!boxCovers(node.box, box)) return null;
+        if (node.isLeaf) {
+            return node.entries.some(e => e.item === item) ? [node] : null;
+        }
+        for (let child of node.children) {
+            const path = this._findLeaf(child, box, item);
+            if (path != null) return [node, ...path];
+        }
+        return null;
+    }
+
+}
@@ -4,25 +4,29 @@
 import type { JSONTraceStep } from "./controller.js";
 import type { FigureLayer, Shape } from "./figure.js";
 import type { AnalysisResults, AnalysisResult } from "./game.js";
-import type { Halfspace, JSONUnion } from "./geometry.js";
+import type { JSONUnion } from "./geometry.js";
 import type { JSONSession } from "./inspector.js";
 import type { StateData, StatesData, ActionsData, SupportData, TraceData,
               AnalysisData, RefineData, TakeSnapshotData, LoadSnapshotData, NameSnapshotData,
               SnapshotData, SystemSummaryData, RefineHolisticRequest, RefineTransitionRequest,
-              ExportSessionData } from "./inspector-worker-system.js";
+              ExportSessionData, VerifySystemData, BoundsData, SetObjectiveData } from "./inspector-worker-system.js";
 import type { Vector, Matrix } from "./linalg.js";
-import type { Proposition, AutomatonStateID, AutomatonShapeCollection } from "./logic.js";
+import type { Proposition, ObjectiveKind, AutomatonStateID, AutomatonShapeCollection } from "./logic.js";
 import type { AbstractedLSS, LSS, StateID, ActionID, PredicateID } from "./system.js";
 import type { Plot } from "./widgets-plot.js";
 import type { Input, OptionsInput } from "./widgets-input.js";
 
 import * as dom from "./dom.js";
 import { Figure, autoProjection, Cartesian2D, Horizontal1D } from "./figure.js";
-import { Polytope, Union } from "./geometry.js";
+import { Polytope, Union, Halfspace } from "./geometry.js";
 import * as linalg from "./linalg.js";
-import { AtomicProposition, Objective, texifyProposition } from "./logic.js";
-import { just, iter, arr, obj, sets, n2s, t2s, replaceAll, ObservableMixin } from "./tools.js";
-import { CheckboxInput, DropdownInput, RadioInput, inputTextRotation } from "./widgets-input.js";
+import { AtomicProposition, Objective, OnePairStreettAutomaton, parseProposition, texifyProposition,
+         traverseProposition } from "./logic.js";
+import * as presets from "./presets.js";
+import { parseDensity } from "./probability.js";
+import { just, iter, arr, obj, sets, n2s, t2s, replaceAll, ObservableMixin, PRNG } from "./tools.js";
+import { ValidationError, CheckboxInput, DropdownInput, LineInput, MultiLineInput, RadioInput,
+         inputTextRotation } from "./widgets-input.js";
 import { InteractivePlot, AxesPlot, ShapePlot } from "./widgets-plot.js";
 import { Communicator } from "./worker.js";
 
@@ -109,6 +113,39 @@ function matrixToTeX(m: Matrix): string {
     return "\\begin{pmatrix}" + m.map(row => row.join("&")).join("\\\\") + "\\end{pmatrix}";
 }
 
+// Matrix or convex hull of vertex matrices (uncertain dynamics)
+function matricesToTeX(ms: Matrix[]): string {
+    return ms.length === 1 ? matrixToTeX(ms[0]) : "\\operatorname{conv}\\{" + ms.map(matrixToTeX).join(", ") + "\\}";
+}
+
+function isIdentity(m: Matrix): boolean {
+    return m.every((row, i) => row.length === m.length && row.every((x, j) => x === (i === j ? 1 : 0)));
+}
+
+// Evolution equation of each mode, with the domain or the control mode if
+// there are multiple
+function equationsToTeX(lss: LSS): string[] {
+    const controlModes = lss.controlModes;
+    const out = [];
+    controlModes.forEach((controlMode, m) => {
+        const domains = controlMode.domains;
+        for (let domain of domains) {
+            const mode = controlMode.modeOf(domain);
+            let equation = "x_{t+1} = " + matricesToTeX(mode.As) + " x_t + " + matricesToTeX(mode.Bs) + " u_t + "
+                + (mode.hasDrift ? matrixToTeX(mode.c.map(_ => [_])) + " + " : "")
+                + (isIdentity(mode.E) ? "" : matrixToTeX(mode.E) + " ") + "w_t";
+            if (domains.length > 1) {
+                equation = equation + " \\quad \\text{if } " + domain.halfspaces.map(ineq2s).join(", ");
+            }
+            if (controlModes.length > 1) {
+                equation = equation + " \\quad \\text{(mode " + String(m + 1) + ")}";
+            }
+            out.push(equation);
+        }
+    });
+    return out;
+}
+
 // Graphical depiction of analysis progress
 function percentageBar(xs: { [string]: number }, omit?: string[]): HTMLDivElement {
     const total = iter.sum(obj.map2Array((_, x) => x, xs));
@@ -158,7 +195,7 @@ export class ProblemSummary {
         }
         // Assemble
         this.node = dom.DIV({ "id": "problem-summary" }, [
-            dom.renderTeX("x_{t+1} = " + matrixToTeX(system.lss.A) + " x_t + " + matrixToTeX(system.lss.B) + " u_t + w_t", dom.P()),
+            ...equationsToTeX(system.lss).map(_ => dom.renderTeX(_, dom.P())),
             dom.DIV({ "class": "boxes" }, [
                 dom.DIV({}, [dom.H3({}, ["Control Space Polytope (", dom.renderTeX("U", dom.SPAN()), ")"]), cs.node]),
                 dom.DIV({}, [dom.H3({}, ["Random Space Polytope (", dom.renderTeX("W", dom.SPAN()), ")"]), rs.node]),
@@ -193,9 +230,9 @@ export class SystemInspector {
     +node: HTMLDivElement;
 
     constructor(system: AbstractedLSS, objective: Objective, keys: dom.Keybindings,
-                analyseOnStartup: boolean, session: ?JSONSession) {
+                analyseOnStartup: boolean, exactArithmetic: boolean, session: ?JSONSession) {
         const log = new Logger();
-        const model = new SystemModel(system, objective, log, analyseOnStartup, session);
+        const model = new SystemModel(system, objective, log, analyseOnStartup, exactArithmetic, session);
         // Main views
         const systemViewCtrl = new SystemViewCtrl(model);
         const randomSpaceView = new RandomSpaceView(model);
@@ -208,6 +245,8 @@ export class SystemInspector {
         const analysisViewCtrl = new AnalysisViewCtrl(model, keys);
         const holisticRefinementCtrl = new HolisticRefinementCtrl(model);
         const transitionRefinementCtrl = new TransitionRefinementCtrl(model);
+        const predicateCtrl = new PredicateCtrl(model);
+        const objectiveCtrl = new ObjectiveCtrl(model);
         const snapshotViewCtrl = new SnapshotViewCtrl(model);
         // Control tab
         const traceCtrl = new TraceCtrl(model);
@@ -225,6 +264,8 @@ export class SystemInspector {
             analysisViewCtrl,
             holisticRefinementCtrl,
             transitionRefinementCtrl,
+            predicateCtrl,
+            objectiveCtrl,
             snapshotViewCtrl
         ]);
         const controlTab = tabs.newTab("Control", [
@@ -281,21 +322,22 @@ export class SystemInspector {
 // that links the StateIDs to the cached StateData objects
 type ActionData = {
     id: ActionID,
+    mode: number,
     controls: JSONUnion,
     origin: StateData,
     targets: StateData[]
 };
 
 // SystemModel notification types
-type ModelChange = "state" | "action" | "support" | "trace" | "trace-step" | "system" | "snapshot"; 
+type ModelChange = "state" | "action" | "support" | "trace" | "trace-step" | "system" | "snapshot" | "objective"; 
 
 // System access, centralized selection storage and change notifications
 class SystemModel extends ObservableMixin<ModelChange> {
 
     +_comm: Communicator<Worker>;
     +log: Logger;
-    // Objective does not change
-    +objective: Objective;
+    // Objective changes with set-objective requests and loaded snapshots
+    _objective: Objective;
     // Initial system is kept for predicate and LSS access
     +_system: AbstractedLSS;
     // Caches
@@ -312,21 +354,21 @@ class SystemModel extends ObservableMixin<ModelChange> {
     _traceStep: ?JSONTraceStep;
 
     constructor(system: AbstractedLSS, objective: Objective, log: Logger,
-                analyseAtStartup: boolean, session: ?JSONSession): void {
+                analyseAtStartup: boolean, exactArithmetic: boolean, session: ?JSONSession): void {
         super();
         // System model handles all requests to the system worker and also
         // updates the log with analysis, refinement and error messages
         this.log = log;
         // Save the initial system for LSS and predicate accessors (static)
         this._system = system;
-        // Save the objective for automaton queries (static)
-        this.objective = objective;
+        // Save the objective for automaton queries
+        this._objective = objective;
         // Setup dedicated worker for system tasks
         try {
             this._comm = new Communicator("ISYS");
             // Worker starts its own initialization process
             this._comm.onRequest("init", (data) => [
-                system.serialize(), objective.serialize(), analyseAtStartup, session
+                system.serialize(), objective.serialize(), analyseAtStartup, exactArithmetic, session
             ]);
             // The worker signals "ready" when everything is set up
             this._comm.onRequest("ready", (data: null) => {
@@ -416,6 +458,24 @@ class SystemModel extends ObservableMixin<ModelChange> {
         this.notify("trace-step");
     }
 
+    // Objective and automaton information
+
+    get objective(): Objective {
+        return this._objective;
+    }
+
+    // Automaton state selection and trace refer to the automaton of the
+    // previous objective and are reset
+    _switchObjective(objective: Objective): void {
+        this._objective = objective;
+        this._qState = objective.automaton.initialState.label;
+        this._trace = [];
+        this._traceStep = null;
+        this.notify("objective");
+        this.notify("trace");
+        this.notify("state");
+    }
+
     // System information convenience accessors (static information)
 
     get lss(): LSS {
@@ -430,6 +490,10 @@ class SystemModel extends ObservableMixin<ModelChange> {
         return this._system.getPredicate(label);
     }
 
+    hasPredicate(label: PredicateID): boolean {
+        return this._system.predicates.has(label);
+    }
+
     transitionTo(x: StateData, q: AutomatonStateID): ?AutomatonStateID {
         return this.objective.nextState(x.predicates, q);
     }
@@ -468,6 +532,7 @@ class SystemModel extends ObservableMixin<ModelChange> {
             // Translate to own ActionData type
             const actions = data.map((action) => ({
                 id: action.id,
+                mode: action.mode,
                 controls: action.controls,
                 origin: just(this.states.get(action.origin)),
                 targets: action.targets.map(_ => just(this.states.get(_)))
@@ -488,13 +553,14 @@ class SystemModel extends ObservableMixin<ModelChange> {
         });
     }
 
-    getTrace(controller: string, steps: number): Promise<TraceData> {
+    getTrace(controller: string, steps: number, seed: number): Promise<TraceData> {
         const [x, qLabel] = this.state;
         const xLabel = x == null ? null : x.label;
         const request = {
             controller: controller,
             steps: steps,
-            origin: [xLabel, qLabel]
+            origin: [xLabel, qLabel],
+            seed: seed
         };
         return this._comm.request("get-trace", request).catch((e) => {
             this.log.writeError(e);
@@ -519,6 +585,23 @@ class SystemModel extends ObservableMixin<ModelChange> {
         });
     }
 
+    // Density of the random vector as an expression in the variables of the
+    // random space
+    analyseBounds(density: string, resolution: number): Promise<null> {
+        const request = {
+            density: density,
+            variables: VAR_NAMES.substring(0, this.lss.ww.dim),
+            resolution: resolution
+        };
+        return this._comm.request("analyse-bounds", request).then((data: BoundsData) => {
+            this.log.writeBounds(data);
+            return this.updateStates();
+        }).catch((e) => {
+            this.log.writeError(e);
+            throw e;
+        });
+    }
+
     resetAnalysis(): Promise<null> {
         return this._comm.request("reset-analysis", null).then(() => {
             this.log.write(["Analysis"], "Analysis results have been reset.");
@@ -560,6 +643,45 @@ class SystemModel extends ObservableMixin<ModelChange> {
         });
     }
 
+    addPredicate(label: PredicateID, predicate: Halfspace): Promise<null> {
+        const request = { label: label, predicate: predicate.serialize() };
+        return this._comm.request("add-predicate", request).then((data: RefineData) => {
+            // Keep the predicates of the local system copy up to date
+            this._system.predicates.set(label, predicate);
+            this.log.writeRefinement(["Predicate " + label], data);
+            return this.updateStates();
+        }).catch((e) => {
+            this.log.writeError(e);
+            throw e;
+        });
+    }
+
+    setObjective(objective: Objective): Promise<null> {
+        return this._comm.request("set-objective", objective.serialize()).then((data: SetObjectiveData) => {
+            if (data.keptAnalysis) {
+                this._objective = objective;
+            } else {
+                this._switchObjective(objective);
+            }
+            this.log.write(["Analysis", "Objective"], "Changed objective to " + objective.kind.name
+                + (data.keptAnalysis ? ", analysis results were kept." : ", analysis results were discarded."));
+            return this.updateStates();
+        }).catch((e) => {
+            this.log.writeError(e);
+            throw e;
+        });
+    }
+
+    coarsen(): Promise<null> {
+        return this._comm.request("coarsen", null).then((data: RefineData) => {
+            this.log.writeRefinement(["Coarsening"], data);
+            return data.removed.length > 0 ? this.updateStates() : null;
+        }).catch((e) => {
+            this.log.writeError(e);
+            throw e;
+        });
+    }
+
     getSystemSummary(): Promise<SystemSummaryData> {
         return this._comm.request("get-system-summary", null).catch((e) => {
             this.log.writeError(e);
@@ -567,6 +689,16 @@ class SystemModel extends ObservableMixin<ModelChange> {
         });
     }
 
+    verifySystem(): Promise<VerifySystemData> {
+        return this._comm.request("verify-system", null).then((data: VerifySystemData) => {
+            this.log.writeVerification(data);
+            return data;
+        }).catch((e) => {
+            this.log.writeError(e);
+            throw e;
+        });
+    }
+
     getSnapshots(): Promise<SnapshotData> {
         return this._comm.request("get-snapshots", null).catch((e) => {
             this.log.writeError(e);
@@ -585,11 +717,18 @@ class SystemModel extends ObservableMixin<ModelChange> {
     }
 
     loadSnapshot(id: number): Promise<null> {
-        return this._comm.request("load-snapshot", id).then((data) => {
+        return this._comm.request("load-snapshot", id).then((data: LoadSnapshotData) => {
             this.log.write(
                 ["Snapshot"],
                 "Loaded snapshot '" + data.name + "' with " + pluralize(data.states, "state") + "."
             );
+            // Selections only have to be reset if the automaton changes
+            const objective = Objective.deserialize(data.objective);
+            if (objective.isCompatibleWith(this.objective)) {
+                this._objective = objective;
+            } else {
+                this._switchObjective(objective);
+            }
             this.notify("snapshot");
             return this.updateStates();
         }).catch((e) => {
@@ -770,8 +909,8 @@ class SystemViewCtrl {
             if (op === "post") {
                 if (!x.isOuter) {
                     const act = this._model.action;
-                    const u = (act == null) ? lss.uu : Union.deserialize(act.controls);
-                    region = lss.post(p, u);
+                    region = (act == null) ? lss.post(p, lss.uu)
+                           : lss.controlModes[act.mode].post(p, Union.deserialize(act.controls));
                 }
             // Other operators always use the entire control space
             } else if (op === "pre") {
@@ -808,10 +947,16 @@ class SystemViewCtrl {
     drawLabels(): void {
         let shapes = [];
         if (this._showLabels) {
+            // Labels of states that are very small compared to the state
+            // space would only clutter the plot
+            const minRadius = 0.01 * this._model.lss.xx.inradius;
             for (let [label, state] of this._model.states) {
+                if (state.inradius < minRadius) continue;
+                // The Chebyshev center is the point furthest away from the
+                // state's boundary
                 shapes.push({
                     kind: "label",
-                    coords: state.centroid,
+                    coords: state.chebyshevCenter,
                     text: state.label
                 });
             }
@@ -824,7 +969,11 @@ class SystemViewCtrl {
         if (this._showVectors) {
             shapes.push({
                 kind: "vectorField",
-                fun: (x) => linalg.apply(this._model.lss.A, x),
+                // No arrows outside of the mode domains
+                fun: (x) => {
+                    const mode = this._model.lss.modeAt(x);
+                    return mode == null ? x : linalg.add(linalg.apply(mode.A, x), mode.c);
+                },
                 scaling: 0.25,
                 n: [12, 12]
             });
@@ -1005,15 +1154,43 @@ class AutomatonViewCtrl {
 
     +node: HTMLDivElement;
     +_model: SystemModel;
-    +_shapes: AutomatonShapeCollection;
-    +_layers: { [string]: FigureLayer };
+    +_systemViewCtrl: SystemViewCtrl;
+    +_plot: HTMLDivElement;
+    +_init: HTMLSpanElement;
+    // Plot of the automaton of the current objective
+    _shapes: AutomatonShapeCollection;
+    _layers: { [string]: FigureLayer };
 
     constructor(model: SystemModel, systemViewCtrl: SystemViewCtrl, keys: dom.Keybindings): void {
         this._model = model;
         this._model.attach((mc) => this.handleModelChange(mc));
+        this._systemViewCtrl = systemViewCtrl;
+        this._plot = dom.DIV();
+        this._init = dom.SPAN();
+        // Assemble
+        this.node = dom.DIV({ "id": "automaton-view-ctrl" }, [
+            this._plot,
+            // Initial state information
+            dom.P({}, [dom.create("u", {}, ["I"]), "nitial state: ", this._init])
+        ]);
+        // Keybindings
+        keys.bind("i", () => { this._model.qState = this._model.objective.automaton.initialState.label; });
+        this.drawAutomaton();
+    }
+
+    handleModelChange(mc: ?ModelChange): void {
+        if (mc === "objective") {
+            this.drawAutomaton();
+        } else if (mc === "state") {
+            this.draw();
+        } else if (mc === "trace-step") {
+            this.drawTraceStep();
+        }
+    }
+
+    // Plot the objective automaton
+    drawAutomaton(): void {
         const objective = this._model.objective;
-        const init = objective.automaton.initialState.label;
-        // Plot the objective automaton
         const fig = new Figure();
         this._shapes = objective.toShapes();
         this._layers = {
@@ -1046,33 +1223,25 @@ class AutomatonViewCtrl {
         const width = Math.abs(extent[0][1] - extent[0][0]);
         const height = Math.abs(extent[1][1] - extent[1][0]);
         const plot = new ShapePlot([330, height + Math.max(1 - 330 / width, 0)], fig, proj, false);
-        // Assemble
-        this.node = dom.DIV({ "id": "automaton-view-ctrl" }, [
-            plot.node,
-            // Initial state information
-            dom.P({}, [
-                dom.create("u", {}, ["I"]), "nitial state: ", dom.snLabel.toHTML(init)
-            ])
-        ]);
-        // Keybindings
-        keys.bind("i", () => { this._model.qState = init; });
-        // Draw labels once now, they never change
+        dom.replaceChildren(this._plot, [plot.node]);
+        dom.replaceChildren(this._init, [dom.snLabel.toHTML(objective.automaton.initialState.label)]);
+        // Labels only change with the objective
         this._layers.stateLabels.shapes = iter.map(_ => _[1], this._shapes.states.values());
         // Transitions have to be flattened
         const ts = [];
         for (let [q, transitions] of this._shapes.transitions) {
-            const qState = this._model.objective.getState(q);
+            const qState = objective.getState(q);
             for (let [qNext, shapes] of transitions) {
-                const qNextState = this._model.objective.getState(qNext);
+                const qNextState = objective.getState(qNext);
                 const highlighter = (x: StateData) => {
-                    const valuation = this._model.objective.valuationFor(x.predicates);
+                    const valuation = objective.valuationFor(x.predicates);
                     const proposition = qState.proposition(qNextState);
                     return !x.isOuter && proposition != null && proposition.evalWith(valuation);
                 };
                 const t = obj.clone(shapes[1]);
                 t.events = {
-                    "mouseover": () => { systemViewCtrl.stateRegion = highlighter },
-                    "mouseout": () => { systemViewCtrl.stateRegion = null; }
+                    "mouseover": () => { this._systemViewCtrl.stateRegion = highlighter },
+                    "mouseout": () => { this._systemViewCtrl.stateRegion = null; }
                 };
                 ts.push(t);
             }
@@ -1081,14 +1250,7 @@ class AutomatonViewCtrl {
         // Transition arrows and state circles can be highlighted later, so
         // they have separate draw method
         this.draw();
-    }
-
-    handleModelChange(mc: ?ModelChange): void {
-        if (mc === "state") {
-            this.draw();
-        } else if (mc === "trace-step") {
-            this.drawTraceStep();
-        }
+        this.drawTraceStep();
     }
 
     draw(): void {
@@ -1289,12 +1451,13 @@ class StateViewOpCtrl extends WidgetPlus {
         operator.attach(() => {
             systemViewCtrl.operator = operator.value;
         });
-        this._lines = [dom.DIV(), dom.DIV(), dom.DIV()];
+        this._lines = [dom.DIV(), dom.DIV(), dom.DIV(), dom.DIV()];
         // Assemble
         this.node = dom.DIV({ "id": "state-view" }, [
             dom.DIV({ "class": "div-table" }, [
                 dom.DIV({ "class": "rowspan" }, [dom.DIV({}, ["State:"]), this._lines[0]]),
                 dom.DIV({ "class": "rowspan" }, [dom.DIV({}, ["Analysis:"]), this._lines[1]]),
+                dom.DIV({ "class": "rowspan" }, [dom.DIV({}, ["Probability:"]), this._lines[3]]),
                 dom.DIV({}, [dom.DIV({}, ["Predicates:"]), this._lines[2]])
             ]),
             dom.P({ "class": "highlight" }, [operator.node])
@@ -1337,6 +1500,17 @@ class StateViewOpCtrl extends WidgetPlus {
             dom.replaceChildren(this._lines[2], x.predicates.size < 1 ? ["-"] : arr.intersperse(
                 ", ", iter.map(_ => predicateLabel(_, this._model.getPredicate(_)), x.predicates)
             ));
+            // Line 4: approximate bounds on the satisfaction probability
+            const bounds = x.bounds;
+            if (bounds == null) {
+                dom.replaceChildren(this._lines[3], ["?"]);
+            } else {
+                dom.replaceChildren(this._lines[3], arr.intersperse(", ", Array.from(
+                    bounds, ([q, [lower, upper]]) => dom.SPAN({}, [
+                        automatonLabel(q, analysis), ": [" + n2s(lower, 3) + ", " + n2s(upper, 3) + "]"
+                    ])
+                )));
+            }
         } else {
             for (let line of this._lines) dom.replaceChildren(line, ["-"]);
         }
@@ -1436,6 +1610,10 @@ class ActionViewCtrl extends WidgetPlus {
         const origin = stateLabel(action.origin, q);
         const targets = arr.intersperse(", ", action.targets.map((target) => stateLabel(target, next)));
         const node = dom.DIV({ "class": "action" }, [origin, " → {", ...targets, "}"]);
+        // Indicate the control mode if the system has a choice
+        if (this._model.lss.controlModes.length > 1) {
+            node.appendChild(dom.SPAN({ "class": "mode" }, [" mode " + String(action.mode + 1)]));
+        }
         node.addEventListener("click", () => this.clickAction(action));
         node.addEventListener("mouseover", (e: MouseEvent) => {
             if (dom.fromChildElement(node, e)) return;
@@ -1480,6 +1658,10 @@ class AnalysisViewCtrl extends WidgetPlus{
     +_model: SystemModel;
     +_analyse: HTMLButtonElement;
     +_reset: HTMLButtonElement;
+    +_verify: HTMLButtonElement;
+    +_bounds: HTMLButtonElement;
+    +_density: Input<string>;
+    +_resolution: Input<number>;
     +_info: HTMLSpanElement;
     _bar: HTMLDivElement;
     _summary: ?SystemSummaryData;
@@ -1494,14 +1676,22 @@ class AnalysisViewCtrl extends WidgetPlus{
         ], () => this.analyse());
         // Button to reset analysis results
         this._reset = dom.createButton({}, ["reset"], () => this.reset());
+        // Button to check the consistency of the abstraction
+        this._verify = dom.createButton({}, ["verify"], () => this.verify());
+        // Approximate bounds on the satisfaction probability for a density of
+        // the random vector (uniform by default)
+        this._bounds = dom.createButton({}, ["bounds"], () => this.analyseBounds());
+        this._density = new LineInput(line => this.parseDensity(line), 20, "1");
+        this._resolution = new DropdownInput(DropdownInput.rangeOptions(10, 110, 10), "50");
         // Text information display
         this._info = dom.SPAN({ "class": "count-stats" });
         // Progress bar
         this._bar = percentageBar({ "please wait...": 1 });
         // Widget
         this.node = dom.DIV({ "id": "analysis-view-ctrl"}, [
-            dom.P({}, [this._analyse, " ", this._reset, this._info]),
-            this._bar
+            dom.P({}, [this._analyse, " ", this._reset, " ", this._verify, this._info]),
+            this._bar,
+            dom.P({}, [this._bounds, " density ", this._density.node, " resolution ", this._resolution.node])
         ]);
         keys.bind("a", () => this.analyse());
     }
@@ -1526,6 +1716,34 @@ class AnalysisViewCtrl extends WidgetPlus{
         });
     }
 
+    parseDensity(line: string): string {
+        // Validate the expression, the density is evaluated by the worker
+        parseDensity(line, VAR_NAMES.substring(0, this._model.lss.ww.dim));
+        return line;
+    }
+
+    analyseBounds(): void {
+        if (this.isLoading) return;
+        this._density.handleChange();
+        if (!this._density.isValid) return;
+        this.pushLoad();
+        this._model.analyseBounds(this._density.value, this._resolution.value).catch((e) => {
+            // Error logging is done in SystemModel
+        }).finally(() => {
+            this.popLoad();
+        });
+    }
+
+    verify(): void {
+        if (this.isLoading) return;
+        this.pushLoad();
+        this._model.verifySystem().catch((e) => {
+            // Error logging is done in SystemModel
+        }).finally(() => {
+            this.popLoad();
+        });
+    }
+
     handleChange(): void {
         const [_, q] = this._model.state;
         const summary = this._summary;
@@ -1578,6 +1796,8 @@ class AnalysisViewCtrl extends WidgetPlus{
         super.handleLoadingChange();
         this._analyse.disabled = this.isLoading;
         this._reset.disabled = this.isLoading;
+        this._verify.disabled = this.isLoading;
+        this._bounds.disabled = this.isLoading;
     }
 
 }
@@ -1610,6 +1830,8 @@ class HolisticRefinementCtrl extends WidgetPlus {
             "Pessimistic": false
         }, "Optimistic");
         this._loopsOnlySafe = new CheckboxInput(true, "only safe actions");
+        // Coarsening
+        const coarsen = dom.createButton({}, ["coarsen"], () => this.coarsen());
         // Assemble
         this.node = dom.DIV({ "class": "div-table" }, [
             dom.DIV({}, [
@@ -1627,6 +1849,10 @@ class HolisticRefinementCtrl extends WidgetPlus {
             dom.DIV({}, [
                 dom.DIV({}, [loopsRefine]),
                 dom.DIV({}, [this._loopsOptimistic.node, " self-loop removal, ", this._loopsOnlySafe.node])
+            ]),
+            dom.DIV({}, [
+                dom.DIV({}, [coarsen]),
+                dom.DIV({}, ["Merge decided states"])
             ])
         ]);
     }
@@ -1678,6 +1904,15 @@ class HolisticRefinementCtrl extends WidgetPlus {
         });
     }
 
+    coarsen(): void {
+        this.pushLoad();
+        this._model.coarsen().catch(() => {
+            // Error logging is done in SystemModel
+        }).finally(() => {
+            this.popLoad();
+        });
+    }
+
 }
 
 
@@ -1775,6 +2010,17 @@ class TransitionRefinementCtrl extends WidgetPlus {
         this._layerStart.attach(() => this.handleRangeChange(), true);
         // ...
         this._useLayers.attach(() => this.handleLayersChange(), true);
+        // Automaton states change with the objective
+        this._model.attach((mc) => {
+            if (mc === "objective") this.handleObjectiveChange();
+        });
+    }
+
+    handleObjectiveChange(): void {
+        const init = this._model.objective.automaton.initialState.label;
+        const qAllObj = obj.fromMap(_ => _, this._model.qAll);
+        this._origin.setOptions(qAllObj, init);
+        this._target.setOptions(qAllObj, init);
     }
 
     refine(): void {
@@ -1824,6 +2070,151 @@ class TransitionRefinementCtrl extends WidgetPlus {
 }
 
 
+// Additional linear predicates for the objective, states cut by a new
+// predicate are split
+class PredicateCtrl extends WidgetPlus {
+
+    +_model: SystemModel;
+    +_predicate: Input<[PredicateID, Halfspace]>;
+    +_button: HTMLButtonElement;
+
+    constructor(model: SystemModel): void {
+        super("Linear Predicates", "info-predicates");
+        this._model = model;
+        this._predicate = new LineInput(line => this.parsePredicate(line), 25);
+        this._button = dom.createButton({}, ["add"], () => this.add());
+        this.node = dom.DIV({ "class": "div-table" }, [
+            dom.DIV({}, [
+                dom.DIV({}, [this._button]),
+                dom.DIV({}, [this._predicate.node])
+            ])
+        ]);
+    }
+
+    parsePredicate(line: string): [PredicateID, Halfspace] {
+        const match = line.match(/^\s*([a-z][a-z0-9]*)\s*:(.*)$/);
+        if (match == null) throw new ValidationError(
+            "predicate specification must be of the form 'label: inequation'"
+        );
+        if (this._model.hasPredicate(match[1])) throw new ValidationError(
+            "a predicate with label '" + match[1] + "' exists already"
+        );
+        return [match[1], Halfspace.parse(match[2], VAR_NAMES.substring(0, this._model.lss.dim))];
+    }
+
+    add(): void {
+        if (this.isLoading) return;
+        // Validate the current input (also when it has not been changed yet)
+        this._predicate.handleChange();
+        if (!this._predicate.isValid) return;
+        const [label, predicate] = this._predicate.value;
+        this.pushLoad();
+        this._model.addPredicate(label, predicate).then(() => {
+            this._predicate.text = "";
+        }).catch(() => {
+            // Error logging is done in SystemModel
+        }).finally(() => {
+            this.popLoad();
+        });
+    }
+
+    handleLoadingChange(): void {
+        super.handleLoadingChange();
+        this._button.disabled = this.isLoading;
+    }
+
+}
+
+
+// Replace the objective of the session, the partition is kept
+class ObjectiveCtrl extends WidgetPlus {
+
+    +_model: SystemModel;
+    +_kind: Input<ObjectiveKind>;
+    +_terms: Input<Proposition[]>;
+    +_coSafe: Input<boolean>;
+    +_formula: HTMLSpanElement;
+    +_variables: HTMLSpanElement;
+    +_button: HTMLButtonElement;
+
+    constructor(model: SystemModel): void {
+        super("Objective", "info-objective");
+        this._model = model;
+        this._model.attach((mc) => {
+            if (mc === "objective") this.handleObjectiveChange();
+        });
+        this._kind = new DropdownInput(presets.objectives, "Reachability");
+        // One proposition for each variable of the objective
+        this._terms = new MultiLineInput(line => this.parseTerm(line), [2, 25]);
+        this._coSafe = new CheckboxInput(false, "co-safe interpretation");
+        this._formula = dom.SPAN();
+        this._variables = dom.SPAN();
+        this._button = dom.createButton({}, ["set"], () => this.set());
+        this.node = dom.DIV({}, [
+            dom.P({}, [this._button, " ", this._kind.node, ": ", this._formula]),
+            dom.P({}, ["Terms for ", this._variables, " (one per line):"]),
+            dom.P({}, [this._terms.node]),
+            dom.P({}, [this._coSafe.node])
+        ]);
+        this._kind.attach(() => this.handleKindChange(), true);
+        this.handleObjectiveChange();
+    }
+
+    parseTerm(line: string): Proposition {
+        const formula = parseProposition(line);
+        traverseProposition(prop => {
+            if (prop instanceof AtomicProposition && !this._model.hasPredicate(prop.symbol)) {
+                throw new ValidationError("unknown linear predicate '" + prop.symbol + "'");
+            }
+        }, formula);
+        return formula;
+    }
+
+    // Show the current objective
+    handleObjectiveChange(): void {
+        const objective = this._model.objective;
+        // Objectives of a session are not necessarily predefined
+        if (presets.objectives.hasOwnProperty(objective.kind.name)) this._kind.text = objective.kind.name;
+        this._terms.text = objective.kind.variables.map(_ => objective.getProposition(_).stringify()).join("\n");
+        this._coSafe.text = objective.coSafeInterpretation ? "t" : "f";
+    }
+
+    handleKindChange(): void {
+        const kind = this._kind.value;
+        dom.renderTeX(kind.formula, this._formula);
+        dom.renderTeX(kind.variables.join(", "), this._variables);
+    }
+
+    set(): void {
+        if (this.isLoading) return;
+        // Validate the current input (also when it has not been changed yet)
+        this._terms.handleChange();
+        if (!this._terms.isValid) return;
+        const kind = this._kind.value;
+        const terms = this._terms.value;
+        if (terms.length !== kind.variables.length) {
+            this._model.log.writeError(new ValidationError(
+                kind.name + " objective requires " + pluralize(kind.variables.length, "term") + ", one per line"
+            ));
+            return;
+        }
+        const coSafe = this._coSafe.value && OnePairStreettAutomaton.parse(kind.automaton).isCoSafeCompatible;
+        this.pushLoad();
+        this._model.setObjective(new Objective(kind, terms, coSafe)).catch(() => {
+            // Error logging is done in SystemModel
+        }).finally(() => {
+            this.popLoad();
+        });
+    }
+
+    handleLoadingChange(): void {
+        super.handleLoadingChange();
+        this._button.disabled = this.isLoading;
+    }
+
+}
+
+
 class SnapshotViewCtrl extends WidgetPlus {
 
     +_model: SystemModel;
@@ -1965,6 +2356,7 @@ class TraceCtrl extends WidgetPlus {
 
     +_model: SystemModel;
     +_initial: HTMLSpanElement;
+    +_seed: HTMLSpanElement;
 
     constructor(model: SystemModel): void {
         super("Sample Trace", "info-trace-sample");
@@ -1978,10 +2370,18 @@ class TraceCtrl extends WidgetPlus {
             "Round-robin Controller": "round-robin",
             "Random Controller": "random"
         }, "Round-robin Controller");
+        // A fixed seed reproduces a trace, a random seed is used if empty
+        const seed = new LineInput(parseSeed, 10, "");
+        this._seed = dom.SPAN({}, ["-"]);
         const sampleButton = dom.createButton({}, ["sample"], () => {
+            // Validate the current input (also when it has not been changed yet)
+            seed.handleChange();
+            if (!seed.isValid) return;
+            const s = seed.value == null ? PRNG.randomSeed() : seed.value;
             this.pushLoad();
-            this._model.getTrace(controller.value, steps.value).then((data: TraceData) => {
+            this._model.getTrace(controller.value, steps.value, s).then((data: TraceData) => {
                 this._model.trace = data;
+                dom.replaceChildren(this._seed, [String(s)]);
             }).catch((e) => {
                 // ...
             }).finally(() => {
@@ -1995,6 +2395,8 @@ class TraceCtrl extends WidgetPlus {
             dom.P({}, [sampleButton, " ", clearButton]),
             dom.P({}, ["Starting from ", this._initial, ":"]),
             dom.P({}, ["up to ", steps.node, " steps with ", controller.node]),
+            dom.P({}, ["seed ", seed.node, " (random if empty)"]),
+            dom.P({}, ["Seed of the last trace: ", this._seed])
         ]);
     }
 
@@ -2010,6 +2412,15 @@ class TraceCtrl extends WidgetPlus {
 }
 
 
+// Non-negative integer seed, null if empty
+function parseSeed(text: string): ?number {
+    if (text.trim() === "") return null;
+    const seed = Number(text);
+    if (!Number.isInteger(seed) || seed < 0) throw new ValidationError("seed must be a non-negative integer");
+    return seed;
+}
+
+
 class TraceViewStepCtrl extends WidgetPlus {
 
     +_model: SystemModel;
@@ -2163,6 +2574,7 @@ class Logger extends ObservableMixin<boolean> implements TabWidget {
             analysis: new CheckboxInput(true, "Analysis"),
             refinement: new CheckboxInput(true, "Refinement"),
             snapshot: new CheckboxInput(true, "Snapshot"),
+            verification: new CheckboxInput(true, "Verification"),
             error: new CheckboxInput(true, "Error")
         };
         obj.forEach((_, input) => input.attach(() => this.handleFilterChange()), this._filters);
@@ -2172,6 +2584,7 @@ class Logger extends ObservableMixin<boolean> implements TabWidget {
                 this._filters.analysis.node,
                 this._filters.refinement.node,
                 this._filters.snapshot.node,
+                this._filters.verification.node,
                 this._filters.error.node
             ]),
             this._entries
@@ -2221,6 +2634,32 @@ class Logger extends ObservableMixin<boolean> implements TabWidget {
         ]));
     }
 
+    writeBounds(data: BoundsData): void {
+        // Bounds after the iteration limit are valid but not tight
+        const convergence = data.converged ? [] : ["Value iteration did not converge.", dom.create("br")];
+        this._write(["Analysis"], dom.DIV({}, [
+            "Approximate probability bounds computed with " + pluralize(data.quadraturePoints, "quadrature point") + ".", dom.create("br"),
+            ...convergence,
+            "Elapsed time: ", dom.SPAN({ "title": "game abstraction" }, [
+                t2s(data.tGame)
+            ]), " + ", dom.SPAN({ "title": "interval value iteration" }, [
+                t2s(data.tAnalysis)
+            ]), " = " + t2s(data.tGame + data.tAnalysis) + "."
+        ]));
+    }
+
+    writeVerification(data: VerifySystemData): void {
+        if (data.isValid) {
+            this.write(["Verification"], "No inconsistencies found.");
+        } else {
+            const lines = data.issues.map(_ => _.check + ": " + _.message);
+            this._write(["Verification"], dom.DIV({}, [
+                "Found " + pluralize(data.issues.length, "issue") + ".", dom.create("br"),
+                ...arr.intersperse(dom.create("br"), lines)
+            ]));
+        }
+    }
+
     writeRefinement(params: string[], data: RefineData): void {
         this._write(["Refinement", ...params], dom.DIV({}, [
             "Removed ", dom.SPAN({ "title": data.removed.join(", ") }, [
@@ -3,19 +3,21 @@
 
 import type { FigureLayer } from "./figure.js";
 import type { JSONSession } from "./inspector.js";
+import type { Matrix, Vector } from "./linalg.js";
 import type { Proposition, ObjectiveKind } from "./logic.js";
 import type { Plot } from "./widgets-plot.js";
 import type { Input } from "./widgets-input.js";
 
+import { zeroOrderHold } from "./discretization.js";
 import * as dom from "./dom.js";
 import { Figure, autoProjection } from "./figure.js";
-import { Halfspace, Polytope, Union } from "./geometry.js";
+import { Halfspace, Polytope, Union, toleranceOf } from "./geometry.js";
 import { VAR_NAMES, COLORS } from "./inspector-widgets-inspector.js";
 import * as linalg from "./linalg.js";
 import { Objective, OnePairStreettAutomaton, AtomicProposition, parseProposition, traverseProposition } from "./logic.js";
 import * as presets from "./presets.js";
-import { LSS, AbstractedLSS } from "./system.js";
-import { iter, ObservableMixin } from "./tools.js";
+import { LSS, PWALSS, SwitchedLSS, AbstractedLSS } from "./system.js";
+import { just, iter, arr, ObservableMixin, ValueError } from "./tools.js";
 import { ValidationError, CheckboxInput, DropdownInput, MultiLineInput, MatrixInput, LineInput } from "./widgets-input.js";
 import { AxesPlot } from "./widgets-plot.js";
 
@@ -29,11 +31,21 @@ to common problem setups.
 type SystemSetup = {
     dimension: {
         stateSpace: string,
-        controlSpace: string
+        controlSpace: string,
+        randomSpace?: string
     },
     equation: {
         A: string,
         B: string,
+        c?: string,
+        E?: string,
+        // Piecewise-affine systems: domain of the first mode and further modes.
+        // Switched systems: further modes without domains.
+        domain?: string,
+        modes?: { A: string, B: string, c?: string, domain?: string }[],
+        switched?: boolean,
+        // Continuous-time systems: sampling time for the discretization
+        dt?: string
     },
     polytope: {
         controlSpace: string,
@@ -41,21 +53,25 @@ type SystemSetup = {
         stateSpace: string
     },
     predicates: string,
+    // Initial decomposition into a uniform grid: number of cells per axis
+    grid?: string,
     objective: string
 };
 
-type SessionCallback = (JSONSession) => void;
+type SessionCallback = (JSONSession, boolean) => void;
 
 export class SessionManager {
 
     +node: HTMLDivElement;
     +problemSetup: ProblemSetup;
     +presetSelect: Input<*>;
+    +verifySession: Input<boolean>;
 
     constructor(problemSetup: ProblemSetup, callback: SessionCallback): void {
         this.problemSetup = problemSetup;
         // Session continuation
         const sessionFile = dom.INPUT({ "type": "file" });
+        this.verifySession = new CheckboxInput(true, "verify");
         const sessionButton = dom.createButton({}, ["import"], () => {
             // No file specified
             if (sessionFile.value === "") return;
@@ -71,7 +87,7 @@ export class SessionManager {
                     "File contents are not a string"
                 );
                 // Start inspector with session
-                callback(JSON.parse(result));
+                callback(JSON.parse(result), this.verifySession.value);
             };
             reader.readAsText(file);
         });
@@ -82,7 +98,7 @@ export class SessionManager {
         this.node = dom.DIV({ "class": "div-table" }, [
             dom.DIV({}, [
                 dom.DIV({}, ["Continue a session:"]),
-                dom.DIV({}, [sessionFile, " ", sessionButton])
+                dom.DIV({}, [sessionFile, " ", sessionButton, " ", this.verifySession.node])
             ]),
             dom.DIV({}, [
                 dom.DIV({}, ["Start from a preset:"]),
@@ -106,21 +122,25 @@ objective with a live preview and consistency checks.
 
 // Widgets here take other inputs as dimension/shape args, to allow change
 
-type ProblemCallback = (LSS, Halfspace[], string[], Objective, boolean) => void;
+type ProblemCallback = (LSS, Halfspace[], string[], ?number[], Objective, boolean, boolean) => void;
 
 export class ProblemSetup extends ObservableMixin<null> {
     
     +node: HTMLFormElement;
     +ssDim: Input<number>;
     +csDim: Input<number>;
+    +rsDim: Input<number>;
     +equation: EvolutionEquationInput;
     +preview: SystemPreview;
     +ss: Input<Polytope>;
     +rs: Input<Polytope>;
     +cs: Input<Polytope>;
     +predicates: Input<[Halfspace[], string[]]>;
+    +grid: Input<boolean>;
+    +gridCells: Input<number[]>;
     +objective: Input<Objective>;
     +analyseWhenReady: Input<boolean>;
+    +exactArithmetic: Input<boolean>;
     +callback: ProblemCallback;
     +system: AbstractedLSS;
 
@@ -130,11 +150,14 @@ export class ProblemSetup extends ObservableMixin<null> {
 
         this.ssDim = new DropdownInput({"1-dimensional": 1, "2-dimensional": 2}, "2-dimensional");
         this.csDim = new DropdownInput({"1-dimensional": 1, "2-dimensional": 2}, "2-dimensional");
-        this.equation = new EvolutionEquationInput(this.ssDim, this.csDim);
+        this.rsDim = new DropdownInput({"1-dimensional": 1, "2-dimensional": 2}, "2-dimensional");
+        this.equation = new EvolutionEquationInput(this.ssDim, this.csDim, this.rsDim);
         this.ss = new PolytopeInput(this.ssDim, false);
-        this.rs = new PolytopeInput(this.ssDim, false);
+        this.rs = new PolytopeInput(this.rsDim, false);
         this.cs = new PolytopeInput(this.csDim, false);
         this.predicates = new PredicatesInput(this.ssDim);
+        this.grid = new CheckboxInput(false, "initial decomposition into a uniform grid with");
+        this.gridCells = new LineInput(ProblemSetup.parseGridCells, 5, "4");
         this.objective = new ObjectiveInput(this.predicates);
         this.preview = new SystemPreview(this, this.equation, this.objective.terms);
 
@@ -167,7 +190,8 @@ export class ProblemSetup extends ObservableMixin<null> {
                     "Linear Predicates",
                     dom.DIV({ "class": "icons" }, [dom.infoBox("info-input-predicates")])
                 ]),
-                this.predicates.node
+                this.predicates.node,
+                dom.P({}, [this.grid.node, " ", this.gridCells.node, " cells per axis"])
             ])
         ]);
         const submit = dom.INPUT({"type": "submit", "value": "run inspector"});
@@ -178,59 +202,155 @@ export class ProblemSetup extends ObservableMixin<null> {
             }
         });
         this.analyseWhenReady = new CheckboxInput(true, "analyse at startup");
+        this.exactArithmetic = new CheckboxInput(false, "exact arithmetic (slow, for debugging numerical issues)");
         this.node = dom.FORM({}, [
             dom.H3({}, ["Dimensions"]),
             dom.P({}, [this.ssDim.node, " state space"]),
             dom.P({}, [this.csDim.node, " control space"]),
+            dom.P({}, [this.rsDim.node, " random space"]),
             dom.H3({}, ["Evolution Equation"]), this.equation.node,
             columns,
             dom.H3({}, ["Continue"]),
             dom.P({}, [this.analyseWhenReady.node]),
+            dom.P({}, [this.exactArithmetic.node]),
             dom.P({}, [submit])
         ]);
 
         this.equation.A.attach(() => this.notify());
         this.equation.B.attach(() => this.notify());
+        this.equation.c.attach(() => this.notify());
+        this.equation.E.attach(() => this.notify());
+        this.equation.nModes.attach(() => this.notify());
+        this.equation.switching.attach(() => this.notify());
+        this.equation.continuous.attach(() => this.notify());
+        this.equation.dt.attach(() => this.notify());
+        this.equation.domain.attach(() => this.notify());
+        for (let mode of this.equation.modes) {
+            mode.attach(() => this.notify());
+        }
         this.ss.attach(() => this.notify());
         this.rs.attach(() => this.notify());
         this.cs.attach(() => this.notify());
         this.predicates.attach(() => this.notify());
+        this.grid.attach(() => this.notify());
+        this.gridCells.attach(() => this.notify());
+    }
+
+    // Comma-separated numbers of grid cells per axis
+    static parseGridCells(text: string): number[] {
+        const out = text.split(",").map(_ => _.trim()).map(_ => /^[0-9]+$/.test(_) ? parseInt(_) : NaN);
+        if (!out.every(_ => _ > 0)) {
+            throw new ValidationError("number of cells must be a positive integer");
+        }
+        return out;
     }
 
     get lssIsValid(): boolean {
-        return this.equation.isValid && this.ss.isValid && this.rs.isValid && this.cs.isValid;
+        if (!(this.equation.isValid && this.ss.isValid && this.rs.isValid && this.cs.isValid)) {
+            return false;
+        }
+        // Mode domains have to partition the state space
+        try {
+            this.lss;
+        } catch (e) {
+            if (e instanceof ValueError) return false;
+            throw e;
+        }
+        return true;
     }
 
     get lss(): LSS {
-        return new LSS(
-            this.equation.A.value, this.equation.B.value,
-            this.ss.value, this.rs.value, this.cs.value
+        const dynamics = this.equation.dynamics;
+        if (dynamics.length === 1) {
+            return new LSS(
+                dynamics[0].A, dynamics[0].B,
+                this.ss.value, this.rs.value, this.cs.value,
+                dynamics[0].c, this.equation.E.value
+            );
+        }
+        if (this.equation.isSwitched) {
+            return new SwitchedLSS(
+                dynamics.map(_ => ({ A: _.A, B: _.B, c: _.c })),
+                this.ss.value, this.rs.value, this.cs.value, this.equation.E.value
+            );
+        }
+        return new PWALSS(
+            dynamics.map(_ => ({ A: _.A, B: _.B, c: _.c, domain: just(_.domain) })),
+            this.ss.value, this.rs.value, this.cs.value, this.equation.E.value
         );
     }
 
+    // Number of grid cells along each axis if a grid decomposition is
+    // selected, a single number applies to all axes
+    get cellsPerAxis(): ?number[] {
+        if (!this.grid.value) return null;
+        const cells = this.gridCells.value;
+        return cells.length === 1 ? new Array(this.ssDim.value).fill(cells[0]) : cells;
+    }
+
+    get gridIsValid(): boolean {
+        if (!this.grid.value) return true;
+        if (!this.gridCells.isValid) return false;
+        const cells = this.cellsPerAxis;
+        return cells != null && cells.length === this.ssDim.value;
+    }
+
     get systemIsValid(): boolean {
-        return this.lssIsValid && this.predicates.isValid;
+        return this.lssIsValid && this.predicates.isValid && this.gridIsValid;
     }
 
     get system(): AbstractedLSS {
-        return this.lss.decompose(...this.predicates.value);
+        const cells = this.cellsPerAxis;
+        const lss = this.lss;
+        return cells == null ? lss.decompose(...this.predicates.value)
+                             : lss.decomposeGrid(cells, ...this.predicates.value);
     }
 
     // Fill in text fields based on a saved preset
     load(setup: SystemSetup) {
         this.ssDim.text = setup.dimension.stateSpace;
         this.csDim.text = setup.dimension.controlSpace;
+        // Presets without disturbance matrix add the random vector directly
+        const rsDim = setup.dimension.randomSpace;
+        this.rsDim.text = rsDim != null ? rsDim : setup.dimension.stateSpace;
         this.equation.A.text = setup.equation.A;
         this.equation.B.text = setup.equation.B;
+        // Presets without drift have a zero offset
+        const c = setup.equation.c;
+        this.equation.c.text = c != null ? c : this.equation.c.text.split("\n").map(_ => "0").join("\n");
+        const E = setup.equation.E;
+        this.equation.E.text = E != null ? E : linalg.eye(this.ssDim.value).map(row => row.join("\n")).join("\n");
+        // Presets without sampling time are discrete-time
+        const dt = setup.equation.dt;
+        this.equation.continuous.text = dt != null ? "t" : "f";
+        if (dt != null) this.equation.dt.text = dt;
+        // Presets without modes are linear, presets with modes are
+        // piecewise-affine unless marked as switched
+        const modes = setup.equation.modes == null ? [] : setup.equation.modes;
+        this.equation.nModes.text = EvolutionEquationInput.nModesText(modes.length + 1);
+        this.equation.switching.text = setup.equation.switched === true ? SWITCHED : PIECEWISE_AFFINE;
+        const domain = setup.equation.domain;
+        this.equation.domain.text = domain != null ? domain : "";
+        for (let [input, mode] of arr.zip2(this.equation.modes, modes)) {
+            input.A.text = mode.A;
+            input.B.text = mode.B;
+            input.c.text = mode.c != null ? mode.c : input.c.text.split("\n").map(_ => "0").join("\n");
+            input.domain.text = mode.domain != null ? mode.domain : "";
+        }
         this.cs.text = setup.polytope.controlSpace;
         this.rs.text = setup.polytope.randomSpace;
         this.ss.text = setup.polytope.stateSpace;
         this.predicates.text = setup.predicates;
+        // Presets without grid are decomposed by the predicates only
+        const grid = setup.grid;
+        this.grid.text = grid != null ? "t" : "f";
+        if (grid != null) this.gridCells.text = grid;
         this.objective.text = setup.objective;
     }
 
     submit(): void {
-        this.callback(this.lss, ...this.predicates.value, this.objective.value, this.analyseWhenReady.value);
+        this.callback(this.lss, ...this.predicates.value, this.cellsPerAxis, this.objective.value,
+                      this.analyseWhenReady.value, this.exactArithmetic.value);
     }
 
 }
@@ -306,11 +426,15 @@ class SystemPreview {
 
     drawVectorField(): void {
         const shapes = [];
-        if (this.equation.showVectorField.value && this.equation.A.isValid) {
-            const A = this.equation.A.value;
+        if (this.equation.showVectorField.value && this.equation.isValid) {
+            const dynamics = this.equation.dynamics;
             shapes.push({
                 kind: "vectorField",
-                fun: (x) => linalg.apply(A, x),
+                // No arrows outside of the mode domains
+                fun: (x) => {
+                    const mode = dynamics.find(_ => _.domain == null || _.domain.contains(x));
+                    return mode == null ? x : linalg.add(linalg.apply(mode.A, x), mode.c);
+                },
                 scaling: 0.25,
                 n: [15, 15],
             });
@@ -336,54 +460,174 @@ class SystemPreview {
 
 }
 
-// Input of Matrix A and B of LSS that adapts to dimensions selection.
-// Recognize non-NaN numeric entries.
+type ModeDynamics = { A: Matrix, B: Matrix, c: Vector, domain: ?Polytope };
+
+const MAX_MODES = 3;
+
+// Options for the interpretation of multiple modes
+const PIECEWISE_AFFINE = "piecewise-affine";
+const SWITCHED = "switched";
+
+// Input of Matrix A, B and E and drift vector c of LSS that adapts to
+// dimensions selection. Recognize non-NaN numeric entries, empty entries of c
+// are zero. For piecewise-affine and switched systems, A, B and c belong to the
+// first mode and further modes are added below. The modes of a piecewise-affine
+// system have domains, the modes of a switched system are chosen by the
+// controller. For continuous-time systems, A, B and c of all modes are
+// discretized with zero-order hold (the drift is treated as a constant input),
+// E is applied after the discretization.
 class EvolutionEquationInput {
 
     +node: HTMLDivElement;
     +ssDim: Input<number>;
     +csDim: Input<number>;
+    +rsDim: Input<number>;
     +A: MatrixInput<number>;
     +B: MatrixInput<number>;
+    +c: MatrixInput<number>;
+    +E: MatrixInput<number>;
+    +nModes: Input<number>;
+    +switching: Input<string>;
+    +domain: PolytopeInput;
+    +modes: ModeInput[];
+    +continuous: Input<boolean>;
+    +dt: Input<number>;
     +showVectorField: Input<boolean>;
     +isValid: boolean;
+    +_domainLine: HTMLParagraphElement;
+    +_modesNode: HTMLDivElement;
 
-    constructor(ssDim: Input<number>, csDim: Input<number>) {
+    constructor(ssDim: Input<number>, csDim: Input<number>, rsDim: Input<number>) {
         this.ssDim = ssDim;
         this.csDim = csDim;
+        this.rsDim = rsDim;
         this.A = new MatrixInput(EvolutionEquationInput.parseNumber, [2, 2], 5);
         this.B = new MatrixInput(EvolutionEquationInput.parseNumber, [2, 2], 5);
+        this.c = new MatrixInput(EvolutionEquationInput.parseDrift, [2, 1], 5, "0\n0");
+        this.E = new MatrixInput(EvolutionEquationInput.parseNumber, [2, 2], 5, "1\n0\n0\n1");
+        const nModesOptions = {};
+        for (let n = 1; n <= MAX_MODES; n++) {
+            nModesOptions[EvolutionEquationInput.nModesText(n)] = n;
+        }
+        this.nModes = new DropdownInput(nModesOptions);
+        this.switching = new DropdownInput({ [PIECEWISE_AFFINE]: PIECEWISE_AFFINE, [SWITCHED]: SWITCHED });
+        this.domain = new PolytopeInput(ssDim, false);
+        this.modes = [];
+        for (let i = 1; i < MAX_MODES; i++) {
+            this.modes.push(new ModeInput(ssDim, csDim));
+        }
+        this.continuous = new CheckboxInput(false, dom.renderTeX(
+            "\\text{continuous-time } \\dot{x} = A x + B u + c \\text{, zero-order hold with sampling time}", dom.SPAN()
+        ));
+        this.dt = new LineInput(EvolutionEquationInput.parseSamplingTime, 5, "1");
         this.showVectorField = new CheckboxInput(false, "show vector field");
         this.showVectorField.node.title = "scaling: x0.25";
+        this._domainLine = dom.P({}, [dom.renderTeX("\\text{if } x_t \\in", dom.SPAN()), this.domain.node]);
+        this._modesNode = dom.DIV();
         this.node = dom.DIV({}, [
+            dom.P({}, [this.nModes.node, " ", this.switching.node, " dynamics"]),
             dom.P({}, [
                 dom.renderTeX("x_{t+1} =", dom.SPAN()),
                 this.A.node,
                 dom.renderTeX("x_t +", dom.SPAN()),
                 this.B.node,
-                dom.renderTeX("u_t + w_t", dom.SPAN())
+                dom.renderTeX("u_t +", dom.SPAN()),
+                this.c.node,
+                dom.renderTeX("+", dom.SPAN()),
+                this.E.node,
+                dom.renderTeX("w_t", dom.SPAN())
             ]),
+            this._modesNode,
+            dom.P({}, [this.continuous.node, " ", this.dt.node]),
             dom.P({}, [this.showVectorField.node])
         ]);
+        this.continuous.attach(() => {
+            this.dt.disabled = !this.continuous.value;
+        }, true);
+        const updateModes = () => {
+            const modes = this.modes.slice(0, this.nModes.value - 1);
+            const hasDomains = !this.isSwitched;
+            for (let mode of modes) {
+                mode.hasDomain = hasDomains;
+            }
+            dom.replaceChildren(this._modesNode, modes.length === 0 ? [] : [
+                ...(hasDomains ? [this._domainLine] : []), ...modes.map(_ => _.node)
+            ]);
+            this.switching.disabled = modes.length === 0;
+        };
+        this.nModes.attach(updateModes);
+        this.switching.attach(updateModes);
+        updateModes();
         ssDim.attach(() => {
             this.A.shape = [ssDim.value, ssDim.value];
             this.B.shape = [ssDim.value, csDim.value];
+            this.c.shape = [ssDim.value, 1];
+            this.E.shape = [ssDim.value, rsDim.value];
         });
         csDim.attach(() => {
             this.B.shape = [ssDim.value, csDim.value];
         });
+        rsDim.attach(() => {
+            this.E.shape = [ssDim.value, rsDim.value];
+        });
     }
 
     get isValid(): boolean {
-        if (this.A.isValid && this.B.isValid) {
+        if (this.nModes.value > 1) {
+            if (!this.isSwitched && !this.domain.isValid) return false;
+            if (!iter.every(this.modes.slice(0, this.nModes.value - 1).map(_ => _.isValid))) return false;
+        }
+        if (this.continuous.value && !this.dt.isValid) return false;
+        if (this.A.isValid && this.B.isValid && this.c.isValid && this.E.isValid) {
             let shapeA = this.A.shape;
             let shapeB = this.B.shape;
+            let shapeC = this.c.shape;
+            let shapeE = this.E.shape;
             return shapeA[0] === this.ssDim.value && shapeA[0] === shapeA[1]
-                && shapeB[0] === this.ssDim.value && shapeB[1] === this.csDim.value;
+                && shapeB[0] === this.ssDim.value && shapeB[1] === this.csDim.value
+                && shapeC[0] === this.ssDim.value && shapeC[1] === 1
+                && shapeE[0] === this.ssDim.value && shapeE[1] === this.rsDim.value;
         }
         return false;
     }
 
+    // Drift vector from the single-column matrix input
+    get drift(): number[] {
+        return this.c.value.map(row => row[0]);
+    }
+
+    // Multiple modes are chosen by the controller
+    get isSwitched(): boolean {
+        return this.nModes.value > 1 && this.switching.value === SWITCHED;
+    }
+
+    // Discrete-time dynamics of all modes, the domain is null if there is only
+    // one mode or the system is switched
+    get dynamics(): ModeDynamics[] {
+        const domain = (this.nModes.value === 1 || this.isSwitched) ? null : this.domain.value;
+        const dynamics = [
+            { A: this.A.value, B: this.B.value, c: this.drift, domain: domain },
+            ...this.modes.slice(0, this.nModes.value - 1).map(_ => _.value)
+        ];
+        return this.continuous.value ? dynamics.map(_ => this.discretize(_)) : dynamics;
+    }
+
+    // Zero-order hold discretization, the drift is an additional input column
+    discretize(mode: ModeDynamics): ModeDynamics {
+        const Bc = mode.B.map((row, i) => row.concat([mode.c[i]]));
+        const [A, Bd] = zeroOrderHold(mode.A, Bc, this.dt.value);
+        return {
+            A: A,
+            B: Bd.map(row => row.slice(0, -1)),
+            c: Bd.map(row => row[row.length - 1]),
+            domain: mode.domain
+        };
+    }
+
+    static nModesText(n: number): string {
+        return n === 1 ? "1 mode" : String(n) + " modes";
+    }
+
     static parseNumber(text: string): number {
         let out = parseFloat(text);
         if (isNaN(out)) {
@@ -392,6 +636,98 @@ class EvolutionEquationInput {
         return out;
     }
 
+    static parseSamplingTime(text: string): number {
+        const out = EvolutionEquationInput.parseNumber(text);
+        if (!(out > 0 && Number.isFinite(out))) {
+            throw new ValidationError("sampling time must be positive");
+        }
+        return out;
+    }
+
+    static parseDrift(text: string): number {
+        return text.trim() === "" ? 0 : EvolutionEquationInput.parseNumber(text);
+    }
+
+}
+
+
+// Dynamics and domain of an additional mode of a piecewise-affine system or
+// dynamics of an additional mode of a switched system. The disturbance matrix E
+// is shared with the first mode.
+class ModeInput extends ObservableMixin<null> {
+
+    +node: HTMLDivElement;
+    +ssDim: Input<number>;
+    +csDim: Input<number>;
+    +A: MatrixInput<number>;
+    +B: MatrixInput<number>;
+    +c: MatrixInput<number>;
+    +domain: PolytopeInput;
+    _hasDomain: boolean;
+    +_domainLine: HTMLParagraphElement;
+
+    constructor(ssDim: Input<number>, csDim: Input<number>): void {
+        super();
+        this.ssDim = ssDim;
+        this.csDim = csDim;
+        this.A = new MatrixInput(EvolutionEquationInput.parseNumber, [ssDim.value, ssDim.value], 5);
+        this.B = new MatrixInput(EvolutionEquationInput.parseNumber, [ssDim.value, csDim.value], 5);
+        this.c = new MatrixInput(EvolutionEquationInput.parseDrift, [ssDim.value, 1], 5);
+        this.domain = new PolytopeInput(ssDim, false);
+        this._hasDomain = true;
+        this._domainLine = dom.P({}, [dom.renderTeX("\\text{if } x_t \\in", dom.SPAN()), this.domain.node]);
+        this.node = dom.DIV({}, [
+            dom.P({}, [
+                dom.renderTeX("x_{t+1} =", dom.SPAN()),
+                this.A.node,
+                dom.renderTeX("x_t +", dom.SPAN()),
+                this.B.node,
+                dom.renderTeX("u_t +", dom.SPAN()),
+                this.c.node,
+                dom.renderTeX("+ E w_t", dom.SPAN())
+            ]),
+            this._domainLine
+        ]);
+        ssDim.attach(() => {
+            this.A.shape = [ssDim.value, ssDim.value];
+            this.B.shape = [ssDim.value, csDim.value];
+            this.c.shape = [ssDim.value, 1];
+        });
+        csDim.attach(() => {
+            this.B.shape = [ssDim.value, csDim.value];
+        });
+        this.A.attach(() => this.notify());
+        this.B.attach(() => this.notify());
+        this.c.attach(() => this.notify());
+        this.domain.attach(() => this.notify());
+    }
+
+    // Modes of switched systems have no domain
+    set hasDomain(tf: boolean): void {
+        if (tf !== this._hasDomain) {
+            if (tf) {
+                this.node.appendChild(this._domainLine);
+            } else {
+                this.node.removeChild(this._domainLine);
+            }
+            this._hasDomain = tf;
+        }
+    }
+
+    get isValid(): boolean {
+        return this.A.isValid && this.B.isValid && this.c.isValid && (!this._hasDomain || this.domain.isValid)
+            && this.A.shape[0] === this.ssDim.value && this.B.shape[1] === this.csDim.value;
+    }
+
+    get value(): ModeDynamics {
+        return {
+            A: this.A.value,
+            B: this.B.value,
+            c: this.c.value.map(row => row[0]),
+            domain: this._hasDomain ? this.domain.value : null
+        };
+    }
+
 }
 
 
@@ -430,7 +766,11 @@ class PolytopeInput extends ObservableMixin<null> implements Input<Polytope> {
     }
 
     get value(): Polytope {
-        return Polytope.ofDim(this.variables.length).intersection(this.predicates.value);
+        // Tolerance based on the distances of the halfspaces from the origin,
+        // the LSS determines its own tolerance later
+        const hs = this.predicates.value;
+        const magnitude = Math.max(0, ...hs.filter(h => Number.isFinite(h.offset)).map(h => Math.abs(h.offset)));
+        return Polytope.ofDim(this.variables.length).intersection(hs, toleranceOf(magnitude));
     }
 
     get text(): string {
@@ -2,24 +2,26 @@
 "use strict";
 
 import type { JSONTrace } from "./controller.js";
-import type { Region, JSONPolytope, JSONUnion } from "./geometry.js";
-import type { JSONGameGraph, AnalysisResult, AnalysisResults } from "./game.js";
+import type { Region, JSONPolytope, JSONUnion, JSONHalfspace } from "./geometry.js";
+import type { JSONGameGraph, AnalysisResult, AnalysisResults, ProbabilityBounds, ProbabilityInterval } from "./game.js";
 import type { JSONSession } from "./inspector.js";
 import type { JSONObjective, AutomatonStateID } from "./logic.js";
 import type { Refinery, RobustReachabilitySettings, TransitionRefineryLayers } from "./refinement.js";
 import type { Snapshot } from "./snapshot.js";
-import type { StateID, ActionID, SupportID, PredicateID, LSS, State, RefinementMap,
-              JSONAbstractedLSS } from "./system.js";
+import type { StateID, ActionID, SupportID, PredicateID, LSS, State, RefinementMap, MergeMap,
+              JSONAbstractedLSS, VerificationReport } from "./system.js";
 
 import { RandomController, RoundRobinController, PreRLayeredTransitionController, Trace } from "./controller.js";
 import { TwoPlayerProbabilisticGame } from "./game.js";
-import { Polytope, Union } from "./geometry.js";
-import { Objective } from "./logic.js";
+import { Polytope, Union, Halfspace } from "./geometry.js";
+import * as linalg from "./linalg.js";
+import { Objective, AtomicProposition, traverseProposition } from "./logic.js";
 import { TransitionRefinery, PositiveRobustRefinery, NegativeAttrRefinery, SafetyRefinery,
-         SelfLoopRefinery } from "./refinement.js";
+         SelfLoopRefinery, Coarsener } from "./refinement.js";
+import { NoiseDistribution, parseDensity } from "./probability.js";
 import { SnapshotTree } from "./snapshot.js";
-import { AbstractedLSS } from "./system.js";
-import { just, iter, sets, obj } from "./tools.js";
+import { AbstractedLSS, TransitionBounds } from "./system.js";
+import { just, iter, sets, obj, PRNG } from "./tools.js";
 import { Communicator } from "./worker.js";
 
 
@@ -40,13 +42,19 @@ class SystemManager {
     // Current state of worker
     _system: ?AbstractedLSS;
     _analysis: ?AnalysisResults;
+    _bounds: ?ProbabilityBounds;
     _objective: ?Objective;
+    // Randomness for refinement, its state is recorded in snapshots so
+    // refinements can be reproduced
+    _rng: PRNG;
 
     constructor(): void {
         this._snapshots = new SnapshotTree();
         this._system = null;
         this._analysis = null;
+        this._bounds = null;
         this._objective = null;
+        this._rng = new PRNG();
     }
 
     // Startup (has to be called before instance can be used)
@@ -76,6 +84,14 @@ class SystemManager {
         return this._analysis;
     }
 
+    get bounds(): ?ProbabilityBounds {
+        return this._bounds;
+    }
+
+    get rng(): PRNG {
+        return this._rng;
+    }
+
     // Transferable tree representation for widget-display
 
     get snapshotTree(): SnapshotData {
@@ -95,13 +111,17 @@ class SystemManager {
     // Snapshot management
 
     takeSnapshot(name: string): void {
-        this._snapshots.take(name, this.system, this.analysis, true);
+        this._snapshots.take(name, this.system, this.analysis, true, this._rng.state, this.objective, this.bounds);
     }
 
+    // Switches to the objective of the snapshot (if it is recorded)
     loadSnapshot(id: number): Snapshot {
         this._snapshots.select(id);
         this._system = this._snapshots.getSystem();
         this._analysis = this._snapshots.getAnalysis();
+        this._bounds = this._snapshots.getBounds();
+        this._restoreSeed();
+        this._restoreObjective();
         return this._snapshots.getSnapshot();
     }
 
@@ -136,8 +156,50 @@ class SystemManager {
         };
     }
 
+    // Approximate bounds on the satisfaction probabilities for the given
+    // density of the random vector (an expression in the given variables),
+    // integrated with the given number of grid cells per axis of the random
+    // space
+    analyseBounds(density: string, variables: string, resolution: number): BoundsData {
+        const t0 = performance.now();
+        const noise = NoiseDistribution.discretize(this.lss.ww, parseDensity(density, variables), resolution);
+        // Previous analysis results are not used to simplify the game, as the
+        // simplified game underestimates the upper bounds
+        const game = TwoPlayerProbabilisticGame.fromProduct(this.system, this.objective);
+        const t1 = performance.now();
+        const bounds = game.analyseBounds(new TransitionBounds(this.system, noise));
+        this._bounds = bounds;
+        const t2 = performance.now();
+        return {
+            quadraturePoints: noise.points.length,
+            converged: bounds.converged,
+            tGame: (t1 - t0),
+            tAnalysis: (t2 - t1)
+        };
+    }
+
     resetAnalysis(): void {
         this._analysis = null;
+        this._bounds = null;
+    }
+
+    // Replace the objective while keeping the partition. Analysis results are
+    // discarded unless they are compatible with the new objective. Returns
+    // whether the analysis results were kept.
+    setObjective(objective: Objective): boolean {
+        // All linear predicates referenced by the objective must exist
+        for (let proposition of objective.propositions.values()) {
+            traverseProposition(prop => {
+                if (prop instanceof AtomicProposition) this.system.getPredicate(prop.symbol);
+            }, proposition);
+        }
+        const isCompatible = this.objective.isCompatibleWith(objective);
+        if (!isCompatible) {
+            this._analysis = null;
+            this._bounds = null;
+        }
+        this._objective = objective;
+        return isCompatible;
     }
 
     refine(refinery: Refinery): RefinementMap {
@@ -148,9 +210,47 @@ class SystemManager {
         if (analysis != null) {
             analysis.remap(refinementMap);
         }
+        const bounds = this.bounds;
+        if (bounds != null) {
+            bounds.remap(refinementMap);
+        }
         return refinementMap;
     }
 
+    addPredicate(label: PredicateID, predicate: Halfspace): RefinementMap {
+        const refinementMap = this.system.addPredicate(label, predicate);
+        // Update analysis results
+        const analysis = this.analysis;
+        if (analysis != null) {
+            analysis.remap(refinementMap);
+        }
+        const bounds = this.bounds;
+        if (bounds != null) {
+            bounds.remap(refinementMap);
+        }
+        return refinementMap;
+    }
+
+    coarsen(coarsener: Coarsener): MergeMap {
+        const mergeMap = this.system.merge(coarsener.groups());
+        // Update analysis results. States that can reach a merged state may
+        // have lost their strategy and must be decided again.
+        const analysis = this.analysis;
+        if (analysis != null) {
+            analysis.remapMerged(mergeMap);
+            analysis.undecide(iter.map(_ => _.label, this.system.ancestorsOf(mergeMap.keys())));
+        }
+        // Their probability bounds no longer hold either
+        const bounds = this.bounds;
+        if (bounds != null) {
+            bounds.remapMerged(mergeMap);
+            for (let state of this.system.ancestorsOf(mergeMap.keys())) {
+                bounds.delete(state.label);
+            }
+        }
+        return mergeMap;
+    }
+
     // System status
 
     getAnalysis(state: State): ?AnalysisResult {
@@ -159,6 +259,11 @@ class SystemManager {
         return result;
     }
 
+    getBounds(state: State): ?Map<AutomatonStateID, ProbabilityInterval> {
+        if (this._bounds == null) return null;
+        return this._bounds.get(state.label);
+    }
+
     getCountStats(q: AutomatonStateID): SystemStats {
         return this._stats(q, _ => 1);
     }
@@ -199,7 +304,8 @@ class SystemManager {
     exportSession(includeGraph?: boolean): JSONSession {
         return {
             objective: this.objective.serialize(),
-            snapshots: this._snapshots.serialize(includeGraph)
+            snapshots: this._snapshots.serialize(includeGraph),
+            exact: linalg.isExactMode()
         };
     }
 
@@ -210,6 +316,21 @@ class SystemManager {
         this._objective = Objective.deserialize(session.objective);
         this._system = this._snapshots.getSystem();
         this._analysis = this._snapshots.getAnalysis();
+        this._bounds = this._snapshots.getBounds();
+        this._restoreSeed();
+        this._restoreObjective();
+    }
+
+    // Continue with the random sequence of the current snapshot (if known)
+    _restoreSeed(): void {
+        const seed = this._snapshots.getSeed();
+        if (seed != null) this._rng = new PRNG(seed);
+    }
+
+    // Continue with the objective of the current snapshot (if known)
+    _restoreObjective(): void {
+        const objective = this._snapshots.getObjective();
+        if (objective != null) this._objective = objective;
     }
 
 }
@@ -232,8 +353,11 @@ export type StateData = {
     isOuter: boolean,
     predicates: Set<PredicateID>,
     analysis: ?AnalysisResult,
+    bounds: ?Map<AutomatonStateID, ProbabilityInterval>,
     polytope: JSONPolytope,
-    centroid: number[]
+    centroid: number[],
+    chebyshevCenter: number[],
+    inradius: number
 };
 export type StatesRequest = null;
 export type StatesData = Map<StateID, StateData>;
@@ -251,8 +375,11 @@ function stateDataOf(state: State): StateData {
         isOuter: state.isOuter,
         predicates: state.predicates,
         analysis: $.getAnalysis(state),
+        bounds: $.getBounds(state),
         polytope: state.polytope.serialize(),
-        centroid: state.polytope.centroid
+        centroid: state.polytope.centroid,
+        chebyshevCenter: state.polytope.chebyshevCenter,
+        inradius: state.polytope.inradius
     };
 }
 
@@ -260,6 +387,7 @@ function stateDataOf(state: State): StateData {
 export type ActionsRequest = StateID;
 export type ActionData = {
     id: ActionID,
+    mode: number,
     controls: JSONUnion,
     origin: StateID,
     targets: StateID[]
@@ -269,6 +397,7 @@ inspector.onRequest("get-actions", function (data: ActionsRequest): ActionsData
     return $.system.getState(data).actions.map((action, id) => ({
         origin: action.origin.label,
         id: id,
+        mode: action.mode,
         controls: action.controls.toUnion().serialize(),
         targets: Array.from(action.targets, _ => _.label)
     }));
@@ -303,7 +432,9 @@ const Controllers = {
 export type TraceRequest = {
     controller: string,
     origin: [?StateID, AutomatonStateID],
-    steps: number
+    steps: number,
+    // Seed of the random number generator used for sampling the trace
+    seed: number
 };
 export type TraceData = JSONTrace;
 inspector.onRequest("get-trace", function (data: TraceRequest): TraceData {
@@ -311,13 +442,15 @@ inspector.onRequest("get-trace", function (data: TraceRequest): TraceData {
         Controllers[data.controller],
         "Controller '" + data.controller + "' not found in built-in controllers"
     );
-    const controller = new Cls($.system, $.objective, $.analysis);
+    // Initial point, controller and perturbations share the random sequence
+    const rng = new PRNG(data.seed);
+    const controller = new Cls($.system, $.objective, $.analysis, rng);
     const [xLabel, qLabel] = data.origin;
     const qInit = $.objective.getState(qLabel);
     const xInit = xLabel == null
-                ? $.system.lss.xx.sample()
-                : $.system.getState(xLabel).polytope.sample();
-    const trace = new Trace($.system, $.objective);
+                ? $.system.lss.xx.sample(rng.random)
+                : $.system.getState(xLabel).polytope.sample(rng.random);
+    const trace = new Trace($.system, $.objective, rng);
     trace.stepFor(data.steps, controller, xInit, null, qInit);
     return trace.serialize();
 });
@@ -338,6 +471,35 @@ inspector.onRequest("analyse", function (data: AnalysisRequest): AnalysisData {
     return $.analyse();
 });
 
+// Approximate bounds on the satisfaction probabilities
+export type AnalyseBoundsRequest = {
+    // Density of the random vector as an expression in the variables
+    density: string,
+    variables: string,
+    // Number of grid cells per axis of the random space for the integration
+    resolution: number
+};
+export type BoundsData = {
+    quadraturePoints: number,
+    // False if the value iteration stopped at its iteration limit
+    converged: boolean,
+    tGame: number,
+    tAnalysis: number
+};
+inspector.onRequest("analyse-bounds", function (data: AnalyseBoundsRequest): BoundsData {
+    return $.analyseBounds(data.density, data.variables, data.resolution);
+});
+
+// Replace the objective of the session
+export type SetObjectiveRequest = JSONObjective;
+export type SetObjectiveData = {
+    // Were the analysis results compatible with the new objective?
+    keptAnalysis: boolean
+};
+inspector.onRequest("set-objective", function (data: SetObjectiveRequest): SetObjectiveData {
+    return { keptAnalysis: $.setObjective(Objective.deserialize(data)) };
+});
+
 // Reset the analysis state
 export type ResetAnalysisRequest = null;
 export type ResetAnalysisData = null;
@@ -356,6 +518,13 @@ inspector.onRequest("get-system-summary", function (data: SystemSummaryRequest):
     ));
 });
 
+// Consistency check of the current system
+export type VerifySystemRequest = null;
+export type VerifySystemData = VerificationReport;
+inspector.onRequest("verify-system", function (data: VerifySystemRequest): VerifySystemData {
+    return $.system.verify();
+});
+
 
 /* Refinement */
 
@@ -391,7 +560,7 @@ inspector.onRequest("refine-transition", function (data: RefineTransitionRequest
     const analysis = just($.analysis, "Refinement requires an analysed system");
     const t0 = performance.now();
     const refinery = new TransitionRefinery($.system, $.objective, analysis, data.origin,
-                                            data.target, data.layers, data.settings);
+                                            data.target, data.layers, data.settings, $.rng);
     refinery.iterate(data.steps);
     const refinementMap = $.refine(refinery);
     const t1 = performance.now();
@@ -408,13 +577,13 @@ inspector.onRequest("refine-holistic", function (data: RefineHolisticRequest): R
     const t0 = performance.now();
     let refinery;
     if (data.method === "positive-robust") {
-        refinery = new PositiveRobustRefinery($.system, $.objective, analysis, data.operator)
+        refinery = new PositiveRobustRefinery($.system, $.objective, analysis, data.operator, $.rng)
     } else if (data.method === "negative-attractor") {
-        refinery = new NegativeAttrRefinery($.system, $.objective, analysis)
+        refinery = new NegativeAttrRefinery($.system, $.objective, analysis, $.rng)
     } else if (data.method === "safety") {
-        refinery = new SafetyRefinery($.system, $.objective, analysis)
+        refinery = new SafetyRefinery($.system, $.objective, analysis, $.rng)
     } else if (data.method === "self-loop") {
-        refinery = new SelfLoopRefinery($.system, $.objective, analysis, data.optimistic, data.onlySafe)
+        refinery = new SelfLoopRefinery($.system, $.objective, analysis, data.optimistic, data.onlySafe, $.rng)
     } else throw new Error(
         "Unknown holistic refinement method '" + data.method + "'"
     );
@@ -423,6 +592,33 @@ inspector.onRequest("refine-holistic", function (data: RefineHolisticRequest): R
     return refineData((t1 - t0), refinementMap);
 });
 
+// Additional linear predicate
+export type AddPredicateRequest = { label: PredicateID, predicate: JSONHalfspace };
+inspector.onRequest("add-predicate", function (data: AddPredicateRequest): RefineData {
+    const t0 = performance.now();
+    const refinementMap = $.addPredicate(data.label, Halfspace.deserialize(data.predicate));
+    const t1 = performance.now();
+    return refineData((t1 - t0), refinementMap);
+});
+
+// Coarsening (merging of decided states)
+export type CoarsenRequest = null;
+inspector.onRequest("coarsen", function (data: CoarsenRequest): RefineData {
+    const analysis = just($.analysis, "Coarsening requires an analysed system");
+    const t0 = performance.now();
+    const mergeMap = $.coarsen(new Coarsener($.system, analysis));
+    const t1 = performance.now();
+    const removed = [];
+    for (let olds of mergeMap.values()) {
+        for (let old of olds) removed.push(old.label);
+    }
+    return {
+        elapsed: (t1 - t0),
+        removed: removed,
+        created: Array.from(mergeMap.keys(), _ => _.label)
+    };
+});
+
 
 /* Snapshot management */
 
@@ -448,13 +644,16 @@ inspector.onRequest("take-snapshot", function (data: TakeSnapshotRequest): TakeS
 export type LoadSnapshotRequest = number;
 export type LoadSnapshotData = {
     name: string,
-    states: number
+    states: number,
+    // Objective of the session after loading
+    objective: JSONObjective
 };
 inspector.onRequest("load-snapshot", function (data: LoadSnapshotRequest): LoadSnapshotData {
     const snap = $.loadSnapshot(data);
     return {
         name: snap.name,
-        states: snap.system.states.filter(_ => !_.isOuter).length
+        states: snap.system.states.filter(_ => !_.isOuter).length,
+        objective: $.objective.serialize()
     };
 });
 
@@ -479,9 +678,11 @@ inspector.onRequest("export-session", function (data: ExportSessionRequest): Exp
 inspector.host = self;
 
 // Initialize
-export type InitializationData = [JSONAbstractedLSS, JSONObjective, boolean, ?JSONSession];
+export type InitializationData = [JSONAbstractedLSS, JSONObjective, boolean, boolean, ?JSONSession];
 inspector.request("init", null).then(function (data: InitializationData) {
-    const [system, objective, analyse, session] = data;
+    const [system, objective, analyse, exact, session] = data;
+    // Arithmetic mode must be set before any geometric computations
+    linalg.setExactMode(exact);
     // Initialize the global state manager
     $.initialize(AbstractedLSS.deserialize(system), Objective.deserialize(objective), analyse);
     // Load session
@@ -5,6 +5,7 @@ import type { JSONObjective } from "./logic.js";
 import type { JSONSnapshotTree } from "./snapshot.js";
 
 import * as dom from "./dom.js";
+import * as linalg from "./linalg.js";
 import { SessionManager, ProblemSetup } from "./inspector-widgets-setup.js"
 import { ProblemSummary, SystemInspector } from "./inspector-widgets-inspector.js";
 import { Objective } from "./logic.js";
@@ -14,8 +15,11 @@ import { just } from "./tools.js";
 
 
 export type JSONSession = {
+    // Current objective, snapshots record the objective of their analysis
     objective: JSONObjective,
-    snapshots: JSONSnapshotTree
+    snapshots: JSONSnapshotTree,
+    // Exact arithmetic mode of linalg (for reproducing numerical issues)
+    exact?: boolean
 };
 
 
@@ -24,40 +28,58 @@ document.addEventListener("DOMContentLoaded", function () {
     const contentNode = just(document.getElementById("application"));
     const keybindings = new dom.Keybindings();
 
-    function startInspector(system: AbstractedLSS, objective: Objective,
-                            analyseWhenReady: boolean, session: ?JSONSession) {
+    function startInspector(system: AbstractedLSS, objective: Objective, analyseWhenReady: boolean,
+                            exactArithmetic: boolean, session: ?JSONSession) {
         // Show a summary of the problem setup and the interactive system inspector
         const problem = new ProblemSummary(system, objective);
-        const inspector = new SystemInspector(system, objective, keybindings, analyseWhenReady, session);
+        const inspector = new SystemInspector(system, objective, keybindings, analyseWhenReady,
+                                              exactArithmetic, session);
         // Replace problem setup screen with inspector application
         dom.replaceChildren(contentNode, [problem.node, inspector.node]);
         contentNode.scrollIntoView();
     }
 
-    const problemSetup = new ProblemSetup((lss, predicates, predicateLabels, objective, analyseWhenReady) => {
+    const problemSetup = new ProblemSetup((lss, predicates, predicateLabels, cellsPerAxis, objective,
+                                           analyseWhenReady, exactArithmetic) => {
+        // Arithmetic mode must be set before any geometric computations
+        linalg.setExactMode(exactArithmetic);
         // Create initial abstraction of LSS by decomposing with the specified
-        // predicates
-        const system = lss.decompose(predicates, predicateLabels);
+        // predicates (and optionally a uniform grid)
+        const system = cellsPerAxis == null ? lss.decompose(predicates, predicateLabels)
+                                            : lss.decomposeGrid(cellsPerAxis, predicates, predicateLabels);
         // Switch to inspector
-        startInspector(system, objective, analyseWhenReady, null);
+        startInspector(system, objective, analyseWhenReady, exactArithmetic, null);
     });
 
-    const sessionManager = new SessionManager(problemSetup, (session: JSONSession) => {
+    const sessionManager = new SessionManager(problemSetup, (session: JSONSession, verify: boolean) => {
         // Basic session object check
         if (session.objective == null || session.snapshots == null) throw new Error(
             "Invalid session file"
         );
-        // Deserialize objective for inspector initialization
-        const objective = Objective.deserialize(session.objective);
+        // Deserialize objective for inspector initialization, the objective
+        // of the current snapshot takes precedence if it is recorded
+        const current = session.snapshots.current;
+        const currentObjective = current == null ? null : session.snapshots.snapshots[current][0].objective;
+        const objective = Objective.deserialize(currentObjective != null ? currentObjective : session.objective);
         // Pick out root node from snapshot tree and use as base-system
         const root = session.snapshots.root;
         if (root == null) throw new Error(
             "Session does not contain snapshots"
         );
         const [snapshot, _] = session.snapshots.snapshots[root];
+        // Restore the arithmetic mode of the session
+        const exactArithmetic = session.exact === true;
+        linalg.setExactMode(exactArithmetic);
         const system = AbstractedLSS.deserialize(snapshot.system);
+        // Reject corrupt sessions before they cause trouble in the inspector
+        if (verify) {
+            const report = system.verify();
+            if (!report.isValid) throw new Error(
+                "Session contains an inconsistent system: " + report.issues.map(_ => _.message).join("; ")
+            );
+        }
         // Switch to inspector
-        startInspector(system, objective, false, session);
+        startInspector(system, objective, false, exactArithmetic, session);
     });
 
     dom.replaceChildren(contentNode, [sessionManager.node, problemSetup.node]);
@@ -1,7 +1,8 @@
 // @flow
 "use strict";
 
-import { arr, NotImplementedError } from "./tools.js";
+import { Rational } from "./rational.js";
+import { arr } from "./tools.js";
 
 
 // Exceptions
@@ -16,6 +17,21 @@ export type Matrix = number[][];
 // comparisons involving zero, here an absolute value is chosen.
 export const TOL = 1.0e-8;
 
+// Exact arithmetic mode (off by default): dot, det, inv, solve, rank and
+// nullspace are computed in rational arithmetic and the results are rounded
+// only once at the end. Comparisons still use TOL, but the compared values
+// are free of accumulated rounding errors. Much slower, intended for
+// reproducing and debugging numerical failures.
+let exactMode = false;
+
+export function setExactMode(enabled: boolean): void {
+    exactMode = enabled;
+}
+
+export function isExactMode(): boolean {
+    return exactMode;
+}
+
 
 export function assertEqualDims(n: number, m: number): void {
     if (n != m) {
@@ -39,6 +55,7 @@ export function norm2(v: Vector): number {
 
 export function dot(v: Vector, w: Vector): number {
     assertEqualDims(v.length, w.length);
+    if (exactMode) return Rational.sumOfProducts(v, w).toNumber();
     let sum = 0;
     for (let i = 0; i < v.length; i++) {
         sum += v[i] * w[i];
@@ -61,9 +78,11 @@ export function midpoint(v: Vector, w: Vector): Vector {
     return arr.zip2map((a, b) => a + 0.5 * (b - a), v, w);
 }
 
-export function areClose(v: Vector, w: Vector): boolean {
+// An absolute tolerance other than TOL can be specified
+export function areClose(v: Vector, w: Vector, tol?: number): boolean {
     assertEqualDims(v.length, w.length);
-    return norm2(sub(v, w)) < TOL;
+    if (tol == null) tol = TOL;
+    return norm2(sub(v, w)) < tol;
 }
 
 
@@ -94,28 +113,207 @@ export function eye(size: number): Matrix {
     return m;
 }
 
-export function det(m: Matrix): number {
+// LU decomposition with partial pivoting of a square matrix: P·m = L·U. L (unit
+// lower triangular, diagonal not stored) and U are packed into a single matrix.
+// perm is the row permutation P, sign its parity (for the determinant).
+// Decomposition does not fail for singular matrices, they are recognized by
+// a (close to) zero on the diagonal of U.
+function luDecompose(m: Matrix): { lu: Matrix, perm: number[], sign: number } {
     assertEqualDims(m.length, m[0].length);
-    switch (m.length) {
-        case 1: return m[0][0];
-        case 2: return m[0][0] * m[1][1] - m[0][1] * m[1][0];
-        default: throw new NotImplementedError();
+    const n = m.length;
+    const lu = m.map(row => row.slice());
+    const perm = [];
+    for (let i = 0; i < n; i++) {
+        perm.push(i);
     }
+    let sign = 1;
+    for (let k = 0; k < n; k++) {
+        // Pivot: largest absolute value in column k
+        let p = k;
+        for (let i = k + 1; i < n; i++) {
+            if (Math.abs(lu[i][k]) > Math.abs(lu[p][k])) p = i;
+        }
+        if (p !== k) {
+            const row = lu[p];
+            lu[p] = lu[k];
+            lu[k] = row;
+            const idx = perm[p];
+            perm[p] = perm[k];
+            perm[k] = idx;
+            sign = -sign;
+        }
+        // Column is zero below the diagonal, nothing to eliminate
+        if (lu[k][k] === 0) continue;
+        for (let i = k + 1; i < n; i++) {
+            const f = lu[i][k] / lu[k][k];
+            lu[i][k] = f;
+            for (let j = k + 1; j < n; j++) {
+                lu[i][j] -= f * lu[k][j];
+            }
+        }
+    }
+    return { lu: lu, perm: perm, sign: sign };
 }
 
-export function inv(m: Matrix): Matrix {
-    assertEqualDims(m.length, m[0].length);
-    const d = det(m);
-    if (Math.abs(d) < TOL) {
-        throw new MathError("matrix not invertible");
-    } else {
-        switch (m.length) {
-            case 1: return [[ 1 / d ]];
-            case 2: return [[ m[1][1] / d, -m[0][1] / d],
-                            [-m[1][0] / d,  m[0][0] / d]];
-            default: throw new NotImplementedError();
+// Forward and back substitution with a non-singular LU decomposition
+function luSolve(lu: Matrix, perm: number[], b: Vector): Vector {
+    const n = lu.length;
+    const x = perm.map(i => b[i]);
+    for (let i = 1; i < n; i++) {
+        for (let j = 0; j < i; j++) {
+            x[i] -= lu[i][j] * x[j];
+        }
+    }
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = i + 1; j < n; j++) {
+            x[i] -= lu[i][j] * x[j];
+        }
+        x[i] = x[i] / lu[i][i];
+    }
+    return x;
+}
+
+function luAssertNonSingular(lu: Matrix): void {
+    for (let i = 0; i < lu.length; i++) {
+        if (Math.abs(lu[i][i]) < TOL) throw new MathError("matrix is singular");
+    }
+}
+
+// Row echelon form of a (rectangular) matrix by Gaussian elimination with
+// partial pivoting. Returns the reduced row echelon form and the indices of
+// the pivot columns (their number is the rank of the matrix).
+function rref(m: Matrix): [Matrix, number[]] {
+    if (exactMode) {
+        const [rows, pivots, _] = rrefExact(m, m.length === 0 ? 0 : m[0].length, TOL);
+        return [rows.map(row => row.map(x => x.toNumber())), pivots];
+    }
+    const rows = m.map(row => row.slice());
+    const ncols = rows.length === 0 ? 0 : rows[0].length;
+    const pivots = [];
+    let r = 0;
+    for (let c = 0; c < ncols && r < rows.length; c++) {
+        let p = r;
+        for (let i = r + 1; i < rows.length; i++) {
+            if (Math.abs(rows[i][c]) > Math.abs(rows[p][c])) p = i;
+        }
+        if (Math.abs(rows[p][c]) < TOL) continue;
+        const row = rows[p];
+        rows[p] = rows[r];
+        rows[r] = row.map(x => x / row[c]);
+        for (let i = 0; i < rows.length; i++) {
+            if (i === r) continue;
+            const f = rows[i][c];
+            for (let j = c; j < ncols; j++) {
+                rows[i][j] -= f * rows[r][j];
+            }
         }
+        pivots.push(c);
+        r++;
+    }
+    return [rows, pivots];
+}
+
+// Gauss-Jordan elimination in rational arithmetic. Only the first ncols
+// columns are eliminated, the remaining columns (augmentation) are transformed
+// along. Pivots whose absolute value is smaller than zero are skipped (exact
+// zeros are always skipped). Returns the reduced row echelon form, the pivot
+// columns and the determinant of the eliminated part (if it is square).
+function rrefExact(m: Matrix, ncols: number, zero: number): [Rational[][], number[], Rational] {
+    const rows = m.map(row => row.map(Rational.from));
+    const pivots = [];
+    let d = Rational.one();
+    let r = 0;
+    for (let c = 0; c < ncols && r < rows.length; c++) {
+        let p = r;
+        for (let i = r + 1; i < rows.length; i++) {
+            if (rows[i][c].abs().cmp(rows[p][c].abs()) > 0) p = i;
+        }
+        const pv = rows[p][c];
+        if (pv.isZero || pv.abs().toNumber() < zero) continue;
+        d = p === r ? d.mul(pv) : d.mul(pv).neg();
+        const row = rows[p];
+        rows[p] = rows[r];
+        rows[r] = row.map(x => x.div(pv));
+        for (let i = 0; i < rows.length; i++) {
+            const f = rows[i][c];
+            if (i === r || f.isZero) continue;
+            rows[i] = rows[i].map((x, j) => j < c ? x : x.sub(f.mul(rows[r][j])));
+        }
+        pivots.push(c);
+        r++;
+    }
+    return [rows, pivots, pivots.length === ncols ? d : Rational.zero()];
+}
+
+// Solve m·x = b for all columns b of the augmentation in rational arithmetic
+function solveExact(m: Matrix, augmentation: Matrix): Matrix {
+    const n = m.length;
+    const [rows, pivots, _] = rrefExact(m.map((row, i) => row.concat(augmentation[i])), n, TOL);
+    if (pivots.length < n) throw new MathError("matrix is singular");
+    return rows.map(row => row.slice(n).map(x => x.toNumber()));
+}
+
+export function det(m: Matrix): number {
+    if (exactMode) {
+        assertEqualDims(m.length, m[0].length);
+        return rrefExact(m, m.length, 0)[2].toNumber();
+    }
+    const { lu, sign } = luDecompose(m);
+    let d = sign;
+    for (let i = 0; i < lu.length; i++) {
+        d *= lu[i][i];
+    }
+    return d;
+}
+
+// Throws MathError if the matrix is singular
+export function inv(m: Matrix): Matrix {
+    if (exactMode) {
+        assertEqualDims(m.length, m[0].length);
+        return solveExact(m, eye(m.length));
+    }
+    const { lu, perm } = luDecompose(m);
+    luAssertNonSingular(lu);
+    // Solve for every column of the identity, assemble columns into inverse
+    return transpose(eye(m.length).map(e => luSolve(lu, perm, e)));
+}
+
+// Solution x of the linear system m·x = b for square matrix m. Throws
+// MathError if the matrix is singular.
+export function solve(m: Matrix, b: Vector): Vector {
+    assertEqualDims(m.length, b.length);
+    if (exactMode) {
+        assertEqualDims(m.length, m[0].length);
+        return solveExact(m, b.map(x => [x])).map(row => row[0]);
+    }
+    const { lu, perm } = luDecompose(m);
+    luAssertNonSingular(lu);
+    return luSolve(lu, perm, b);
+}
+
+// Number of linearly independent rows (or columns) of a (rectangular) matrix
+export function rank(m: Matrix): number {
+    return rref(m)[1].length;
+}
+
+// Basis of the nullspace {x | m·x = 0} of a (rectangular) matrix. Returns an
+// empty list if the nullspace is trivial.
+export function nullspace(m: Matrix): Vector[] {
+    const [rows, pivots] = rref(m);
+    const ncols = m[0].length;
+    const basis = [];
+    // Every free (non-pivot) column contributes a basis vector
+    for (let f = 0; f < ncols; f++) {
+        if (pivots.includes(f)) continue;
+        const v = new Array(ncols);
+        v.fill(0);
+        v[f] = 1;
+        pivots.forEach((c, i) => {
+            v[c] = -rows[i][f];
+        });
+        basis.push(v);
     }
+    return basis;
 }
 
 export function transpose(m: Matrix): Matrix {
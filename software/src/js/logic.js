@@ -115,6 +115,16 @@ export class Objective {
         return shapes;
     }
 
+    // Analysis results obtained for one objective are valid for the other if
+    // both have the same automaton, propositions and interpretation
+    isCompatibleWith(other: Objective): boolean {
+        return this.kind.automaton === other.kind.automaton
+            && this.coSafeInterpretation === other.coSafeInterpretation
+            && this.kind.variables.length === other.kind.variables.length
+            && this.kind.variables.every((v, i) => v === other.kind.variables[i]
+                && this.getProposition(v).stringify() === other.getProposition(v).stringify());
+    }
+
     serialize(): JSONObjective {
         return {
             kind: this.kind,
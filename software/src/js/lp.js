@@ -0,0 +1,173 @@
+// @flow
+"use strict";
+
+/* Linear programming
+
+Dense two-phase simplex method with Bland's rule (guaranteed termination in
+the presence of degeneracy). Intended for the small problems arising in
+polytopic computations, no effort is made to exploit sparsity.
+
+References:
+- Bland, R. G. (1977). New finite pivoting rules for the simplex method.
+  Mathematics of Operations Research, 2(2), 103–107.
+
+*/
+
+import type { Vector, Matrix } from "./linalg.js";
+
+import * as linalg from "./linalg.js";
+
+
+// Pivoting tolerance
+const TOL = linalg.TOL;
+
+export type LPStatus = "optimal" | "infeasible" | "unbounded";
+// x is null and value is ±Infinity (unbounded) or NaN (infeasible) if no
+// optimal solution exists
+export type LPResult = { status: LPStatus, x: ?Vector, value: number };
+
+
+// Maximize c·x subject to A·x <= b, with x unrestricted in sign.
+export function maximize(c: Vector, A: Matrix, b: Vector): LPResult {
+    linalg.assertEqualDims(A.length, b.length);
+    A.forEach(row => linalg.assertEqualDims(row.length, c.length));
+    const n = c.length;
+    const m = A.length;
+    // Standard form: x = xp - xn with xp, xn >= 0 and a slack variable for
+    // each row. Rows with negative right hand side are negated and obtain an
+    // artificial variable for the initial basis of phase 1.
+    const artificials = [];
+    for (let i = 0; i < m; i++) {
+        if (b[i] < 0) artificials.push(i);
+    }
+    const nStd = 2 * n + m;
+    const nCols = nStd + artificials.length;
+    const tableau = [];
+    const basis = [];
+    for (let i = 0; i < m; i++) {
+        const sign = b[i] < 0 ? -1 : 1;
+        const row = new Array(nCols + 1);
+        row.fill(0);
+        for (let j = 0; j < n; j++) {
+            row[j] = sign * A[i][j];
+            row[n + j] = -sign * A[i][j];
+        }
+        row[2 * n + i] = sign;
+        row[nCols] = sign * b[i];
+        const k = artificials.indexOf(i);
+        if (k < 0) {
+            basis.push(2 * n + i);
+        } else {
+            row[nStd + k] = 1;
+            basis.push(nStd + k);
+        }
+        tableau.push(row);
+    }
+    // Reduced costs of phase 2 (maximization is minimization of -c·x), the
+    // initial basis consists of variables with zero cost only
+    const phase2 = new Array(nCols + 1);
+    phase2.fill(0);
+    for (let j = 0; j < n; j++) {
+        phase2[j] = -c[j];
+        phase2[n + j] = c[j];
+    }
+    // Reduced costs of phase 1: minimize sum of artificial variables
+    const phase1 = new Array(nCols + 1);
+    phase1.fill(0);
+    for (let k = 0; k < artificials.length; k++) {
+        phase1[nStd + k] = 1;
+    }
+    for (let i of artificials) {
+        for (let j = 0; j <= nCols; j++) {
+            phase1[j] -= tableau[i][j];
+        }
+    }
+    tableau.push(phase2, phase1);
+    // Phase 1: find a feasible basis
+    if (artificials.length > 0) {
+        simplex(tableau, basis, m + 1, nCols);
+        if (-tableau[m + 1][nCols] > TOL) {
+            return { status: "infeasible", x: null, value: NaN };
+        }
+        // Drive artificial variables out of the basis. If this is impossible,
+        // the row is redundant and does not constrain the remaining problem.
+        for (let i = 0; i < m; i++) {
+            if (basis[i] < nStd) continue;
+            for (let j = 0; j < nStd; j++) {
+                if (Math.abs(tableau[i][j]) > TOL) {
+                    pivot(tableau, i, j);
+                    basis[i] = j;
+                    break;
+                }
+            }
+        }
+    }
+    tableau.pop();
+    // Phase 2: optimize without artificial variables
+    if (!simplex(tableau, basis, m, nStd)) {
+        return { status: "unbounded", x: null, value: Infinity };
+    }
+    const xs = new Array(nStd);
+    xs.fill(0);
+    basis.forEach((j, i) => {
+        if (j < nStd) xs[j] = tableau[i][nCols];
+    });
+    const x = [];
+    for (let j = 0; j < n; j++) {
+        x.push(xs[j] - xs[n + j]);
+    }
+    return { status: "optimal", x: x, value: linalg.dot(c, x) };
+}
+
+// Minimize c·x subject to A·x <= b, with x unrestricted in sign.
+export function minimize(c: Vector, A: Matrix, b: Vector): LPResult {
+    const result = maximize(c.map(x => -x), A, b);
+    return { status: result.status, x: result.x, value: -result.value };
+}
+
+
+// Iterate simplex steps with Bland's rule on the tableau until the objective
+// in row obj is optimal (returns true) or unboundedness is detected (returns
+// false). Only the first nCols columns may enter the basis.
+function simplex(tableau: Matrix, basis: number[], obj: number, nCols: number): boolean {
+    const m = basis.length;
+    const rhs = tableau[0].length - 1;
+    // Entering variable: lowest index with negative reduced cost
+    let col = tableau[obj].findIndex((x, j) => j < nCols && x < -TOL);
+    while (col >= 0) {
+        // Leaving variable: minimum ratio test, ties broken by lowest index
+        let row = -1;
+        let ratio = Infinity;
+        for (let i = 0; i < m; i++) {
+            if (tableau[i][col] > TOL) {
+                const r = tableau[i][rhs] / tableau[i][col];
+                if (r < ratio - TOL || (r < ratio + TOL && basis[i] < basis[row])) {
+                    row = i;
+                    ratio = r;
+                }
+            }
+        }
+        if (row < 0) return false;
+        pivot(tableau, row, col);
+        basis[row] = col;
+        col = tableau[obj].findIndex((x, j) => j < nCols && x < -TOL);
+    }
+    return true;
+}
+
+// Gauss-Jordan elimination step on the entire tableau
+function pivot(tableau: Matrix, row: number, col: number): void {
+    const pr = tableau[row];
+    const pv = pr[col];
+    for (let j = 0; j < pr.length; j++) {
+        pr[j] = pr[j] / pv;
+    }
+    for (let i = 0; i < tableau.length; i++) {
+        const f = tableau[i][col];
+        if (i === row || f === 0) continue;
+        const r = tableau[i];
+        for (let j = 0; j < r.length; j++) {
+            r[j] -= f * pr[j];
+        }
+    }
+}
@@ -72,6 +72,18 @@ export const setups = {
         objective: "Reachability\np1 & p2 & p3 & p4\nt"
     },
 
+    "Double Integrator (Continuous-Time)": {
+        dimension: { stateSpace: "2-dimensional", controlSpace: "1-dimensional" },
+        equation: { A: "0\n1\n0\n0", B: "0\n1", dt: "1" },
+        polytope: {
+            controlSpace: "-1 < x\n x < 1",
+            randomSpace: "-0.1 < x\n   x < 0.1\n-0.1 < y\n   y < 0.1",
+            stateSpace: "-5 < x\n x < 5\n-3 < y\n y < 3"
+        },
+        predicates: "p1: -1 < x\np2:  x < 1\np3: -1 < y\np4:  y < 1",
+        objective: "Reachability\np1 & p2 & p3 & p4\nt"
+    },
+
     "Illustrative Example (1D)": {
         dimension: { stateSpace: "1-dimensional", controlSpace: "1-dimensional" },
         equation: { A: "1", B: "1" },
@@ -96,6 +108,42 @@ export const setups = {
         objective: "Reachability\np1\nt"
     },
 
+    "Piecewise-Affine Example": {
+        dimension: { stateSpace: "2-dimensional", controlSpace: "2-dimensional" },
+        equation: {
+            A: "1\n0\n0\n1", B: "1\n0\n0\n1", c: "0.5\n0",
+            domain: "0 < x\nx < 2\n0 < y\ny < 2",
+            modes: [
+                { A: "1\n0\n0\n1", B: "0.5\n0\n0\n0.5", domain: "2 < x\nx < 4\n0 < y\ny < 2" }
+            ]
+        },
+        polytope: {
+            controlSpace: "-1 < x\n x < 1\n-1 < y\n y < 1",
+            randomSpace: "-0.1 < x\n   x < 0.1\n-0.1 < y\n   y < 0.1",
+            stateSpace: "0 < x\nx < 4\n0 < y\ny < 2"
+        },
+        predicates: "p1: x > 3",
+        objective: "Reachability\np1\nt"
+    },
+
+    "Switched Example": {
+        dimension: { stateSpace: "2-dimensional", controlSpace: "2-dimensional" },
+        equation: {
+            A: "1\n0\n0\n1", B: "0.5\n0\n0\n0.5",
+            modes: [
+                { A: "1\n0\n0\n1", B: "0.2\n0\n0\n0.2", c: "1\n0" }
+            ],
+            switched: true
+        },
+        polytope: {
+            controlSpace: "-1 < x\n x < 1\n-1 < y\n y < 1",
+            randomSpace: "-0.1 < x\n   x < 0.1\n-0.1 < y\n   y < 0.1",
+            stateSpace: "0 < x\nx < 4\n0 < y\ny < 2"
+        },
+        predicates: "p1: x > 3",
+        objective: "Reachability\np1\nt"
+    },
+
     "Corridor": {
         dimension: { stateSpace: "2-dimensional", controlSpace: "2-dimensional" },
         equation: { A: "1\n0\n0\n1", B: "1\n0\n0\n1" },
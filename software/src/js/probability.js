@@ -0,0 +1,176 @@
+// @flow
+"use strict";
+
+/* Noise densities and their integration over regions
+
+The probability density of the random vector of an LSS is given by
+a non-negative function on the random space. It does not have to be
+normalized, the density is truncated to the random space and normalized there.
+Densities can be parsed from mathematical expressions in the variables of the
+random space, e.g. "exp(-(x^2 + y^2) / 0.02)".
+
+Probabilities are approximated with the midpoint rule: the bounding box of the
+random space is divided into a regular grid and the probability mass of each
+cell is concentrated in its center. The probability of a region is then the
+total mass of the centers inside the region. The approximation error vanishes
+as the resolution of the grid is increased.
+
+*/
+
+import type { Vector } from "./linalg.js";
+import type { Polytope, Region } from "./geometry.js";
+import type { ASTNode } from "./parser.js";
+
+import { ASTParser, ParseError } from "./parser.js";
+import { iter, ValueError } from "./tools.js";
+
+
+export type Density = (Vector) => number;
+
+// Constant density: uniform distribution on the random space
+export const UNIFORM: Density = (w) => 1;
+
+// Upper limit for the number of quadrature points (the number of grid cells
+// grows exponentially with the dimension of the random space)
+const MAX_POINTS = 1000000;
+
+
+/* Density expressions */
+
+// Functions are unary operators that bind stronger than any binary operator
+// so that exp(x)^2 is (exp(x))^2, unary minus binds weaker than ^ so that -x^2
+// is -(x^2)
+const FUNCTIONS: { [string]: (number) => number } = {
+    "abs": Math.abs,
+    "cos": Math.cos,
+    "exp": Math.exp,
+    "log": Math.log,
+    "sin": Math.sin,
+    "sqrt": Math.sqrt
+};
+
+const CONSTANTS: { [string]: number } = {
+    "pi": Math.PI
+};
+
+const parseDensityAST = ASTParser(/[()+\-*\/^]|(?:\d+(?:\.\d*)?|\.\d+)|[a-z]+/, [
+    { op: "+", precedence: 20, associativity: -1 },
+    { op: "-", precedence: 20, associativity: -1 },
+    { op: "*", precedence: 30, associativity: -1 },
+    { op: "/", precedence: 30, associativity: -1 },
+    { op: "+", precedence: 35, associativity:  0 },
+    { op: "-", precedence: 35, associativity:  0 },
+    { op: "^", precedence: 40, associativity:  1 },
+    ...Object.keys(FUNCTIONS).map(name => ({ op: name, precedence: 50, associativity: 0 }))
+]);
+
+// Compile the AST into a function of the random vector by recursive descent
+function asFunction(node: ASTNode, variables: string): Density {
+    if (typeof node === "string") {
+        if (/^(?:\d+(?:\.\d*)?|\.\d+)$/.test(node)) {
+            const value = parseFloat(node);
+            return (w) => value;
+        } else if (CONSTANTS.hasOwnProperty(node)) {
+            const value = CONSTANTS[node];
+            return (w) => value;
+        } else if (node.length === 1 && variables.includes(node)) {
+            const idx = variables.indexOf(node);
+            return (w) => w[idx];
+        }
+        throw new ParseError("unknown symbol '" + node + "'");
+    }
+    const args = node.args.map(_ => asFunction(_, variables));
+    if (args.length === 1) {
+        const [f] = args;
+        if (node.op === "-") return (w) => -f(w);
+        if (node.op === "+") return f;
+        if (FUNCTIONS.hasOwnProperty(node.op)) {
+            const fn = FUNCTIONS[node.op];
+            return (w) => fn(f(w));
+        }
+    } else {
+        const [f, g] = args;
+        if (node.op === "+") return (w) => f(w) + g(w);
+        if (node.op === "-") return (w) => f(w) - g(w);
+        if (node.op === "*") return (w) => f(w) * g(w);
+        if (node.op === "/") return (w) => f(w) / g(w);
+        if (node.op === "^") return (w) => Math.pow(f(w), g(w));
+    }
+    throw new ParseError("unexpected operator " + node.op);
+}
+
+// Density from a mathematical expression in the given variables (one letter
+// for each dimension of the random space)
+export function parseDensity(text: string, variables: string): Density {
+    return asFunction(parseDensityAST(text), variables);
+}
+
+
+/* Discretized distributions */
+
+// Probability distribution with finite support
+export class NoiseDistribution {
+
+    +points: Vector[];
+    +weights: number[];
+
+    // Weights must be non-negative and add up to 1
+    constructor(points: Vector[], weights: number[]): void {
+        if (points.length !== weights.length) throw new ValueError(
+            "expected " + String(points.length) + " weights, found " + String(weights.length)
+        );
+        this.points = points;
+        this.weights = weights;
+    }
+
+    // Midpoint rule discretization of the density truncated to the random
+    // space with the given number of grid cells along each axis
+    static discretize(randomSpace: Polytope, density: Density, resolution: number): NoiseDistribution {
+        if (!Number.isInteger(resolution) || resolution < 1) throw new ValueError(
+            "resolution must be a positive integer, not " + String(resolution)
+        );
+        if (Math.pow(resolution, randomSpace.dim) > MAX_POINTS) throw new ValueError(
+            "resolution " + String(resolution) + " requires too many quadrature points in "
+            + String(randomSpace.dim) + " dimensions"
+        );
+        // Cell centers along each axis
+        const axes = randomSpace.extent.map(([lo, hi]) => {
+            const step = (hi - lo) / resolution;
+            return Array.from({ length: resolution }, (_, k) => lo + (k + 0.5) * step);
+        });
+        // Cartesian product of the centers, restricted to the random space
+        let centers = [[]];
+        for (let axis of axes) {
+            const next = [];
+            for (let center of centers) {
+                for (let x of axis) next.push(center.concat([x]));
+            }
+            centers = next;
+        }
+        const points = centers.filter(_ => randomSpace.contains(_));
+        // All cells have the same volume, which cancels in the normalization
+        const values = points.map(density);
+        if (!values.every(_ => _ >= 0 && Number.isFinite(_))) throw new ValueError(
+            "density must be non-negative and finite on the random space"
+        );
+        const total = iter.sum(values);
+        if (!(total > 0)) throw new ValueError("density vanishes on the random space");
+        return new NoiseDistribution(points, values.map(_ => _ / total));
+    }
+
+    // Distribution of f(w) where w follows this distribution
+    map(f: (Vector) => Vector): NoiseDistribution {
+        return new NoiseDistribution(this.points.map(f), this.weights);
+    }
+
+    // Probability that a random vector lies in the region
+    probabilityOf(region: Region): number {
+        if (region.isEmpty) return 0;
+        let out = 0;
+        for (let i = 0; i < this.points.length; i++) {
+            if (this.weights[i] > 0 && region.contains(this.points[i])) out += this.weights[i];
+        }
+        return Math.min(out, 1);
+    }
+
+}
@@ -0,0 +1,174 @@
+// @flow
+"use strict";
+
+/* Exact rational arithmetic
+
+Rational numbers with arbitrary precision (bigint) numerator and denominator.
+Every finite float is a rational number, so conversion from number is exact,
+only the conversion back to number rounds. Used by the exact arithmetic mode
+of linalg and geometry.
+
+*/
+
+import { ValueError } from "./tools.js";
+
+
+// The type checker does not know bigint yet
+type BigInteger = any;
+// $FlowFixMe
+const big: (number | string) => BigInteger = (x) => BigInt(x);
+
+// BigInt is not available in all supported browsers (Firefox < 68), so the
+// constants are only created once rational arithmetic is actually used and
+// loading the module never fails
+let B0: BigInteger = null;
+let B1: BigInteger = null;
+let B2: BigInteger = null;
+let ZERO: ?Rational = null;
+let ONE: ?Rational = null;
+
+function initConstants(): void {
+    if (B0 != null) return;
+    B0 = big(0);
+    B1 = big(1);
+    B2 = big(2);
+}
+
+function gcd(a: BigInteger, b: BigInteger): BigInteger {
+    a = a < B0 ? -a : a;
+    b = b < B0 ? -b : b;
+    while (b !== B0) {
+        const t = a % b;
+        a = b;
+        b = t;
+    }
+    return a;
+}
+
+function bitLength(a: BigInteger): number {
+    return (a < B0 ? -a : a).toString(2).length;
+}
+
+
+// Immutable, always in canonical form: numerator and denominator are coprime
+// and the denominator is positive.
+export class Rational {
+
+    +num: BigInteger;
+    +den: BigInteger;
+
+    // No normalization of the arguments, use Rational.of for construction
+    constructor(num: BigInteger, den: BigInteger): void {
+        initConstants();
+        this.num = num;
+        this.den = den;
+    }
+
+    static of(num: BigInteger, den: BigInteger): Rational {
+        initConstants();
+        if (den === B0) throw new ValueError("denominator is zero");
+        if (den < B0) {
+            num = -num;
+            den = -den;
+        }
+        const g = gcd(num, den);
+        return g === B1 || g === B0 ? new Rational(num, den) : new Rational(num / g, den / g);
+    }
+
+    static zero(): Rational {
+        if (ZERO == null) {
+            initConstants();
+            ZERO = new Rational(B0, B1);
+        }
+        return ZERO;
+    }
+
+    static one(): Rational {
+        if (ONE == null) {
+            initConstants();
+            ONE = new Rational(B1, B1);
+        }
+        return ONE;
+    }
+
+    // Exact conversion of a finite float
+    static from(x: number): Rational {
+        if (!Number.isFinite(x)) throw new ValueError("cannot convert " + String(x) + " to a rational number");
+        initConstants();
+        // Multiplication by 2 is exact as long as x is not an integer
+        let den = B1;
+        while (!Number.isInteger(x)) {
+            x = x * 2;
+            den = den * B2;
+        }
+        return Rational.of(big(x), den);
+    }
+
+    // Exact value of the sum of element-wise products (e.g. dot product or
+    // determinant terms)
+    static sumOfProducts(xs: number[], ys: number[]): Rational {
+        let sum = Rational.zero();
+        for (let i = 0; i < xs.length; i++) {
+            if (xs[i] !== 0 && ys[i] !== 0) {
+                sum = sum.add(Rational.from(xs[i]).mul(Rational.from(ys[i])));
+            }
+        }
+        return sum;
+    }
+
+
+    get isZero(): boolean {
+        return this.num === B0;
+    }
+
+    get sign(): number {
+        return this.num > B0 ? 1 : (this.num < B0 ? -1 : 0);
+    }
+
+
+    abs(): Rational {
+        return this.num < B0 ? this.neg() : this;
+    }
+
+    add(other: Rational): Rational {
+        return Rational.of(this.num * other.den + other.num * this.den, this.den * other.den);
+    }
+
+    // Negative if this < other, 0 if equal, positive if this > other
+    cmp(other: Rational): number {
+        return this.sub(other).sign;
+    }
+
+    div(other: Rational): Rational {
+        return Rational.of(this.num * other.den, this.den * other.num);
+    }
+
+    mul(other: Rational): Rational {
+        return Rational.of(this.num * other.num, this.den * other.den);
+    }
+
+    neg(): Rational {
+        return new Rational(-this.num, this.den);
+    }
+
+    sub(other: Rational): Rational {
+        return Rational.of(this.num * other.den - other.num * this.den, this.den * other.den);
+    }
+
+    // Nearest float (up to double rounding in the last bit)
+    toNumber(): number {
+        if (this.num === B0) return 0;
+        // Scale the quotient such that it has about 64 significant bits
+        const shift = bitLength(this.num) - bitLength(this.den) - 64;
+        const q = shift > 0 ? this.num / (this.den << big(shift))
+                            : (this.num << big(-shift)) / this.den;
+        // Apply the scaling in two steps to avoid premature over-/underflow
+        const half = Math.trunc(shift / 2);
+        return Number(q) * Math.pow(2, half) * Math.pow(2, shift - half);
+    }
+
+    toString(): string {
+        return this.den === B1 ? this.num.toString() : this.num.toString() + "/" + this.den.toString();
+    }
+
+}
@@ -7,50 +7,55 @@ import type { Objective, AutomatonStateID } from "./logic.js";
 import type { LSS, AbstractedLSS, State } from "./system.js";
 
 import { Polytope, Union } from "./geometry.js";
-import * as linalg from "./linalg.js";
-import { itemizedOperatorPartition } from "./system.js";
-import { just, obj, sets, iter, ValueError, NotImplementedError } from "./tools.js";
+import { itemizedOperatorPartition, convexUnion } from "./system.js";
+import { just, obj, sets, iter, PRNG, ValueError, NotImplementedError } from "./tools.js";
 
 
 // Positive AttrR refinement kernel: return [AttrR (good), rest (unknown)]
-function refineAttrR(lss: LSS, origin: Polytope, target: Region): [Region, Region] {
+function refineAttrR(lss: LSS, origin: Polytope, target: Region, rng: PRNG): [Region, Region] {
     // If a control space region ensuring an exclusive transition to target
     // already exists, return origin unchanged in good part
-    if (!lss.actR(origin, target).isEmpty) {
-        return [origin, Polytope.ofDim(lss.dim).empty()];
-    }
-    // Select a control input to refine with
-    const u = sampleControl(lss, origin, target);
-    // Compute the Robust Attractor in origin wrt to the target region and
-    // selected control input
-    const attrR = (u == null) ? null : lss.attrR(origin, u, target).simplify();
-    // A usable Robust Attractor is available
-    if (attrR != null && !attrR.isEmpty) {
-        return [attrR, origin.remove(attrR)];
+    if (hasActR(lss, origin, target)) {
+        return [origin, Polytope.ofDim(lss.dim).empty(lss.tol)];
+    }
+    // Select a control input to refine with, from the first control mode for
+    // which a usable one is found
+    for (let mode of lss.controlModes) {
+        const u = sampleControl(mode, origin, target, rng);
+        // Compute the Robust Attractor in origin wrt to the target region and
+        // selected control input
+        const attrR = (u == null) ? null : mode.attrR(origin, u, target).simplify();
+        // A usable Robust Attractor is available
+        if (attrR != null && !attrR.isEmpty) {
+            return [attrR, origin.remove(attrR)];
+        }
+    }
     // Refinement step could not be executed, return without change in unknown
     // region (caller must decide what to do then)
-    } else {
-        return [Polytope.ofDim(lss.dim).empty(), origin];
-    }
+    return [Polytope.ofDim(lss.dim).empty(lss.tol), origin];
+}
+
+// Is there a control mode with a non-empty robust action polytope?
+function hasActR(lss: LSS, origin: Polytope, target: Region): boolean {
+    return lss.controlModes.some(mode => !mode.actR(origin, target).isEmpty);
 }
 
 // Monte-Carlo sampling of control inputs for positive refinement
-function sampleControl(lss: LSS, origin: Polytope, target: Region): ?Polytope {
+function sampleControl(lss: LSS, origin: Polytope, target: Region, rng: PRNG): ?Polytope {
     // Sample from within the robust predecessor, so sample points have
     // a non-empty ActR. Start with vertices of the origin, and add a few
     // random points from within the polytope. Because the preR is a Region in
     // general, use hull to obtain a simpler Polytope first.
     const preR = lss.preR(origin, lss.uu, target).hull();
+    // No state can be steered into the target robustly
+    if (preR.isEmpty) return null;
     const xs = Array.from(preR.vertices);
     for (let i = 0; i < (3 * lss.dim); i++) {
-        xs.push(preR.sample());
+        xs.push(preR.sample(rng.random));
     }
     // Use ActRs of sample points wrt to target region to determine
     // a control input to refine with
-    const actR = (x) => {
-        const Axpw = lss.ww.translate(linalg.apply(lss.A, x));
-        return target.pontryagin(Axpw).applyRight(lss.B).intersect(lss.uu);
-    };
+    const actR = (x) => lss.actRAt(x, target);
     // Intersect all control inputs with one another to find
     // a subregion that most points can use. The exponential
     // complexity of itemizedOperatorPartition makes this quite
@@ -71,11 +76,15 @@ export class Refinery {
     +system: AbstractedLSS;
     +objective: Objective;
     +results: AnalysisResults;
+    // Source of randomness for sampling-based refinement steps (randomly
+    // seeded if not given)
+    +rng: PRNG;
 
-    constructor(system: AbstractedLSS, objective: Objective, results: AnalysisResults): void {
+    constructor(system: AbstractedLSS, objective: Objective, results: AnalysisResults, rng?: PRNG): void {
         this.system = system;
         this.objective = objective;
         this.results = results;
+        this.rng = rng == null ? new PRNG() : rng;
     }
 
     /* Interface */
@@ -115,7 +124,7 @@ export class Refinery {
 
     // Empty Region of state space dimension
     _getEmpty(): Region {
-        return Polytope.ofDim(this.system.lss.dim).empty();
+        return Polytope.ofDim(this.system.lss.dim).empty(this.system.lss.tol);
     }
 
     // Region covered by the system states
@@ -173,8 +182,8 @@ export class PositiveRobustRefinery extends _HolisticGeometricRefinery {
     +_yes: { [AutomatonStateID]: Region };
 
     constructor(system: AbstractedLSS, objective: Objective, results: AnalysisResults,
-                operator: "PreR" | "AttrR"): void {
-        super(system, objective, results);
+                operator: "PreR" | "AttrR", rng?: PRNG): void {
+        super(system, objective, results, rng);
         this._op = operator;
         // Cache yes regions for target qs
         this._yes = obj.fromMap((q) => this._getStateRegion("yes", q), this.objective.allStates);
@@ -187,7 +196,7 @@ export class PositiveRobustRefinery extends _HolisticGeometricRefinery {
             const preR = lss.preR(part, lss.uu, this._yes[qNext]);
             return preR.union(part.remove(preR).simplify());
         } else if (this._op === "AttrR") {
-            const [attr, other] = refineAttrR(lss, part, this._yes[qNext]);
+            const [attr, other] = refineAttrR(lss, part, this._yes[qNext], this.rng);
             return attr.union(other);
         } else throw new Error(
             "Unknown operator '" + this._op + "' for positive robust refinement"
@@ -202,8 +211,8 @@ export class NegativeAttrRefinery extends _HolisticGeometricRefinery {
 
     +_attr: { [AutomatonStateID]: Region };
 
-    constructor(system: AbstractedLSS, objective: Objective, results: AnalysisResults): void {
-        super(system, objective, results);
+    constructor(system: AbstractedLSS, objective: Objective, results: AnalysisResults, rng?: PRNG): void {
+        super(system, objective, results, rng);
         const lss = system.lss;
         // Cache attractors of no-regions for target qs
         this._attr = obj.fromMap(q => {
@@ -230,8 +239,8 @@ export class SafetyRefinery extends _HolisticGeometricRefinery {
 
     +_ok: { [AutomatonStateID]: Region };
 
-    constructor(system: AbstractedLSS, objective: Objective, results: AnalysisResults): void {
-        super(system, objective, results);
+    constructor(system: AbstractedLSS, objective: Objective, results: AnalysisResults, rng?: PRNG): void {
+        super(system, objective, results, rng);
         // Cache safe regions for target qs
         this._ok = obj.fromMap((q) => {
             return system.lss.xx.remove(this._getStateRegion("no", q)).simplify();
@@ -239,7 +248,7 @@ export class SafetyRefinery extends _HolisticGeometricRefinery {
     }
 
     _partition(part: Polytope, qNext: AutomatonStateID): Region {
-        const [safe, other] = refineAttrR(this.system.lss, part, this._ok[qNext]);
+        const [safe, other] = refineAttrR(this.system.lss, part, this._ok[qNext], this.rng);
         return safe.union(other);
     }
 }
@@ -256,8 +265,8 @@ export class SelfLoopRefinery extends Refinery {
     +_noStates: { [AutomatonStateID]: Set<State> };
 
     constructor(system: AbstractedLSS, objective: Objective, results: AnalysisResults,
-                optimistic: boolean, onlySafe: boolean): void {
-        super(system, objective, results);
+                optimistic: boolean, onlySafe: boolean, rng?: PRNG): void {
+        super(system, objective, results, rng);
         this.optimistic = optimistic;
         this.onlySafe = onlySafe;
         // Cache no-states of system for every automaton state for safety check
@@ -329,6 +338,71 @@ export class SelfLoopRefinery extends Refinery {
 
 
 
+/* Coarsening */
+
+// Inverse of refinement for partitions that have been over-refined in decided
+// regions: finds groups of adjacent inner states that are decided in every
+// automaton state, agree in their predicates, analysis results and mode of
+// the dynamics and whose union is convex. The groups can be merged with
+// AbstractedLSS.merge, analysis results are then updated with remapMerged.
+export class Coarsener {
+
+    +system: AbstractedLSS;
+    +results: AnalysisResults;
+
+    constructor(system: AbstractedLSS, results: AnalysisResults): void {
+        this.system = system;
+        this.results = results;
+    }
+
+    // Greedy grouping: starting from each state that is not part of a group
+    // yet, neighbours are added as long as the union stays convex
+    groups(): Set<State>[] {
+        const groups = [];
+        const grouped = new Set();
+        for (let state of this.system.states.values()) {
+            if (grouped.has(state) || !this._isMergeable(state)) continue;
+            const group = new Set([state]);
+            let region = state.polytope;
+            let grown = true;
+            while (grown) {
+                grown = false;
+                for (let other of this.system.candidateStates(region)) {
+                    if (group.has(other) || grouped.has(other) || !this._areCompatible(state, other)) continue;
+                    const hull = convexUnion([region, other.polytope], this.system.lss.tol);
+                    if (hull != null) {
+                        region = hull;
+                        group.add(other);
+                        grown = true;
+                    }
+                }
+            }
+            if (group.size > 1) {
+                groups.push(group);
+                for (let member of group) grouped.add(member);
+            }
+        }
+        return groups;
+    }
+
+    _isMergeable(x: State): boolean {
+        const result = this.results.get(x.label);
+        return !x.isOuter && result != null && result.maybe.size === 0;
+    }
+
+    _areCompatible(x: State, y: State): boolean {
+        if (!this._isMergeable(y) || !sets.areEqual(x.predicates, y.predicates)) return false;
+        const rx = just(this.results.get(x.label));
+        const ry = just(this.results.get(y.label));
+        const lss = this.system.lss;
+        return sets.areEqual(rx.yes, ry.yes) && sets.areEqual(rx.no, ry.no)
+            && lss.modeOf(x.polytope) === lss.modeOf(y.polytope);
+    }
+
+}
+
+
+
 /* Transition refinement */
 
 export type RobustReachabilitySettings = {
@@ -342,7 +416,8 @@ class RobustReachabilityProblem {
     +lss: LSS;
     +avoid: Region;
     +reach: Region;
-    +_epsPolytope: Polytope;
+    +rng: PRNG;
+    +_epsRadius: number;
     // Configuration
     expandTarget: boolean;
     dontRefineSmall: boolean;
@@ -352,14 +427,15 @@ class RobustReachabilityProblem {
     _target: Region;
 
     constructor(lss: LSS, parts: Map<State, Region>, reach: Region, avoid: Region,
-                settings: RobustReachabilitySettings): void {
+                settings: RobustReachabilitySettings, rng: PRNG): void {
         this.lss = lss;
         this.avoid = avoid;
         this.reach = reach;
-        // Polytopes smaller than this size will not be refined to avoid
-        // numerical instability and state space explosion with very small
-        // polytopes
-        this._epsPolytope = lss.ww.scale(0.1);
+        this.rng = rng;
+        // Polytopes with an inradius smaller than this will not be refined to
+        // avoid numerical instability and state space explosion with very
+        // small polytopes
+        this._epsRadius = 0.1 * lss.disturbanceRadius;
         // Save configuration
         this.expandTarget = settings.expandTarget;
         this.dontRefineSmall = settings.dontRefineSmall;
@@ -372,10 +448,11 @@ class RobustReachabilityProblem {
                 const largest = iter.argmax((poly) => poly.volume, _.polytopes);
                 return largest == null ? _ : largest;
             },
-            // Remove all small states from the region
+            // Remove all small states (smaller than the disturbance) from
+            // the region
             "suppress": _ => Union.from(_.polytopes.filter(
-                (poly) => !poly.pontryagin(lss.ww).isEmpty
-            ), _.dim)
+                (poly) => poly.inradius >= lss.disturbanceRadius
+            ), _.dim, lss.tol)
         }[settings.postProcessing];
         // Initialize partition
         this._parts = [];
@@ -424,22 +501,22 @@ class RobustReachabilityProblem {
                 continue;
             // Analogous to system refinement: don't refine very small
             // polytopes (even if they are unsafe)
-            } else if (part.polytope.pontryagin(this._epsPolytope).isEmpty) {
+            } else if (part.polytope.inradius < this._epsRadius) {
                 part.done = true;
                 parts.push(part);
                 continue;
             // A small polytope is only refined if dontRefineSmall is not set
             // or it is not safe (transition to avoid-region is unavoidable
             // with non-zero probability)
-            } else if (this.dontRefineSmall && part.polytope.pontryagin(this.lss.ww).isEmpty
-                       && !this.lss.act(part.polytope, this.avoid).isSameAs(this.lss.uu)) {
+            } else if (this.dontRefineSmall && part.polytope.inradius < this.lss.disturbanceRadius
+                       && this.lss.controlModes.some(_ => !_.act(part.polytope, this.avoid).isSameAs(_.uu))) {
                 part.done = true;
                 parts.push(part);
                 continue;
             // Refine the polytope
             } else {
                 // Partition with robust attractor
-                let [good, other] = refineAttrR(this.lss, part.polytope, this._target);
+                let [good, other] = refineAttrR(this.lss, part.polytope, this._target, this.rng);
                 // Apply post-processing if enabled
                 if (this.postProcessing != null) {
                     good = this.postProcessing(good);
@@ -481,8 +558,7 @@ class RobustReachabilityProblem {
             }
             // Non-empty robust action indicates that element has a robust
             // transition to the target and is therefore done
-            const actR = this.lss.actR(part.polytope, this._target);
-            if (!actR.isEmpty) {
+            if (hasActR(this.lss, part.polytope, this._target)) {
                 part.done = true;
                 newTarget.push(part.polytope);
                 hasChanged = true;
@@ -490,7 +566,7 @@ class RobustReachabilityProblem {
         }
         // Update target region if expansion is enabled
         if (this.expandTarget) {
-            this._target = Union.from(newTarget, this.lss.dim).simplify();
+            this._target = Union.from(newTarget, this.lss.dim, this.lss.tol).simplify();
         }
         // Return if any changes happened. Due to the expanding target region
         // multiple passes might be necessary until every state is properly
@@ -514,8 +590,8 @@ export class TransitionRefinery extends Refinery {
 
     constructor(system: AbstractedLSS, objective: Objective, results: AnalysisResults,
                 origin: AutomatonStateID, target: AutomatonStateID, 
-                layers: ?TransitionRefineryLayers, settings: RobustReachabilitySettings): void {
-        super(system, objective, results);
+                layers: ?TransitionRefineryLayers, settings: RobustReachabilitySettings, rng?: PRNG): void {
+        super(system, objective, results, rng);
         const lss = system.lss;
         // Sort system states into good, bad, todo categories
         const bad = [];
@@ -546,12 +622,12 @@ export class TransitionRefinery extends Refinery {
         // List of robust reachability subproblems
         this._problems = [];
         // Union of bad states is to be avoided
-        const avoid = Union.from(bad, lss.dim).simplify();
+        const avoid = Union.from(bad, lss.dim, lss.tol).simplify();
         // Union of good states is the target
-        let reach = Union.from(good, lss.dim).simplify();
+        let reach = Union.from(good, lss.dim, lss.tol).simplify();
         // Case 1: refinement without layer decomposition
         if (layers == null) {
-            this._problems.push(new RobustReachabilityProblem(lss, todo, reach, avoid, settings));
+            this._problems.push(new RobustReachabilityProblem(lss, todo, reach, avoid, settings, this.rng));
         // Case 2: further decomposition into layers
         } else {
             // Apply scaling to layer generating control input
@@ -580,7 +656,7 @@ export class TransitionRefinery extends Refinery {
                     // converged and generation can be stopped
                     if (layerTodo.size === 0) break;
                     // Add the layer-subproblem to the list
-                    this._problems.push(new RobustReachabilityProblem(lss, layerTodo, reach, avoid, settings));
+                    this._problems.push(new RobustReachabilityProblem(lss, layerTodo, reach, avoid, settings, this.rng));
                 }
                 // Update reach to the layer for the next subproblem
                 reach = layer.remove(avoid).simplify();
@@ -1,10 +1,12 @@
 // @flow
 "use strict";
 
-import type { JSONAnalysisResults } from "./game.js";
+import type { JSONAnalysisResults, JSONProbabilityBounds } from "./game.js";
+import type { JSONObjective } from "./logic.js";
 import type { JSONAbstractedLSS } from "./system.js";
 
-import { AnalysisResults } from "./game.js";
+import { AnalysisResults, ProbabilityBounds } from "./game.js";
+import { Objective } from "./logic.js";
 import { AbstractedLSS } from "./system.js";
 import { just, obj } from "./tools.js";
 
@@ -12,7 +14,15 @@ import { just, obj } from "./tools.js";
 export type Snapshot = {
     name: string,
     system: JSONAbstractedLSS,
-    analysis: ?JSONAnalysisResults
+    analysis: ?JSONAnalysisResults,
+    // State of the pseudo-random number generator used for refinement (not
+    // available in snapshots of older sessions)
+    seed: ?number,
+    // Objective under which the analysis was carried out (not available in
+    // snapshots of older sessions, which have a single objective)
+    objective?: ?JSONObjective,
+    // Bounds on the satisfaction probability (only available if computed)
+    bounds?: ?JSONProbabilityBounds
 }
 // Snapshot type is already JSON-serializable
 export type JSONSnapshot = Snapshot;
@@ -111,10 +121,24 @@ export class SnapshotTree {
         return (snapshot.analysis == null) ? null : AnalysisResults.deserialize(snapshot.analysis);
     }
 
+    getBounds(id?: number): ?ProbabilityBounds {
+        const bounds = this.getSnapshot(id).bounds;
+        return (bounds == null) ? null : ProbabilityBounds.deserialize(bounds);
+    }
+
     getName(id?: number): string {
         return this.getSnapshot(id).name;
     }
 
+    getSeed(id?: number): ?number {
+        return this.getSnapshot(id).seed;
+    }
+
+    getObjective(id?: number): ?Objective {
+        const objective = this.getSnapshot(id).objective;
+        return (objective == null) ? null : Objective.deserialize(objective);
+    }
+
     getChildren(id?: number): Iterable<number> {
         if (id == null) id = this.current;
         if (!this._snapshots.has(id)) throw new Error(
@@ -131,13 +155,17 @@ export class SnapshotTree {
 
     // Tree manipulation
 
-    take(name: string, system: AbstractedLSS, analysis: ?AnalysisResults, includeGraph?: boolean): number {
+    take(name: string, system: AbstractedLSS, analysis: ?AnalysisResults, includeGraph?: boolean,
+         seed?: number, objective?: Objective, bounds?: ?ProbabilityBounds): number {
         // Create the snapshot
         const id = this._id++;
         this._snapshots.set(id, {
             name: name,
             system: system.serialize(includeGraph),
-            analysis: (analysis == null) ? null : analysis.serialize()
+            analysis: (analysis == null) ? null : analysis.serialize(),
+            seed: seed,
+            objective: (objective == null) ? null : objective.serialize(),
+            bounds: (bounds == null) ? null : bounds.serialize()
         });
         // Maintain tree
         const parent = this._current;
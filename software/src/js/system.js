@@ -2,13 +2,15 @@
 "use strict";
 
 import type { Controller } from "./controller.js";
-import type { GameGraph, JSONGameGraph, AnalysisResults } from "./game.js";
-import type { JSONPolytope, JSONUnion, JSONHalfspace, Region } from "./geometry.js";
+import type { GameGraph, JSONGameGraph, AnalysisResults, TransitionProbabilities,
+              ProbabilityInterval } from "./game.js";
+import type { Box, JSONPolytope, JSONUnion, JSONHalfspace, Region } from "./geometry.js";
 import type { Matrix, Vector } from "./linalg.js";
+import type { NoiseDistribution } from "./probability.js";
 
-import { Polytope, Halfspace, Union } from "./geometry.js";
+import { Polytope, Halfspace, Union, RTree, toleranceOf } from "./geometry.js";
 import * as linalg from "./linalg.js";
-import { just, iter, arr, sets } from "./tools.js";
+import { just, iter, arr, sets, ValueError } from "./tools.js";
 
 
 // Partitioning that keeps track of items causing the partition. Used for
@@ -60,98 +62,269 @@ export function itemizedOperatorPartition<T>(items: Iterable<T>, operator: (T) =
     return parts;
 }
 
+// Convex hull of the polytopes if it is covered by their union, i.e. if the
+// union is convex. Used for merging states.
+export function convexUnion(polytopes: Polytope[], tol?: number): ?Polytope {
+    if (polytopes.length === 0) return null;
+    const dim = polytopes[0].dim;
+    const hull = Polytope.ofDim(dim).hull([].concat(...polytopes.map(_ => _.vertices)), tol);
+    return Union.from(polytopes, dim, tol).covers(hull) ? hull : null;
+}
+
 
 /* Linear Stochastic System */
 
 export type JSONLSS = {
     A: number[][], // matrix
     B: number[][], // matrix
+    c?: number[], // vector, zero if not given
+    E?: number[][], // matrix, identity if not given
     stateSpace: JSONPolytope,
     randomSpace: JSONPolytope,
-    controlSpace: JSONPolytope
+    controlSpace: JSONPolytope,
+    modes?: JSONPWAMode[], // only for piecewise-affine systems
+    switched?: JSONSwitchedMode[], // only for switched systems
+    As?: number[][][], // vertex matrices of A, only for uncertain systems
+    Bs?: number[][][] // vertex matrices of B, only for uncertain systems
 };
 
+// Maximum absolute coordinate value of a polytope
+function magnitude(p: Polytope): number {
+    return Math.max(0, ...p.extent.map(([l, u]) => Math.max(Math.abs(l), Math.abs(u))));
+}
+
+// Maximum absolute row sum of a matrix (induced by the maximum norm)
+function matrixMagnitude(m: Matrix): number {
+    return Math.max(0, ...m.map(row => iter.sum(row.map(Math.abs))));
+}
+
+// Minkowski sum of a region and the convex hull of a point set. The point set
+// is given by its vertices, since it may be lower-dimensional (e.g. the image
+// of the random space under E) and therefore not representable as a polytope.
+function minkowskiPoints(xs: Region, ps: Vector[]): Region {
+    const Poly = Polytope.ofDim(xs.dim);
+    const nps = ps.map(p => p.map(_ => -_));
+    const sums = xs.polytopes.map(x => Poly.hull(linalg.minkowski.xmy(x.vertices, nps), xs.tol));
+    return xs instanceof Polytope ? sums[0] : Union.from(sums, xs.dim, xs.tol);
+}
+
+// Size of the convex hull of a point set for thresholds: the inradius if the
+// hull is full-dimensional, otherwise half of its smallest non-zero extent
+// along the coordinate axes (a lower-dimensional hull has no interior)
+function pointsRadius(ps: Vector[], dim: number, tol: number): number {
+    const hull = Polytope.ofDim(dim).hull(ps, tol);
+    if (!hull.isEmpty) return hull.inradius;
+    const extents = [];
+    for (let i = 0; i < dim; i++) {
+        const xs = ps.map(_ => _[i]);
+        const extent = Math.max(...xs) - Math.min(...xs);
+        if (extent > tol) extents.push(extent);
+    }
+    return extents.length === 0 ? 0 : 0.5 * Math.min(...extents);
+}
+
+// Pontryagin difference of a region and the convex hull of a point set, same
+// approach as in geometry but without the need for a full-dimensional
+// subtrahend
+function pontryaginPoints(xs: Region, ps: Vector[]): Region {
+    if (xs instanceof Polytope) {
+        const halfspaces = [];
+        for (let h of xs.halfspaces) {
+            for (let p of ps) {
+                halfspaces.push(h.translate(p.map(_ => -_)));
+            }
+        }
+        return Polytope.ofDim(xs.dim).noredund(halfspaces, xs.tol);
+    }
+    const bbox = xs.boundingBox;
+    const complement = bbox.remove(xs);
+    return pontryaginPoints(bbox, ps).remove(minkowskiPoints(complement, ps.map(p => p.map(_ => -_))));
+}
+
 export class LSS {
 
     +dim: number;
+    // Absolute tolerance for all geometric computations with the system
+    +tol: number;
     +A: Matrix;
     +B: Matrix;
+    // Affine drift (constant offset) of the evolution equation
+    +c: Vector;
+    // Disturbance input matrix, maps the random space into the state space
+    +E: Matrix;
     +xx: Polytope;
-    +xxExt: Region;
     +ww: Polytope;
     +uu: Polytope;
-    +oneStepReachable: Region;
-
+    // Vertices of the disturbance in state space (c + E W). The drift and the
+    // random vector always enter the evolution equation together.
+    +_cews: Vector[];
+    // Size of the disturbance in state space (c + E W), reference for the
+    // size thresholds of state polytopes
+    +disturbanceRadius: number;
+    // Lazily evaluated, since subclasses provide their own post
+    _oneStepReachable: ?Region;
+    _xxExt: ?Region;
+
+    // The tolerance is derived from the problem if not given
     constructor(A: Matrix, B: Matrix, stateSpace: Polytope, randomSpace: Polytope,
-                controlSpace: Polytope): void {
+                controlSpace: Polytope, c?: Vector, E?: Matrix, tol?: number): void {
         this.A = A;
         this.B = B;
-        this.xx = stateSpace;
-        this.ww = randomSpace;
-        this.uu = controlSpace;
         this.dim = stateSpace.dim;
-        this.oneStepReachable = this.post(stateSpace, controlSpace);
-        this.xxExt = stateSpace.union(this.oneStepReachable).simplify();
+        this.c = c == null ? new Array(this.dim).fill(0) : c;
+        linalg.assertEqualDims(this.c.length, this.dim);
+        this.E = E == null ? linalg.eye(this.dim) : E;
+        linalg.assertEqualDims(this.E.length, this.dim);
+        this.E.forEach(row => linalg.assertEqualDims(row.length, randomSpace.dim));
+        this.tol = tol != null ? tol : LSS.tolerance(A, B, stateSpace, randomSpace, controlSpace, this.c, this.E);
+        // Polytopes derived from these inherit the tolerance
+        this.xx = stateSpace.withTolerance(this.tol);
+        this.ww = randomSpace.withTolerance(this.tol);
+        this.uu = controlSpace.withTolerance(this.tol);
+        this._cews = linalg.minkowski.axpy(this.E, this.ww.vertices, [this.c]);
+        this.disturbanceRadius = pointsRadius(this._cews, this.dim, this.tol);
+        this._oneStepReachable = null;
+        this._xxExt = null;
+    }
+
+    // Absolute tolerance adapted to the scale of the problem, based on the
+    // magnitude of the coordinates in the state space, its image under A, the
+    // image of the control space under B, the drift and the image of the random
+    // space under E
+    static tolerance(A: Matrix, B: Matrix, stateSpace: Polytope, randomSpace: Polytope,
+                     controlSpace: Polytope, c?: Vector, E?: Matrix): number {
+        const xMag = magnitude(stateSpace);
+        return toleranceOf(Math.max(
+            xMag,
+            matrixMagnitude(A) * xMag,
+            matrixMagnitude(B) * magnitude(controlSpace),
+            c == null ? 0 : Math.max(0, ...c.map(Math.abs)),
+            (E == null ? 1 : matrixMagnitude(E)) * magnitude(randomSpace)
+        ));
     }
 
     static deserialize(json: JSONLSS): LSS {
+        if (json.modes != null) {
+            return PWALSS.deserialize(json);
+        }
+        if (json.switched != null) {
+            return SwitchedLSS.deserialize(json);
+        }
+        if (json.As != null || json.Bs != null) {
+            return UncertainLSS.deserialize(json);
+        }
         return new LSS(
             json.A,
             json.B,
             Polytope.deserialize(json.stateSpace),
             Polytope.deserialize(json.randomSpace),
-            Polytope.deserialize(json.controlSpace)
+            Polytope.deserialize(json.controlSpace),
+            json.c,
+            json.E
         );
     }
 
+    get oneStepReachable(): Region {
+        if (this._oneStepReachable == null) {
+            this._oneStepReachable = this.post(this.xx, this.uu);
+        }
+        return this._oneStepReachable;
+    }
+
+    // State space extended by the one-step reachable set
+    get xxExt(): Region {
+        if (this._xxExt == null) {
+            this._xxExt = this.xx.union(this.oneStepReachable).simplify();
+        }
+        return this._xxExt;
+    }
+
     get extent(): [number, number][] {
         return this.xxExt.extent;
     }
 
+    get hasDrift(): boolean {
+        return this.c.some(_ => _ !== 0);
+    }
+
+    // Vertex matrices of the convex hulls containing A and B (only A and B
+    // themselves if the dynamics are known exactly)
+    get As(): Matrix[] {
+        return [this.A];
+    }
+
+    get Bs(): Matrix[] {
+        return [this.B];
+    }
+
+    // Domains in which the dynamics are given by a single mode. States of an
+    // abstraction must not extend over multiple domains.
+    get domains(): Polytope[] {
+        return [this.xx];
+    }
+
+    // Systems with the dynamics among which the controller can choose in
+    // every step (in addition to the control input)
+    get controlModes(): LSS[] {
+        return [this];
+    }
+
+    // System with the dynamics that apply in the polytope x
+    modeOf(x: Polytope): LSS {
+        return this;
+    }
+
+    // System with the dynamics that apply at point x (null if no dynamics
+    // are defined there)
+    modeAt(x: Vector): ?LSS {
+        return this;
+    }
+
     eval(x: Vector, u: Vector, w: Vector): Vector {
-        return linalg.add(linalg.add(linalg.apply(this.A, x), linalg.apply(this.B, u)), w);
+        const Axpc = linalg.add(linalg.apply(this.A, x), this.c);
+        return linalg.add(linalg.add(Axpc, linalg.apply(this.B, u)), linalg.apply(this.E, w));
     }
 
     // Posterior: Post(x, {u0, ...})
     post(x: Polytope, us: Region): Region {
         const xvs = x.vertices;
-        const wvs = this.ww.vertices;
+        const wvs = this._cews;
         const posts = [];
         for (let u of us.polytopes) {
             const Bupws = linalg.minkowski.axpy(this.B, u.vertices, wvs);
-            posts.push(Polytope.ofDim(this.dim).hull(linalg.minkowski.axpy(this.A, xvs, Bupws)));
+            posts.push(Polytope.ofDim(this.dim).hull(linalg.minkowski.axpy(this.A, xvs, Bupws), this.tol));
         }
-        return Union.from(posts, this.dim).simplify();
+        return Union.from(posts, this.dim, this.tol).simplify();
     }
 
     // Predecessor: Pre(x, {u0, ...}, {y0, ...})
     pre(x: Polytope, us: Region, ys: Region): Region {
         const pres = [];
         for (let u of us.polytopes) {
-            const Bupws = linalg.minkowski.axpy(this.B, u.vertices, this.ww.vertices);
+            const Bupws = linalg.minkowski.axpy(this.B, u.vertices, this._cews);
             for (let y of ys.polytopes) {
-                const pre = Polytope.ofDim(this.dim).hull(linalg.minkowski.xmy(y.vertices, Bupws));
+                const pre = Polytope.ofDim(this.dim).hull(linalg.minkowski.xmy(y.vertices, Bupws), this.tol);
                 pres.push(x.intersect(pre.applyRight(this.A)));
             }
         }
-        return Union.from(pres, this.dim).simplify();
+        return Union.from(pres, this.dim, this.tol).simplify();
     }
 
     // Robust Predecessor: PreR(x, {u0, ...}, {y0, ...})
     preR(x: Polytope, us: Region, ys: Region): Region {
-        const pontrys = ys.pontryagin(this.ww);
+        const pontrys = pontryaginPoints(ys, this._cews);
         if (pontrys.isEmpty) {
-            return Polytope.ofDim(x.dim).empty();
+            return Polytope.ofDim(x.dim).empty(this.tol);
         }
         const prers = [];
         for (let u of us.polytopes) {
             const Bus = u.vertices.map(uv => linalg.apply(this.B, uv));
             for (let pontry of pontrys.polytopes) {
-                const poly = Polytope.ofDim(this.dim).hull(linalg.minkowski.xmy(pontry.vertices, Bus));
+                const poly = Polytope.ofDim(this.dim).hull(linalg.minkowski.xmy(pontry.vertices, Bus), this.tol);
                 prers.push(x.intersect(poly.applyRight(this.A)));
             }
         }
-        return Union.from(prers, this.dim).simplify();
+        return Union.from(prers, this.dim, this.tol).simplify();
     }
 
     // Attractor: Attr(x, {u0, ...}, {y0, ...})
@@ -167,7 +340,7 @@ export class LSS {
     // Action polytope
     act(x: Polytope, y: Region): Region {
         const Axpw = Polytope.ofDim(this.dim).hull(
-            linalg.minkowski.axpy(this.A, x.vertices, this.ww.vertices)
+            linalg.minkowski.axpy(this.A, x.vertices, this._cews), this.tol
         );
         return y.minkowski(Axpw.invert()).applyRight(this.B).intersect(this.uu);
     }
@@ -175,21 +348,98 @@ export class LSS {
     // Robust action polytope
     actR(x: Polytope, y: Region): Region {
         const Axpw = Polytope.ofDim(this.dim).hull(
-            linalg.minkowski.axpy(this.A, x.vertices, this.ww.vertices)
+            linalg.minkowski.axpy(this.A, x.vertices, this._cews), this.tol
         );
         return y.pontryagin(Axpw).applyRight(this.B).intersect(this.uu);
     }
 
+    // Robust action polytope of a single point x
+    actRAt(x: Vector, y: Region): Region {
+        const Ax = linalg.apply(this.A, x);
+        return pontryaginPoints(y, this._cews.map(_ => linalg.add(Ax, _))).applyRight(this.B).intersect(this.uu);
+    }
+
+    // Points of x from which a value of Ax + Bu in zs is obtained for some u
+    // in us
+    zPre(x: Polytope, us: Region, zs: Region): Region {
+        const pres = [];
+        for (let u of us.polytopes) {
+            const Bus = u.vertices.map(uv => linalg.apply(this.B, uv));
+            for (let z of zs.polytopes) {
+                const pre = Polytope.ofDim(this.dim).hull(linalg.minkowski.xmy(z.vertices, Bus), this.tol);
+                pres.push(x.intersect(pre.applyRight(this.A)));
+            }
+        }
+        return Union.from(pres, this.dim, this.tol).simplify();
+    }
+
+    // Values of Ax + Bu for all points of x and controls in us
+    zPost(x: Polytope, us: Region): Region {
+        const posts = [];
+        for (let u of us.polytopes) {
+            const Bus = u.vertices.map(uv => linalg.apply(this.B, uv));
+            posts.push(Polytope.ofDim(this.dim).hull(linalg.minkowski.axpy(this.A, x.vertices, Bus), this.tol));
+        }
+        return Union.from(posts, this.dim, this.tol).simplify();
+    }
+
+    // Values of Ax + Bu from which xs is reached with non-zero probability
     zNonZero(xs: Region): Region {
-        return xs.minkowski(this.ww.invert()).simplify();
+        return minkowskiPoints(xs, this._cews.map(_ => _.map(x => -x))).simplify();
     }
 
+    // Values of Ax + Bu from which xs is reached with probability one
     zOne(xs: Region): Region {
-        return xs.pontryagin(this.ww);
+        return pontryaginPoints(xs, this._cews);
     }
 
     // Split state space with linear predicates to create an AbstractedLSS
     decompose(predicates: Halfspace[], predicateLabels?: PredicateID[]): AbstractedLSS {
+        return this._decompose([this.xx], predicates, predicateLabels);
+    }
+
+    // Split state space into a uniform grid and further with linear predicates
+    // to create an AbstractedLSS. The grid is laid over the bounding box of the
+    // state space with the given number of cells along each axis.
+    decomposeGrid(cellsPerAxis: number[], predicates: Halfspace[], predicateLabels?: PredicateID[]): AbstractedLSS {
+        linalg.assertEqualDims(cellsPerAxis.length, this.dim);
+        if (!cellsPerAxis.every(n => Number.isInteger(n) && n > 0)) throw new ValueError(
+            "number of grid cells per axis must be a positive integer, not " + cellsPerAxis.join(", ")
+        );
+        const extent = this.xx.extent;
+        // Cartesian product of the intervals along each axis
+        let cells = [[]];
+        cellsPerAxis.forEach((n, i) => {
+            const [lo, hi] = extent[i];
+            const step = (hi - lo) / n;
+            const next = [];
+            for (let cell of cells) {
+                for (let k = 0; k < n; k++) {
+                    // Use the exact bounds at the ends so the grid covers the
+                    // state space without rounding errors
+                    const l = k === 0 ? lo : lo + k * step;
+                    const u = k === n - 1 ? hi : lo + (k + 1) * step;
+                    next.push(cell.concat([[l, u]]));
+                }
+            }
+            cells = next;
+        });
+        const Poly = Polytope.ofDim(this.dim);
+        const boxes = cells.map(bounds => {
+            const halfspaces = [];
+            bounds.forEach(([l, u], i) => {
+                const normal = new Array(this.dim).fill(0);
+                normal[i] = 1;
+                halfspaces.push(new Halfspace(normal, u), new Halfspace(normal.map(_ => -_), -l));
+            });
+            return Poly.intersection(halfspaces, this.tol).intersect(this.xx);
+        });
+        return this._decompose(boxes.filter(_ => !_.isEmpty), predicates, predicateLabels);
+    }
+
+    // Decomposition with linear predicates, the inner states are additionally
+    // split along the given polytopes (which must partition the state space)
+    _decompose(tiles: Polytope[], predicates: Halfspace[], predicateLabels?: PredicateID[]): AbstractedLSS {
         const system = new AbstractedLSS(this);
         // Initial abstraction into states is given by decomposition and
         // partition of outer region into convex polytopes
@@ -207,11 +457,30 @@ export class LSS {
             arr.zip2(predicateLabels, predicates),
             ([label, predicate]) => this.xx.split(predicate)[0]
         );
+        // Inner states are further split along the tiles and the domains of
+        // the dynamics
+        const domains = this.domains;
+        let regions = domains;
+        if (tiles.length > 1) {
+            regions = [];
+            for (let domain of domains) {
+                for (let tile of tiles) {
+                    const region = domains.length === 1 ? tile : tile.intersect(domain);
+                    if (!region.isEmpty) regions.push(region);
+                }
+            }
+        }
+        const newInnerStates = (polytope, labels) => {
+            const pieces = regions.length === 1 ? [polytope] : regions.map(_ => _.intersect(polytope));
+            for (let piece of pieces) {
+                if (!piece.isEmpty) system.newState(piece, false, labels);
+            }
+        };
         for (let part of partition) {
             if (part.region.polytopes.length !== 1) throw new Error(
                 "State space was not split properly by linear predicates"
             );
-            system.newState(part.region.polytopes[0], false, part.items.map(_ => _[0]).filter(_ => _.length > 0));
+            newInnerStates(part.region.polytopes[0], part.items.map(_ => _[0]).filter(_ => _.length > 0));
         }
         // Add the part of the state space not covered by any predicate
         let leftOverPoly = this.xx;
@@ -219,7 +488,7 @@ export class LSS {
             leftOverPoly = leftOverPoly.split(predicate)[1];
         }
         if (!leftOverPoly.isEmpty) {
-            system.newState(leftOverPoly, false, []);
+            newInnerStates(leftOverPoly, []);
         }
         return system;
     }
@@ -229,6 +498,8 @@ export class LSS {
         return {
             A: this.A,
             B: this.B,
+            c: this.c,
+            E: this.E,
             stateSpace: this.xx.serialize(),
             randomSpace: this.ww.serialize(),
             controlSpace: this.uu.serialize()
@@ -238,6 +509,503 @@ export class LSS {
 }
 
 
+/* Piecewise-affine system */
+
+export type PWAMode = { A: Matrix, B: Matrix, c?: Vector, domain: Polytope };
+export type JSONPWAMode = {
+    A: number[][], // matrix
+    B: number[][], // matrix
+    c?: number[], // vector, zero if not given
+    domain: JSONPolytope
+};
+
+// LSS whose dynamics switch between modes depending on the state. Every mode
+// is active in its own polytopic domain, the domains partition the state
+// space. A, B and c of the system itself are those of the first mode.
+export class PWALSS extends LSS {
+
+    // Each mode is an LSS with its domain as the state space
+    +modes: LSS[];
+
+    constructor(modes: PWAMode[], stateSpace: Polytope, randomSpace: Polytope, controlSpace: Polytope,
+                E?: Matrix): void {
+        if (modes.length === 0) throw new ValueError("a PWA system requires at least one mode");
+        // All modes share the tolerance of the entire system
+        const tol = Math.max(...modes.map(
+            m => LSS.tolerance(m.A, m.B, stateSpace, randomSpace, controlSpace, m.c, E)
+        ));
+        super(modes[0].A, modes[0].B, stateSpace, randomSpace, controlSpace, modes[0].c, E, tol);
+        this.modes = modes.map(m => new LSS(
+            m.A, m.B, m.domain.withTolerance(tol).intersect(this.xx), randomSpace, controlSpace, m.c, E, tol
+        ));
+        // Domains must partition the state space
+        const domains = this.domains;
+        if (!this.xx.remove(Union.from(domains, this.dim, tol)).isEmpty) throw new ValueError(
+            "mode domains do not cover the state space"
+        );
+        for (let i = 0; i < domains.length; i++) {
+            for (let j = i + 1; j < domains.length; j++) {
+                if (domains[i].intersects(domains[j])) throw new ValueError(
+                    "domains of modes " + String(i) + " and " + String(j) + " overlap"
+                );
+            }
+        }
+    }
+
+    static deserialize(json: JSONLSS): PWALSS {
+        const modes = json.modes;
+        if (modes == null) throw new ValueError("serialized system has no modes");
+        return new PWALSS(
+            modes.map(m => ({ A: m.A, B: m.B, c: m.c, domain: Polytope.deserialize(m.domain) })),
+            Polytope.deserialize(json.stateSpace),
+            Polytope.deserialize(json.randomSpace),
+            Polytope.deserialize(json.controlSpace),
+            json.E
+        );
+    }
+
+    get domains(): Polytope[] {
+        return this.modes.map(_ => _.xx);
+    }
+
+    modeOf(x: Polytope): LSS {
+        for (let mode of this.modes) {
+            if (mode.xx.covers(x)) return mode;
+        }
+        throw new ValueError("polytope does not lie within the domain of a single mode");
+    }
+
+    modeAt(x: Vector): ?LSS {
+        for (let mode of this.modes) {
+            if (mode.xx.contains(x)) return mode;
+        }
+        return null;
+    }
+
+    // Parts of x in the individual mode domains
+    _pieces(x: Polytope): [LSS, Polytope][] {
+        const pieces = [];
+        for (let mode of this.modes) {
+            const piece = mode.xx.intersect(x);
+            if (!piece.isEmpty) pieces.push([mode, piece]);
+        }
+        return pieces;
+    }
+
+    // Union of the per-mode results of an operator
+    _collect(x: Polytope, operator: (LSS, Polytope) => Region): Region {
+        const out = [];
+        for (let [mode, piece] of this._pieces(x)) {
+            out.push(...operator(mode, piece).polytopes);
+        }
+        return Union.from(out, this.dim, this.tol).simplify();
+    }
+
+    eval(x: Vector, u: Vector, w: Vector): Vector {
+        const mode = this.modeAt(x);
+        if (mode == null) throw new ValueError("no mode is active at the given point");
+        return mode.eval(x, u, w);
+    }
+
+    post(x: Polytope, us: Region): Region {
+        return this._collect(x, (mode, piece) => mode.post(piece, us));
+    }
+
+    pre(x: Polytope, us: Region, ys: Region): Region {
+        return this._collect(x, (mode, piece) => mode.pre(piece, us, ys));
+    }
+
+    preR(x: Polytope, us: Region, ys: Region): Region {
+        return this._collect(x, (mode, piece) => mode.preR(piece, us, ys));
+    }
+
+    act(x: Polytope, y: Region): Region {
+        const out = [];
+        for (let [mode, piece] of this._pieces(x)) {
+            out.push(...mode.act(piece, y).polytopes);
+        }
+        return Union.from(out, this.uu.dim, this.tol).simplify();
+    }
+
+    // Controls have to work robustly in every mode that x extends into
+    actR(x: Polytope, y: Region): Region {
+        let out = this.uu;
+        for (let [mode, piece] of this._pieces(x)) {
+            out = out.intersect(mode.actR(piece, y));
+        }
+        return out;
+    }
+
+    actRAt(x: Vector, y: Region): Region {
+        const mode = this.modeAt(x);
+        if (mode == null) throw new ValueError("no mode is active at the given point");
+        return mode.actRAt(x, y);
+    }
+
+    zPre(x: Polytope, us: Region, zs: Region): Region {
+        return this._collect(x, (mode, piece) => mode.zPre(piece, us, zs));
+    }
+
+    zPost(x: Polytope, us: Region): Region {
+        return this._collect(x, (mode, piece) => mode.zPost(piece, us));
+    }
+
+    // The disturbance depends on the mode due to the drift
+    zNonZero(xs: Region): Region {
+        throw new ValueError("zNonZero depends on the mode of a PWA system, use modeOf(...).zNonZero");
+    }
+
+    zOne(xs: Region): Region {
+        throw new ValueError("zOne depends on the mode of a PWA system, use modeOf(...).zOne");
+    }
+
+    serialize(): JSONLSS {
+        const json = super.serialize();
+        json.modes = this.modes.map(mode => ({
+            A: mode.A,
+            B: mode.B,
+            c: mode.c,
+            domain: mode.xx.serialize()
+        }));
+        return json;
+    }
+
+}
+
+
+/* Switched system */
+
+export type SwitchedMode = { A: Matrix, B: Matrix, c?: Vector };
+export type JSONSwitchedMode = {
+    A: number[][], // matrix
+    B: number[][], // matrix
+    c?: number[] // vector, zero if not given
+};
+
+// LSS whose dynamics are selected by the controller in every step together
+// with the control input (e.g. gears or valves). The operators without
+// a control argument quantify existentially over the modes. A, B and c of the
+// system itself are those of the first mode.
+export class SwitchedLSS extends LSS {
+
+    // Each mode is an LSS on the entire state space
+    +modes: LSS[];
+
+    constructor(modes: SwitchedMode[], stateSpace: Polytope, randomSpace: Polytope, controlSpace: Polytope,
+                E?: Matrix): void {
+        if (modes.length === 0) throw new ValueError("a switched system requires at least one mode");
+        // All modes share the tolerance of the entire system
+        const tol = Math.max(...modes.map(
+            m => LSS.tolerance(m.A, m.B, stateSpace, randomSpace, controlSpace, m.c, E)
+        ));
+        super(modes[0].A, modes[0].B, stateSpace, randomSpace, controlSpace, modes[0].c, E, tol);
+        this.modes = modes.map(m => new LSS(m.A, m.B, stateSpace, randomSpace, controlSpace, m.c, E, tol));
+    }
+
+    static deserialize(json: JSONLSS): SwitchedLSS {
+        const modes = json.switched;
+        if (modes == null) throw new ValueError("serialized system has no switched modes");
+        return new SwitchedLSS(
+            modes,
+            Polytope.deserialize(json.stateSpace),
+            Polytope.deserialize(json.randomSpace),
+            Polytope.deserialize(json.controlSpace),
+            json.E
+        );
+    }
+
+    get controlModes(): LSS[] {
+        return this.modes;
+    }
+
+    // Union of the per-mode results of an operator
+    _collect(operator: (LSS) => Region): Region {
+        const out = [];
+        for (let mode of this.modes) {
+            out.push(...operator(mode).polytopes);
+        }
+        return Union.from(out, this.dim, this.tol).simplify();
+    }
+
+    eval(x: Vector, u: Vector, w: Vector): Vector {
+        throw new ValueError("the dynamics of a switched system depend on the mode, use controlModes[...].eval");
+    }
+
+    post(x: Polytope, us: Region): Region {
+        return this._collect(mode => mode.post(x, us));
+    }
+
+    pre(x: Polytope, us: Region, ys: Region): Region {
+        return this._collect(mode => mode.pre(x, us, ys));
+    }
+
+    preR(x: Polytope, us: Region, ys: Region): Region {
+        return this._collect(mode => mode.preR(x, us, ys));
+    }
+
+    // Control regions are only meaningful together with a mode
+    act(x: Polytope, y: Region): Region {
+        throw new ValueError("act depends on the mode of a switched system, use controlModes[...].act");
+    }
+
+    actR(x: Polytope, y: Region): Region {
+        throw new ValueError("actR depends on the mode of a switched system, use controlModes[...].actR");
+    }
+
+    actRAt(x: Vector, y: Region): Region {
+        throw new ValueError("actRAt depends on the mode of a switched system, use controlModes[...].actRAt");
+    }
+
+    zPre(x: Polytope, us: Region, zs: Region): Region {
+        throw new ValueError("zPre depends on the mode of a switched system, use controlModes[...].zPre");
+    }
+
+    zPost(x: Polytope, us: Region): Region {
+        throw new ValueError("zPost depends on the mode of a switched system, use controlModes[...].zPost");
+    }
+
+    zNonZero(xs: Region): Region {
+        throw new ValueError("zNonZero depends on the mode of a switched system, use controlModes[...].zNonZero");
+    }
+
+    zOne(xs: Region): Region {
+        throw new ValueError("zOne depends on the mode of a switched system, use controlModes[...].zOne");
+    }
+
+    serialize(): JSONLSS {
+        const json = super.serialize();
+        json.switched = this.modes.map(mode => ({ A: mode.A, B: mode.B, c: mode.c }));
+        return json;
+    }
+
+}
+
+
+/* System with polytopic uncertainty */
+
+// Element-wise mean of matrices, lies in their convex hull
+function matrixMean(ms: Matrix[]): Matrix {
+    return ms[0].map((row, i) => row.map((_, j) => iter.sum(ms.map(m => m[i][j])) / ms.length));
+}
+
+// LSS whose A and B are only known to lie in the convex hulls of the given
+// vertex matrices. Robust operators hold for all realizations of A and B and
+// are evaluated over all vertex matrices (exact for convex targets, a subset
+// otherwise). The deviations from the nominal dynamics are treated as an
+// additional disturbance in the other operators, which therefore
+// over-approximate. A and B of the system itself are the means of the vertex
+// matrices (nominal dynamics, used by eval).
+export class UncertainLSS extends LSS {
+
+    +_As: Matrix[];
+    +_Bs: Matrix[];
+
+    constructor(As: Matrix[], Bs: Matrix[], stateSpace: Polytope, randomSpace: Polytope, controlSpace: Polytope,
+                c?: Vector, E?: Matrix): void {
+        if (As.length === 0 || Bs.length === 0) throw new ValueError(
+            "an uncertain system requires at least one vertex matrix for A and B each"
+        );
+        let tol = 0;
+        for (let A of As) {
+            for (let B of Bs) {
+                tol = Math.max(tol, LSS.tolerance(A, B, stateSpace, randomSpace, controlSpace, c, E));
+            }
+        }
+        super(matrixMean(As), matrixMean(Bs), stateSpace, randomSpace, controlSpace, c, E, tol);
+        for (let A of As) {
+            linalg.assertEqualDims(A.length, this.dim);
+            A.forEach(row => linalg.assertEqualDims(row.length, this.dim));
+        }
+        for (let B of Bs) {
+            linalg.assertEqualDims(B.length, this.dim);
+            B.forEach(row => linalg.assertEqualDims(row.length, this.uu.dim));
+        }
+        this._As = As;
+        this._Bs = Bs;
+    }
+
+    static deserialize(json: JSONLSS): UncertainLSS {
+        return new UncertainLSS(
+            json.As != null ? json.As : [json.A],
+            json.Bs != null ? json.Bs : [json.B],
+            Polytope.deserialize(json.stateSpace),
+            Polytope.deserialize(json.randomSpace),
+            Polytope.deserialize(json.controlSpace),
+            json.c,
+            json.E
+        );
+    }
+
+    get As(): Matrix[] {
+        return this._As;
+    }
+
+    get Bs(): Matrix[] {
+        return this._Bs;
+    }
+
+    // Ax + y for all vertex matrices A
+    _axpy(xs: Vector[], ys: Vector[]): Vector[] {
+        const out = [];
+        for (let A of this._As) {
+            out.push(...linalg.minkowski.axpy(A, xs, ys));
+        }
+        return out;
+    }
+
+    // Bu + y for all vertex matrices B
+    _bupy(us: Vector[], ys: Vector[]): Vector[] {
+        const out = [];
+        for (let B of this._Bs) {
+            out.push(...linalg.minkowski.axpy(B, us, ys));
+        }
+        return out;
+    }
+
+    // Vertices of a polytope containing (A - A_nominal)x for all realizations
+    // of A and all x in the polytope
+    _deviationsA(x: Polytope): Vector[] {
+        const out = [];
+        for (let xv of x.vertices) {
+            const Ax = linalg.apply(this.A, xv);
+            out.push(...this._As.map(A => linalg.sub(linalg.apply(A, xv), Ax)));
+        }
+        return out;
+    }
+
+    // Vertices of a polytope containing (B - B_nominal)u for all realizations
+    // of B and all u in the control space
+    _deviationsB(): Vector[] {
+        const out = [];
+        for (let uv of this.uu.vertices) {
+            const Bu = linalg.apply(this.B, uv);
+            out.push(...this._Bs.map(B => linalg.sub(linalg.apply(B, uv), Bu)));
+        }
+        return out;
+    }
+
+    // Controls u for which Bu lies in zs for all realizations of B. The values
+    // Bu of a control form a convex set, so it must lie in a single polytope of
+    // zs.
+    _robustControls(zs: Region): Region {
+        const out = [];
+        for (let z of zs.polytopes) {
+            let us = this.uu;
+            for (let B of this._Bs) {
+                us = us.intersect(z.applyRight(B));
+            }
+            if (!us.isEmpty) out.push(us);
+        }
+        return Union.from(out, this.uu.dim, this.tol).simplify();
+    }
+
+    // Points of x from which Ax + Bu lies in z for some u in the polytope u
+    // for all realizations of A and B. Constraints for all vertex matrices are
+    // set up jointly for state and control, then the control is projected out.
+    _robustPre(x: Polytope, u: Polytope, z: Polytope): Polytope {
+        const n = this.dim;
+        const m = this.uu.dim;
+        const zeros = (k) => new Array(k).fill(0);
+        const hs = [];
+        for (let h of x.halfspaces) {
+            hs.push(Halfspace.normalized(h.normal.concat(zeros(m)), h.offset, this.tol));
+        }
+        for (let h of u.halfspaces) {
+            hs.push(Halfspace.normalized(zeros(n).concat(h.normal), h.offset, this.tol));
+        }
+        for (let h of z.halfspaces) {
+            for (let A of this._As) {
+                const hA = linalg.applyRight(A, h.normal);
+                for (let B of this._Bs) {
+                    hs.push(Halfspace.normalized(hA.concat(linalg.applyRight(B, h.normal)), h.offset, this.tol));
+                }
+            }
+        }
+        const lifted = Polytope.ofDim(n + m).intersection(hs.filter(h => !h.isTrivial), this.tol);
+        return lifted.project(zeros(n).map((_, i) => i));
+    }
+
+    post(x: Polytope, us: Region): Region {
+        const posts = [];
+        for (let u of us.polytopes) {
+            const Bupws = this._bupy(u.vertices, this._cews);
+            posts.push(Polytope.ofDim(this.dim).hull(this._axpy(x.vertices, Bupws), this.tol));
+        }
+        return Union.from(posts, this.dim, this.tol).simplify();
+    }
+
+    pre(x: Polytope, us: Region, ys: Region): Region {
+        const wds = linalg.minkowski.xmy(this._cews, this._deviationsA(x).map(_ => _.map(d => -d)));
+        const pres = [];
+        for (let u of us.polytopes) {
+            const Bupws = this._bupy(u.vertices, wds);
+            for (let y of ys.polytopes) {
+                const pre = Polytope.ofDim(this.dim).hull(linalg.minkowski.xmy(y.vertices, Bupws), this.tol);
+                pres.push(x.intersect(pre.applyRight(this.A)));
+            }
+        }
+        return Union.from(pres, this.dim, this.tol).simplify();
+    }
+
+    preR(x: Polytope, us: Region, ys: Region): Region {
+        const pontrys = pontryaginPoints(ys, this._cews);
+        const prers = [];
+        for (let u of us.polytopes) {
+            for (let pontry of pontrys.polytopes) {
+                prers.push(this._robustPre(x, u, pontry));
+            }
+        }
+        return Union.from(prers, this.dim, this.tol).simplify();
+    }
+
+    act(x: Polytope, y: Region): Region {
+        const dBws = linalg.minkowski.xmy(this._cews, this._deviationsB().map(_ => _.map(d => -d)));
+        const Axpw = Polytope.ofDim(this.dim).hull(this._axpy(x.vertices, dBws), this.tol);
+        return y.minkowski(Axpw.invert()).applyRight(this.B).intersect(this.uu);
+    }
+
+    actR(x: Polytope, y: Region): Region {
+        const Axpw = Polytope.ofDim(this.dim).hull(this._axpy(x.vertices, this._cews), this.tol);
+        return this._robustControls(y.pontryagin(Axpw));
+    }
+
+    actRAt(x: Vector, y: Region): Region {
+        return this._robustControls(pontryaginPoints(y, this._axpy([x], this._cews)));
+    }
+
+    zPre(x: Polytope, us: Region, zs: Region): Region {
+        const dAs = this._deviationsA(x);
+        const pres = [];
+        for (let u of us.polytopes) {
+            const Buds = this._bupy(u.vertices, dAs);
+            for (let z of zs.polytopes) {
+                const pre = Polytope.ofDim(this.dim).hull(linalg.minkowski.xmy(z.vertices, Buds), this.tol);
+                pres.push(x.intersect(pre.applyRight(this.A)));
+            }
+        }
+        return Union.from(pres, this.dim, this.tol).simplify();
+    }
+
+    zPost(x: Polytope, us: Region): Region {
+        const zero = new Array(this.dim).fill(0);
+        const posts = [];
+        for (let u of us.polytopes) {
+            const Bus = this._bupy(u.vertices, [zero]);
+            posts.push(Polytope.ofDim(this.dim).hull(this._axpy(x.vertices, Bus), this.tol));
+        }
+        return Union.from(posts, this.dim, this.tol).simplify();
+    }
+
+    serialize(): JSONLSS {
+        const json = super.serialize();
+        json.As = this._As;
+        json.Bs = this._Bs;
+        return json;
+    }
+
+}
+
+
 /* LSS with state space abstraction */
 
 // Type aliases for identifier types
@@ -247,6 +1015,21 @@ export type SupportID = number;
 export type PredicateID = string;
 
 export type RefinementMap = Map<State, Set<State>>;
+// Merged states and the sets of states they replace
+export type MergeMap = Map<State, Set<State>>;
+
+// Result of a consistency check of the abstraction. Issues are grouped by the
+// kind of check that failed and list the labels of the states involved.
+export type VerificationCheck = "index" | "coverage" | "overlap" | "mode" | "predicates" | "actions" | "supports";
+export type VerificationIssue = {
+    check: VerificationCheck,
+    states: StateID[],
+    message: string
+};
+export type VerificationReport = {
+    isValid: boolean,
+    issues: VerificationIssue[]
+};
 
 // Serialization of entire system (optionally with actions)
 export type JSONAbstractedLSS = {
@@ -259,14 +1042,13 @@ export type JSONAbstractedLSS = {
 // Implements GameGraph interface for product with objective automaton
 export class AbstractedLSS implements GameGraph {
 
-    // TODO: implement a verification function that can be called after
-    //       construction to make sure system and LSS are not in conflict
-    //       (test outer states, state space coverage, etc.)
-
     +lss: LSS;
     +states: Map<StateID, State>;
     +predicates: Map<PredicateID, Halfspace>;
-    +_epsPolytope: Polytope;
+    +_epsRadius: number;
+    // Bounding boxes of the state polytopes for point location and overlap
+    // queries, kept in sync with states
+    +_index: RTree<State>;
     _labelNum: number;
 
     // Empty system (only for custom system construction)
@@ -274,10 +1056,11 @@ export class AbstractedLSS implements GameGraph {
         this.lss = lss;
         this.states = new Map();
         this.predicates = new Map();
-        // Polytopes smaller than this size will not be refined to avoid
-        // numerical instability and state space explosion with very small
-        // polytopes
-        this._epsPolytope = lss.ww.scale(0.1);
+        // Polytopes with an inradius smaller than this will not be refined to
+        // avoid numerical instability and state space explosion with very
+        // small polytopes
+        this._epsRadius = 0.1 * lss.disturbanceRadius;
+        this._index = new RTree(lss.dim);
         this._labelNum = 0;
     }
 
@@ -295,7 +1078,7 @@ export class AbstractedLSS implements GameGraph {
             // Don't restore actions, as not all states are restored yet and
             // action targets may not be found
             const state = State.deserialize(jsonState, system, false);
-            system.states.set(state.label, state);
+            system._addState(state);
         }
         // All states have been restored, now add actions
         for (let jsonState of json.states) {
@@ -314,10 +1097,22 @@ export class AbstractedLSS implements GameGraph {
     newState(polytope: Polytope, isOuter: boolean, predicates?: Iterable<PredicateID>): State {
         const label = this.genLabel();
         const state = new State(this, label, polytope, isOuter, predicates);
-        this.states.set(label, state);
+        this._addState(state);
         return state;
     }
 
+    _addState(state: State): void {
+        // Inner states must lie in the domain of a single mode (throws)
+        if (!state.isOuter) this.lss.modeOf(state.polytope);
+        this.states.set(state.label, state);
+        this._index.insert(state.polytope.extent, state);
+    }
+
+    _removeState(state: State): void {
+        this.states.delete(state.label);
+        this._index.remove(state.polytope.extent, state);
+    }
+
     // Generate a label for a new state
     genLabel(): StateID {
         this._labelNum++;
@@ -342,9 +1137,21 @@ export class AbstractedLSS implements GameGraph {
         );
     }
 
+    // States whose bounding boxes overlap with the bounding box of the region
+    // (enlarged by the tolerance), in order of creation. Every state that
+    // intersects the region is among these candidates.
+    candidateStates(region: Region): State[] {
+        return this._index.search(this._enlarge(region.extent));
+    }
+
+    _enlarge(box: Box): Box {
+        const tol = this.lss.tol;
+        return box.map(([l, u]) => [l - tol, u + tol]);
+    }
+
     // Get state which contains the point in state space
     stateOf(x: Vector): ?State {
-        for (let state of this.states.values()) {
+        for (let state of this._index.search(this._enlarge(x.map(_ => [_, _])))) {
             if (state.polytope.contains(x)) {
                 return state;
             }
@@ -375,12 +1182,118 @@ export class AbstractedLSS implements GameGraph {
             }
             refined.set(state, newStates);
             // Remove the original state
-            this.states.delete(state.label);
+            this._removeState(state);
+        }
+        this.resetActions(new Set(refined.keys()));
+        return refined;
+    }
+
+    // Add a linear predicate to the abstraction. Inner states that are cut by
+    // the halfspace are split, inner states inside of it are labelled. Returns
+    // mapping of old split states to sets of new states that were substituted.
+    addPredicate(label: PredicateID, predicate: Halfspace): RefinementMap {
+        if (this.predicates.has(label)) throw new ValueError(
+            "A predicate with label '" + label + "' exists already"
+        );
+        linalg.assertEqualDims(predicate.dim, this.lss.dim);
+        const refined = new Map();
+        // Copy because states are added and removed during the loop
+        for (let state of Array.from(this.states.values())) {
+            if (state.isOuter) continue;
+            const [inside, outside] = state.polytope.split(predicate);
+            if (outside.isEmpty) {
+                state.predicates.add(label);
+            } else if (!inside.isEmpty) {
+                // Split regardless of the size of the state, otherwise the
+                // labelling would be wrong
+                refined.set(state, new Set([
+                    this.newState(inside, false, [...state.predicates, label]),
+                    this.newState(outside, false, state.predicates)
+                ]));
+                this._removeState(state);
+            }
         }
+        this.predicates.set(label, predicate);
         this.resetActions(new Set(refined.keys()));
         return refined;
     }
 
+    // Merge each group of states into a single state. The states of a group
+    // must agree in their predicates and type (inner/outer), their union must
+    // be convex and inner states must remain in the domain of a single mode.
+    // All groups are validated before the system is modified. Returns mapping
+    // of new merged states to the sets of old states they replace.
+    merge(groups: Iterable<Iterable<State>>): MergeMap {
+        const merged = [];
+        const seen = new Set();
+        for (let group of groups) {
+            const states = Array.from(group);
+            // Nothing to merge
+            if (states.length < 2) continue;
+            for (let state of states) {
+                if (this.states.get(state.label) !== state) throw new ValueError(
+                    "State " + state.label + " is not part of the system"
+                );
+                if (seen.has(state)) throw new ValueError(
+                    "State " + state.label + " is part of multiple merge groups"
+                );
+                seen.add(state);
+            }
+            const labels = states.map(_ => _.label).join(", ");
+            const first = states[0];
+            if (!states.every(_ => _.isOuter === first.isOuter && sets.areEqual(_.predicates, first.predicates))) {
+                throw new ValueError("States " + labels + " differ in their predicates or type");
+            }
+            const hull = convexUnion(states.map(_ => _.polytope), this.lss.tol);
+            if (hull == null) throw new ValueError(
+                "Union of states " + labels + " is not convex"
+            );
+            // Inner states must lie in the domain of a single mode (throws)
+            if (!first.isOuter) this.lss.modeOf(hull);
+            merged.push([states, hull]);
+        }
+        const mergeMap = new Map();
+        for (let [states, hull] of merged) {
+            for (let state of states) {
+                this._removeState(state);
+            }
+            const state = this.newState(hull, states[0].isOuter, states[0].predicates);
+            mergeMap.set(state, new Set(states));
+        }
+        // Predecessors of merged states have to recompute their actions
+        this.resetActions(seen);
+        return mergeMap;
+    }
+
+    // States from which one of the given states can be reached in one or
+    // more steps (independent of the actions, which may not be computed)
+    ancestorsOf(targets: Iterable<State>): Set<State> {
+        const predecessors = new Map();
+        for (let state of this.states.values()) {
+            if (state.isOuter) continue;
+            for (let target of state.oneStepReachable(this.lss.uu)) {
+                const preds = predecessors.get(target);
+                if (preds == null) {
+                    predecessors.set(target, [state]);
+                } else {
+                    preds.push(state);
+                }
+            }
+        }
+        const out = new Set();
+        const queue = Array.from(targets);
+        while (queue.length > 0) {
+            const preds = predecessors.get(queue.pop());
+            if (preds == null) continue;
+            for (let state of preds) {
+                if (out.has(state)) continue;
+                out.add(state);
+                queue.push(state);
+            }
+        }
+        return out;
+    }
+
     // Call the resetActions on all states of the system
     resetActions(targets?: Set<State>): void {
         for (let state of this.states.values()) {
@@ -388,6 +1301,143 @@ export class AbstractedLSS implements GameGraph {
         }
     }
 
+    /* Consistency verification */
+
+    // Check that the abstraction is not in conflict with the LSS, e.g. after
+    // deserialization of a session. Actions and supports are only checked if
+    // they have already been evaluated, the check does not trigger their
+    // computation.
+    verify(): VerificationReport {
+        const issues = [];
+        const report = (check, states, message) => {
+            issues.push({ check: check, states: states.map(_ => _.label), message: message });
+        };
+        const lss = this.lss;
+        const inner = [];
+        const outer = [];
+        for (let [label, state] of this.states) {
+            (state.isOuter ? outer : inner).push(state);
+            if (state.label !== label || state.system !== this) {
+                report("index", [state], "state " + state.label + " is registered as " + label);
+            }
+            if (!this.candidateStates(state.polytope).includes(state)) {
+                report("index", [state], "state " + state.label + " is missing from the spatial index");
+            }
+        }
+        // Inner states tile the state space, outer states cover the remaining
+        // one-step reachable region
+        const union = states => Union.from(states.map(_ => _.polytope), lss.dim, lss.tol);
+        for (let state of inner) {
+            if (!lss.xx.covers(state.polytope)) {
+                report("coverage", [state], "inner state " + state.label + " extends beyond the state space");
+            }
+        }
+        for (let state of outer) {
+            if (state.polytope.intersects(lss.xx)) {
+                report("coverage", [state], "outer state " + state.label + " intersects the state space");
+            }
+        }
+        if (!union(inner).covers(lss.xx)) {
+            report("coverage", [], "inner states do not cover the state space");
+        }
+        if (!union(outer).covers(lss.oneStepReachable.remove(lss.xx))) {
+            report("coverage", [], "outer states do not cover the one-step reachable region outside of the state space");
+        }
+        // States must not overlap, each pair is tested once
+        const visited = new Set();
+        for (let state of this.states.values()) {
+            visited.add(state);
+            for (let other of this.candidateStates(state.polytope)) {
+                if (!visited.has(other) && state.polytope.intersects(other.polytope)) {
+                    report("overlap", [state, other], "states " + state.label + " and " + other.label + " overlap");
+                }
+            }
+        }
+        // Inner states lie in the domain of a single mode
+        for (let state of inner) {
+            try {
+                lss.modeOf(state.polytope);
+            } catch (e) {
+                if (!(e instanceof ValueError)) throw e;
+                report("mode", [state], "inner state " + state.label + " is not contained in the domain of a single mode");
+            }
+        }
+        // Labels of inner states match the linear predicates
+        for (let state of this.states.values()) {
+            for (let label of state.predicates) {
+                if (!this.predicates.has(label)) {
+                    report("predicates", [state], "state " + state.label + " has unknown predicate " + label);
+                }
+            }
+        }
+        for (let state of inner) {
+            for (let [label, predicate] of this.predicates) {
+                const fulfils = state.polytope.fulfils(predicate);
+                if (!fulfils && !state.polytope.fulfils(predicate.flip())) {
+                    report("predicates", [state], "state " + state.label + " is not separated by predicate " + label);
+                } else if (fulfils !== state.predicates.has(label)) {
+                    report("predicates", [state], "state " + state.label + (fulfils ? " lacks" : " has") + " label " + label);
+                }
+            }
+        }
+        // Cached actions and supports
+        for (let state of this.states.values()) {
+            const actions = state._actions;
+            if (actions == null) continue;
+            if (state.isOuter) {
+                if (actions.length > 0) report("actions", [state], "outer state " + state.label + " has actions");
+                continue;
+            }
+            this._verifyActions(state, actions, report);
+        }
+        return { isValid: issues.length === 0, issues: issues };
+    }
+
+    _verifyActions(state: State, actions: Action[], report: (VerificationCheck, State[], string) => void): void {
+        const lss = this.lss;
+        const isCurrent = target => this.states.get(target.label) === target;
+        lss.controlModes.forEach((mode, m) => {
+            const modeActions = actions.filter(_ => _.mode === m);
+            // Actions partition the control space of each mode
+            const controls = Union.from([].concat(...modeActions.map(_ => _.controls.polytopes)), mode.uu.dim, lss.tol);
+            if (!controls.isSameAs(mode.uu)) {
+                report("actions", [state], "actions of state " + state.label + " do not partition the control space of mode " + m);
+            }
+            const overlap = modeActions.some((a1, i) => modeActions.slice(i + 1).some(a2 => a1.controls.intersects(a2.controls)));
+            if (overlap) {
+                report("actions", [state], "actions of state " + state.label + " have overlapping controls in mode " + m);
+            }
+        });
+        for (let action of actions) {
+            const mode = lss.controlModes[action.mode];
+            if (mode == null) {
+                report("actions", [state], "action of state " + state.label + " has invalid mode " + action.mode);
+                continue;
+            }
+            const stale = Array.from(action.targets).filter(_ => !isCurrent(_));
+            if (stale.length > 0) {
+                report("actions", [state, ...stale], "action of state " + state.label + " targets removed states");
+                continue;
+            }
+            // Targets are exactly the states reachable with the controls
+            const reachable = state._statesIntersecting(mode.post(state.polytope, action.controls));
+            if (!sets.areEqual(reachable, action.targets)) {
+                report("actions", [state], "action targets of state " + state.label + " do not match the reachable states");
+            }
+            const supports = action._supports;
+            if (supports == null) continue;
+            // Supports cover the origin state and their targets are subsets of
+            // the action targets
+            const origins = Union.from([].concat(...supports.map(_ => _.origins.polytopes)), lss.dim, lss.tol);
+            if (!origins.isSameAs(state.polytope)) {
+                report("supports", [state], "action supports of state " + state.label + " do not cover the state");
+            }
+            if (supports.some(_ => _.targets.size === 0 || !sets.isSubset(_.targets, action.targets))) {
+                report("supports", [state], "action support of state " + state.label + " has invalid targets");
+            }
+        }
+    }
+
     /* Convenience wrappers for polytopic operators */
 
     post(x: State, us: Region): Region {
@@ -395,35 +1445,45 @@ export class AbstractedLSS implements GameGraph {
     }
 
     pre(x: State, us: Region, ys: Iterable<State>): Region {
-        return this.lss.pre(x.polytope, us, Union.from(Array.from(ys, y => y.polytope), this.lss.dim));
+        return this.lss.pre(x.polytope, us, Union.from(Array.from(ys, y => y.polytope), this.lss.dim, this.lss.tol));
     }
 
     preR(x: State, us: Region, ys: Iterable<State>): Region {
-        return this.lss.preR(x.polytope, us, Union.from(Array.from(ys, y => y.polytope), this.lss.dim));
+        return this.lss.preR(x.polytope, us, Union.from(Array.from(ys, y => y.polytope), this.lss.dim, this.lss.tol));
     }
 
     attr(x: State, us: Region, ys: Iterable<State>): Region {
-        return this.lss.attr(x.polytope, us, Union.from(Array.from(ys, y => y.polytope), this.lss.dim));
+        return this.lss.attr(x.polytope, us, Union.from(Array.from(ys, y => y.polytope), this.lss.dim, this.lss.tol));
     }
 
     attrR(x: State, us: Region, ys: Iterable<State>): Region {
-        return this.lss.attrR(x.polytope, us, Union.from(Array.from(ys, y => y.polytope), this.lss.dim));
+        return this.lss.attrR(x.polytope, us, Union.from(Array.from(ys, y => y.polytope), this.lss.dim, this.lss.tol));
     }
 
-    act(x: State, y: State): Region {
-        return this.lss.act(x.polytope, y.polytope);
+    // Controls of the given control mode (first if not given)
+    act(x: State, y: State, mode?: number): Region {
+        return this._modeOf(x, mode).act(x.polytope, y.polytope);
     }
 
-    actR(x: State, y: State): Region {
-        return this.lss.actR(x.polytope, y.polytope);
+    actR(x: State, y: State, mode?: number): Region {
+        return this._modeOf(x, mode).actR(x.polytope, y.polytope);
     }
 
-    zNonZero(xs: Iterable<State>): Region {
-        return this.lss.zNonZero(Union.from(Array.from(xs, x => x.polytope), this.lss.dim));
+    // The disturbance depends on the dynamics that apply in the origin x
+    zNonZero(x: State, ys: Iterable<State>, mode?: number): Region {
+        return this._modeOf(x, mode).zNonZero(Union.from(Array.from(ys, y => y.polytope), this.lss.dim, this.lss.tol));
     }
 
-    zOne(xs: Iterable<State>): Region {
-        return this.lss.zOne(Union.from(Array.from(xs, x => x.polytope), this.lss.dim));
+    zOne(x: State, ys: Iterable<State>, mode?: number): Region {
+        return this._modeOf(x, mode).zOne(Union.from(Array.from(ys, y => y.polytope), this.lss.dim, this.lss.tol));
+    }
+
+    // Dynamics in state x for the given control mode (first if not given)
+    _modeOf(x: State, mode?: number): LSS {
+        const modes = this.lss.controlModes;
+        const m = mode == null ? 0 : mode;
+        if (m < 0 || m >= modes.length) throw new ValueError("system has no control mode " + String(mode));
+        return modes[m].modeOf(x.polytope);
     }
 
     /* GameGraph Interface */
@@ -539,11 +1599,11 @@ export class State {
         this.predicates = new Set(predicates == null ? [] : predicates);
         this._actions = null;
         this.resetActions(); // initializes _actions and _reachable
-        this._isEpsSmall = polytope.pontryagin(system._epsPolytope).isEmpty;
+        this._isEpsSmall = polytope.inradius < system._epsRadius;
     }
 
     static deserialize(json: JSONState, system: AbstractedLSS, restoreActions?: boolean): State {
-        const polytope = Polytope.deserialize(json.polytope);
+        const polytope = Polytope.deserialize(json.polytope, system.lss.tol);
         const state = new State(system, json.label, polytope, json.isOuter, json.predicates);
         // If they are part of the backup and restoration is desired, restore
         // actions. This will fail if the target states are not available in
@@ -568,16 +1628,26 @@ export class State {
         this._reachable = reachable;
     }
 
-    // Lazy evaluation and memoization of actions
+    // Lazy evaluation and memoization of actions. Actions are partitions of
+    // the control space, separately for each control mode of the system.
     get actions(): Action[] {
         if (this._actions != null) {
             return this._actions;
         } else {
-            const op = target => this.act(target);
-            this._reachable = this.oneStepReachable(this.system.lss.uu);
-            this._actions = itemizedOperatorPartition(this._reachable, op).map(
-                part => new Action(this, part.items, part.region.simplify())
-            );
+            const actions = [];
+            const reachable = new Set();
+            this.system.lss.controlModes.forEach((mode, m) => {
+                const targets = this._statesIntersecting(mode.post(this.polytope, mode.uu));
+                const op = target => mode.act(this.polytope, target.polytope);
+                for (let part of itemizedOperatorPartition(targets, op)) {
+                    actions.push(new Action(this, part.items, part.region.simplify(), m));
+                }
+                for (let target of targets) {
+                    reachable.add(target);
+                }
+            });
+            this._reachable = reachable;
+            this._actions = actions;
             return this.actions;
         }
     }
@@ -607,28 +1677,31 @@ export class State {
     // Always use this function, never use _reachable. It exists only for
     // resetActions and is generally NOT the current one-step reachable set.
     oneStepReachable(us: Region): Set<State> {
-        const post = this.post(us);
+        return this._statesIntersecting(this.post(us));
+    }
+
+    _statesIntersecting(region: Region): Set<State> {
         const out = new Set();
-        for (let state of this.system.states.values()) {
-            if (!post.intersect(state.polytope).isEmpty) out.add(state);
+        for (let state of this.system.candidateStates(region)) {
+            if (!region.intersect(state.polytope).isEmpty) out.add(state);
         }
         return out;
     }
 
-    act(y: State): Region {
-        return this.system.act(this, y);
+    act(y: State, mode?: number): Region {
+        return this.system.act(this, y, mode);
     }
 
-    actR(y: State): Region {
-        return this.system.actR(this, y);
+    actR(y: State, mode?: number): Region {
+        return this.system.actR(this, y, mode);
     }
 
-    zNonZero(): Region {
-        return this.system.zNonZero([this]);
+    zNonZero(ys: Iterable<State>, mode?: number): Region {
+        return this.system.zNonZero(this, ys, mode);
     }
-    
-    zOne(): Region {
-        return this.system.zOne([this]);
+
+    zOne(ys: Iterable<State>, mode?: number): Region {
+        return this.system.zOne(this, ys, mode);
     }
 
     // Shortcut for single-state refinement
@@ -675,6 +1748,7 @@ export class State {
 type JSONAction = {
     targets: StateID[],
     controls: JSONUnion,
+    mode?: number, // first control mode if not given
     supports: JSONActionSupport[] | null
 };
 
@@ -683,19 +1757,23 @@ export class Action {
     +origin: State;
     +targets: Set<State>;
     +controls: Region;
+    // Index of the control mode of the system to which the controls belong
+    +mode: number;
     +supports: ActionSupport[];
     _supports: ?ActionSupport[];
 
-    constructor(origin: State, targets: Iterable<State>, controls: Region): void {
+    constructor(origin: State, targets: Iterable<State>, controls: Region, mode?: number): void {
         this.origin = origin;
         this.targets = new Set(targets);
         this.controls = controls;
+        this.mode = mode == null ? 0 : mode;
         this._supports = null;
     }
 
     static deserialize(json: JSONAction, origin: State): Action {
         const targets = json.targets.map(_ => origin.system.getState(_));
-        const action = new Action(origin, targets, Union.deserialize(json.controls));
+        const controls = Union.deserialize(json.controls, origin.system.lss.tol);
+        const action = new Action(origin, targets, controls, json.mode);
         if (json.supports != null) {
             action._supports = json.supports.map(_ => ActionSupport.deserialize(_, action));
         }
@@ -708,24 +1786,17 @@ export class Action {
             return this._supports;
         } else {
             const lss = this.origin.system.lss;
-            const zNonZeros = itemizedOperatorPartition(this.targets, _ => _.zNonZero());
-            const zOnes = lss.zOne(Union.from(Array.from(this.targets, _ => _.polytope)));
+            // The dynamics of the action's control mode in the origin apply
+            const mode = lss.controlModes[this.mode].modeOf(this.origin.polytope);
+            const zNonZeros = itemizedOperatorPartition(
+                this.targets, _ => mode.zNonZero(Union.from([_.polytope], lss.dim, lss.tol))
+            );
+            const zOnes = mode.zOne(Union.from(Array.from(this.targets, _ => _.polytope), lss.dim, lss.tol));
             this._supports = zNonZeros.map(part => {
                 // Remove outer zNonZeros
-                const zs = part.region.intersect(zOnes).polytopes;
-                const prePs = [];
-                for (let u of this.controls.polytopes) {
-                    const Bus = u.vertices.map(_ => linalg.apply(lss.B, _));
-                    for (let z of zs) {
-                        // Subtract Bu with Minkowski
-                        const preP = Polytope.ofDim(lss.dim).hull(linalg.minkowski.xmy(z.vertices, Bus));
-                        // Apply A from right
-                        prePs.push(preP.applyRight(lss.A));
-                    }
-                }
-                const preP = prePs.length === 0 ? Polytope.ofDim(lss.dim).empty() : Union.from(prePs);
+                const zs = part.region.intersect(zOnes);
                 return new ActionSupport(
-                    this, part.items, preP.intersect(this.origin.polytope).simplify()
+                    this, part.items, mode.zPre(this.origin.polytope, this.controls, zs)
                 );
             }).filter(_ => !_.origins.isEmpty);
             // TODO there are still extreme cases with very small states where
@@ -748,6 +1819,7 @@ export class Action {
         return {
             targets: Array.from(this.targets, _ => _.label),
             controls: this.controls.toUnion().serialize(),
+            mode: this.mode,
             supports: supports
         };
     }
@@ -777,7 +1849,7 @@ export class ActionSupport {
 
     static deserialize(json: JSONActionSupport, action: Action): ActionSupport {
         const targets = json.targets.map(x => action.origin.system.getState(x));
-        return new ActionSupport(action, targets, Union.deserialize(json.origins));
+        return new ActionSupport(action, targets, Union.deserialize(json.origins, action.origin.system.lss.tol));
     }
 
     // JSON-compatible serialization
@@ -790,3 +1862,78 @@ export class ActionSupport {
 
 }
 
+
+/* Transition probabilities of an AbstractedLSS */
+
+// Bounds of the probabilities with which the targets of action supports are
+// reached for a given distribution of the random vector. An action support
+// only determines that Ax + Bu lies in a region from which its targets are
+// reached with probability one, so the probability of each target is bounded
+// by its extreme values over this region: the target is reached from every
+// value in the region if c + Ew lies in the Pontryagin difference of the
+// target and the region (lower bound) and from some value if c + Ew lies in
+// the Minkowski sum of the target and the inverted region (upper bound). The
+// probabilities of these regions are approximated with the midpoint rule, so
+// the bounds are approximations too and can be off by the mass of the grid
+// cells along the region boundaries.
+export class TransitionBounds implements TransitionProbabilities {
+
+    +system: AbstractedLSS;
+    // Distribution of the random vector in the random space
+    +noise: NoiseDistribution;
+    // Distributions of c + Ew in the state space for the modes of the system
+    +_noises: Map<LSS, NoiseDistribution>;
+    +_bounds: Map<ActionSupport, Map<StateID, ProbabilityInterval>>;
+
+    constructor(system: AbstractedLSS, noise: NoiseDistribution): void {
+        noise.points.forEach(_ => linalg.assertEqualDims(_.length, system.lss.ww.dim));
+        this.system = system;
+        this.noise = noise;
+        this._noises = new Map();
+        this._bounds = new Map();
+    }
+
+    boundsOf(label: StateID, actionId: ActionID, supportId: SupportID): Map<StateID, ProbabilityInterval> {
+        return this.supportBounds(this.system.getState(label).actions[actionId].supports[supportId]);
+    }
+
+    // Lower and upper probability for each target (label) of the support
+    supportBounds(support: ActionSupport): Map<StateID, ProbabilityInterval> {
+        const cached = this._bounds.get(support);
+        if (cached != null) return cached;
+        const lss = this.system.lss;
+        const action = support.action;
+        const mode = lss.controlModes[action.mode].modeOf(action.origin.polytope);
+        const noise = this._noiseOf(mode);
+        const targets = Array.from(support.targets);
+        // Values of Ax + Bu that lead to the support
+        const zOnes = mode.zOne(Union.from(targets.map(_ => _.polytope), lss.dim, lss.tol));
+        const zs = Union.from(
+            [].concat(...support.origins.polytopes.map(_ => mode.zPost(_, action.controls).polytopes)),
+            lss.dim, lss.tol
+        ).intersect(zOnes);
+        const bounds = new Map();
+        for (let target of targets) {
+            // Without a region (numerical problems) nothing is known
+            let lower = zs.isEmpty ? 0 : 1;
+            let upper = zs.isEmpty ? 1 : 0;
+            for (let z of zs.polytopes) {
+                lower = Math.min(lower, noise.probabilityOf(target.polytope.pontryagin(z)));
+                upper = Math.max(upper, noise.probabilityOf(target.polytope.minkowski(z.invert())));
+            }
+            bounds.set(target.label, [lower, Math.max(lower, upper)]);
+        }
+        this._bounds.set(support, bounds);
+        return bounds;
+    }
+
+    _noiseOf(mode: LSS): NoiseDistribution {
+        let noise = this._noises.get(mode);
+        if (noise == null) {
+            noise = this.noise.map(w => linalg.add(linalg.apply(mode.E, w), mode.c));
+            this._noises.set(mode, noise);
+        }
+        return noise;
+    }
+
+}
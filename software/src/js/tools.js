@@ -17,6 +17,45 @@ export function just<T>(val: ?T, err?: string): T {
 }
 
 
+/* Random Numbers */
+
+// Source of uniformly distributed numbers in [0, 1), e.g. Math.random
+export type RandomSource = () => number;
+
+// Seedable pseudo-random number generator (Mulberry32). The state is a single
+// 32-bit integer, which can be used as the seed of a new generator that
+// continues the sequence. Not suitable for cryptographic purposes.
+export class PRNG {
+
+    +random: RandomSource;
+    _state: number;
+
+    // A random seed is chosen if none is given
+    constructor(seed?: number): void {
+        if (seed == null) seed = PRNG.randomSeed();
+        if (!Number.isInteger(seed)) throw new ValueError("seed must be an integer, not " + String(seed));
+        this._state = seed | 0;
+        // Bound to the instance, so it can be passed around as a RandomSource
+        this.random = () => {
+            let t = this._state = (this._state + 0x6D2B79F5) | 0;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static randomSeed(): number {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // Seed for a generator that continues with the current sequence
+    get state(): number {
+        return this._state >>> 0;
+    }
+
+}
+
+
 /* Logical Connectives */
 
 export function xor(p: boolean, q: boolean): boolean {
@@ -138,8 +177,9 @@ export const arr = {
         return out;
     },
 
-    sample: function <T>(items: T[]): T {
-        return items[Math.floor(Math.random() * items.length)];
+    sample: function <T>(items: T[], rng?: RandomSource): T {
+        const random = rng == null ? Math.random : rng;
+        return items[Math.floor(random() * items.length)];
     }
 
 }
@@ -0,0 +1,61 @@
+// @flow
+
+let assert = require("assert");
+let linalg = require("../../src/js/linalg.js");
+let tools = require("../../src/js/tools.js");
+let discretization = require("../../src/js/discretization.js");
+
+function assertMatrixClose(m, n, tol) {
+    assert.equal(m.length, n.length);
+    m.forEach((row, i) => assert(linalg.areClose(row, n[i], tol), JSON.stringify(m) + " != " + JSON.stringify(n)));
+}
+
+
+describe("discretization.expm", function () {
+
+    it("diagonal and nilpotent matrices", function () {
+        assertMatrixClose(discretization.expm([[0, 0], [0, 0]]), [[1, 0], [0, 1]], 1e-15);
+        assertMatrixClose(discretization.expm([[-3, 0], [0, 0.25]]), [[Math.exp(-3), 0], [0, Math.exp(0.25)]], 1e-12);
+        assertMatrixClose(discretization.expm([[0, 2], [0, 0]]), [[1, 2], [0, 1]], 1e-15);
+    });
+
+    it("rotation generator", function () {
+        const c = Math.cos(2);
+        const s = Math.sin(2);
+        assertMatrixClose(discretization.expm([[0, 2], [-2, 0]]), [[c, s], [-s, c]], 1e-12);
+    });
+
+    it("large norm requires scaling", function () {
+        const exp = discretization.expm([[10, 1], [0, 10]]);
+        const e = Math.exp(10);
+        assert(Math.abs(exp[0][0] - e) / e < 1e-12);
+        assert(Math.abs(exp[0][1] - e) / e < 1e-12);
+        assert.throws(() => discretization.expm([[1, 2]]));
+        assert.throws(() => discretization.expm([[NaN]]), tools.ValueError);
+    });
+
+});
+
+
+describe("discretization.zeroOrderHold", function () {
+
+    it("double integrator", function () {
+        const [A, B] = discretization.zeroOrderHold([[0, 1], [0, 0]], [[0], [1]], 0.5);
+        assertMatrixClose(A, [[1, 0.5], [0, 1]], 1e-15);
+        assertMatrixClose(B, [[0.125], [0.5]], 1e-15);
+    });
+
+    it("scalar system", function () {
+        const [A, B] = discretization.zeroOrderHold([[-2]], [[1]], 0.1);
+        assertMatrixClose(A, [[Math.exp(-0.2)]], 1e-14);
+        assertMatrixClose(B, [[(1 - Math.exp(-0.2)) / 2]], 1e-14);
+    });
+
+    it("rejects invalid sampling times", function () {
+        for (let dt of [0, -1, Infinity, NaN]) {
+            assert.throws(() => discretization.zeroOrderHold([[1]], [[1]], dt), tools.ValueError);
+        }
+        assert.throws(() => discretization.zeroOrderHold([[1, 0]], [[1]], 1));
+    });
+
+});
@@ -0,0 +1,140 @@
+// @flow
+
+let assert = require("assert");
+let game = require("../../src/js/game.js");
+let geometry = require("../../src/js/geometry.js");
+let logic = require("../../src/js/logic.js");
+let presets = require("../../src/js/presets.js");
+let system = require("../../src/js/system.js");
+let tools = require("../../src/js/tools.js");
+
+
+describe("game.TwoPlayerProbabilisticGame.fromProduct", function () {
+
+    it("player 2 states have one action per action support", function () {
+        // The player 2 states of G in q1 are reached from (G, q0) and (G, q1)
+        const graph = new game.MappedJSONGameGraph({
+            "A": { predicates: [], actions: [[["A", "G"], ["G"]]] },
+            "G": { predicates: ["p"], actions: [[["G"]], [["A"], ["A", "G"]]] }
+        });
+        const objective = new logic.Objective(
+            presets.objectives["Reachability"], [logic.parseProposition("p")], false
+        );
+        const g = game.TwoPlayerProbabilisticGame.fromProduct(graph, objective);
+        let checked = 0;
+        for (let state of g.p2States) {
+            if (state.systemState === "") continue;
+            assert.equal(state.actions.length, graph.supportCountOf(state.systemState, state.systemAction));
+            checked++;
+        }
+        assert.equal(checked, 4);
+    });
+
+});
+
+
+describe("game.TwoPlayerProbabilisticGame.analyseBounds", function () {
+
+    // Reach the states with predicate p, B is a dead end
+    const graph = new game.MappedJSONGameGraph({
+        // Self-loop with fixed probability
+        "A": { predicates: [], actions: [[["A", "G", "B"]]] },
+        // Second action is a sure loss, the first action has two supports
+        "C": { predicates: [], actions: [[["G"], ["G", "B"]], [["B"]]] },
+        // Inconsistent bounds (lower bounds add up to more than 1)
+        "D": { predicates: [], actions: [[["G", "B"]]] },
+        // Slow convergence, the probability of reaching G is 0.5
+        "E": { predicates: [], actions: [[["E", "G", "B"]]] },
+        // Player 1 can stay forever by choosing the first action
+        "L": { predicates: [], actions: [[["L"]], [["G", "B"]]] },
+        "G": { predicates: ["p"], actions: [[["G"]]] },
+        "B": { predicates: [], actions: [] }
+    });
+    const transitions = {
+        boundsOf: (label, actionId, supportId) => {
+            if (label === "A") return new Map([["A", [0.5, 0.5]], ["G", [0.2, 0.3]], ["B", [0.2, 0.3]]]);
+            if (label === "C") return new Map([["G", [0.5, 0.9]], ["B", [0.1, 0.5]]]);
+            if (label === "D") return new Map([["G", [0.6, 0.7]], ["B", [0.6, 0.7]]]);
+            if (label === "E") return new Map([["E", [0.9998, 0.9998]], ["G", [1e-4, 1e-4]], ["B", [1e-4, 1e-4]]]);
+            if (label === "L") return new Map([["G", [0.3, 0.3]], ["B", [0.7, 0.7]]]);
+            throw new Error("unexpected transition from " + label);
+        }
+    };
+    const objective = new logic.Objective(
+        presets.objectives["Reachability"], [logic.parseProposition("p")], true
+    );
+    const g = game.TwoPlayerProbabilisticGame.fromProduct(graph, objective);
+    const bounds = g.analyseBounds(transitions, 1e-9);
+
+    const intervalOf = (bounds, label, q) => tools.just(tools.just(bounds.get(label)).get(q));
+    const assertInterval = (interval, lower, upper) => {
+        assert(Math.abs(interval[0] - lower) < 1e-6, String(interval) + " != " + String([lower, upper]));
+        assert(Math.abs(interval[1] - upper) < 1e-6, String(interval) + " != " + String([lower, upper]));
+    };
+
+    it("decided states", function () {
+        const results = g.analyse();
+        for (let [label, result] of results) {
+            for (let q of result.yes) assertInterval(intervalOf(bounds, label, q), 1, 1);
+        }
+        assertInterval(intervalOf(bounds, "G", "q0"), 1, 1);
+        assertInterval(intervalOf(bounds, "B", "q0"), 0, 0);
+    });
+
+    it("self-loop", function () {
+        assertInterval(intervalOf(bounds, "A", "q0"), 0.4, 0.6);
+    });
+
+    it("player 1 and player 2 choices", function () {
+        assert(tools.just(g.analyse().get("C")).maybe.has("q0"));
+        assertInterval(intervalOf(bounds, "C", "q0"), 0.5, 1);
+    });
+
+    it("inconsistent bounds err on the side of the optimizing player", function () {
+        assertInterval(intervalOf(bounds, "D", "q0"), 0.4, 0.6);
+    });
+
+    it("bounds hold if the iteration stops early", function () {
+        const [lower, upper] = intervalOf(g.analyseBounds(transitions, 1e-3), "E", "q0");
+        assert(lower <= 0.5 && upper >= 0.5);
+        // A smaller tolerance tightens the bounds
+        const [tightLower, tightUpper] = intervalOf(bounds, "E", "q0");
+        assert(tightLower <= 0.5 && tightUpper >= 0.5);
+        assert(lower < tightLower && tightUpper < upper && tightUpper - tightLower < 1e-4);
+    });
+
+    it("iteration limit returns the bounds reached so far", function () {
+        assert(bounds.converged);
+        const limited = g.analyseBounds(transitions, 1e-9, 10);
+        assert(!limited.converged);
+        const [lower, upper] = intervalOf(limited, "E", "q0");
+        assert(lower <= 0.5 && upper >= 0.5);
+        assertInterval(intervalOf(limited, "G", "q0"), 1, 1);
+    });
+
+    it("staying forever does not count as reaching", function () {
+        assertInterval(intervalOf(bounds, "L", "q0"), 0.3, 0.3);
+    });
+
+    it("serialization and remapping", function () {
+        const copy = game.ProbabilityBounds.deserialize(JSON.parse(JSON.stringify(bounds.serialize())));
+        assert.deepEqual(copy.serialize(), bounds.serialize());
+        // Only the labels of the states matter for the remapping
+        const Poly = geometry.Polytope.ofDim(1);
+        const sys = new system.AbstractedLSS(new system.LSS(
+            [[1]], [[1]], Poly.hull([[0], [1]]), Poly.hull([[-0.1], [0.1]]), Poly.hull([[-1], [1]])
+        ));
+        const [A, C, X, Y, Z] = ["A", "C", "X", "Y", "Z"].map(
+            label => new system.State(sys, label, sys.lss.xx, false)
+        );
+        copy.remap(new Map([[A, new Set([X, Y])]]));
+        assert(!copy.has("A"));
+        assert.deepEqual(copy.get("X"), bounds.get("A"));
+        assert.deepEqual(copy.get("Y"), bounds.get("A"));
+        // Merged states have no bounds until they are computed again
+        copy.remapMerged(new Map([[Z, new Set([X, C])]]));
+        assert(!copy.has("X") && !copy.has("C") && !copy.has("Z"));
+        assert(copy.has("Y"));
+    });
+
+});
@@ -3,6 +3,7 @@
 let assert = require("assert");
 let geometry = require("../../src/js/geometry.js");
 let linalg = require("../../src/js/linalg.js");
+let tools = require("../../src/js/tools.js");
 
 
 
@@ -187,6 +188,12 @@ describe("geometry.Interval", function () {
         assert.deepEqual(poly.centroid, [0]);
     });
 
+    it("chebyshevCenter and inradius", function () {
+        assert(linalg.areClose(poly.chebyshevCenter, [0]));
+        assert(Math.abs(poly.inradius - 1) < geometry.TOL);
+        assert.equal(geometry.Interval.empty().inradius, 0);
+    });
+
     it("boundingBox", function () {
         // boundingBox is identity for all intervals
         assert(poly.isSameAs(poly.boundingBox));
@@ -427,6 +434,29 @@ describe("geometry.Polygon with square", function () {
         assert.deepEqual(poly.centroid, [0.5, 0.5]);
     });
 
+    it("chebyshevCenter and inradius", function () {
+        assert(linalg.areClose(poly.chebyshevCenter, [0.5, 0.5]));
+        assert(Math.abs(poly.inradius - 0.5) < geometry.TOL);
+        // Independent of shape, only the narrowest part matters
+        const rect = geometry.Polygon.hull([[0, 0], [10, 0], [10, 1], [0, 1]]);
+        assert(Math.abs(rect.inradius - 0.5) < geometry.TOL);
+        const triangle = geometry.Polygon.hull([[0, 0], [3, 0], [0, 4]]);
+        assert(Math.abs(triangle.inradius - 1) < geometry.TOL);
+        assert(linalg.areClose(triangle.chebyshevCenter, [1, 1]));
+        assert.equal(geometry.Polygon.empty().inradius, 0);
+        assert(isNaN(geometry.Polygon.empty().chebyshevCenter[0]));
+    });
+
+    it("support", function () {
+        assert.equal(poly.support([1, 0]), 1);
+        assert.equal(poly.support([0, -1]), 0);
+        assert.equal(poly.support([1, 1]), 2);
+        // Evaluation in H-representation
+        const fromH = new geometry.Polygon(null, poly.halfspaces);
+        assert(Math.abs(fromH.support([-1, 2]) - 2) < geometry.TOL);
+        assert.equal(geometry.Polygon.empty().support([1, 0]), -Infinity);
+    });
+
     it("boundingBox", function () {
         // Square is axis aligned so boundingBox is identity
         assert(poly.isSameAs(poly.boundingBox));
@@ -664,6 +694,495 @@ describe("geometry.Polygon with square", function () {
 });
 
 
+describe("geometry.PolytopeND with cube", function () {
+
+    const Cube = geometry.Polytope.ofDim(3);
+    const poly = Cube.hull([
+        [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
+        [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
+    ]);
+    const simplex = Cube.hull([[0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+
+    it("ofDim yields the same subclass for the same dimension", function () {
+        assert.equal(geometry.Polytope.ofDim(3), Cube);
+        assert.equal(geometry.PolytopeND.ofDim(3), Cube);
+        assert.notEqual(geometry.Polytope.ofDim(4), Cube);
+        assert(poly instanceof geometry.PolytopeND);
+        assert.throws(() => geometry.PolytopeND.ofDim(1));
+        assert.throws(() => new geometry.PolytopeND([], []));
+    });
+
+    it("transformations between vertices and halfspaces are consistent", function () {
+        let fromVtoH = new Cube(null, poly.halfspaces);
+        let fromHtoV = new Cube(fromVtoH.vertices, null);
+        assert(poly.isSameAs(fromHtoV));
+    });
+
+    it("dim", function () {
+        assert.equal(poly.dim, 3);
+        assert.equal(simplex.dim, 3);
+    });
+
+    it("isSameAs", function () {
+        assert(poly.isSameAs(poly));
+        assert(poly.isSameAs(Cube.hull(poly.vertices.slice().reverse())));
+        assert(!poly.isSameAs(simplex));
+        assert(!poly.isSameAs(poly.translate([0, 0, 0.1])));
+    });
+
+    it("hull", function () {
+        assert.equal(poly.vertices.length, 8);
+        assert.equal(poly.halfspaces.length, 6);
+        assert.equal(simplex.vertices.length, 4);
+        assert.equal(simplex.halfspaces.length, 4);
+        // Inner points, points on edges and faces and duplicates are removed
+        const points = [...poly.vertices, [0.5, 0.5, 0.5], [0.5, 0, 0], [1, 0.5, 0.5], [1, 1, 1 + geometry.TOL/2], [0, 0, 0]];
+        assert(poly.isSameAs(Cube.hull(points)));
+        assert(Cube.hull([[0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0]]).isEmpty);
+        assert(Cube.hull([[0, 0, 0], [1, 0, 0], [0, 1, 0]]).isEmpty);
+        assert.throws(() => Cube.hull([[0, 0], [1, 0], [0, 1], [1, 1]]));
+    });
+
+    it("noredund", function () {
+        assert(poly.isSameAs(Cube.noredund(poly.halfspaces)));
+        const halfspaces = [
+            ...poly.halfspaces,
+            new geometry.Halfspace([1, 0, 0], 4),
+            geometry.Halfspace.normalized([1, 1, 1], 3),
+            geometry.Halfspace.normalized([-1, 0, 0], geometry.TOL/2)
+        ];
+        const redund = Cube.noredund(halfspaces);
+        assert(poly.isSameAs(redund));
+        assert.equal(redund.halfspaces.length, 6);
+    });
+
+    it("noredund yields empty for unbounded", function () {
+        assert(Cube.noredund(poly.halfspaces.slice(1)).isEmpty);
+    });
+
+    it("intersection yields empty for infeasible", function () {
+        assert(Cube.intersection([...poly.halfspaces, new geometry.Halfspace([1, 0, 0], -1)]).isEmpty);
+        assert(Cube.intersection([...poly.halfspaces, new geometry.Halfspace([0, 0, 1], -Infinity)]).isEmpty);
+        assert(!Cube.intersection([...poly.halfspaces, new geometry.Halfspace([0, 0, 0], Infinity)]).isEmpty);
+    });
+
+    it("contains own vertices", function () {
+        for (let vertex of poly.vertices) {
+            assert(poly.contains(vertex));
+        }
+    });
+
+    it("contains random points", function () {
+        for (let i = 0; i < 1000; i++) {
+            assert(poly.contains([Math.random(), Math.random(), Math.random()]));
+        }
+    });
+
+    it("volume", function () {
+        assert(Math.abs(poly.volume - 1) < geometry.TOL);
+        assert(Math.abs(simplex.volume - 1/6) < geometry.TOL);
+        assert.equal(Cube.empty().volume, 0);
+    });
+
+    it("centroid", function () {
+        assert(linalg.areClose(poly.centroid, [0.5, 0.5, 0.5]));
+        assert(linalg.areClose(simplex.centroid, [0.25, 0.25, 0.25]));
+    });
+
+    it("chebyshevCenter and inradius", function () {
+        assert(linalg.areClose(poly.chebyshevCenter, [0.5, 0.5, 0.5]));
+        assert(Math.abs(poly.inradius - 0.5) < geometry.TOL);
+        const r = 1 / (3 + Math.sqrt(3));
+        assert(Math.abs(simplex.inradius - r) < geometry.TOL);
+        assert(linalg.areClose(simplex.chebyshevCenter, [r, r, r]));
+    });
+
+    it("support", function () {
+        assert.equal(poly.support([1, 0, 0]), 1);
+        assert.equal(poly.support([-1, 0, 0]), 0);
+        assert.equal(simplex.support([1, 1, 1]), 1);
+        // Evaluation in H-representation
+        const fromH = new Cube(null, poly.halfspaces);
+        assert(Math.abs(fromH.support([1, 1, -1]) - 2) < geometry.TOL);
+    });
+
+    it("boundingBox", function () {
+        assert(poly.isSameAs(poly.boundingBox));
+        assert(poly.isSameAs(simplex.boundingBox));
+    });
+
+    it("isEmpty", function () {
+        assert(!poly.isEmpty);
+        assert(!simplex.isEmpty);
+        assert(Cube.empty().isEmpty);
+        assert(Cube.hull([[0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, geometry.TOL/2]]).isEmpty);
+    });
+
+    it("sample", function () {
+        for (let i = 0; i < 1000; i++) {
+            const sample = simplex.sample();
+            assert.equal(sample.length, 3);
+            assert(simplex.contains(sample));
+        }
+    });
+
+    it("translate", function () {
+        assert(poly.isSameAs(poly.translate([0, 0, 0])));
+        const translated = poly.translate([1, -2, 3]);
+        assert(linalg.areClose(translated.centroid, [1.5, -1.5, 3.5]));
+        assert(Math.abs(translated.volume - 1) < geometry.TOL);
+    });
+
+    it("apply", function () {
+        assert(poly.isSameAs(poly.apply([[1, 0, 0], [0, 1, 0], [0, 0, 1]])));
+        const stretched = poly.apply([[2, 0, 0], [0, 1, 0], [0, 0, 3]]);
+        assert(Math.abs(stretched.volume - 6) < geometry.TOL);
+        assert(poly.apply([[1, 0, 0], [0, 1, 0], [1, 1, 0]]).isEmpty);
+    });
+
+    it("apply with dimension change", function () {
+        const square = poly.apply([[1, 0, 0], [0, 1, 0]]);
+        assert(square instanceof geometry.Polygon);
+        assert(square.isSameAs(geometry.Polygon.hull([[0, 0], [1, 0], [0, 1], [1, 1]])));
+    });
+
+    it("applyRight", function () {
+        assert(poly.isSameAs(poly.applyRight([[1, 0, 0], [0, 1, 0], [0, 0, 1]])));
+        const square = poly.applyRight([[1, 0], [0, 1], [0, 0]]);
+        assert(square.isSameAs(geometry.Polygon.hull([[0, 0], [1, 0], [0, 1], [1, 1]])));
+    });
+
+    it("minkowski", function () {
+        const mink = poly.minkowski(poly);
+        assert(mink.isSameAs(poly.apply([[2, 0, 0], [0, 2, 0], [0, 0, 2]])));
+    });
+
+    it("pontryagin", function () {
+        const small = poly.scale(0.5).translate([-0.5, -0.5, -0.5]);
+        const pont = poly.pontryagin(small);
+        assert(Math.abs(pont.volume - 0.125) < geometry.TOL);
+        assert(pont.isSameAs(small.translate([0.5, 0.5, 0.5])));
+    });
+
+    it("shatter", function () {
+        const pieces = poly.shatter();
+        assert(pieces.polytopes.length > poly.polytopes.length);
+        assert(pieces.isSameAs(poly));
+        assert(pieces.isDisjunct);
+    });
+
+    it("scale", function () {
+        const scaled = poly.scale(0.5);
+        assert(Math.abs(scaled.volume - 0.125) < geometry.TOL);
+        assert(linalg.areClose(scaled.centroid, poly.centroid));
+    });
+
+    it("intersect", function () {
+        assert(poly.isSameAs(poly.intersect(poly)));
+        assert(simplex.isSameAs(poly.intersect(simplex)));
+        const shifted = poly.translate([0.5, 0.5, 0.5]);
+        assert(Math.abs(poly.intersect(shifted).volume - 0.125) < geometry.TOL);
+        assert(poly.intersect(poly.translate([1, 0, 0])).isEmpty);
+        assert(poly.intersect(poly.translate([3, 0, 0])).isEmpty);
+    });
+
+    it("remove", function () {
+        assert(poly.remove(poly).isEmpty);
+        const diff = poly.remove(simplex);
+        assert(Math.abs(diff.volume - 5/6) < geometry.TOL);
+        assert(!diff.intersects(simplex));
+        assert(diff.union(simplex).isSameAs(poly));
+        assert(poly.remove(poly.translate([2, 0, 0])).isSameAs(poly));
+    });
+
+    it("split", function () {
+        const [part1, part2] = poly.split(new geometry.Halfspace([0, 0, 1], 0.25));
+        assert(Math.abs(part1.volume - 0.25) < geometry.TOL);
+        assert(Math.abs(part2.volume - 0.75) < geometry.TOL);
+        for (let halfspace of poly.halfspaces) {
+            const [p1, p2] = poly.split(halfspace);
+            assert(p1.isSameAs(poly));
+            assert(p2.isEmpty);
+        }
+    });
+
+    it("serialize and deserialize", function () {
+        const json = JSON.parse(JSON.stringify(simplex.serialize()));
+        assert(geometry.Polytope.deserialize(json).isSameAs(simplex));
+    });
+
+});
+
+
+describe("geometry.PolytopeND in 2 and 4 dimensions", function () {
+
+    it("agrees with Polygon", function () {
+        const points = [[0, 0], [3, 1], [1, 2], [0.5, 3], [-1, 1], [1, 1]];
+        const polygon = geometry.Polygon.hull(points);
+        const polytope = geometry.PolytopeND.ofDim(2).hull(points);
+        assert.equal(polytope.vertices.length, polygon.vertices.length);
+        assert(polytope.isSameAs(polygon));
+        assert(Math.abs(polytope.volume - polygon.volume) < geometry.TOL);
+        assert(linalg.areClose(polytope.centroid, polygon.centroid));
+        const split = polytope.split(new geometry.Halfspace([1, 0], 1));
+        const ref = polygon.split(new geometry.Halfspace([1, 0], 1));
+        assert(Math.abs(split[0].volume - ref[0].volume) < geometry.TOL);
+        assert(Math.abs(split[1].volume - ref[1].volume) < geometry.TOL);
+    });
+
+    it("hypercube", function () {
+        const vertices = [];
+        for (let i = 0; i < 16; i++) {
+            vertices.push([i & 1, (i >> 1) & 1, (i >> 2) & 1, (i >> 3) & 1].map(x => 2 * x));
+        }
+        const cube = geometry.Polytope.ofDim(4).hull(vertices);
+        assert.equal(cube.dim, 4);
+        assert.equal(cube.vertices.length, 16);
+        assert.equal(cube.halfspaces.length, 8);
+        assert(Math.abs(cube.volume - 16) < geometry.TOL);
+        assert(linalg.areClose(cube.centroid, [1, 1, 1, 1]));
+        assert(cube.contains([1, 1, 1, 1]));
+        assert(!cube.contains([1, 1, 1, 3]));
+        const corner = cube.intersect(cube.translate([1, 1, 1, 1]));
+        assert(Math.abs(corner.volume - 1) < geometry.TOL);
+    });
+
+});
+
+
+describe("geometry projection and slicing", function () {
+
+    const Poly3 = geometry.Polytope.ofDim(3);
+    const points = [[0, 0, 0], [2, 0, 1], [0, 3, 2], [1, 1, 4], [2, 2, -1], [-1, 1, 1]];
+    const poly = Poly3.hull(points);
+    const cube = Poly3.hull([[0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0], [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]]);
+
+    it("project agrees with hull of projected vertices", function () {
+        for (let axes of [[0, 1], [2, 0], [1, 2]]) {
+            const projection = poly.project(axes);
+            assert(projection instanceof geometry.Polygon);
+            const ref = geometry.Polygon.hull(points.map(p => axes.map(i => p[i])));
+            assert(projection.isSameAs(ref));
+            assert(ref.isSameAs(projection));
+        }
+        const interval = poly.project([2]);
+        assert(interval instanceof geometry.Interval);
+        assert(interval.isSameAs(geometry.Interval.hull([[-1], [4]])));
+    });
+
+    it("project of a 4-dimensional simplex", function () {
+        const simplex = geometry.Polytope.ofDim(4).hull([
+            [0, 0, 0, 0], [1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]
+        ]);
+        const projection = simplex.project([1, 3]);
+        assert(projection.isSameAs(geometry.Polygon.hull([[0, 0], [1, 0], [0, 1]])));
+        assert.equal(projection.halfspaces.length, 3);
+        assert(simplex.project([0, 1, 2, 3]).isSameAs(simplex));
+        assert(simplex.project([3, 2]).isSameAs(projection));
+    });
+
+    it("slice", function () {
+        const square = cube.slice(2, 0.5);
+        assert(square instanceof geometry.Polygon);
+        assert(square.isSameAs(geometry.Polygon.hull([[0, 0], [1, 0], [0, 1], [1, 1]])));
+        assert(cube.slice(0, 2).isEmpty);
+        const section = poly.slice(0, 0.5);
+        for (let x of [[0.5, 1.5], [0.5, 0.5]]) {
+            assert.equal(section.contains(x), poly.contains([0.5, ...x]));
+        }
+        assert(geometry.Polygon.hull([[0, 0], [2, 0], [0, 2]]).slice(0, 1).isSameAs(geometry.Interval.hull([[0], [1]])));
+        assert.throws(() => geometry.Interval.hull([[0], [1]]).slice(0, 0.5));
+    });
+
+    it("union", function () {
+        const union = geometry.Union.from([cube, cube.translate([2, 0, 0])]);
+        const projection = union.project([0, 2]);
+        assert.equal(projection.dim, 2);
+        assert.equal(projection.polytopes.length, 2);
+        assert(projection.contains([2.5, 0.5]));
+        assert(!projection.contains([1.5, 0.5]));
+        const section = union.slice(1, 0.5);
+        assert(section.isSameAs(projection));
+        assert(union.slice(1, 3).isEmpty);
+    });
+
+    it("invalid axes", function () {
+        assert.throws(() => cube.project([]));
+        assert.throws(() => cube.project([0, 0]));
+        assert.throws(() => cube.project([3]));
+        assert.throws(() => cube.slice(-1, 0));
+    });
+
+});
+
+
+describe("geometry exchange formats", function () {
+
+    const Interval = geometry.Interval;
+    const Polygon = geometry.Polygon;
+    const Union = geometry.Union;
+
+    const interval = Interval.hull([[-1.5], [2]]);
+    const polygon = Polygon.hull([[0, 0], [3, 1], [1, 2], [-1, 1]]);
+    const polygons = Union.from([polygon, polygon.translate([4, 0.1])]);
+    const intervals = Union.from([interval, interval.translate([5])]);
+
+    const viaJSON = (json) => JSON.parse(JSON.stringify(json));
+
+    it("Halfspace round trips", function () {
+        for (let h of [geometry.Halfspace.normalized([3], 1), geometry.Halfspace.normalized([1, -2], 0.3)]) {
+            assert(geometry.Halfspace.fromHRep(viaJSON(h.toHRep())).isSameAs(h));
+            assert(geometry.Halfspace.fromINE(h.toINE()).isSameAs(h));
+        }
+        const trivial = geometry.Halfspace.normalized([0, 0], 1);
+        assert(geometry.Halfspace.fromHRep(viaJSON(trivial.toHRep())).isTrivial);
+        assert(geometry.Halfspace.fromINE(trivial.flip().toINE()).isInfeasible);
+    });
+
+    it("Polytope round trips in 1D and 2D", function () {
+        for (let p of [interval, polygon, Interval.empty(), Polygon.empty()]) {
+            for (let q of [
+                geometry.Polytope.fromHRep(viaJSON(p.toHRep())),
+                geometry.Polytope.fromINE(p.toINE()),
+                geometry.Polytope.fromEXT(p.toEXT())
+            ]) {
+                assert.equal(q.dim, p.dim);
+                assert.equal(q.isEmpty, p.isEmpty);
+                assert(p.isEmpty || q.isSameAs(p));
+            }
+        }
+    });
+
+    it("Union round trips in 1D and 2D", function () {
+        for (let u of [intervals, polygons, Union.empty(1), Union.empty(2)]) {
+            for (let v of [
+                Union.fromHRep(viaJSON(u.toHRep())),
+                Union.fromINE(u.toINE()),
+                Union.fromEXT(u.toEXT())
+            ]) {
+                assert.equal(v.dim, u.dim);
+                assert.equal(v.polytopes.length, u.polytopes.length);
+                assert(v.isSameAs(u));
+            }
+        }
+    });
+
+    it("matrix form of H-representation", function () {
+        const square = geometry.Polytope.fromHRep({ A: [[1, 0], [-1, 0], [0, 2], [0, -2]], b: [1, 0, 2, 0] });
+        assert(square.isSameAs(Polygon.hull([[0, 0], [1, 0], [0, 1], [1, 1]])));
+        const hrep = square.toHRep();
+        assert.equal(hrep.A.length, 4);
+        assert.equal(hrep.b.length, 4);
+        assert.throws(() => geometry.Polytope.fromHRep({ A: [[1, 0]], b: [1, 2] }));
+        assert.throws(() => geometry.Polytope.fromHRep({ A: [], b: [] }));
+    });
+
+    it("parses cddlib files", function () {
+        const ine = [
+            "* unit square with a diagonal cut",
+            "square",
+            "H-representation",
+            "linearity 1 5",
+            "begin",
+            "  5  3  rational",
+            "  1 -1  0",
+            "  0  1  0",
+            "  1  0 -1",
+            "  0  0  1",
+            "  3/2 -1 -1",
+            "end",
+            "minimize",
+            "  0 1 1"
+        ].join("\n");
+        // Equation makes the polytope lower-dimensional, i.e. empty
+        assert(geometry.Polytope.fromINE(ine).isEmpty);
+        const cut = geometry.Polytope.fromINE(ine.replace("linearity 1 5\n", ""));
+        assert(cut.isSameAs(Polygon.hull([[0, 0], [1, 0], [1, 0.5], [0.5, 1], [0, 1]])));
+        const ext = "V-representation\nbegin\n3 3 integer\n1 0 0\n1 2\n0 1 0 2\nend\n";
+        assert(geometry.Polytope.fromEXT(ext).isSameAs(Polygon.hull([[0, 0], [2, 0], [0, 2]])));
+    });
+
+    it("rejects invalid cddlib files", function () {
+        const ParseError = require("../../src/js/parser.js").ParseError;
+        const block = (size, rows) => "begin\n" + size + "\n" + rows + "\nend";
+        assert.throws(() => geometry.Polytope.fromINE(polygon.toEXT()), ParseError);
+        assert.throws(() => geometry.Polytope.fromEXT(block("1 3 real", "0 1 0")), ParseError);
+        assert.throws(() => geometry.Polytope.fromINE(block("2 3 real", "1 0 1")), ParseError);
+        assert.throws(() => geometry.Polytope.fromINE(block("1 3 complex", "1 0 1")), ParseError);
+        assert.throws(() => geometry.Polytope.fromINE(block("1 3 real", "1 0 x")), ParseError);
+        assert.throws(() => geometry.Polytope.fromINE("begin\n1 3 real\n1 0 1"), ParseError);
+        assert.throws(() => geometry.Polytope.fromINE(polygons.toINE()), ParseError);
+        assert.throws(() => Union.fromINE(""), ParseError);
+    });
+
+});
+
+
+describe("geometry sampling", function () {
+
+    // Deterministic random source (linear congruential generator)
+    const lcg = (seed) => () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const triangle = geometry.Polygon.hull([[0, 0], [4, 0], [0, 4]]);
+    const corner = geometry.Polygon.hull([[0, 0], [2, 0], [0, 2]]);
+
+    it("is reproducible with an injected random source", function () {
+        const rng1 = lcg(42);
+        const rng2 = lcg(42);
+        for (let i = 0; i < 10; i++) {
+            assert.deepEqual(triangle.sample(rng1), triangle.sample(rng2));
+        }
+    });
+
+    it("Polytope samples are uniform", function () {
+        const rng = lcg(1);
+        let n = 0;
+        for (let i = 0; i < 4000; i++) {
+            const x = triangle.sample(rng);
+            assert(triangle.contains(x));
+            if (corner.contains(x)) n++;
+        }
+        // Corner has a quarter of the area
+        assert(Math.abs(n / 4000 - 0.25) < 0.03);
+    });
+
+    it("Union samples are weighted by volume", function () {
+        const rng = lcg(2);
+        const big = geometry.Interval.hull([[0], [3]]);
+        const small = geometry.Interval.hull([[5], [6]]);
+        const overlap = geometry.Interval.hull([[2], [3]]);
+        const union = geometry.Union.from([small, big, overlap]);
+        let n = 0;
+        for (let i = 0; i < 4000; i++) {
+            const x = union.sample(rng);
+            assert(union.contains(x));
+            if (small.contains(x)) n++;
+        }
+        assert(Math.abs(n / 4000 - 0.25) < 0.03);
+    });
+
+    it("thin polytope falls back to hit-and-run", function () {
+        const rng = lcg(3);
+        const sliver = geometry.Polytope.ofDim(3).hull([
+            [0, 0, 0], [1, 1, 1], [0.01, 0, 0], [0, 0.01, 0], [0, 0, 0.01], [1.01, 1, 1]
+        ]);
+        assert(!sliver.isEmpty);
+        for (let i = 0; i < 5; i++) {
+            assert(sliver.contains(sliver.sample(rng)));
+        }
+    });
+
+    it("empty regions cannot be sampled", function () {
+        assert.throws(() => geometry.Polygon.empty().sample());
+        assert.throws(() => geometry.Union.empty(2).sample());
+    });
+
+});
+
+
 describe("geometry problem cases", function () {
 
     it("Polygon remove inner with angle < 0 edge case", function () {
@@ -883,6 +1402,146 @@ describe("geometry problem cases", function () {
 });
 
 
+describe("geometry with problem-specific tolerance", function () {
+
+    // A square with side length 1e-5 is (almost) empty with default tolerance
+    const tol = geometry.toleranceOf(1e-5);
+    const square = [[0, 0], [1e-5, 0], [1e-5, 1e-5], [0, 1e-5]];
+    const cube = geometry.Polytope.ofDim(3).hull([
+        [0, 0, 0], [1e-5, 0, 0], [0, 1e-5, 0], [1e-5, 1e-5, 0],
+        [0, 0, 1e-5], [1e-5, 0, 1e-5], [0, 1e-5, 1e-5], [1e-5, 1e-5, 1e-5]
+    ], tol);
+
+    it("toleranceOf", function () {
+        assert.equal(geometry.toleranceOf(1), geometry.TOL);
+        assert.equal(geometry.toleranceOf(100), 100 * geometry.TOL);
+        assert.equal(geometry.toleranceOf(0), geometry.TOL);
+        assert.equal(geometry.toleranceOf(Infinity), geometry.TOL);
+    });
+
+    it("isEmpty", function () {
+        assert(geometry.Polygon.hull(square).isEmpty);
+        assert(!geometry.Polygon.hull(square, tol).isEmpty);
+        assert(!cube.isEmpty);
+        assert(Math.abs(geometry.Polygon.hull(square, tol).volume - 1e-10) < 1e-20);
+        assert(geometry.Interval.hull([[0], [1e-9]]).isEmpty);
+        assert(!geometry.Interval.hull([[0], [1e-9]], 1e-12).isEmpty);
+    });
+
+    it("is passed on to derived polytopes", function () {
+        const p = geometry.Polygon.hull(square, tol);
+        const q = p.translate([5e-6, 5e-6]);
+        assert.equal(q.tol, tol);
+        assert.equal(p.intersect(q).tol, tol);
+        assert.equal(p.remove(q).tol, tol);
+        assert.equal(p.split(geometry.Halfspace.normalized([1, 0], 5e-6))[0].tol, tol);
+        assert.equal(p.apply([[2, 0], [0, 2]]).tol, tol);
+        assert.equal(p.union(q).tol, tol);
+        assert.equal(p.union(q).hull().tol, tol);
+        assert.equal(cube.shatter().polytopes[0].tol, tol);
+        assert.equal(geometry.Zonotope.fromPolytope(p).toPolytope().tol, tol);
+        assert.equal(p.withTolerance(1).tol, 1);
+        assert(p.withTolerance(1).isEmpty);
+        assert(!p.intersect(q).isEmpty);
+        assert(Math.abs(p.remove(q).volume - 0.75e-10) < 1e-20);
+    });
+
+    it("survives remove and union with regions of another tolerance", function () {
+        const p = geometry.Polygon.hull(square, tol);
+        // Two pieces with default tolerance, so removal recurses
+        const other = geometry.Union.from([
+            geometry.Polygon.hull([[5e-6, 0], [1, 0], [1, 5e-6], [5e-6, 5e-6]]),
+            geometry.Polygon.hull([[0, 5e-6], [1, 5e-6], [1, 1], [0, 1]])
+        ]);
+        const rest = p.remove(other);
+        assert.equal(rest.tol, tol);
+        assert(rest.polytopes.every(_ => _.tol === tol));
+        assert(Math.abs(rest.volume - 0.25e-10) < 1e-20);
+        assert.equal(p.union(other).tol, tol);
+        assert.equal(p.toUnion().tol, tol);
+        assert.equal(p.toUnion().remove(other).tol, tol);
+    });
+
+    it("isSameAs", function () {
+        const p = geometry.Polygon.hull(square, tol);
+        const q = p.translate([1e-9, 0]);
+        assert(!p.isSameAs(q));
+        assert(p.isSameAs(p.translate([1e-14, 0])));
+        assert(cube.isSameAs(cube.translate([0, 0, 1e-14])));
+        assert(!cube.isSameAs(cube.translate([0, 0, 1e-9])));
+    });
+
+    it("Halfspace normalization and containment", function () {
+        assert(geometry.Halfspace.normalized([1e-9, 0], 1).isTrivial);
+        assert(!geometry.Halfspace.normalized([1e-9, 0], 1, 1e-12).isTrivial);
+        const h = geometry.Halfspace.normalized([1, 0], 0);
+        assert(h.contains([1e-9, 0]));
+        assert(!h.contains([1e-9, 0], 1e-12));
+        assert(!geometry.Polygon.hull(square, tol).contains([1e-5 + 1e-9, 0]));
+    });
+
+});
+
+
+describe("geometry in exact arithmetic mode", function () {
+
+    // Far away from the origin, cancellation in float arithmetic is
+    // significant even for small polygons
+    const o = 1e7 + 0.1;
+    const tri = [[o, o], [o + 1, o], [o, o + 1]];
+    const sq = [[o, o], [o + 1, o], [o + 1, o + 1], [o, o + 1]];
+
+    before(function () {
+        linalg.setExactMode(true);
+    });
+
+    after(function () {
+        linalg.setExactMode(false);
+    });
+
+    it("Polygon volume", function () {
+        assert.equal(geometry.Polygon.hull(tri).volume, 0.5);
+        assert.equal(geometry.Polygon.hull(sq).volume, 1);
+    });
+
+    it("Polygon intersect and remove", function () {
+        const t = geometry.Polygon.hull(tri);
+        const s = geometry.Polygon.hull(sq);
+        assert.equal(s.intersect(t).volume, 0.5);
+        assert.equal(s.remove(t).volume, 0.5);
+        assert(s.intersect(t).isSameAs(t));
+    });
+
+    it("Polygon problem cases", function () {
+        const vs = [
+            [ -0.7000000000000004, 0.8000000000000005 ],
+            [ -0.5999999999999999, 0.7 ],
+            [ -0.5000000000000001, 0.7 ],
+            [ -0.6000000000000004, 0.8000000000000004 ],
+            [ -0.6000000000000001, 0.8000000000000005 ],
+            [ -0.5, 0.7000000000000003 ],
+            [ -0.5, 0.8000000000000003 ]
+        ];
+        const ref = geometry.Polygon.hull([[-0.7, 0.8], [-0.6, 0.7], [-0.5, 0.7], [-0.5, 0.8]]);
+        assert(geometry.Polygon.hull(vs).isSameAs(ref));
+    });
+
+    it("Interval", function () {
+        const i = geometry.Interval.hull([[o], [o + 1]]);
+        assert.equal(i.volume, 1);
+        assert(i.contains([o + 0.5]));
+        assert(!i.contains([o + 1.5]));
+    });
+
+    it("Halfspace.contains", function () {
+        const h = geometry.Halfspace.normalized([1, 1], 2 * o + 1);
+        assert(h.contains([o + 0.5, o + 0.5]));
+        assert(!h.contains([o + 0.5, o + 0.6]));
+    });
+
+});
+
+
 describe("geometry.Union", function () {
 
     const Interval = geometry.Interval;
@@ -955,6 +1614,23 @@ describe("geometry.Union", function () {
         assert.deepEqual(Union.from([p2, p1]).extent, [[0, 2], [0, 1]]);
     });
 
+    it("chebyshevCenter and inradius", function () {
+        const u = Union.from([p1, p2]);
+        assert(Math.abs(u.inradius - 0.5) < geometry.TOL);
+        assert(u.contains(u.chebyshevCenter));
+        assert.equal(Union.from([i1, i3]).inradius, i3.inradius);
+        assert.deepEqual(Union.from([i1, i3]).chebyshevCenter, i3.chebyshevCenter);
+        assert.equal(Union.from([], 2).inradius, 0);
+        assert(isNaN(Union.from([], 2).chebyshevCenter[0]));
+    });
+
+    it("support", function () {
+        const u = Union.from([p1, p2]);
+        assert.equal(u.support([1, 0]), 2);
+        assert.equal(u.support([-1, 0]), 0);
+        assert.equal(u.support([0, 1]), 1);
+        assert.equal(Union.from([], 2).support([1, 0]), -Infinity);
+    });
     it("isSameAs with single member", function () {
         assert(i1.isSameAs(i1.toUnion()));
         assert(p1.isSameAs(p1.toUnion()));
@@ -1174,6 +1850,43 @@ describe("geometry.Union", function () {
         assert(s3.isSameAs(ref));
     });
 
+    it("mergeConvex merges pieces with a convex union", function () {
+        const lower = Polygon.hull([[0, 0], [2, 0], [2, 1], [0, 1]]);
+        const upper = lower.translate([0, 1]);
+        const side = Polygon.hull([[2, 0], [3, 0], [3, 2], [2, 2]]);
+        const merged = Union.from([lower, side, upper]).mergeConvex();
+        assert.equal(merged.polytopes.length, 1);
+        assert(merged.isSameAs(Polygon.hull([[0, 0], [3, 0], [3, 2], [0, 2]])));
+        // Chain of pairwise convex unions
+        const strips = [0, 1, 2, 3].map(k => Interval.hull([[k], [k + 1]]));
+        assert.equal(Union.from([strips[3], strips[0], strips[2], strips[1]]).mergeConvex().polytopes.length, 1);
+    });
+
+    it("mergeConvex keeps pieces with a non-convex union", function () {
+        const a = Polygon.hull([[0, 0], [2, 0], [2, 1], [0, 1]]);
+        const b = Polygon.hull([[0, 1], [1, 1], [1, 2], [0, 2]]);
+        const gap = Union.from([i1, Interval.hull([[2], [3]])]);
+        const u = Union.from([a, b]);
+        assert.equal(u.mergeConvex(), u);
+        assert.equal(gap.mergeConvex(), gap);
+    });
+
+    it("simplify and disjunctify merge optionally", function () {
+        const rect = (x0, x1, y0, y1) => Polygon.hull([[x0, y0], [x1, y0], [x1, y1], [x0, y1]]);
+        // Overlapping pieces of a convex region
+        const u = Union.from([rect(0, 2, 0, 1), rect(1, 3, 0, 1), rect(0, 3, 1, 2)]);
+        assert.equal(u.disjunctify().polytopes.length, 1);
+        assert.equal(u.disjunctify(false).polytopes.length, 3);
+        // Removal of the complement in the hull leaves a mergeable cut
+        const v = Union.from([rect(2, 4, 2, 3), rect(1, 4, 0, 1), rect(0, 2, 3, 5)]);
+        const merged = v.simplify();
+        const unmerged = v.simplify(false);
+        assert.equal(merged.polytopes.length, 3);
+        assert.equal(unmerged.polytopes.length, 4);
+        assert(merged.isSameAs(unmerged));
+        assert(merged.isSameAs(v));
+    });
+
     it("toUnion", function() {
         assert(i1.toUnion() instanceof Union);
         assert(p1.toUnion() instanceof Union);
@@ -1185,3 +1898,171 @@ describe("geometry.Union", function () {
 
 });
 
+
+
+describe("geometry.Zonotope", function () {
+
+    const Zonotope = geometry.Zonotope;
+    const square = geometry.Polygon.hull([[-1, -1], [1, -1], [1, 1], [-1, 1]]);
+    const box = Zonotope.box([[-1, 1], [-1, 1]]);
+    // Hexagon
+    const hexagon = new Zonotope([1, 0], [[1, 0], [0, 1], [1, 1]]);
+
+    it("box and fromPolytope", function () {
+        assert.equal(box.dim, 2);
+        assert.equal(box.generators.length, 2);
+        assert(box.toPolytope().isSameAs(square));
+        assert(Zonotope.fromPolytope(square).toPolytope().isSameAs(square));
+        // Bounding box over-approximation
+        const triangle = geometry.Polygon.hull([[0, 0], [1, 0], [0, 1]]);
+        assert(Zonotope.fromPolytope(triangle).toPolytope().isSameAs(triangle.boundingBox));
+        assert.throws(() => Zonotope.fromPolytope(geometry.Polygon.empty()));
+    });
+
+    it("toPolytope", function () {
+        const poly = hexagon.toPolytope();
+        assert.equal(poly.vertices.length, 6);
+        assert(Math.abs(poly.volume - 12) < geometry.TOL);
+        assert(poly.isSameAs(geometry.Polygon.hull([[-1, -2], [1, -2], [3, 0], [3, 2], [1, 2], [-1, 0]])));
+        assert(Zonotope.box([[0, 1]]).toPolytope().isSameAs(geometry.Interval.hull([[0], [1]])));
+        assert(new Zonotope([0, 0], [[1, 1]]).toPolytope().isEmpty);
+    });
+
+    it("toPolytope in 3 dimensions", function () {
+        const z = Zonotope.box([[0, 1], [0, 2], [0, 3]]).minkowski(new Zonotope([0, 0, 0], [[1, 1, 1]]));
+        const poly = z.toPolytope();
+        assert.equal(poly.dim, 3);
+        assert.equal(poly.halfspaces.length, 12);
+        // Volume of a zonotope: 2^dim times the sum of |det| over all
+        // combinations of dim generators
+        assert(Math.abs(poly.volume - 8 * (0.75 + 0.5 + 0.75 + 1.5)) < geometry.TOL);
+    });
+
+    it("extent and support", function () {
+        assert.deepEqual(hexagon.extent, [[-1, 3], [-2, 2]]);
+        assert.equal(hexagon.support([1, 0]), 3);
+        assert.equal(hexagon.support([-1, 1]), 1);
+        for (let d of [[1, 0], [0, 1], [1, 1], [-2, 1]]) {
+            assert(Math.abs(hexagon.support(d) - hexagon.toPolytope().support(d)) < geometry.TOL);
+        }
+    });
+
+    it("apply is exact", function () {
+        const m = [[1, 2], [0, 1]];
+        assert(box.apply(m).toPolytope().isSameAs(square.apply(m)));
+        assert(hexagon.apply(m).toPolytope().isSameAs(hexagon.toPolytope().apply(m)));
+    });
+
+    it("minkowski is exact", function () {
+        const mink = box.minkowski(hexagon);
+        assert.equal(mink.generators.length, 5);
+        assert(mink.toPolytope().isSameAs(square.minkowski(hexagon.toPolytope())));
+    });
+
+    it("translate and invert", function () {
+        assert(box.translate([1, 2]).toPolytope().isSameAs(square.translate([1, 2])));
+        assert(hexagon.invert().toPolytope().isSameAs(hexagon.toPolytope().invert()));
+    });
+
+    it("contains", function () {
+        assert(hexagon.contains([1, 0]));
+        assert(hexagon.contains([3, 2]));
+        assert(hexagon.contains([-1, -0.5]));
+        assert(!hexagon.contains([3, -1]));
+        assert(!hexagon.contains([-1.1, 0]));
+        assert(new Zonotope([1, 1], []).contains([1, 1]));
+    });
+
+    it("intersect over-approximates", function () {
+        const h = geometry.Halfspace.normalized([1, 0], 0);
+        const exact = box.toPolytope().split(h)[0];
+        const approx = box.intersect(h);
+        assert(approx != null && approx.toPolytope().isSameAs(exact));
+        const hh = geometry.Halfspace.normalized([1, 1], 0.5);
+        const exact2 = hexagon.toPolytope().split(hh)[0];
+        const approx2 = tools.just(hexagon.intersect(hh));
+        assert(approx2.toPolytope().covers(exact2));
+        assert(approx2.toPolytope().volume < hexagon.toPolytope().volume);
+    });
+
+    it("intersect yields self or null", function () {
+        assert.equal(box.intersect(geometry.Halfspace.normalized([1, 0], 2)), box);
+        assert.equal(box.intersect(geometry.Halfspace.normalized([1, 0], -2)), null);
+    });
+
+    it("serialize and deserialize", function () {
+        const json = JSON.parse(JSON.stringify(hexagon.serialize()));
+        const z = Zonotope.deserialize(json);
+        assert.deepEqual(z.center, hexagon.center);
+        assert.deepEqual(z.generators, hexagon.generators);
+    });
+
+});
+
+
+describe("geometry.RTree", function () {
+
+    // Deterministic pseudo-random boxes (linear congruential generator)
+    let seed = 12345;
+    const rand = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    const randomBox = (size) => [0, 1].map(() => {
+        const l = 10 * rand();
+        return [l, l + size * rand()];
+    });
+    const overlap = (a, b) => a.every(([l, u], i) => l <= b[i][1] && b[i][0] <= u);
+
+    const boxes = [];
+    for (let i = 0; i < 200; i++) {
+        boxes.push(randomBox(1));
+    }
+    const queries = [];
+    for (let i = 0; i < 50; i++) {
+        queries.push(randomBox(3));
+    }
+    queries.push([[5, 5], [5, 5]], [[-2, -1], [0, 11]]);
+
+    const bruteForce = (items, query) => items.filter(k => overlap(boxes[k], query));
+
+    it("search after insert", function () {
+        const tree = new geometry.RTree(2, 4);
+        boxes.forEach((box, k) => tree.insert(box, k));
+        assert.equal(tree.size, boxes.length);
+        const all = boxes.map((_, k) => k);
+        for (let query of queries) {
+            assert.deepEqual(tree.search(query), bruteForce(all, query));
+        }
+    });
+
+    it("search after remove", function () {
+        const tree = new geometry.RTree(2, 4);
+        boxes.forEach((box, k) => tree.insert(box, k));
+        const kept = [];
+        boxes.forEach((box, k) => {
+            if (k % 3 === 0) {
+                kept.push(k);
+            } else {
+                assert(tree.remove(box, k));
+            }
+        });
+        assert.equal(tree.size, kept.length);
+        assert(!tree.remove(boxes[1], 1));
+        for (let query of queries) {
+            assert.deepEqual(tree.search(query), bruteForce(kept, query));
+        }
+        kept.forEach(k => assert(tree.remove(boxes[k], k)));
+        assert.equal(tree.size, 0);
+        assert.deepEqual(tree.search([[-Infinity, Infinity], [-Infinity, Infinity]]), []);
+    });
+
+    it("empty boxes are never found", function () {
+        const tree = new geometry.RTree(1);
+        tree.insert([[Infinity, -Infinity]], "empty");
+        tree.insert([[0, 1]], "unit");
+        assert.deepEqual(tree.search([[-Infinity, Infinity]]), ["unit"]);
+        assert(tree.remove([[Infinity, -Infinity]], "empty"));
+    });
+
+});
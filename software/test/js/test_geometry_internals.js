@@ -74,5 +74,23 @@ describe("geometry internals", function () {
         assert.deepEqual(cartesian([1, 4], [2], [3]), [[1, 2, 3], [4, 2, 3]]);
     });
 
+    it("chebyshevBall", function () {
+        let chebyshevBall = geom.__get__("chebyshevBall");
+        let square = geom.Polygon.hull([[0, 0], [2, 0], [0, 2], [2, 2]]).halfspaces;
+        let [center, radius] = chebyshevBall(square);
+        assert(geom.TOL > Math.abs(radius - 1));
+        assert(center[0] > 1 - geom.TOL && center[0] < 1 + geom.TOL);
+        assert.equal(chebyshevBall(square.slice(0, 2)), null);
+        assert.equal(chebyshevBall([...square, geom.Halfspace.normalized([1, 0], -1)]), null);
+    });
+
+    it("removeRedundant", function () {
+        let removeRedundant = geom.__get__("removeRedundant");
+        let square = geom.Polygon.hull([[0, 0], [1, 0], [0, 1], [1, 1]]).halfspaces;
+        let hs = [...square, geom.Halfspace.normalized([1, 1], 3), square[0]];
+        assert.equal(removeRedundant(hs, geom.TOL).length, 4);
+        assert.equal(removeRedundant(square, geom.TOL).length, 4);
+    });
+
 });
 
@@ -81,6 +81,55 @@ describe("linalg Matrix operations", function () {
         assert.throws(() => linalg.inv([[1, 2], [3, 6]]));
     });
 
+    it("det of larger matrices", function () {
+        assert.equal(linalg.det(linalg.eye(4)), 1);
+        assert(Math.abs(linalg.det([[2, 0, 1], [1, 3, 2], [1, 1, 2]]) - 6) < linalg.TOL);
+        assert(Math.abs(linalg.det([[0, 1, 0], [1, 0, 0], [0, 0, 1]]) + 1) < linalg.TOL);
+        assert.equal(linalg.det([[1, 2, 3], [2, 4, 6], [1, 0, 1]]), 0);
+        assert.throws(() => linalg.det([[1, 2, 3], [4, 5, 6]]), linalg.DimensionMismatch);
+    });
+
+    it("inv of larger matrices", function () {
+        const m = [[2, 0, 1], [1, 3, 2], [1, 1, 2]];
+        const mInv = linalg.inv(m);
+        const id = linalg.matmul(m, mInv);
+        for (let i = 0; i < 3; i++) {
+            assert(linalg.areClose(id[i], linalg.eye(3)[i]));
+        }
+        assert.throws(() => linalg.inv([[1, 2, 3], [2, 4, 6], [1, 0, 1]]), linalg.MathError);
+    });
+
+    it("solve", function () {
+        assert.deepEqual(linalg.solve([[2]], [4]), [2]);
+        const m = [[0, 2, 1, 0], [1, 0, 0, 3], [4, 1, 1, 1], [0, 0, 2, 1]];
+        const x = [1, -2, 3, 0.5];
+        assert(linalg.areClose(linalg.solve(m, linalg.apply(m, x)), x));
+        assert.throws(() => linalg.solve([[1, 1], [1, 1]], [1, 2]), linalg.MathError);
+        assert.throws(() => linalg.solve([[1, 0], [0, 1]], [1, 2, 3]), linalg.DimensionMismatch);
+    });
+
+    it("rank", function () {
+        assert.equal(linalg.rank(unit2d), 2);
+        assert.equal(linalg.rank(linalg.eye(5)), 5);
+        assert.equal(linalg.rank([[1, 2, 3], [2, 4, 6]]), 1);
+        assert.equal(linalg.rank([[1, 2], [2, 4], [0, 1]]), 2);
+        assert.equal(linalg.rank([[0, 0, 0]]), 0);
+    });
+
+    it("nullspace", function () {
+        assert.deepEqual(linalg.nullspace(unit2d), []);
+        const m = [[1, 2, 3], [2, 4, 6]];
+        const ns = linalg.nullspace(m);
+        assert.equal(ns.length, 2);
+        for (let v of ns) {
+            assert(linalg.areClose(linalg.apply(m, v), [0, 0]));
+        }
+        assert.equal(linalg.rank(ns), 2);
+        const ns2 = linalg.nullspace([[1, 0, 1], [0, 1, 1]]);
+        assert.equal(ns2.length, 1);
+        assert(linalg.areClose(ns2[0], [-1, -1, 1]));
+    });
+
     it("transpose", function () {
         assert.deepEqual(linalg.transpose(unit1d), unit1d);
         assert.deepEqual(linalg.transpose([[1, 2], [3, 4]]), [[1, 3], [2, 4]]);
@@ -127,3 +176,45 @@ describe("linalg.minkowski", function () {
 });
 
 
+
+
+describe("linalg exact arithmetic mode", function () {
+
+    before(function () {
+        linalg.setExactMode(true);
+    });
+
+    after(function () {
+        linalg.setExactMode(false);
+    });
+
+    it("dot without cancellation", function () {
+        assert(linalg.isExactMode());
+        assert.equal(linalg.dot([1e16, 1, -1e16], [1, 1, 1]), 1);
+        assert.equal(linalg.dot([0.1, 0.2], [1, 1]), 0.30000000000000004);
+    });
+
+    it("det", function () {
+        assert.equal(linalg.det([[2, 0, 1], [1, 3, 2], [1, 1, 2]]), 6);
+        assert.equal(linalg.det([[0, 1], [1, 0]]), -1);
+        assert.equal(linalg.det([[1, 2], [2, 4]]), 0);
+        // Exactly singular in rational arithmetic
+        assert.equal(linalg.det([[0.1, 0.2], [0.3, 0.6]]), 0);
+        // Tiny but non-zero
+        assert(linalg.det([[1, 1], [1, 1 + 2 ** -52]]) > 0);
+    });
+
+    it("inv and solve", function () {
+        assert.deepEqual(linalg.inv([[2, 0], [0, 4]]), [[0.5, 0], [0, 0.25]]);
+        assert.deepEqual(linalg.solve([[2, 0, 1], [1, 3, 2], [1, 1, 2]], [3, 6, 4]), [1, 1, 1]);
+        assert.throws(() => linalg.inv([[1, 2], [2, 4]]), linalg.MathError);
+        assert.throws(() => linalg.solve([[1, 2], [2, 4]], [1, 2]), linalg.MathError);
+    });
+
+    it("rank and nullspace", function () {
+        assert.equal(linalg.rank([[1, 2, 3], [2, 4, 6]]), 1);
+        assert.equal(linalg.rank([[1, 0], [0, 1], [1, 1]]), 2);
+        assert.deepEqual(linalg.nullspace([[1, 1]]), [[-1, 1]]);
+    });
+
+});
@@ -44,3 +44,22 @@ describe("logic.OnePairStreettAutomaton", function () {
 
 });
 
+
+
+describe("logic.Objective", function () {
+
+    const objective = (kind, terms, coSafe) => new logic.Objective(
+        presets.objectives[kind], terms.map(logic.parseProposition), coSafe
+    );
+
+    it("isCompatibleWith compares automaton, propositions and interpretation", function () {
+        const reach = objective("Reachability", ["p1 & p2"], false);
+        assert(reach.isCompatibleWith(objective("Reachability", ["p1 & p2"], false)));
+        assert(reach.isCompatibleWith(logic.Objective.deserialize(reach.serialize())));
+        assert(!reach.isCompatibleWith(objective("Reachability", ["p1 | p2"], false)));
+        assert(!reach.isCompatibleWith(objective("Reachability", ["p1 & p2"], true)));
+        assert(!reach.isCompatibleWith(objective("Recurrence", ["p1 & p2"], false)));
+        assert(!objective("Safety", ["p1"], false).isCompatibleWith(reach));
+    });
+
+});
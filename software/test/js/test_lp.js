@@ -0,0 +1,78 @@
+// @flow
+
+let assert = require("assert");
+let linalg = require("../../src/js/linalg.js");
+let lp = require("../../src/js/lp.js");
+
+
+describe("lp.maximize", function () {
+
+    // Unit square
+    const A = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+    const b = [1, 1, 0, 0];
+
+    it("optimal at vertex", function () {
+        const result = lp.maximize([1, 2], A, b);
+        assert.equal(result.status, "optimal");
+        assert.equal(result.value, 3);
+        assert.deepEqual(result.x, [1, 1]);
+    });
+
+    it("optimal with negative variables", function () {
+        const result = lp.maximize([-1, -1], [[1, 0], [0, 1], [-1, 0], [0, -1]], [-2, -3, 4, 5]);
+        assert.equal(result.status, "optimal");
+        assert.equal(result.value, 9);
+        assert(result.x != null && linalg.areClose(result.x, [-4, -5]));
+    });
+
+    it("degenerate problem terminates", function () {
+        // Many constraints active at the optimal vertex
+        const result = lp.maximize([1, 1, 1], [
+            [1, 0, 0], [0, 1, 0], [0, 0, 1], [1, 1, 0], [0, 1, 1], [1, 0, 1], [1, 1, 1],
+            [-1, 0, 0], [0, -1, 0], [0, 0, -1]
+        ], [1, 1, 1, 2, 2, 2, 3, 0, 0, 0]);
+        assert.equal(result.status, "optimal");
+        assert(Math.abs(result.value - 3) < linalg.TOL);
+    });
+
+    it("infeasible", function () {
+        const result = lp.maximize([1, 1], [...A, [1, 1]], [...b, -1]);
+        assert.equal(result.status, "infeasible");
+        assert.equal(result.x, null);
+    });
+
+    it("unbounded", function () {
+        const result = lp.maximize([1, 0], A.slice(1), b.slice(1));
+        assert.equal(result.status, "unbounded");
+        assert.equal(result.value, Infinity);
+    });
+
+    it("zero objective yields feasible point", function () {
+        const result = lp.maximize([0, 0], [[-1, -1], [1, 1]], [-1, 1]);
+        assert.equal(result.status, "optimal");
+        assert(result.x != null && Math.abs(result.x[0] + result.x[1] - 1) < linalg.TOL);
+    });
+
+    it("dimension mismatch", function () {
+        assert.throws(() => lp.maximize([1], A, b), linalg.DimensionMismatch);
+        assert.throws(() => lp.maximize([1, 1], A, [1, 1]), linalg.DimensionMismatch);
+    });
+
+});
+
+
+describe("lp.minimize", function () {
+
+    it("optimal", function () {
+        const result = lp.minimize([1, 1], [[-1, 0], [0, -1]], [-3, -4]);
+        assert.equal(result.status, "optimal");
+        assert.equal(result.value, 7);
+    });
+
+    it("unbounded", function () {
+        const result = lp.minimize([1, 1], [[1, 0], [0, 1]], [3, 4]);
+        assert.equal(result.status, "unbounded");
+        assert.equal(result.value, -Infinity);
+    });
+
+});
@@ -0,0 +1,80 @@
+// @flow
+
+let assert = require("assert");
+let geometry = require("../../src/js/geometry.js");
+let parser = require("../../src/js/parser.js");
+let probability = require("../../src/js/probability.js");
+let tools = require("../../src/js/tools.js");
+
+const NoiseDistribution = probability.NoiseDistribution;
+
+
+describe("probability.parseDensity", function () {
+
+    it("arithmetic and functions", function () {
+        const f = probability.parseDensity("2 * x - y / 4 + 1", "xy");
+        assert.equal(f([1, 2]), 2.5);
+        assert.equal(probability.parseDensity("exp(-x^2)", "x")([1]), Math.exp(-1));
+        assert.equal(probability.parseDensity("-x^2", "x")([2]), -4);
+        assert.equal(probability.parseDensity("2^3^2", "x")([0]), 512);
+        assert.equal(probability.parseDensity("sqrt(abs(x)) * pi", "x")([-4]), 2 * Math.PI);
+        assert.equal(probability.parseDensity("(1 + x) * (1 - x)", "x")([0.5]), 0.75);
+    });
+
+    it("rejects unknown symbols", function () {
+        assert.throws(() => probability.parseDensity("z + 1", "xy"), parser.ParseError);
+        assert.throws(() => probability.parseDensity("xy", "xy"), parser.ParseError);
+        assert.throws(() => probability.parseDensity("foo(x)", "x"), parser.ParseError);
+        assert.throws(() => probability.parseDensity("x +", "x"), parser.ParseError);
+    });
+
+});
+
+
+describe("probability.NoiseDistribution", function () {
+
+    const interval = (l, u) => geometry.Polytope.ofDim(1).hull([[l], [u]]);
+    const square = geometry.Polytope.ofDim(2).hull([[-1, -1], [1, -1], [1, 1], [-1, 1]]);
+
+    it("uniform distribution", function () {
+        const noise = NoiseDistribution.discretize(interval(0, 1), probability.UNIFORM, 10);
+        assert.equal(noise.points.length, 10);
+        assert(Math.abs(tools.iter.sum(noise.weights) - 1) < 1e-12);
+        assert(Math.abs(noise.probabilityOf(interval(0, 0.5)) - 0.5) < 1e-12);
+        assert(Math.abs(noise.probabilityOf(interval(-1, 2)) - 1) < 1e-12);
+        assert.equal(noise.probabilityOf(interval(2, 3)), 0);
+    });
+
+    it("density is truncated to the random space", function () {
+        const triangle = geometry.Polytope.ofDim(2).hull([[-1, -1], [1, -1], [-1, 1]]);
+        const noise = NoiseDistribution.discretize(triangle, probability.UNIFORM, 20);
+        assert(noise.points.every(_ => triangle.contains(_)));
+        assert(Math.abs(noise.probabilityOf(triangle) - 1) < 1e-12);
+    });
+
+    it("symmetric density", function () {
+        const gauss = probability.parseDensity("exp(-(x^2 + y^2) / 0.1)", "xy");
+        const noise = NoiseDistribution.discretize(square, gauss, 40);
+        const half = geometry.Polytope.ofDim(2).hull([[-1, -1], [0, -1], [0, 1], [-1, 1]]);
+        assert(Math.abs(noise.probabilityOf(half) - 0.5) < 1e-12);
+        // Mass concentrates in the center
+        const center = geometry.Polytope.ofDim(2).hull([[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]]);
+        assert(noise.probabilityOf(center) > 0.9);
+    });
+
+    it("map", function () {
+        const noise = NoiseDistribution.discretize(interval(0, 1), probability.UNIFORM, 10).map(w => [w[0] + 1]);
+        assert(Math.abs(noise.probabilityOf(interval(1, 2)) - 1) < 1e-12);
+        assert.equal(noise.probabilityOf(interval(0, 0.9)), 0);
+    });
+
+    it("rejects invalid densities and resolutions", function () {
+        assert.throws(() => NoiseDistribution.discretize(square, w => -1, 10), tools.ValueError);
+        assert.throws(() => NoiseDistribution.discretize(square, w => 0, 10), tools.ValueError);
+        assert.throws(() => NoiseDistribution.discretize(square, w => 1 / w[0], 10), tools.ValueError);
+        assert.throws(() => NoiseDistribution.discretize(square, probability.UNIFORM, 0), tools.ValueError);
+        assert.throws(() => NoiseDistribution.discretize(square, probability.UNIFORM, 2.5), tools.ValueError);
+        assert.throws(() => NoiseDistribution.discretize(square, probability.UNIFORM, 10000), tools.ValueError);
+    });
+
+});
@@ -0,0 +1,71 @@
+// @flow
+
+let assert = require("assert");
+let rational = require("../../src/js/rational.js");
+
+const Rational = rational.Rational;
+// The type checker does not know bigint yet
+// $FlowFixMe
+const big = (x) => BigInt(x);
+
+
+describe("rational.Rational", function () {
+
+    it("of normalizes", function () {
+        const x = Rational.of(big(6), big(-4));
+        assert.equal(x.toString(), "-3/2");
+        assert.equal(Rational.of(big(0), big(5)).toString(), "0");
+        assert.throws(() => Rational.of(big(1), big(0)));
+    });
+
+    it("from is exact", function () {
+        assert.equal(Rational.from(0.5).toString(), "1/2");
+        assert.equal(Rational.from(-3).toString(), "-3");
+        assert.equal(Rational.from(0.1).toString(), "3602879701896397/36028797018963968");
+        assert.throws(() => Rational.from(Infinity));
+        assert.throws(() => Rational.from(NaN));
+    });
+
+    it("toNumber roundtrip", function () {
+        for (let x of [0, 1, -1, 0.1, 1 / 3, -123.456, 1e-300, 5e-324, 1.7e308]) {
+            assert.equal(Rational.from(x).toNumber(), x);
+        }
+        assert.equal(Rational.of(big(1), big(3)).toNumber(), 1 / 3);
+        assert.equal(Rational.of(big(-2), big(3)).toNumber(), -2 / 3);
+    });
+
+    it("arithmetic", function () {
+        const a = Rational.from(0.1);
+        const b = Rational.from(0.2);
+        const c = Rational.from(0.3);
+        // Exact, unlike 0.1 + 0.2 - 0.3 in float arithmetic
+        assert(a.add(b).sub(c).sign > 0);
+        assert.equal(a.add(b).sub(a).cmp(b), 0);
+        assert.equal(a.mul(b).div(b).cmp(a), 0);
+        assert.equal(a.neg().abs().cmp(a), 0);
+        assert(a.sub(a).isZero);
+        assert(a.cmp(b) < 0);
+        assert(c.cmp(b) > 0);
+    });
+
+    it("sumOfProducts", function () {
+        // Cancellation: 1e16 + 1 - 1e16 is 0 in float arithmetic
+        assert.equal(Rational.sumOfProducts([1e16, 1, -1e16], [1, 1, 1]).toNumber(), 1);
+        assert(Rational.sumOfProducts([], []).isZero);
+        assert.equal(Rational.one().add(Rational.zero()).toString(), "1");
+    });
+
+    it("module loads without BigInt", function () {
+        const path = require.resolve("../../src/js/rational.js");
+        const bigInt = global.BigInt;
+        delete require.cache[path];
+        delete global.BigInt;
+        try {
+            assert.doesNotThrow(() => require(path));
+        } finally {
+            global.BigInt = bigInt;
+            delete require.cache[path];
+        }
+    });
+
+});
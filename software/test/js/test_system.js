@@ -5,24 +5,40 @@ let tools = require("../../src/js/tools.js");
 let geometry = require("../../src/js/geometry.js");
 let linalg = require("../../src/js/linalg.js");
 let system = require("../../src/js/system.js");
+let game = require("../../src/js/game.js");
+let probability = require("../../src/js/probability.js");
+let refinement = require("../../src/js/refinement.js");
+let logic = require("../../src/js/logic.js");
+let presets = require("../../src/js/presets.js");
 
 const imap = tools.iter.map;
 const ifilter = tools.iter.filter;
 const icount = tools.iter.count;
+const sets = tools.sets;
 const Union = geometry.Union;
 
+// Axis-aligned rectangle from its lower left and upper right corner
+function box(l, u) {
+    return geometry.Polygon.hull([[l[0], l[1]], [u[0], l[1]], [u[0], u[1]], [l[0], u[1]]]);
+}
+
+const I = [[1, 0], [0, 1]];
+
+// Actions partition the control space separately for every control mode
 function actionPolytopesCoverControlSpace(sys) {
     return function () {
         for (let state of ifilter(s => !s.isOuter, sys.states.values())) {
-            const actionPolytopes = [];
-            for (let action of state.actions) {
-                actionPolytopes.push(...action.controls.polytopes);
-            }
-            assert(actionPolytopes.length > 0);
-            const actions = Union.from(actionPolytopes);
-            assert(!actions.isEmpty);
-            assert(actions.isSameAs(sys.lss.uu));
-            assert(sys.lss.uu.isSameAs(actions));
+            sys.lss.controlModes.forEach((mode, m) => {
+                const actionPolytopes = [];
+                for (let action of state.actions.filter(_ => _.mode === m)) {
+                    actionPolytopes.push(...action.controls.polytopes);
+                }
+                assert(actionPolytopes.length > 0);
+                const actions = Union.from(actionPolytopes);
+                assert(!actions.isEmpty);
+                assert(actions.isSameAs(mode.uu));
+                assert(mode.uu.isSameAs(actions));
+            });
         }
     }
 }
@@ -32,7 +48,7 @@ function actionPolytopesDoNotOverlap(sys) {
         for (let state of sys.states.values()) {
             for (let action1 of state.actions) {
                 for (let action2 of state.actions) {
-                    if (action1 === action2) continue;
+                    if (action1 === action2 || action1.mode !== action2.mode) continue;
                     assert(!action1.controls.intersects(action2.controls));
                     assert(!action2.controls.intersects(action1.controls));
                 }
@@ -45,7 +61,9 @@ function actionSupportsArePreP(sys) {
     return function () {
         for (let state of sys.states.values()) {
             for (let action of state.actions) {
-                const preR = sys.preR(action.origin, action.controls, action.targets);
+                const mode = sys.lss.controlModes[action.mode];
+                const targets = Union.from(Array.from(action.targets, _ => _.polytope), sys.lss.dim, sys.lss.tol);
+                const preR = mode.preR(state.polytope, action.controls, targets);
                 // PreR has to cover the entire origin polytope
                 assert(state.polytope.isSameAs(preR));
                 assert(preR.isSameAs(state.polytope));
@@ -59,7 +77,7 @@ function actionSupportsArePreP(sys) {
                     assert(!state.polytope.remove(preR).intersects(support.origins));
                     // Every target is reachable
                     for (let target of support.targets) {
-                        let pre = action.origin.pre(action.controls, [target]);
+                        let pre = mode.pre(state.polytope, action.controls, target.polytope);
                         assert(support.origins.intersects(pre));
                         assert(pre.intersects(support.origins));
                     }
@@ -156,5 +174,965 @@ describe("Svoreňová et al. (2017): double integrator system", function () {
     it("action polytopes of each state do not overlap", actionPolytopesDoNotOverlap(sys));
     it("supports of each action fulfil PreP properties", actionSupportsArePreP(sys));
 
+    it("state lookups agree with exhaustive search after refinement", function () {
+        const copy = system.AbstractedLSS.deserialize(sys.serialize());
+        const inner = Array.from(ifilter(s => !s.isOuter, copy.states.values()));
+        const partitions = new Map(inner.map(s => [s, Union.from([...s.polytope.split(
+            geometry.Halfspace.normalized([1, -1], linalg.dot([1, -1], s.polytope.chebyshevCenter))
+        )])]));
+        assert(copy.refine(partitions).size > 0);
+        const states = Array.from(copy.states.values());
+        for (let x = -6; x <= 6; x += 0.25) {
+            for (let y = -4; y <= 4; y += 0.25) {
+                assert.equal(copy.stateOf([x, y]), states.find(s => s.polytope.contains([x, y])));
+            }
+        }
+        for (let state of states) {
+            if (state.isOuter) continue;
+            const post = state.post(copy.lss.uu);
+            const expected = states.filter(s => post.intersects(s.polytope));
+            assert.deepEqual(Array.from(state.oneStepReachable(copy.lss.uu)), expected);
+        }
+    });
+
+});
+
+
+
+describe("double integrator system with affine drift", function () {
+
+    const A = [[1, 1], [0, 1]];
+    const B = [[0.5], [1]];
+    const c = [0.3, -0.2];
+    const xx = geometry.Polygon.hull([[-5, 3], [-5, -3], [5, 3], [5, -3]]);
+    const ww = geometry.Polygon.hull([[-0.1, -0.1], [-0.1, 0.1], [0.1, -0.1], [0.1, 0.1]]);
+    const uu = geometry.Interval.hull([[-1], [1]]);
+    const predicates = [
+        geometry.Halfspace.parse("-1 < x", "xy"),
+        geometry.Halfspace.parse("x < 1", "xy"),
+        geometry.Halfspace.parse("-1 < y", "xy"),
+        geometry.Halfspace.parse("y < 1", "xy")
+    ];
+    // The drift is equivalent to a shifted random space
+    const lss = new system.LSS(A, B, xx, ww, uu, c);
+    const ref = new system.LSS(A, B, xx, ww.translate(c), uu);
+
+    it("eval adds the drift", function () {
+        assert.deepEqual(lss.eval([1, 2], [0], [0, 0]), [3.3, 1.8]);
+        assert(lss.hasDrift);
+        assert(!ref.hasDrift);
+        assert.deepEqual(ref.c, [0, 0]);
+    });
+
+    it("operators agree with shifted random space", function () {
+        const x = geometry.Polygon.hull([[0, 0], [0.2, 0], [0.2, 0.2], [0, 0.2]]);
+        const y = geometry.Polygon.hull([[-1, -1], [2, -1], [2, 1], [-1, 1]]);
+        assert(!lss.actR(x, y).isEmpty);
+        assert(lss.post(x, lss.uu).isSameAs(ref.post(x, ref.uu)));
+        assert(lss.pre(lss.xx, lss.uu, y).isSameAs(ref.pre(ref.xx, ref.uu, y)));
+        assert(lss.preR(lss.xx, lss.uu, y).isSameAs(ref.preR(ref.xx, ref.uu, y)));
+        assert(lss.act(x, y).isSameAs(ref.act(x, y)));
+        assert(lss.actR(x, y).isSameAs(ref.actR(x, y)));
+        assert(!lss.post(x, lss.uu).isSameAs(ref.post(x, ref.uu.translate([0.5]))));
+    });
+
+    it("actions and supports agree with shifted random space", function () {
+        const sys = lss.decompose(predicates);
+        const sysRef = ref.decompose(predicates);
+        assert.equal(sys.states.size, sysRef.states.size);
+        for (let state of sys.states.values()) {
+            const stateRef = sysRef.getState(state.label);
+            assert(state.polytope.isSameAs(stateRef.polytope));
+            assert.equal(state.actions.length, stateRef.actions.length);
+            for (let [action, actionRef] of tools.arr.zip2(state.actions, stateRef.actions)) {
+                assert(action.controls.isSameAs(actionRef.controls));
+                assert.equal(action.supports.length, actionRef.supports.length);
+            }
+        }
+        actionSupportsArePreP(sys)();
+    });
+
+    it("drift survives serialization", function () {
+        const copy = system.LSS.deserialize(lss.serialize());
+        assert.deepEqual(copy.c, c);
+        assert.equal(copy.tol, lss.tol);
+        // Serializations without drift have zero drift
+        const json = ref.serialize();
+        delete json.c;
+        assert.deepEqual(system.LSS.deserialize(json).c, [0, 0]);
+    });
+
+});
+
+
+
+describe("double integrator system with disturbance input matrix", function () {
+
+    const A = [[1, 1], [0, 1]];
+    const B = [[0.5], [1]];
+    const xx = geometry.Polygon.hull([[-5, 3], [-5, -3], [5, 3], [5, -3]]);
+    const uu = geometry.Interval.hull([[-1], [1]]);
+    const predicates = [
+        geometry.Halfspace.parse("-1 < x", "xy"),
+        geometry.Halfspace.parse("x < 1", "xy"),
+        geometry.Halfspace.parse("-1 < y", "xy"),
+        geometry.Halfspace.parse("y < 1", "xy")
+    ];
+    const x = geometry.Polygon.hull([[0, 0], [0.2, 0], [0.2, 0.2], [0, 0.2]]);
+    const y = geometry.Polygon.hull([[-1, -1], [2, -1], [2, 1], [-1, 1]]);
+
+    it("full-rank E is equivalent to transformed random space", function () {
+        const ww = geometry.Polygon.hull([[-0.1, -0.1], [-0.1, 0.1], [0.1, -0.1], [0.1, 0.1]]);
+        const E = [[0.5, 0], [0.5, 1]];
+        const lss = new system.LSS(A, B, xx, ww, uu, [0.1, 0], E);
+        const ref = new system.LSS(A, B, xx, ww.apply(E).translate([0.1, 0]), uu);
+        assert.equal(lss.tol, ref.tol);
+        assert(lss.post(x, lss.uu).isSameAs(ref.post(x, ref.uu)));
+        assert(lss.pre(lss.xx, lss.uu, y).isSameAs(ref.pre(ref.xx, ref.uu, y)));
+        assert(lss.preR(lss.xx, lss.uu, y).isSameAs(ref.preR(ref.xx, ref.uu, y)));
+        assert(lss.act(x, y).isSameAs(ref.act(x, y)));
+        assert(lss.actR(x, y).isSameAs(ref.actR(x, y)));
+        assert(lss.zNonZero(y).isSameAs(ref.zNonZero(y)));
+        assert(lss.zOne(y).isSameAs(ref.zOne(y)));
+    });
+
+    // Disturbance only affects the velocity
+    const ww = geometry.Interval.hull([[-0.1], [0.1]]);
+    const lss = new system.LSS(A, B, xx, ww, uu, undefined, [[0], [1]]);
+
+    it("eval applies E", function () {
+        assert.deepEqual(lss.eval([1, 2], [0], [0.5]), [3, 2.5]);
+    });
+
+    it("lower-dimensional disturbance in operators", function () {
+        const post = lss.post(x, lss.uu);
+        assert(linalg.areClose(post.extent.map(_ => _[0]), [-0.5, -1.1]));
+        assert(linalg.areClose(post.extent.map(_ => _[1]), [0.9, 1.3]));
+        // Robustness only shrinks the target in the disturbed direction
+        const zOne = lss.zOne(y);
+        assert(zOne.isSameAs(geometry.Polygon.hull([[-1, -0.9], [2, -0.9], [2, 0.9], [-1, 0.9]])));
+        const zNonZero = lss.zNonZero(y);
+        assert(zNonZero.isSameAs(geometry.Polygon.hull([[-1, -1.1], [2, -1.1], [2, 1.1], [-1, 1.1]])));
+        // 0.1 + u + w <= 1 for all w limits the control
+        assert(lss.actRAt([0.1, 0.1], y).isSameAs(geometry.Interval.hull([[-1], [0.8]])));
+        assert(!lss.preR(lss.xx, lss.uu, y).isEmpty);
+    });
+
+    it("action supports fulfil PreP properties", function () {
+        const sys = lss.decompose(predicates);
+        assert.equal(sys.states.size, 13);
+        actionSupportsArePreP(sys)();
+    });
+
+    it("size thresholds are measured in state space", function () {
+        // E W is a vertical segment, which has no interior
+        assert(Math.abs(lss.disturbanceRadius - 0.1) < 1e-12);
+        const lss3 = new system.LSS(A, B, xx, ww, uu, [0.1, 0], [[0], [3]]);
+        assert(Math.abs(lss3.disturbanceRadius - 0.3) < 1e-12);
+        const sys = lss3.decompose(predicates);
+        assert(Math.abs(sys._epsRadius - 0.03) < 1e-12);
+        // Full-dimensional E W: its inradius
+        const ww2 = box([-0.1, -0.1], [0.1, 0.1]);
+        const lss2 = new system.LSS(A, B, xx, ww2, uu, undefined, [[2, 0], [0, 1]]);
+        assert(Math.abs(lss2.disturbanceRadius - 0.1) < 1e-12);
+        // Vanishing disturbance
+        const lss0 = new system.LSS(A, B, xx, ww, uu, undefined, [[0], [0]]);
+        assert.equal(lss0.disturbanceRadius, 0);
+    });
+
+    it("E survives serialization", function () {
+        const copy = system.LSS.deserialize(lss.serialize());
+        assert.deepEqual(copy.E, [[0], [1]]);
+        assert.equal(copy.ww.dim, 1);
+        assert.equal(copy.tol, lss.tol);
+    });
+
+});
+
+
+
+describe("piecewise-affine system", function () {
+
+    const xx = box([0, 0], [4, 2]);
+    const ww = box([-0.1, -0.1], [0.1, 0.1]);
+    const uu = box([-1, -1], [1, 1]);
+    const modes = [
+        { A: I, B: I, c: [0.5, 0], domain: box([0, 0], [2, 2]) },
+        { A: I, B: [[0.5, 0], [0, 0.5]], domain: box([2, 0], [4, 2]) }
+    ];
+    const lss = new system.PWALSS(modes, xx, ww, uu);
+
+    it("domains must partition the state space", function () {
+        assert.throws(() => new system.PWALSS([modes[0]], xx, ww, uu), tools.ValueError);
+        const overlapping = { A: I, B: I, domain: box([1, 0], [4, 2]) };
+        assert.throws(() => new system.PWALSS([modes[0], overlapping], xx, ww, uu), tools.ValueError);
+        assert.throws(() => new system.PWALSS([], xx, ww, uu), tools.ValueError);
+    });
+
+    it("single mode agrees with LSS", function () {
+        const single = new system.PWALSS([{ A: I, B: I, c: [0.5, 0], domain: xx }], xx, ww, uu);
+        const ref = new system.LSS(I, I, xx, ww, uu, [0.5, 0]);
+        const x = box([1, 1], [1.5, 1.5]);
+        const y = box([2, 0], [4, 2]);
+        assert(!ref.actR(x, y).isEmpty);
+        assert.equal(single.tol, ref.tol);
+        assert(single.post(x, single.uu).isSameAs(ref.post(x, ref.uu)));
+        assert(single.preR(single.xx, single.uu, y).isSameAs(ref.preR(ref.xx, ref.uu, y)));
+        assert(single.actR(x, y).isSameAs(ref.actR(x, y)));
+        assert(single.oneStepReachable.isSameAs(ref.oneStepReachable));
+    });
+
+    it("operators apply the dynamics of each domain", function () {
+        const x = box([1, 0], [3, 1]);
+        const y = box([2.3, 0], [4, 2]);
+        const post = lss.post(x, lss.uu);
+        const postRef = lss.modes[0].post(box([1, 0], [2, 1]), lss.uu).union(lss.modes[1].post(box([2, 0], [3, 1]), lss.uu));
+        assert(post.isSameAs(postRef));
+        // Controls have to work in both modes, mode 2 has the weaker input
+        const actR = lss.actR(box([1.9, 0.5], [2.1, 1]), y);
+        assert(actR.isSameAs(box([0.8, -0.4], [1, 0.9])));
+        assert(lss.actRAt([1.9, 1], y).isSameAs(box([0, -0.9], [1, 0.9])));
+        assert.deepEqual(lss.eval([1, 1], [0, 0], [0, 0]), [1.5, 1]);
+        assert.deepEqual(lss.eval([3, 1], [1, 0], [0, 0]), [3.5, 1]);
+        assert.equal(lss.modeAt([5, 1]), null);
+        assert.throws(() => lss.zNonZero(y), tools.ValueError);
+    });
+
+    const sys = lss.decompose([geometry.Halfspace.parse("x > 3", "xy")], ["p1"]);
+
+    it("states lie within a single mode", function () {
+        for (let state of sys.states.values()) {
+            if (!state.isOuter) lss.modeOf(state.polytope);
+        }
+        assert.throws(() => lss.modeOf(box([1, 0], [3, 1])), tools.ValueError);
+        assert.throws(() => sys.newState(box([1, 0], [3, 1]), false), tools.ValueError);
+        assert.equal(icount(ifilter(s => !s.isOuter, sys.states.values())), 3);
+    });
+
+    it("state operators use the dynamics of the origin", function () {
+        const states = Array.from(ifilter(s => !s.isOuter, sys.states.values()));
+        for (let x of states) {
+            const mode = lss.modeOf(x.polytope);
+            for (let y of states) {
+                assert(x.zNonZero([y]).isSameAs(mode.zNonZero(y.polytope)));
+                assert(sys.zOne(x, [y]).isSameAs(mode.zOne(y.polytope)));
+            }
+        }
+        assert.throws(() => sys.zOne(states[0], states, 1), tools.ValueError);
+    });
+
+    it("union of action polytopes of each state is entire control space", actionPolytopesCoverControlSpace(sys));
+    it("action polytopes of each state do not overlap", actionPolytopesDoNotOverlap(sys));
+    it("supports of each action fulfil PreP properties", actionSupportsArePreP(sys));
+
+    it("survives serialization", function () {
+        const copy = system.AbstractedLSS.deserialize(sys.serialize());
+        assert(copy.lss instanceof system.PWALSS);
+        assert.equal(copy.lss.tol, lss.tol);
+        assert(copy.lss.oneStepReachable.isSameAs(lss.oneStepReachable));
+        assert.deepEqual(copy.lss.eval([1, 1], [0, 0], [0, 0]), [1.5, 1]);
+    });
+
+});
+
+
+
+describe("grid decomposition", function () {
+
+    const xx = box([0, 0], [4, 2]);
+    const ww = box([-0.1, -0.1], [0.1, 0.1]);
+    const uu = box([-1, -1], [1, 1]);
+    const lss = new system.LSS(I, I, xx, ww, uu);
+    const predicates = [geometry.Halfspace.parse("x > 2.5", "xy")];
+
+    const sys = lss.decomposeGrid([4, 2], predicates, ["p1"]);
+    const inner = Array.from(ifilter(s => !s.isOuter, sys.states.values()));
+
+    it("grid cells are split by the predicates", function () {
+        assert.equal(inner.length, 10);
+        assert(Union.from(inner.map(_ => _.polytope)).isSameAs(xx));
+        const labeled = inner.filter(_ => _.predicates.has("p1"));
+        assert.equal(labeled.length, 4);
+        assert(Union.from(labeled.map(_ => _.polytope)).isSameAs(box([2.5, 0], [4, 2])));
+        assert(inner.some(_ => _.polytope.isSameAs(box([0, 1], [1, 2]))));
+        assert(inner.some(_ => _.polytope.isSameAs(box([2, 0], [2.5, 1]))));
+        assert(icount(ifilter(s => s.isOuter, sys.states.values())) > 0);
+    });
+
+    it("single cell agrees with decompose", function () {
+        const ref = lss.decompose(predicates, ["p1"]);
+        const single = lss.decomposeGrid([1, 1], predicates, ["p1"]);
+        assert.equal(single.states.size, ref.states.size);
+    });
+
+    it("rejects invalid numbers of cells", function () {
+        assert.throws(() => lss.decomposeGrid([0, 2], predicates), tools.ValueError);
+        assert.throws(() => lss.decomposeGrid([1.5, 2], predicates), tools.ValueError);
+        assert.throws(() => lss.decomposeGrid([2], predicates));
+    });
+
+    it("grid is intersected with the domains of piecewise-affine systems", function () {
+        const pwa = new system.PWALSS([
+            { A: I, B: I, domain: box([0, 0], [1.5, 2]) },
+            { A: I, B: I, domain: box([1.5, 0], [4, 2]) }
+        ], xx, ww, uu);
+        const pwaSys = pwa.decomposeGrid([2, 1], predicates, ["p1"]);
+        const pwaInner = Array.from(ifilter(s => !s.isOuter, pwaSys.states.values()));
+        // [0, 1.5], [1.5, 2], [2, 2.5], [2.5, 4]
+        assert.equal(pwaInner.length, 4);
+        for (let state of pwaInner) pwa.modeOf(state.polytope);
+    });
+
+    it("union of action polytopes of each state is entire control space", actionPolytopesCoverControlSpace(sys));
+    it("action polytopes of each state do not overlap", actionPolytopesDoNotOverlap(sys));
+
 });
 
+
+
+describe("consistency verification", function () {
+
+    const lss = new system.LSS(I, I, box([0, 0], [4, 2]), box([-0.1, -0.1], [0.1, 0.1]), box([-1, -1], [1, 1]));
+    const decompose = () => lss.decomposeGrid([2, 1], [geometry.Halfspace.parse("x > 3", "xy")], ["p1"]);
+    const checks = report => new Set(report.issues.map(_ => _.check));
+
+    it("accepts decomposed, refined and deserialized systems", function () {
+        const sys = decompose();
+        assert.deepEqual(sys.verify(), { isValid: true, issues: [] });
+        // Evaluate actions and supports so they are checked too
+        for (let state of sys.states.values()) {
+            for (let action of state.actions) action.supports;
+        }
+        assert(sys.verify().isValid);
+        const state = Array.from(sys.states.values()).filter(_ => !_.isOuter)[0];
+        state.refine(Union.from([...state.polytope.split(geometry.Halfspace.parse("y > 1", "xy"))]));
+        assert(sys.verify().isValid);
+        const copy = system.AbstractedLSS.deserialize(sys.serialize(true));
+        assert(copy.verify().isValid);
+    });
+
+    it("detects gaps and overlaps", function () {
+        const sys = decompose();
+        const state = sys.getState("X6");
+        assert(!state.isOuter);
+        sys._removeState(state);
+        const gap = sys.verify();
+        assert(!gap.isValid);
+        assert.deepEqual(checks(gap), new Set(["coverage"]));
+        sys._addState(state);
+        sys.newState(box([1.5, 0], [2.5, 1]), false);
+        const overlap = sys.verify();
+        assert.deepEqual(checks(overlap), new Set(["overlap"]));
+        assert(overlap.issues.some(_ => _.check === "overlap" && _.states.includes("X6")));
+    });
+
+    it("detects wrong predicate labels", function () {
+        const sys = decompose();
+        const labeled = Array.from(sys.states.values()).filter(_ => _.predicates.has("p1"));
+        assert(labeled.length > 0);
+        labeled[0].predicates.delete("p1");
+        labeled[0].predicates.add("p2");
+        const report = sys.verify();
+        assert.deepEqual(checks(report), new Set(["predicates"]));
+        assert.equal(report.issues.length, 2);
+        assert(report.issues.every(_ => _.states[0] === labeled[0].label));
+    });
+
+    it("detects stale actions", function () {
+        const sys = decompose();
+        const state = sys.getState("X5");
+        const target = Array.from(state.actions[0].targets).filter(_ => _ !== state)[0];
+        // Replace the target without resetting the action cache
+        sys._removeState(target);
+        sys.newState(target.polytope, target.isOuter, target.predicates);
+        const report = sys.verify();
+        assert.deepEqual(checks(report), new Set(["actions"]));
+        assert(report.issues.every(_ => _.states.includes(state.label)));
+        sys.resetActions(new Set([target]));
+        assert(sys.verify().isValid);
+    });
+
+});
+
+
+
+describe("merging states", function () {
+
+    const lss = new system.LSS(I, I, box([0, 0], [4, 2]), box([-0.1, -0.1], [0.1, 0.1]), box([-1, -1], [1, 1]));
+    // Cells [0, 1], [1, 2], [2, 3], [3, 4] along x, p1 in the last two
+    const decompose = () => lss.decomposeGrid([4, 1], [geometry.Halfspace.parse("x > 2", "xy")], ["p1"]);
+    const at = (sys, x) => tools.just(sys.stateOf(x));
+
+    it("merges groups into their convex hull", function () {
+        const sys = decompose();
+        const n = sys.states.size;
+        const [x1, x2, x3, x4] = [0.5, 1.5, 2.5, 3.5].map(_ => at(sys, [_, 1]));
+        const mergeMap = sys.merge([[x1, x2], [x3, x4], [at(sys, [-1, 1])]]);
+        assert.equal(mergeMap.size, 2);
+        assert.equal(sys.states.size, n - 2);
+        assert(!sys.states.has(x1.label) && !sys.states.has(x4.label));
+        const [y1, y2] = Array.from(mergeMap.keys());
+        assert(sets.areEqual(tools.just(mergeMap.get(y1)), new Set([x1, x2])));
+        assert(y1.polytope.isSameAs(box([0, 0], [2, 2])));
+        assert(y2.polytope.isSameAs(box([2, 0], [4, 2])));
+        assert.deepEqual(Array.from(y2.predicates), ["p1"]);
+        assert(sys.verify().isValid);
+    });
+
+    it("rejects invalid groups without modifying the system", function () {
+        const sys = decompose();
+        const n = sys.states.size;
+        const [x1, x2, x3] = [0.5, 1.5, 2.5].map(_ => at(sys, [_, 1]));
+        // Not convex
+        assert.throws(() => sys.merge([[x1, x3]]), tools.ValueError);
+        // Different predicates
+        assert.throws(() => sys.merge([[x2, x3]]), tools.ValueError);
+        // Inner and outer state
+        assert.throws(() => sys.merge([[x1, at(sys, [-1, 1])]]), tools.ValueError);
+        // State in multiple groups
+        assert.throws(() => sys.merge([[x1, x2], [x2, x1]]), tools.ValueError);
+        assert.equal(sys.states.size, n);
+        assert(sys.verify().isValid);
+    });
+
+    it("resets the actions of predecessors", function () {
+        const sys = lss.decomposeGrid([8, 1], [geometry.Halfspace.parse("x > 2", "xy")], ["p1"]);
+        const [x1, x2, x3, x4] = [0.25, 2.75, 3.25, 3.75].map(_ => at(sys, [_, 1]));
+        for (let state of sys.states.values()) state.actions;
+        sys.merge([[x3, x4]]);
+        // x1 cannot reach the merged states, x2 can
+        assert.notEqual(x1._actions, null);
+        assert.equal(x2._actions, null);
+        assert(sys.verify().isValid);
+        for (let state of sys.states.values()) state.actions;
+        assert(sys.verify().isValid);
+    });
+
+    it("analysis results are remapped", function () {
+        const sys = decompose();
+        const [x1, x2, x3, x4] = [0.5, 1.5, 2.5, 3.5].map(_ => at(sys, [_, 1]));
+        const results = game.AnalysisResults.deserialize({
+            [x1.label]: { yes: ["q0"], no: ["q1"], maybe: [] },
+            [x2.label]: { yes: ["q0"], no: [], maybe: ["q1"] },
+            [x3.label]: { yes: ["q0", "q1"], no: [], maybe: [] },
+            [x4.label]: { yes: ["q0", "q1"], no: [], maybe: [] }
+        });
+        const mergeMap = sys.merge([[x1, x2], [x3, x4]]);
+        results.remapMerged(mergeMap);
+        const [y1, y2] = Array.from(mergeMap.keys());
+        assert.deepEqual(Array.from(results.keys()), [y1.label, y2.label]);
+        // Merged states are undecided until the next analysis
+        const r1 = tools.just(results.get(y1.label));
+        assert.deepEqual([r1.yes, r1.no, r1.maybe], [new Set(), new Set(), new Set(["q0", "q1"])]);
+        const r2 = tools.just(results.get(y2.label));
+        assert.deepEqual([r2.yes, r2.no, r2.maybe], [new Set(), new Set(), new Set(["q0", "q1"])]);
+    });
+
+    it("merged states and their ancestors are decided again", function () {
+        const Poly = geometry.Polytope.ofDim(1);
+        const lss1 = new system.LSS([[1]], [[1]], Poly.hull([[0], [4]]), Poly.hull([[-0.1], [0.1]]), Poly.hull([[-1], [1]]));
+        const sys = lss1.decomposeGrid([8], [geometry.Halfspace.parse("x > 3", "x")], ["p1"]);
+        const objective = new logic.Objective(
+            presets.objectives["Reachability"], [logic.parseProposition("p1")], true
+        );
+        const analyse = (previous) => {
+            const results = game.TwoPlayerProbabilisticGame.fromProduct(sys, objective, previous).analyse();
+            if (previous != null) results.transferFromPrevious(previous);
+            return results;
+        };
+        // Every state can be steered into the target with the fine partition
+        const results = analyse();
+        for (let state of ifilter(s => !s.isOuter, sys.states.values())) {
+            assert(tools.just(results.get(state.label)).yes.has("q0"));
+        }
+        // The merged state [1, 3] has no action that leaves it for sure, so
+        // the merged state and all its ancestors lose their strategy
+        const [x0, x1] = [0.25, 0.75].map(_ => at(sys, [_]));
+        const mergeMap = sys.merge([[1.25, 1.75, 2.25, 2.75].map(_ => at(sys, [_]))]);
+        const [y] = Array.from(mergeMap.keys());
+        const ancestors = sys.ancestorsOf([y]);
+        assert([x0, x1, y].every(_ => ancestors.has(_)));
+        results.remapMerged(mergeMap);
+        results.undecide(imap(_ => _.label, ancestors));
+        const updated = analyse(results);
+        for (let x of [x0, x1, y]) {
+            assert(!tools.just(updated.get(x.label)).yes.has("q0"));
+        }
+        assert(tools.just(updated.get(at(sys, [3.25]).label)).yes.has("q0"));
+    });
+
+    it("bounds of merged states and their ancestors are dropped", function () {
+        const Poly = geometry.Polytope.ofDim(1);
+        const lss1 = new system.LSS([[1]], [[1]], Poly.hull([[0], [4]]), Poly.hull([[-0.1], [0.1]]), Poly.hull([[-1], [1]]));
+        const sys = lss1.decomposeGrid([8], [geometry.Halfspace.parse("x > 3", "x")], ["p1"]);
+        const objective = new logic.Objective(
+            presets.objectives["Reachability"], [logic.parseProposition("p1")], true
+        );
+        const noise = probability.NoiseDistribution.discretize(lss1.ww, probability.UNIFORM, 10);
+        const boundsOf = () => game.TwoPlayerProbabilisticGame.fromProduct(sys, objective)
+                                   .analyseBounds(new system.TransitionBounds(sys, noise));
+        const bounds = boundsOf();
+        const [x0, x1] = [0.25, 0.75].map(_ => at(sys, [_]));
+        const olds = [1.25, 1.75, 2.25, 2.75].map(_ => at(sys, [_]));
+        for (let x of [x0, x1, ...olds]) {
+            assert.deepEqual(tools.just(bounds.get(x.label)).get("q0"), [1, 1]);
+        }
+        // The merged state [1, 3] loses its only winning action
+        const mergeMap = sys.merge([olds]);
+        const [y] = Array.from(mergeMap.keys());
+        bounds.remapMerged(mergeMap);
+        for (let state of sys.ancestorsOf([y])) {
+            bounds.delete(state.label);
+        }
+        assert(![x0, x1, y, ...olds].some(_ => bounds.has(_.label)));
+        // States that cannot reach the merged state keep their bounds
+        for (let state of ifilter(s => s.isOuter, sys.states.values())) {
+            assert(bounds.has(state.label));
+        }
+        // Keeping the old bounds would have been unsound
+        const updated = boundsOf();
+        for (let x of [x0, x1, y]) {
+            assert(tools.just(tools.just(updated.get(x.label)).get("q0"))[0] < 1);
+        }
+    });
+
+    it("coarsener groups decided states with equal results", function () {
+        const sys = lss.decomposeGrid([4, 2], [geometry.Halfspace.parse("x > 2", "xy")], ["p1"]);
+        const results = new game.AnalysisResults();
+        for (let state of sys.states.values()) {
+            const x = state.polytope.centroid;
+            // Left half decided, right half undecided except for [3, 4] x [1, 2]
+            const decided = x[0] < 2 || (x[0] > 3 && x[1] > 1);
+            results.set(state.label, {
+                yes: new Set(decided ? ["q0"] : []),
+                no: new Set(),
+                maybe: new Set(decided ? [] : ["q0"])
+            });
+        }
+        // Greedy grouping merges the columns of the left half first
+        const groups = new refinement.Coarsener(sys, results).groups();
+        assert.equal(groups.length, 2);
+        for (let group of groups) {
+            const merged = Union.from(Array.from(group, _ => _.polytope));
+            assert(merged.isSameAs(box([0, 0], [1, 2])) || merged.isSameAs(box([1, 0], [2, 2])));
+        }
+        results.remapMerged(sys.merge(groups));
+        assert(sys.verify().isValid);
+        // Merged states are undecided until the next analysis, which is
+        // assumed to decide the merged columns again
+        assert.equal(new refinement.Coarsener(sys, results).groups().length, 0);
+        for (let group of groups) {
+            const state = at(sys, Union.from(Array.from(group, _ => _.polytope)).hull().centroid);
+            results.set(state.label, { yes: new Set(["q0"]), no: new Set(), maybe: new Set() });
+        }
+        // The merged columns are merged in a second pass
+        const groups2 = new refinement.Coarsener(sys, results).groups();
+        assert.equal(groups2.length, 1);
+        results.remapMerged(sys.merge(groups2));
+        assert.equal(icount(ifilter(s => !s.isOuter, sys.states.values())), 5);
+        assert(at(sys, [1, 1]).polytope.isSameAs(box([0, 0], [2, 2])));
+        assert(sys.verify().isValid);
+        // Nothing left to merge
+        assert.equal(new refinement.Coarsener(sys, results).groups().length, 0);
+    });
+
+});
+
+
+
+describe("adding predicates", function () {
+
+    const lss = new system.LSS(I, I, box([0, 0], [4, 2]), box([-0.1, -0.1], [0.1, 0.1]), box([-1, -1], [1, 1]));
+    const at = (sys, x) => tools.just(sys.stateOf(x));
+
+    it("splits cut states and labels contained states", function () {
+        const sys = lss.decomposeGrid([8, 1], [geometry.Halfspace.parse("x > 2", "xy")], ["p1"]);
+        const [x1, x2, x3, x4] = [0.25, 0.75, 1.25, 3.75].map(_ => at(sys, [_, 1]));
+        for (let state of sys.states.values()) state.actions;
+        const n = sys.states.size;
+        const refinementMap = sys.addPredicate("p2", geometry.Halfspace.parse("x < 0.75", "xy"));
+        // x2 is split, x1 is labelled
+        assert.deepEqual(Array.from(refinementMap.keys()), [x2]);
+        assert.equal(sys.states.size, n + 1);
+        assert(x1.predicates.has("p2"));
+        assert(!x3.predicates.has("p2") && !x4.predicates.has("p2"));
+        const [y1, y2] = Array.from(tools.just(refinementMap.get(x2)));
+        assert(y1.polytope.isSameAs(box([0.5, 0], [0.75, 2])));
+        assert.deepEqual(Array.from(y1.predicates), ["p2"]);
+        assert.deepEqual(Array.from(y2.predicates), []);
+        assert(sys.getPredicate("p2") != null);
+        // Predecessors of x2 have to recompute their actions, x4 does not reach x2
+        assert.equal(x1._actions, null);
+        assert.notEqual(x4._actions, null);
+        assert(sys.verify().isValid);
+        // Outer states are not labelled
+        assert(Array.from(sys.states.values()).every(_ => !_.isOuter || _.predicates.size === 0));
+    });
+
+    it("analysis results can be remapped", function () {
+        const sys = lss.decompose([geometry.Halfspace.parse("x > 2", "xy")], ["p1"]);
+        const results = new game.AnalysisResults();
+        for (let state of sys.states.values()) {
+            results.set(state.label, { yes: new Set(), no: new Set(["q0"]), maybe: new Set() });
+        }
+        const refinementMap = sys.addPredicate("p2", geometry.Halfspace.parse("y < 1", "xy"));
+        assert.equal(refinementMap.size, 2);
+        results.remap(refinementMap);
+        assert(sets.areEqual(new Set(results.keys()), sys.stateLabels));
+    });
+
+    it("rejects existing labels and wrong dimensions", function () {
+        const sys = lss.decompose([geometry.Halfspace.parse("x > 2", "xy")], ["p1"]);
+        assert.throws(() => sys.addPredicate("p1", geometry.Halfspace.parse("x < 1", "xy")), tools.ValueError);
+        assert.throws(() => sys.addPredicate("p2", geometry.Halfspace.parse("x < 1", "x")));
+        assert(!sys.predicates.has("p2"));
+    });
+
+});
+
+
+
+describe("transition probability bounds", function () {
+
+    const Poly = geometry.Polytope.ofDim(1);
+    const lss = new system.LSS(
+        [[1]], [[1]], // A, B
+        Poly.hull([[0], [4]]), // state space
+        Poly.hull([[-1], [1]]), // random space
+        Poly.hull([[-0.1], [0.1]]) // control space
+    );
+    const sys = lss.decomposeGrid([8], [geometry.Halfspace.parse("x > 3.5", "x")], ["p"]);
+    const resolution = 200;
+    const noise = probability.NoiseDistribution.discretize(lss.ww, probability.UNIFORM, resolution);
+    const transitions = new system.TransitionBounds(sys, noise);
+    const supports = [];
+    for (let state of ifilter(s => !s.isOuter, sys.states.values())) {
+        for (let action of state.actions) supports.push(...action.supports);
+    }
+
+    it("bounds are consistent", function () {
+        for (let support of supports) {
+            const bounds = transitions.supportBounds(support);
+            assert.deepEqual(new Set(bounds.keys()), new Set(imap(_ => _.label, support.targets)));
+            let lowers = 0;
+            let uppers = 0;
+            for (let [lower, upper] of bounds.values()) {
+                assert(0 <= lower && lower <= upper && upper <= 1);
+                lowers += lower;
+                uppers += upper;
+            }
+            assert(lowers <= 1 + 1e-9 && uppers >= 1 - 1e-9);
+            if (support.targets.size === 1) assert.deepEqual(Array.from(bounds.values()), [[1, 1]]);
+        }
+    });
+
+    it("bounds approximate the transition probabilities", function () {
+        const rng = new tools.PRNG(42);
+        // Exact probabilities for the uniform distribution, accurate up to
+        // the mass of one quadrature cell
+        const eps = 1 / resolution + 1e-9;
+        let checked = 0;
+        for (let support of supports) {
+            const bounds = transitions.supportBounds(support);
+            for (let i = 0; i < 5; i++) {
+                const [x] = support.origins.sample(rng.random);
+                for (let u = -0.1; u <= 0.1; u += 0.01) {
+                    // The targets reached with non-zero probability determine
+                    // the support to which the transition belongs
+                    const [l, r] = [x + u - 1, x + u + 1];
+                    const probabilities = new Map();
+                    for (let target of sys.states.values()) {
+                        const [[tl, tr]] = target.polytope.extent;
+                        const p = Math.max(0, Math.min(r, tr) - Math.max(l, tl)) / 2;
+                        if (p > 1e-9) probabilities.set(target.label, p);
+                    }
+                    if (!sets.areEqual(new Set(probabilities.keys()), new Set(bounds.keys()))) continue;
+                    for (let [label, p] of probabilities) {
+                        const [lower, upper] = tools.just(bounds.get(label));
+                        assert(lower - eps <= p && p <= upper + eps);
+                    }
+                    checked++;
+                }
+            }
+        }
+        assert(checked > 0);
+    });
+
+    it("analysis bounds agree with qualitative results", function () {
+        const objective = new logic.Objective(
+            presets.objectives["Reachability"], [logic.parseProposition("p")], true
+        );
+        const g = game.TwoPlayerProbabilisticGame.fromProduct(sys, objective);
+        const results = g.analyse();
+        const bounds = g.analyseBounds(transitions);
+        for (let [label, result] of results) {
+            const qBounds = tools.just(bounds.get(label));
+            for (let [q, [lower, upper]] of qBounds) {
+                assert(0 <= lower && lower <= upper && upper <= 1);
+                if (result.yes.has(q)) assert.deepEqual([lower, upper], [1, 1]);
+            }
+            if (sys.getState(label).isOuter) assert.deepEqual(qBounds.get("q0"), [0, 0]);
+        }
+    });
+
+});
+
+
+describe("switched system", function () {
+
+    const xx = box([0, 0], [4, 2]);
+    const ww = box([-0.1, -0.1], [0.1, 0.1]);
+    const uu = box([-1, -1], [1, 1]);
+    const modes = [
+        { A: I, B: [[0.5, 0], [0, 0.5]] },
+        { A: I, B: [[0.2, 0], [0, 0.2]], c: [1, 0] }
+    ];
+    const lss = new system.SwitchedLSS(modes, xx, ww, uu);
+
+    it("modes are chosen by the controller", function () {
+        assert.equal(lss.controlModes.length, 2);
+        assert.deepEqual(new system.LSS(I, I, xx, ww, uu).controlModes.length, 1);
+        for (let mode of lss.controlModes) {
+            assert.equal(mode.tol, lss.tol);
+            assert(mode.xx.isSameAs(lss.xx));
+        }
+        assert.deepEqual(lss.controlModes[1].eval([1, 1], [1, 0], [0, 0]), [2.2, 1]);
+        assert.throws(() => lss.eval([1, 1], [1, 0], [0, 0]), tools.ValueError);
+        assert.throws(() => lss.act(box([1, 1], [2, 2]), xx), tools.ValueError);
+        assert.throws(() => new system.SwitchedLSS([], xx, ww, uu), tools.ValueError);
+    });
+
+    it("operators without control mode quantify over all modes", function () {
+        const x = box([1, 0], [2, 1]);
+        const y = box([3, 0], [4, 2]);
+        const post = lss.controlModes[0].post(x, lss.uu).union(lss.controlModes[1].post(x, lss.uu));
+        assert(lss.post(x, lss.uu).isSameAs(post));
+        // Only the second mode gets from x into y robustly
+        assert(lss.controlModes[0].preR(x, lss.uu, y).isEmpty);
+        assert(lss.preR(x, lss.uu, y).isSameAs(lss.controlModes[1].preR(x, lss.uu, y)));
+        assert(!lss.preR(x, lss.uu, y).isEmpty);
+    });
+
+    const sys = lss.decompose([geometry.Halfspace.parse("x > 3", "xy")], ["p1"]);
+
+    it("states have actions for every mode", function () {
+        for (let state of ifilter(s => !s.isOuter, sys.states.values())) {
+            assert.deepEqual(new Set(state.actions.map(_ => _.mode)), new Set([0, 1]));
+            // The targets of a mode are those of its posterior
+            for (let action of state.actions) {
+                const post = lss.controlModes[action.mode].post(state.polytope, action.controls);
+                for (let target of action.targets) {
+                    assert(post.intersects(target.polytope));
+                }
+            }
+        }
+    });
+
+    it("state operators take the control mode", function () {
+        const states = Array.from(ifilter(s => !s.isOuter, sys.states.values()));
+        const same = (r, s) => (r.isEmpty && s.isEmpty) || r.isSameAs(s);
+        for (let x of states) {
+            for (let y of states) {
+                lss.controlModes.forEach((mode, m) => {
+                    assert(same(x.act(y, m), mode.act(x.polytope, y.polytope)));
+                    assert(same(sys.actR(x, y, m), mode.actR(x.polytope, y.polytope)));
+                    assert(same(x.zOne([y], m), mode.zOne(y.polytope)));
+                });
+                // First mode if not given
+                assert(x.act(y).isSameAs(x.act(y, 0)));
+            }
+        }
+    });
+
+    it("union of action polytopes of each state is entire control space", actionPolytopesCoverControlSpace(sys));
+    it("action polytopes of each state do not overlap", actionPolytopesDoNotOverlap(sys));
+    it("supports of each action fulfil PreP properties", actionSupportsArePreP(sys));
+
+    it("survives serialization", function () {
+        const copy = system.AbstractedLSS.deserialize(sys.serialize(true));
+        assert(copy.lss instanceof system.SwitchedLSS);
+        assert.equal(copy.lss.tol, lss.tol);
+        assert.deepEqual(copy.lss.controlModes[1].c, [1, 0]);
+        for (let state of sys.states.values()) {
+            const copyActions = copy.getState(state.label).actions;
+            assert.deepEqual(copyActions.map(_ => _.mode), state.actions.map(_ => _.mode));
+        }
+    });
+
+});
+
+
+
+describe("system with polytopic uncertainty", function () {
+
+    const xx = box([0, 0], [4, 2]);
+    const ww = box([-0.1, -0.1], [0.1, 0.1]);
+    const uu = box([-1, -1], [1, 1]);
+    const As = [I, [[1.1, 0], [0, 1]]];
+    const Bs = [I, [[0.8, 0], [0, 1]]];
+    const lss = new system.UncertainLSS(As, Bs, xx, ww, uu);
+    // Systems with the dynamics of the vertex matrices
+    const realizations = [];
+    for (let A of As) {
+        for (let B of Bs) {
+            realizations.push(new system.LSS(A, B, xx, ww, uu, undefined, undefined, lss.tol));
+        }
+    }
+
+    const x = box([1.5, 0.5], [1.7, 1]);
+    const y = box([2, 0], [3, 2]);
+
+    it("exact dynamics agree with LSS", function () {
+        const exact = new system.UncertainLSS([I], [I], xx, ww, uu);
+        const ref = new system.LSS(I, I, xx, ww, uu);
+        assert(exact.post(x, uu).isSameAs(ref.post(x, uu)));
+        assert(exact.pre(xx, uu, y).isSameAs(ref.pre(xx, uu, y)));
+        assert(exact.preR(xx, uu, y).isSameAs(ref.preR(xx, uu, y)));
+        assert(exact.act(x, y).isSameAs(ref.act(x, y)));
+        assert(exact.actR(x, y).isSameAs(ref.actR(x, y)));
+        assert.deepEqual(exact.As, ref.As);
+    });
+
+    it("nominal dynamics are the mean of the vertex matrices", function () {
+        assert.deepEqual(lss.A, [[1.05, 0], [0, 1]]);
+        assert.deepEqual(lss.B, [[0.9, 0], [0, 1]]);
+        assert(linalg.areClose(lss.eval([1, 1], [1, 0], [0, 0]), [1.95, 1]));
+        assert.throws(() => new system.UncertainLSS([], Bs, xx, ww, uu), tools.ValueError);
+    });
+
+    it("robust operators hold for all vertex matrices", function () {
+        const preR = lss.preR(xx, uu, y);
+        assert(!preR.isEmpty);
+        // Exact bounds from the worst-case combinations of vertex matrices
+        assert(Math.abs(preR.extent[0][0] - 1.3) < 1e-6);
+        assert(Math.abs(preR.extent[0][1] - 3.7 / 1.1) < 1e-6);
+        const actR = lss.actR(x, y);
+        assert(actR.isSameAs(box([0.75, -0.4], [1, 0.9])));
+        for (let realization of realizations) {
+            assert(realization.preR(xx, uu, y).covers(preR));
+            assert(realization.actR(x, y).covers(actR));
+            assert(realization.actRAt([1.5, 0.5], y).covers(lss.actRAt([1.5, 0.5], y)));
+        }
+        // Strictly smaller than the robust predecessor of the nominal system
+        const nominal = new system.LSS(lss.A, lss.B, xx, ww, uu);
+        assert(!preR.covers(nominal.preR(xx, uu, y)));
+    });
+
+    it("non-robust operators over-approximate", function () {
+        const post = lss.post(x, uu);
+        const pre = lss.pre(xx, uu, y);
+        const act = lss.act(x, y);
+        for (let realization of realizations) {
+            assert(post.covers(realization.post(x, uu)));
+            assert(pre.covers(realization.pre(xx, uu, y)));
+            assert(act.covers(realization.act(x, y)));
+            assert(lss.zPre(x, uu, y).covers(realization.zPre(x, uu, y)));
+            assert(lss.zPost(x, uu).covers(realization.zPost(x, uu)));
+        }
+    });
+
+    const sys = lss.decompose([geometry.Halfspace.parse("x > 3", "xy")], ["p1"]);
+
+    it("union of action polytopes of each state is entire control space", actionPolytopesCoverControlSpace(sys));
+    it("action polytopes of each state do not overlap", actionPolytopesDoNotOverlap(sys));
+    it("supports of each action fulfil PreP properties", actionSupportsArePreP(sys));
+
+    it("survives serialization", function () {
+        const copy = system.AbstractedLSS.deserialize(sys.serialize());
+        assert(copy.lss instanceof system.UncertainLSS);
+        assert.deepEqual(copy.lss.As, As);
+        assert.deepEqual(copy.lss.Bs, Bs);
+        assert.equal(copy.lss.tol, lss.tol);
+        assert(copy.lss.preR(xx, uu, y).isSameAs(lss.preR(xx, uu, y)));
+    });
+
+});
+
+
+
+describe("3-dimensional variant of the illustrative example system", function () {
+
+    const box = (l, u) => geometry.Polytope.ofDim(3).hull([
+        [l, l, l], [u, l, l], [l, u, l], [u, u, l],
+        [l, l, u], [u, l, u], [l, u, u], [u, u, u]
+    ]);
+
+    const lss = new system.LSS(
+        [[1, 0, 0], [0, 1, 0], [0, 0, 1]], // A
+        [[1, 0, 0], [0, 1, 0], [0, 0, 1]], // B
+        box(0, 2).apply([[2, 0, 0], [0, 1, 0], [0, 0, 1]]), // state space
+        box(-0.1, 0.1), // random space
+        box(-1, 1) // control space
+    );
+
+    const sys = lss.decompose([geometry.Halfspace.parse("x > 2", "xyz")]);
+
+    it("has 8 states", function () {
+        assert.equal(sys.states.size, 8);
+    });
+
+    it("outer states have no actions", function () {
+        for (let state of sys.states.values()) {
+            if (!state.polytope.intersects(sys.lss.xx)) {
+                assert(state.isOuter);
+                assert.equal(state.actions.length, 0);
+            }
+        }
+    });
+
+    it("union of action polytopes of each state is entire control space", actionPolytopesCoverControlSpace(sys));
+    it("action polytopes of each state do not overlap", actionPolytopesDoNotOverlap(sys));
+
+});
+
+
+
+describe("illustrative example system at different scales", function () {
+
+    for (let scale of [1e-4, 1e4]) {
+
+        const tol = geometry.toleranceOf(scale);
+        const box = (l, u) => geometry.Polygon.hull([
+            [l[0] * scale, l[1] * scale], [u[0] * scale, l[1] * scale],
+            [u[0] * scale, u[1] * scale], [l[0] * scale, u[1] * scale]
+        ], tol);
+
+        const lss = new system.LSS(
+            [[1, 0], [0, 1]], // A
+            [[1, 0], [0, 1]], // B
+            box([0, 0], [4, 2]), // state space
+            box([-0.1, -0.1], [0.1, 0.1]), // random space
+            box([-1, -1], [1, 1]) // control space
+        );
+
+        const sys = lss.decompose([geometry.Halfspace.normalized([-1, 0], -2 * scale)]);
+
+        it("tolerance is proportional to scale " + String(scale), function () {
+            assert.equal(lss.tol, 4 * scale * geometry.TOL);
+            assert.equal(lss.xx.tol, lss.tol);
+            assert.equal(lss.oneStepReachable.tol, lss.tol);
+            for (let state of sys.states.values()) {
+                assert.equal(state.polytope.tol, lss.tol);
+            }
+        });
+
+        it("has 6 states and 18 actions at scale " + String(scale), function () {
+            assert.equal(sys.states.size, 6);
+            let n = 0;
+            for (let s of sys.states.values()) {
+                n += s.actions.length;
+            }
+            assert.equal(n, 18);
+        });
+
+        it("tolerance survives serialization at scale " + String(scale), function () {
+            const copy = system.AbstractedLSS.deserialize(sys.serialize());
+            assert.equal(copy.lss.tol, lss.tol);
+            for (let state of copy.states.values()) {
+                assert.equal(state.polytope.tol, lss.tol);
+            }
+        });
+
+    }
+
+});
@@ -191,6 +191,37 @@ describe("tools.n2s", function () {
 });
 
 
+describe("tools.PRNG", function () {
+
+    it("is reproducible", function () {
+        const rng1 = new tools.PRNG(42);
+        const rng2 = new tools.PRNG(42);
+        for (let i = 0; i < 100; i++) {
+            const x = rng1.random();
+            assert(x >= 0 && x < 1);
+            assert.equal(x, rng2.random());
+        }
+        assert.notEqual(new tools.PRNG(43).random(), new tools.PRNG(42).random());
+    });
+
+    it("state continues the sequence", function () {
+        const rng1 = new tools.PRNG(7);
+        rng1.random();
+        rng1.random();
+        const rng2 = new tools.PRNG(rng1.state);
+        for (let i = 0; i < 10; i++) {
+            assert.equal(rng1.random(), rng2.random());
+        }
+    });
+
+    it("rejects non-integer seeds", function () {
+        assert.throws(() => new tools.PRNG(0.5), tools.ValueError);
+        assert.throws(() => new tools.PRNG(NaN), tools.ValueError);
+    });
+
+});
+
+
 describe("tools.ObservableMixin", function () {
     
     it("notify", function () {